@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 'use strict';
 /**
  * mailer 主模块
@@ -10,6 +11,13 @@
  * - StreamTransport: 流传输器，将邮件输出为流格式，主要用于测试
  * - JsonTransport: JSON传输器，将邮件转换为JSON格式输出，用于调试
  * - SesTransport: Amazon SES传输器，通过AWS Simple Email Service发送邮件
+ * - DirectTransport: 直接投递传输器，不经过中继服务器，直接连接收件人域名的MX服务器投递邮件
+ * - SmtpServer: 进程内的SMTP/LMTP测试服务器，在内存中保存收到的邮件，用于离线测试
+ * - tracking: 打开和点击跟踪插件('compile'阶段)，verifyTrackingToken用于验证跟踪地址中的令牌
+ * - createUnsubscribeUrl, verifyUnsubscribeToken: 生成和验证一键退订地址(传输器的unsubscribe选项自动生成退订头)
+ * - createVerpAddress, decodeVerpAddress: 生成和还原VERP退信地址(传输器的verp选项为每个收件人使用单独的退信地址)
+ * - qpDecode, QpDecoder, base64Decode, Base64Decoder, decodeWords, decodeHeaderValue, decodeCharset, toUnicode:
+ *   Quoted-Printable, base64, MIME字(RFC 2047), RFC 2231参数, 字符集和Punycode解码工具
  * - shared: 共享工具函数模块，包含URL解析,正则常量等通用功能
  */
 const Mailer = require('./lib/mailer');
@@ -19,6 +27,19 @@ const SendmailTransport = require('./lib/sendmail-transport');
 const StreamTransport = require('./lib/stream-transport');
 const JsonTransport = require('./lib/json-transport');
 const SesTransport = require('./lib/ses-transport');
+const DirectTransport = require('./lib/direct-transport');
+const SmtpServer = require('./lib/smtp-server');
+const pgp = require('./lib/pgp');
+const { tracking, verifyTrackingToken } = require('./lib/tracking');
+const { createUnsubscribeUrl, verifyUnsubscribeToken } = require('./lib/unsubscribe');
+const { createVerpAddress, decodeVerpAddress } = require('./lib/verp');
+const { MailParser, parseMail } = require('./lib/mail-parser');
+const { parseBounce, classifyBounce } = require('./lib/mail-parser/bounce');
+const { qpDecode, QpDecoder } = require('./lib/qp');
+const { base64Decode, Base64Decoder } = require('./lib/base64');
+const { decodeWords, decodeHeaderValue } = require('./lib/mime-funcs');
+const { decodeCharset } = require('./lib/mime-funcs/charsets');
+const { toUnicode } = require('./lib/punycode');
 const { parseConnectionUrl, regexs } = require('./lib/shared');
 
 // 创建传输器
@@ -35,6 +56,7 @@ function createTransport(transporter, defaults) {
         else if (options.sendmail) transporter = new SendmailTransport(options);
         else if (options.streamTransport) transporter = new StreamTransport(options);
         else if (options.jsonTransport) transporter = new JsonTransport(options);
+        else if (options.direct) transporter = new DirectTransport(options);
         else if (options.SES) {
             if (options.SES.ses && options.SES.aws) {
                 let error = new Error('检测到旧版SES配置，请使用@aws-sdk/client-sesv2，');
@@ -59,15 +81,16 @@ function validateConfig(config) {
         errors.push('配置不能为空');
         return { valid: false, errors, warnings };
     }
-    const { host, service, auth, port, secure, tls, pool, maxConnections, maxMessages, sendmail, SES } = config;
 
     // 如果是字符串（URL格式）
-    if (typeof config === 'string' && !regexs.TRANSPORTER_PROTOCOL.test(config))
-        errors.push('URL格式不正确，应以 smtp://, smtps:// 或 direct:// 开头');
+    if (typeof config === 'string') {
+        if (!regexs.TRANSPORTER_PROTOCOL.test(config)) errors.push('URL格式不正确，应以 smtp://, smtps:// 或 direct:// 开头');
+    }
     // 否则,如果是配置对象
     else if (typeof config === 'object') {
+        const { host, service, auth, port, secure, tls, pool, maxConnections, maxMessages, rateLimits, verp, sendmail, SES } = config;
         // 检查传输器类型
-        const transportTypes = ['SMTP', 'Sendmail', 'Stream', 'JSON', 'SES'],
+        const transportTypes = ['SMTP', 'Sendmail', 'Stream', 'JSON', 'SES', 'Direct'],
             hasTransportType = transportTypes.some(type =>
                 config[type.toLowerCase()] || config[type] || config[`${type}Transport`]
             );
@@ -93,6 +116,10 @@ function validateConfig(config) {
         if (pool && typeof pool !== 'boolean') errors.push('pool 字段应为布尔值');
         if (maxConnections && (typeof maxConnections !== 'number' || maxConnections < 1)) errors.push('maxConnections 应为大于0的数字');
         if (maxMessages && (typeof maxMessages !== 'number' || maxMessages < 1)) errors.push('maxMessages 应为大于0的数字');
+        if (rateLimits && typeof rateLimits !== 'object') errors.push('rateLimits 应为限速策略对象或数组');
+        else if (rateLimits && !pool) warnings.push('rateLimits 仅在连接池(pool: true)中生效');
+        // 验证VERP配置
+        if (verp && typeof verp !== 'string' && typeof verp !== 'object') errors.push('verp 应为退信地址模板字符串或选项对象');
 
         // 验证Sendmail配置
         if (sendmail && sendmail !== true && typeof sendmail !== 'string') errors.push('sendmail 字段应为布尔值或字符串路径');
@@ -108,5 +135,17 @@ function validateConfig(config) {
     return { valid: errors.length === 0, errors, warnings: warnings.length > 0 ? warnings : undefined };
 }
 
+// 创建测试服务器
+function createTestServer(options) {
+    return new SmtpServer(options);
+}
+
 // 导出
-module.exports = { createTransport, validateConfig };
\ No newline at end of file
+module.exports = {
+    createTransport, validateConfig, createTestServer, pgp, tracking, verifyTrackingToken, createUnsubscribeUrl, verifyUnsubscribeToken,
+    parseMail, MailParser, parseBounce, classifyBounce, createVerpAddress, decodeVerpAddress,
+    qpDecode, QpDecoder, base64Decode, Base64Decoder, decodeWords, decodeHeaderValue, decodeCharset, toUnicode
+};
+
+// 作为命令行工具(lunjack-mail)运行
+if (require.main === module) require('./lib/cli').run(process.argv.slice(2), code => process.exitCode = code);
\ No newline at end of file
@@ -1,6 +1,7 @@
 'use strict';
 
 const { Transform } = require('stream');
+const { regexs, resetRegex } = require('./regexs');
 
 /**
  * 将Buffer编码为base64字符串
@@ -13,6 +14,16 @@ function base64Encode(buffer) {
     return buffer.toString('base64');
 }
 
+/**
+ * 将base64字符串解码为Buffer，忽略换行和其他非base64字符
+ *
+ * @param {String|Buffer} str base64编码的字符串
+ * @returns {Buffer} 解码后的Buffer
+ */
+function base64Decode(str) {
+    return Buffer.from(String(str ?? '').replace(resetRegex(regexs.NON_BASE64_CHARS), ''), 'base64');
+}
+
 /**
  * 为base64字符串添加软换行
  *
@@ -102,5 +113,43 @@ class Base64Encoder extends Transform {
     }
 }
 
+/**
+ * 创建用于解码base64内容的转换流
+ * 忽略换行和其他非base64字符，不足4个字符的部分留到下一个数据块
+ *
+ * @constructor
+ */
+class Base64Decoder extends Transform {
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this._curLine = '', this.inputBytes = 0, this.outputBytes = 0; // 未解码的字符
+    }
+
+    _transform(chunk, encoding, done) {
+        if (encoding !== 'buffer') chunk = Buffer.from(chunk, encoding);
+        if (!chunk?.length) return done();
+        this.inputBytes += chunk.length;
+
+        let b64 = this._curLine + chunk.toString('latin1').replace(resetRegex(regexs.NON_BASE64_CHARS), '');
+        const len = b64.length - (b64.length % 4);
+        this._curLine = b64.substring(len), b64 = b64.substring(0, len);
+
+        if (b64) {
+            const decoded = Buffer.from(b64, 'base64');
+            this.outputBytes += decoded.length, this.push(decoded);
+        }
+        done();
+    }
+
+    _flush(done) {
+        if (this._curLine) {
+            const decoded = Buffer.from(this._curLine, 'base64');
+            this.outputBytes += decoded.length, this.push(decoded), this._curLine = '';
+        }
+        done();
+    }
+}
+
 // 导出接口
-module.exports = { base64Encode, Base64Encoder };
\ No newline at end of file
+module.exports = { base64Encode, base64Decode, base64Wrap, Base64Encoder, Base64Decoder };
\ No newline at end of file
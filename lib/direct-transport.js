@@ -0,0 +1,226 @@
+'use strict';
+
+// 引入所需模块
+const EventEmitter = require('events');
+const SmtpConnection = require('./smtp-connection');
+const { PK, dns, regexs, getLogger, getSocket, createError, createSmtpConnection, prepareMessageForSending,
+    resolveStream } = require('./shared');
+
+const DIRECT_PORT = 25; // MX服务器默认端口
+
+// 表示域名不存在的DNS错误代码(永久失败),以及表示没有MX记录的错误代码(回退到A/AAAA)
+const DNS_NOT_FOUND = new Set([dns.NOTFOUND]), DNS_NO_MX = new Set([dns.NODATA, 'ENODATA']);
+
+/**
+ * 生成直接投递(direct://)传输对象,不经过中继服务器,直接连接收件人域名的MX服务器投递邮件
+ *
+ * 可用的选项如下：
+ *
+ *  **name** EHLO时使用的客户端主机名
+ *  **port** MX服务器端口(默认为25)
+ *  **tls** TLS选项(默认不校验证书,即机会性TLS)
+ *  **resolveMx** 自定义MX解析函数 (domain, callback(err, [{exchange, priority}]))
+ *
+ * @constructor
+ * @param {Object} options 可选配置参数
+ */
+class DirectTransport extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        if (typeof options === 'string') options = { url: options }; // 如果选项是字符串，则将其视为URL
+        const { auth, service, component = 'directTransport', ...rest } = options; // 直接投递不使用认证和知名服务配置
+        this.options = rest, this.name = 'DirectTransport', this.version = PK.version;
+        if (typeof options.getSocket === 'function') this.getSocket = options.getSocket;
+        this.logger = getLogger(this.options, { component }); // 初始化日志记录器
+    }
+
+    /**
+     * 按收件人域名分组并逐个域名投递邮件
+     *
+     * @param {Object} mail 邮件对象
+     * @param {Function} callback 回调函数
+     */
+    send(mail, callback) {
+        const { envelope, messageId, readStream } = prepareMessageForSending(mail, this.logger), // 邮件预处理
+            { from, to = [] } = envelope, domains = this._groupRecipients(to),
+            result = { envelope: { from, to }, messageId, accepted: [], rejected: [], deferred: [], rejectedErrors: [] },
+            // 没有任何收件人被接受时返回错误,错误对象中携带各收件人的结果
+            fail = message => callback(createError(message, 'EENVELOPE', {
+                envelope: result.envelope, messageId, rejected: result.rejected, deferred: result.deferred,
+                rejectedErrors: result.rejectedErrors
+            }));
+
+        // 每个域名都需要重新发送消息,因此先将消息读取到Buffer中
+        resolveStream(readStream, (err, message) => {
+            if (err) {
+                this.logger.error({ err, tnx: 'send', messageId }, '为 %s 创建消息失败: %s', messageId, err.message);
+                return callback(err);
+            }
+
+            let pending = domains.size;
+            if (!pending) return fail('未定义收件人');
+
+            domains.forEach((recipients, domain) => {
+                this._deliverDomain(domain, { ...envelope, to: recipients }, message, domainResult => {
+                    ['accepted', 'rejected', 'deferred', 'rejectedErrors']
+                        .forEach(key => result[key].push(...domainResult[key]));
+                    if (domainResult.response) result.response = domainResult.response;
+                    if (--pending) return;
+
+                    this.logger.info({ tnx: 'send', messageId }, '消息 %s 投递完成: 接受 %s, 拒绝 %s, 延迟 %s', messageId,
+                        result.accepted.length, result.rejected.length, result.deferred.length);
+                    result.accepted.length ? callback(null, result) : fail('所有收件人投递失败');
+                });
+            });
+        });
+    }
+
+    /**
+     * 将收件人按域名分组
+     *
+     * @param {Array} recipients 收件人地址列表
+     * @returns {Map} 域名 -> 收件人列表
+     */
+    _groupRecipients(recipients) {
+        const domains = new Map();
+        [].concat(recipients).forEach(address => {
+            address = ((address?.address) || address || '').toString().trim();
+            if (!address) return;
+            const domain = address.substring(address.lastIndexOf('@') + 1).toLowerCase();
+            if (!domains.has(domain)) domains.set(domain, []);
+            domains.get(domain).push(address);
+        });
+        return domains;
+    }
+
+    /**
+     * 解析域名的MX记录并按优先级排序,没有MX记录时回退到域名本身(A/AAAA)
+     *
+     * @param {String} domain 收件人域名
+     * @param {Function} callback 回调函数 (err, exchanges)
+     */
+    _resolveExchanges(domain, callback) {
+        const resolveMx = typeof this.options.resolveMx === 'function' ? this.options.resolveMx : dns.resolveMx;
+        resolveMx(domain, (err, records) => {
+            if (err && DNS_NOT_FOUND.has(err.code)) return callback(createError(`域名 ${domain} 不存在`, 'EDNS', { responseCode: 550 }));
+            if (err && !DNS_NO_MX.has(err.code)) return callback(createError(err.message, 'EDNS'));
+
+            records = [].concat(records || []).filter(record => record?.exchange !== undefined);
+            if (!records.length) return callback(null, [domain]); // 隐式MX(RFC 5321 #5.1)
+
+            // 空MX(RFC 7505)表示该域名不接收邮件
+            const exchanges = records.sort((a, b) => a.priority - b.priority)
+                .map(record => record.exchange.replace(regexs.TRAILING_DOT, '')).filter(exchange => exchange);
+            if (!exchanges.length) return callback(createError(`域名 ${domain} 不接收邮件(空MX)`, 'EENVELOPE', { responseCode: 556 }));
+            callback(null, exchanges);
+        });
+    }
+
+    /**
+     * 向单个域名投递邮件,按优先级逐个尝试MX服务器
+     *
+     * @param {String} domain 收件人域名
+     * @param {Object} envelope 该域名的信封
+     * @param {Buffer} message 编译后的邮件
+     * @param {Function} callback 回调函数 (domainResult)
+     */
+    _deliverDomain(domain, envelope, message, callback) {
+        const { to } = envelope, result = { accepted: [], rejected: [], deferred: [], rejectedErrors: [] },
+            // 将所有收件人标记为同一结果
+            failAll = (err, key) => {
+                result[key].push(...to), result.rejectedErrors.push(...to.map(recipient => createError(err.message, err.code,
+                    { responseCode: err.responseCode, recipient, deferred: key === 'deferred' })));
+                callback(result);
+            };
+
+        this._resolveExchanges(domain, (err, exchanges) => {
+            if (err) {
+                this.logger.error({ err, tnx: 'dns', domain }, '解析 %s 的MX记录失败: %s', domain, err.message);
+                return failAll(err, this._isPermanent(err) ? 'rejected' : 'deferred');
+            }
+
+            let pos = 0, lastErr;
+            const tryNext = () => {
+                if (pos >= exchanges.length) return failAll(lastErr, 'deferred'); // 所有MX服务器都暂时不可用
+
+                const host = exchanges[pos++];
+                this.logger.debug({ tnx: 'mx', domain, host }, '尝试通过MX服务器 %s 投递到 %s', host, domain);
+                this._sendToExchange(host, envelope, message, (err, info) => {
+                    if (!err) {
+                        result.accepted.push(...info.accepted), result.response = info.response;
+                        this._classifyRejected(info.rejectedErrors || [], result);
+                        return callback(result);
+                    }
+
+                    // 部分收件人被拒绝的信封错误按收件人分类,不再尝试其他MX
+                    if (err.rejectedErrors?.length) {
+                        this._classifyRejected(err.rejectedErrors, result);
+                        return callback(result);
+                    }
+                    if (this._isPermanent(err)) return failAll(err, 'rejected');
+
+                    this.logger.info({ err, tnx: 'mx', domain, host }, 'MX服务器 %s 暂时不可用: %s', host, err.message);
+                    lastErr = err, tryNext();
+                });
+            };
+            tryNext();
+        });
+    }
+
+    /**
+     * 通过单个MX服务器发送邮件
+     *
+     * @param {String} host MX服务器主机名
+     * @param {Object} envelope 信封
+     * @param {Buffer} message 编译后的邮件
+     * @param {Function} callback 回调函数
+     */
+    _sendToExchange(host, envelope, message, callback) {
+        const { port, tls } = this.options,
+            transport = {
+                logger: this.logger,
+                options: {
+                    ...this.options, host, port: port || DIRECT_PORT, secure: false, opportunisticTLS: true,
+                    tls: { rejectUnauthorized: false, ...tls }
+                }
+            };
+
+        (this.getSocket || getSocket)(transport.options, (err, socketOp) => {
+            if (err) return callback(err);
+            const { connection } = createSmtpConnection(transport, socketOp, SmtpConnection), state = { returned: false },
+                done = (err, info) => {
+                    if (state.returned) return;
+                    state.returned = true, err ? connection.close() : connection.quit(), callback(err, info);
+                };
+
+            connection.once('error', err => done(err)).once('end', () => done(createError('连接意外关闭', 'ECONNECTION')));
+            connection.connect(() => connection.send(envelope, message, done));
+        });
+    }
+
+    /**
+     * 根据响应代码将被拒绝的收件人分为永久拒绝和延迟
+     *
+     * @param {Array} errors 收件人错误列表
+     * @param {Object} result 域名结果对象
+     */
+    _classifyRejected(errors, result) {
+        errors.forEach(err => {
+            const deferred = !this._isPermanent(err);
+            err.deferred = deferred, result[deferred ? 'deferred' : 'rejected'].push(err.recipient), result.rejectedErrors.push(err);
+        });
+    }
+
+    /**
+     * 检查错误是否为永久失败(5xx响应)
+     *
+     * @param {Error} err 错误对象
+     * @returns {Boolean} 是否为永久失败
+     */
+    _isPermanent(err) {
+        return Number(err?.responseCode) >= 500;
+    }
+}
+
+// 导出
+module.exports = DirectTransport;
\ No newline at end of file
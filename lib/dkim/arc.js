@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * ARC(Authenticated Received Chain, RFC 8617)封装器，
+ * 用于转发邮件的中继服务器(邮件列表、转发服务等)，在邮件头部添加一组ARC头，
+ * 记录本跳的认证结果，使下游接收方在原始DKIM签名因转发失效时仍可追溯认证链
+ */
+const { PassThrough } = require('stream');
+const CanonicalBody = require('./canonical-body');                     // 用于规范化邮件正文并计算哈希
+const { generateDKIMSignature, generateARCSeal, getKeyType } = require('./sign'); // 复用DKIM签名生成ARC头
+const { parseMessage, parseTags, arcSets, verifyARC } = require('./verify'); // 用于解析邮件和验证已有的ARC链
+const { callbackPromise, createError } = require('../shared');
+
+const ARC_CANON = 'relaxed/relaxed'; // ARC-Message-Signature的默认规范化方法（头/正文）
+const ARC_MAX_INSTANCE = 50;         // ARC实例编号上限(RFC 8617 #4.2.1)
+
+// 用法示例：
+/*
+// 1. 创建ARC实例
+let arc = new ARC({
+    domainName: 'forwarder.example',  // 封装者的域名
+    keySelector: 'arc',               // 密钥选择器，用于在DNS中查找公钥
+    privateKey,                       // RSA或Ed25519私钥
+    authResults: 'forwarder.example; spf=pass smtp.mailfrom=example.com; dkim=pass header.d=example.com', // 本跳的认证结果
+    resolver: { 'sel._domainkey.example.com': 'v=DKIM1; p=...' } // 验证已有ARC链时使用的TXT记录解析函数或映射
+});
+
+// 2. 对邮件进行封装(添加ARC-Seal, ARC-Message-Signature, ARC-Authentication-Results头)
+    arc.seal(input).pipe(process.stdout);
+
+// 3. 验证邮件中的ARC链
+    ARC.verify(sealedMessage, { resolver }).then(result => console.log(result.status, result.instance));
+
+* 工作流程：
+* 1. 解析输入邮件，查找已有的ARC头组并确定新的实例编号(已有最大编号+1)
+* 2. 验证已有的ARC链得到cv=标签的值(第1组为none)；已有链最新的cv=标签为fail时不再添加新的ARC头组
+* 3. 生成ARC-Authentication-Results头(未指定authResults时复制最上方的Authentication-Results头)
+* 4. 使用DKIM签名代码生成覆盖邮件头和正文的ARC-Message-Signature头
+* 5. 生成覆盖ARC头组的ARC-Seal头(cv=fail时仅覆盖新头组)，并将新的ARC头组添加到邮件头部
+*/
+
+class ARC {
+    /**
+     * 初始化ARC实例
+     *
+     * @param {Object} options ARC配置选项
+     * @param {String} options.domainName 封装者的域名
+     * @param {String} options.keySelector 密钥选择器
+     * @param {String} options.privateKey 用于签名的私钥(RSA或Ed25519)
+     * @param {String} [options.authResults] 本跳的认证结果(不含i=标签)
+     * @param {String} [options.cv] 已有ARC链的验证结果('none','pass'或'fail'),未设置时自动验证
+     * @param {Function|Object} [options.resolver] 验证已有ARC链时使用的TXT记录解析函数或映射,默认使用DNS
+     * @param {String} [options.headerFieldNames] ARC-Message-Signature签名的头字段列表
+     * @param {String} [options.skipFields] 不参与签名的头字段列表
+     * @param {String} [options.hashAlgo] RSA密钥使用的哈希算法,默认为sha256
+     */
+    constructor(options = {}) {
+        this.options = options, this.keyType = getKeyType(options.privateKey);
+        this.hashAlgo = this.keyType === 'ed25519' ? 'sha256' : options.hashAlgo || 'sha256';
+    }
+
+    /**
+     * 对邮件进行ARC封装
+     *
+     * @param {Stream|Buffer|String} input 原始邮件
+     * @return {Stream} 添加了ARC头组的邮件流
+     */
+    seal(input) {
+        const output = new PassThrough();
+        parseMessage(input, (err, headers, body, rawHeaders) => {
+            if (err) return output.emit('error', err);
+            this._createHeaders(headers, body, (err, arcHeaders) => {
+                if (err) return output.emit('error', err);
+                output.end(Buffer.concat([Buffer.from(arcHeaders.map(line => `${line}\r\n`).join('')), rawHeaders, body]));
+            });
+        });
+        return output;
+    }
+
+    /**
+     * 生成新的ARC头组
+     *
+     * @param {Array} headers 邮件头数组
+     * @param {Buffer} body 原始正文
+     * @param {Function} callback 回调函数 (err, lines)，lines为按输出顺序排列的ARC头行(无需封装时为空数组)
+     */
+    _createHeaders(headers, body, callback) {
+        const { domainName, keySelector, privateKey, authResults, headerFieldNames, skipFields, resolver } = this.options,
+            sets = arcSets(headers), latest = sets[sets.length - 1], instance = sets.length + 1,
+            latestCv = latest?.[2] ? parseTags(latest[2].line.substring(latest[2].line.indexOf(':') + 1)).cv : undefined;
+        // 已达到实例编号上限或已有链的最新cv=标签为fail时不再添加ARC头组
+        if (instance > ARC_MAX_INSTANCE || (latest && latestCv !== 'none' && latestCv !== 'pass')) return callback(null, []);
+
+        verifyARC(headers, body, { resolver }, chain => {
+            const cv = instance === 1 ? 'none' : this.options.cv || chain.status,
+                // cv=pass时ARC-Seal覆盖所有已有的ARC头组,否则只覆盖新添加的头组
+                arcHeaders = cv === 'pass' ? [].concat(...sets).map(header => header.line) : [];
+
+            // 本跳的认证结果(未指定时复制最上方的Authentication-Results头)
+            const authHeader = headers.find(header => header.key === 'authentication-results'), results = authResults ||
+                (authHeader ? authHeader.line.substring(authHeader.line.indexOf(':') + 1).trim() : `${domainName}; none`),
+                aar = `ARC-Authentication-Results: i=${instance}; ${results}`;
+
+            // 计算正文哈希并生成ARC-Message-Signature及ARC-Seal
+            const canonicalBody = new CanonicalBody({ canonicalization: ARC_CANON.split('/')[1], hashAlgo: this.hashAlgo });
+            canonicalBody.once('hash', hashes => {
+                const ams = generateDKIMSignature(headers, this.hashAlgo, hashes[this.hashAlgo], {
+                    headerFieldNames, skipFields, domainName, keySelector, privateKey, keyType: this.keyType,
+                    canonicalization: ARC_CANON, timestamp: true, instance
+                }), seal = ams && generateARCSeal(arcHeaders.concat(aar, ams), {
+                    instance, cv, domainName, keySelector, privateKey, keyType: this.keyType, hashAlgo: this.hashAlgo
+                });
+                if (!seal) return callback(createError('ARC签名失败', 'EARC'));
+                callback(null, [seal, ams, aar]);
+            });
+            canonicalBody.resume(), canonicalBody.end(body);
+        });
+    }
+
+    /**
+     * 验证邮件中的ARC链
+     *
+     * @param {Stream|Buffer|String} input 原始邮件
+     * @param {Object} [options] 验证选项
+     * @param {Function|Object} [options.resolver] TXT记录解析函数 (name, callback(err, records)) 或 {名称: 记录} 映射
+     * @param {Function} [callback] 回调函数 (err, result)
+     * @return {Promise|undefined} 未提供回调时返回Promise,结果为 {status: 'none'|'pass'|'fail', instance, reason}
+     */
+    static verify(input, options = {}, callback) {
+        if (typeof options === 'function') callback = options, options = {};
+        // 如果没有提供回调，则创建Promise
+        const promise = !callback ? new Promise((resolve, reject) => callback = callbackPromise(resolve, reject)) : null;
+        parseMessage(input, (err, headers, body) => {
+            if (err) return callback(err);
+            verifyARC(headers, body, options || {}, result => callback(null, result));
+        });
+        return promise;
+    }
+}
+
+module.exports = ARC;
\ No newline at end of file
@@ -0,0 +1,102 @@
+'use strict';
+
+const { Transform } = require('stream');
+const { createHash } = require('crypto');
+const { regexs, resetRegex } = require('../regexs');
+
+/**
+ * 规范化邮件正文并计算哈希值的转换流
+ * 实现DKIM签名中的simple和relaxed body canonicalization (RFC 6376 #3.4.3, #3.4.4)
+ * 主要功能：
+ * 1. 原始正文数据原样输出，仅对规范化后的内容计算哈希值
+ * 2. 将所有的行结束符统一为CRLF，并忽略正文末尾的空行
+ * 3. relaxed模式下移除每行末尾的空白字符(WSP)，并将行内的多个空白字符替换为单个空格
+ * 4. 可限制参与哈希计算的字节数(对应l=标签)
+ */
+class CanonicalBody extends Transform {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {string} options.canonicalization - 规范化方式：'relaxed'(默认)或'simple'
+     * @param {string|Array} options.hashAlgo - 哈希算法(可指定多个)，默认为'sha256'
+     * @param {number} options.maxLength - 参与哈希计算的最大字节数，默认不限制
+     * @param {boolean} options.debug - 是否启用调试模式
+     */
+    constructor(options = {}) {
+        super();
+        const { canonicalization, hashAlgo, maxLength, debug } = options;
+        this.relaxed = canonicalization !== 'simple';
+        // 每种哈希算法对应一个哈希计算器
+        this.hashes = new Map([].concat(hashAlgo || 'sha256').map(algo => [algo, createHash(algo)]));
+        this.maxLength = maxLength >= 0 ? Number(maxLength) : Infinity;
+        // 存储未处理完的数据片段(跨块的未完成行),尚未计入哈希的空行数,已参与哈希计算的字节长度
+        this.remainder = '', this.emptyLines = 0, this.bodyLength = 0;
+        this.debug = debug, this._debugBody = debug ? [] : false; // 调试模式相关设置
+    }
+
+    /**
+     * 使用规范化后的数据更新哈希值(超出最大长度的部分被忽略)
+     * @param {string} str - 规范化后的数据(binary编码)
+     */
+    updateHash(str) {
+        if (!str || this.bodyLength >= this.maxLength) return;
+        const chunk = Buffer.from(str.slice(0, this.maxLength - this.bodyLength), 'binary');
+        this.hashes.forEach(hash => hash.update(chunk)), this.bodyLength += chunk.length;
+        if (this.debug) this._debugBody.push(chunk); // 如果启用调试模,则记录规范化后的数据块
+    }
+
+    /**
+     * 处理一个完整的行(不含行结束符)
+     * 空行暂不计入哈希，直到遇到后续的非空行，以便忽略正文末尾的空行
+     * @param {string} line - 行内容
+     */
+    processLine(line) {
+        // 移除行尾空白字符(WSP)并将行内多个空白字符替换为单个空格
+        if (this.relaxed) line = line.replace(resetRegex(regexs.MULTIPLE_WSP), ' ').replace(regexs.TRAILING_WSP, '');
+        if (!line) return this.emptyLines++;
+        this.updateHash(`${'\r\n'.repeat(this.emptyLines)}${line}\r\n`), this.emptyLines = 0;
+    }
+
+    /**
+     * 转换流的核心方法，处理输入数据
+     * @param {Buffer|string} chunk - 输入数据块
+     * @param {string} encoding - 编码方式
+     * @param {function} callback - 完成回调
+     */
+    _transform(chunk, encoding, callback) {
+        try {
+            if (!chunk?.length) return callback();
+            if (typeof chunk === 'string') chunk = Buffer.from(chunk, encoding); // 如果块是字符串,转换为Buffer
+
+            // 按行分割,最后一段可能是未完成的行,保留作为余数
+            const lines = (this.remainder + chunk.toString('binary')).split(regexs.LINE_SEPARATOR);
+            this.remainder = lines.pop(), lines.forEach(line => this.processLine(line));
+            callback(null, chunk); // 原始数据原样输出
+        } catch (err) {
+            callback(err);
+        }
+    }
+
+    /**
+     * 流结束时的处理逻辑
+     * 处理剩余数据并发出哈希值
+     * @param {function} callback - 完成回调
+     */
+    _flush(callback) {
+        try {
+            // 末尾未以换行符结束的行同样以CRLF结束
+            if (this.remainder) this.processLine(this.remainder), this.remainder = '';
+            if (!this.bodyLength && !this.relaxed) this.updateHash('\r\n'); // simple模式下空正文规范化为单个CRLF
+
+            // 发出哈希计算完成事件(算法 -> Base64哈希值,参与哈希计算的字节数)
+            const hashes = {};
+            this.hashes.forEach((hash, algo) => hashes[algo] = hash.digest('base64'));
+            this.emit('hash', hashes, this.bodyLength, this.debug ? Buffer.concat(this._debugBody) : false);
+            callback(); // 通知刷新完成
+        } catch (err) {
+            callback(err);
+        }
+    }
+}
+
+module.exports = CanonicalBody;
\ No newline at end of file
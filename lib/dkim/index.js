@@ -9,10 +9,13 @@ const path = require('path');
 const { PassThrough } = require('stream');
 const { randomBytes } = require('crypto');
 const MessageParser = require('./message-parser'); // 用于解析邮件头和正文
-const RelaxedBody = require('./relaxed-body');     // 用于宽松规范化邮件正文
-const signer = require('./sign');                  // 用于生成DKIM签名字段
+const CanonicalBody = require('./canonical-body'); // 用于规范化邮件正文并计算哈希
+const { generateDKIMSignature, getKeyType } = require('./sign'); // 用于生成DKIM签名字段
+const { verifyDKIM } = require('./verify');        // 用于验证DKIM签名
+const { callbackPromise } = require('../shared');
 
 const DKIM_ALGO = 'sha256';                // DKIM签名的默认哈希算法
+const DKIM_CANON = 'relaxed/relaxed';      // 默认规范化方法（头/正文）
 const MAX_MESSAGE_SIZE = 2 * 1024 * 1024; // 将大于此大小的消息缓冲到磁盘
 
 // 用法示例：
@@ -21,13 +24,30 @@ const MAX_MESSAGE_SIZE = 2 * 1024 * 1024; // 将大于此大小的消息缓冲
 let dkim = new DKIM({
     domainName: 'example.com',        // 域名，用于标识签名来源
     keySelector: 'key-selector',      // 密钥选择器，用于在DNS中查找公钥
-    privateKey,                       // RSA私钥，用于生成数字签名
+    privateKey,                       // RSA或Ed25519私钥，用于生成数字签名
     cacheDir: '/tmp'                  // 缓存目录，用于处理大邮件时的临时存储
 });
 
+// 同时使用RSA和Ed25519密钥签名(每个密钥生成一个DKIM-Signature头)，并设置规范化方法和可选标签
+let dkim = new DKIM({
+    keys: [
+        { domainName: 'example.com', keySelector: 'rsa', privateKey: rsaKey },
+        { domainName: 'example.com', keySelector: 'ed', privateKey: ed25519Key }
+    ],
+    canonicalization: 'relaxed/simple', // 'relaxed/relaxed'(默认), 'relaxed/simple', 'simple/simple', 'simple/relaxed'
+    bodyLength: true,                   // l=标签：true表示整个正文,数字表示仅对正文前N个字节签名
+    timestamp: true,                    // t=标签：true表示当前时间,或Date对象/Unix时间戳
+    expires: new Date(Date.now() + 7 * 24 * 3600 * 1000), // x=标签：Date对象或Unix时间戳
+    identity: 'user@example.com'        // i=标签：签名身份(必须属于domainName或其子域名)
+});
+
 // 2. 对邮件进行签名
     dkim.sign(input).pipe(process.stdout);
 
+// 3. 验证邮件中的DKIM签名(resolver可以是TXT记录解析函数或本地映射,默认使用DNS)
+    DKIM.verify(signedMessage, { resolver: { 'key-selector._domainkey.example.com': 'v=DKIM1; k=rsa; p=...' } })
+        .then(results => results.forEach(result => console.log(result.domain, result.status, result.reason)));
+
 * 参数说明：
 *   input: 输入邮件内容，可以是以下类型：
 *   Stream (流)：可读流，包含RFC822格式的原始邮件
@@ -49,15 +69,23 @@ class DKIMSigner {
     // 初始化 DKIM 签名器实例
     constructor(options = {}, keys, input, output) {
         this.options = options;
-        const { cacheTreshold, hashAlgo, cacheDir } = this.options;
+        const { cacheTreshold, hashAlgo, cacheDir, canonicalization } = this.options;
         this.cacheTreshold = Number(cacheTreshold) || MAX_MESSAGE_SIZE;
         this.hashAlgo = hashAlgo || DKIM_ALGO, this.cacheDir = cacheDir || false;
-        this.keys = keys, this.chunks = [], this.chunklen = 0, this.readPos = 0;
+        // 规范化方法(只指定头规范化方式时,正文默认使用simple)
+        const [headerCanon = 'relaxed', bodyCanon = 'simple'] = (canonicalization || DKIM_CANON).toLowerCase().split('/');
+        this.canonicalization = `${headerCanon}/${bodyCanon}`;
+        // 检测每个密钥的类型(Ed25519固定使用sha256,RSA使用密钥或全局配置的哈希算法)
+        this.keys = keys.map(key => {
+            const keyType = getKeyType(key.privateKey);
+            return { ...key, keyType, hashAlgo: keyType === 'ed25519' ? 'sha256' : key.hashAlgo || this.hashAlgo };
+        });
+        this.chunks = [], this.chunklen = 0, this.readPos = 0;
         this.cachePath =
             this.cacheDir ? path.join(this.cacheDir, `message.${Date.now()}-${randomBytes(14).toString('hex')}`) : false;
 
         this.input = input, this.output = output;
-        this.cache = false, this.headers = false, this.bodyHash = false, this.parser = false, this.relaxedBody = false;
+        this.cache = false, this.headers = false, this.bodyHash = false, this.bodyLength = 0, this.parser = false, this.body = false;
         this.output.usingCache = false, this.hasErrored = false;
         this.input.on('error', err => {
             this.hasErrored = true, this.cleanup(), output.emit('error', err);
@@ -101,10 +129,13 @@ class DKIMSigner {
                 this.output.write(this.parser.rawHeaders);
                 return setImmediate(() => this.sendNextChunk());
             }
-            const { domainName, keySelector, privateKey } = this.keys[keyPos++], { headerFieldNames, skipFields } = this.options,
-                // 定义 DKIM 签名字段
-                dkimField = signer(this.headers, this.hashAlgo, this.bodyHash,
-                    { domainName, keySelector, privateKey, headerFieldNames, skipFields });
+            const { hashAlgo, ...key } = this.keys[keyPos++],
+                { headerFieldNames, skipFields, bodyLength, timestamp, expires, identity } = this.options,
+                // 定义 DKIM 签名字段(密钥中的配置优先于全局配置)
+                dkimField = generateDKIMSignature(this.headers, hashAlgo, this.bodyHash[hashAlgo], {
+                    headerFieldNames, skipFields, timestamp, expires, identity, ...key, canonicalization: this.canonicalization,
+                    bodyLength: bodyLength || bodyLength === 0 ? this.bodyLength : undefined
+                });
             if (dkimField) this.output.write(Buffer.from(`${dkimField}\r\n`)); // 如果签名成功则写入 DKIM 字段
             return setImmediate(signNextKey);
         };
@@ -118,38 +149,43 @@ class DKIMSigner {
         this.output.usingCache = true, this.cache = fs.createWriteStream(this.cachePath);  // 将剩余数据管道传输到缓存文件
         // 处理缓存流的错误和关闭事件
         this.cache.once('error', err => {
-            this.cleanup(), this.relaxedBody.unpipe(this.cache);    // 清理缓存文件,停止传输到缓存
-            this.relaxedBody.resume();                              // 自动消耗剩余数据
+            this.cleanup(), this.body.unpipe(this.cache);           // 清理缓存文件,停止传输到缓存
+            this.body.resume();                                     // 自动消耗剩余数据
             this.hasErrored = true, this.output.emit('error', err); // 触发错误事件
         }).once('close', () => this.sendSignedOutput());
-        this.relaxedBody.removeAllListeners('readable'), this.relaxedBody.pipe(this.cache);
+        this.body.removeAllListeners('readable'), this.body.pipe(this.cache);
     }
 
     // 开始签名流处理
     signStream() {
+        const { bodyLength } = this.options;
         this.parser = new MessageParser();
-        this.relaxedBody = new RelaxedBody({ hashAlgo: this.hashAlgo }); // 使用宽松的正文处理
+        this.body = new CanonicalBody({
+            canonicalization: this.canonicalization.split('/')[1], hashAlgo: [...new Set(this.keys.map(key => key.hashAlgo))],
+            maxLength: typeof bodyLength === 'number' ? bodyLength : undefined // 数字表示仅对正文前N个字节签名
+        });
         this.parser.on('headers', value => this.headers = value);        // 监听解析器的头部事件
-        this.relaxedBody.on('hash', value => this.bodyHash = value);     // 监听宽松正文的哈希事件
+        // 监听正文的哈希事件(算法 -> 哈希值,参与哈希计算的字节数)
+        this.body.on('hash', (hashes, length) => (this.bodyHash = hashes, this.bodyLength = length));
 
-        // 监听宽松正文的可读事件
-        this.relaxedBody.on('readable', () => {
+        // 监听正文的可读事件
+        this.body.on('readable', () => {
             let chunk;
             if (this.cache) return; // 如果已经是缓存模式则不继续处理
-            while ((chunk = this.relaxedBody.read()) !== null) {
+            while ((chunk = this.body.read()) !== null) {
                 this.chunks.push(chunk), this.chunklen += chunk.length;
                 // 如果数据块长度超过阈值且有缓存路径则切换到缓存模式
                 if (this.chunklen >= this.cacheTreshold && this.cachePath) return this.createWriteCache();
             }
         });
 
-        // 监听宽松正文的结束事件
-        this.relaxedBody.on('end', () => {
+        // 监听正文的结束事件
+        this.body.on('end', () => {
             if (this.cache) return; // 如果已经是缓存模式则不继续处理
             this.sendSignedOutput();
         });
 
-        this.parser.pipe(this.relaxedBody), setImmediate(() => this.input.pipe(this.parser));
+        this.parser.pipe(this.body), setImmediate(() => this.input.pipe(this.parser));
     }
 }
 
@@ -193,6 +229,23 @@ class DKIM {
 
         return output;
     }
+
+    /**
+     * 验证邮件中的所有DKIM签名
+     *
+     * @param {Stream|Buffer|String} input 原始邮件
+     * @param {Object} [options] 验证选项
+     * @param {Function|Object} [options.resolver] TXT记录解析函数 (name, callback(err, records)) 或 {名称: 记录} 映射
+     * @param {Function} [callback] 回调函数 (err, results)
+     * @return {Promise|undefined} 未提供回调时返回Promise,结果为 [{domain, selector, algorithm, status, reason}]
+     */
+    static verify(input, options = {}, callback) {
+        if (typeof options === 'function') callback = options, options = {};
+        // 如果没有提供回调，则创建Promise
+        const promise = !callback ? new Promise((resolve, reject) => callback = callbackPromise(resolve, reject)) : null;
+        verifyDKIM(input, options || {}, callback);
+        return promise;
+    }
 }
 
 module.exports = DKIM;
\ No newline at end of file
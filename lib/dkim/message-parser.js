@@ -20,8 +20,10 @@ class MessageParser extends Transform {
         if (typeof chunk === 'string') chunk = Buffer.from(chunk, encoding);   // 确保块是一个Buffer
 
         try {
-            const headersFound = this.checkHeaders(chunk);                     // 检查并处理头信息
-            if (headersFound) this.bodySize += chunk.length, this.push(chunk); // 如果找到了头信息,推送剩余的消息体
+            // 如果之前已经找到了头信息,则整个数据块都是消息体(在本块中找到头信息时,剩余的消息体由checkHeaders推送)
+            const headersParsed = this.headersParsed;
+            this.checkHeaders(chunk);                                          // 检查并处理头信息
+            if (headersParsed) this.bodySize += chunk.length, this.push(chunk);
             setImmediate(callback);
         } catch (E) {
             return callback(E);
@@ -86,7 +88,7 @@ class MessageParser extends Transform {
             this.headerChunks.push(data.subarray(0, headerPos)), this.rawHeaders = Buffer.concat(this.headerChunks, this.headerBytes);
             this.headerChunks = null, this.emit('headers', this.parseHeaders());
             // 如果数据块中还有剩余的消息体，则推送剩余的消息体
-            if (data.length - 1 > headerPos) {
+            if (data.length > headerPos) {
                 const chunk = data.subarray(headerPos);
                 this.bodySize += chunk.length, setImmediate(() => this.push(chunk));
             }
@@ -108,7 +110,7 @@ class MessageParser extends Transform {
             if (regexs.FOLDED_HEADER_LINE.test(lines[i])) lines[i - 1] += `\n${lines[i]}`, lines.splice(i, 1);
 
         return lines.filter(line => line.trim())
-            .map(line => { key: line.slice(0, line.indexOf(':')).trim().toLowerCase(), line });
+            .map(line => ({ key: line.slice(0, line.indexOf(':')).trim().toLowerCase(), line }));
     }
 }
 
@@ -1,35 +1,97 @@
 'use strict';
 
 // 引入必要的模块
-const { createSign } = require('crypto');       // Node.js加密模块，用于生成签名
+const { createSign, createHash, createPrivateKey, sign } = require('crypto'); // Node.js加密模块，用于生成签名
 const { toASCII } = require('../punycode');     // 用于处理Unicode域名的punycode转换
-const { foldLines } = require('../mime-funcs'); // 提供MIME相关工具函数
 const { regexs, resetRegex } = require('../regexs');
 
+/**
+ * 检测私钥类型
+ *
+ * @param {String|Buffer|KeyObject} privateKey 私钥
+ * @return {String} 'ed25519'或'rsa'(无法解析的密钥按RSA处理,签名时失败)
+ */
+function getKeyType(privateKey) {
+    try {
+        return createPrivateKey(privateKey).asymmetricKeyType === 'ed25519' ? 'ed25519' : 'rsa';
+    } catch (E) {
+        return 'rsa';
+    }
+}
+
+/**
+ * 将时间转换为Unix时间戳(秒)
+ *
+ * @param {Boolean|Date|Number} value true表示当前时间,Date对象或Unix时间戳
+ * @return {Number} Unix时间戳
+ */
+function _unixTime(value) {
+    if (value === true) return Math.floor(Date.now() / 1000);
+    return Math.floor(value instanceof Date ? value.getTime() / 1000 : Number(value));
+}
+
 /**
  * 生成DKIM签名头（不含签名值部分）
  *
- * @param {String} domainName 域名
- * @param {String} keySelector 密钥选择器
- * @param {String} fieldNames 参与签名的头字段列表
- * @param {String} hashAlgo 哈希算法
- * @param {String} bodyHash 正文哈希值
+ * @param {Object} tags 签名标签
+ * @param {String} tags.domainName 域名
+ * @param {String} tags.keySelector 密钥选择器
+ * @param {String} tags.fieldNames 参与签名的头字段列表
+ * @param {String} tags.algorithm 签名算法(如rsa-sha256,ed25519-sha256)
+ * @param {String} tags.canonicalization 规范化方法（头/正文）
+ * @param {String} tags.bodyHash 正文哈希值
+ * @param {Number} [tags.bodyLength] 参与正文哈希计算的字节数
+ * @param {String} [tags.identity] 签名身份(用户或代理)
+ * @param {Number} [tags.timestamp] 签名时间
+ * @param {Number} [tags.expires] 签名过期时间
+ * @param {Number} [tags.instance] ARC实例编号,设置时生成ARC-Message-Signature头(RFC 8617)
  * @return {String} 生成的DKIM签名头字符串
  */
-function _generateDKIMHeader(domainName, keySelector, fieldNames, hashAlgo, bodyHash) {
-    // 构建DKIM签名头的各个部分
-    let dkim = [
-        'v=1',                      // 版本
-        `a=rsa-${hashAlgo}`,        // 算法
-        'c=relaxed/relaxed',        // 规范化方法（头/正文）
-        `d=${toASCII(domainName)}`, // 域名（转换为ASCII）
-        'q=dns/txt',                // 查询方式
-        `s={keySelector}`,          // 密钥选择器
-        `bh=${bodyHash}`,           // 正文哈希
-        `h=${fieldNames}`           // 参与签名的头字段
-    ].join('; ');                   // 用分号加空格连接
-
-    return `${foldLines(`DKIM-Signature:${dkim}`, 76)};\r\n b=`; // 对长行进行折行处理,并添加头名称和签名开始标记
+function _generateDKIMHeader(tags) {
+    const { domainName, keySelector, fieldNames, algorithm, canonicalization, bodyHash, bodyLength, identity, timestamp,
+        expires, instance } = tags, atPos = identity ? identity.lastIndexOf('@') : -1;
+    // 构建DKIM签名头的各个部分(可选标签未设置时省略)
+    const dkim = [
+        instance ? `i=${instance}` : 'v=1',             // ARC实例编号或版本
+        `a=${algorithm}`,                               // 算法
+        `c=${canonicalization}`,                        // 规范化方法（头/正文）
+        `d=${toASCII(domainName)}`,                     // 域名（转换为ASCII）
+        !instance && identity && `i=${identity.substring(0, atPos + 1)}${toASCII(identity.substring(atPos + 1))}`, // 签名身份
+        !instance && 'q=dns/txt',                       // 查询方式
+        `s=${keySelector}`,                             // 密钥选择器
+        timestamp && `t=${timestamp}`,                  // 签名时间
+        expires && `x=${expires}`,                      // 过期时间
+        bodyLength !== undefined && `l=${bodyLength}`,  // 正文长度
+        `bh=${bodyHash}`,                               // 正文哈希
+        `h=${fieldNames}`                               // 参与签名的头字段
+    ].filter(Boolean);
+
+    // 对长行进行折行处理,并添加签名开始标记
+    return `${_foldHeader(dkim, 76, instance ? 'ARC-Message-Signature' : 'DKIM-Signature')};\r\n b=`;
+}
+
+/**
+ * 对DKIM签名头进行折行处理
+ * 标签之间用分号加空格连接并可在空格处折行;h=标签的字段名较长,在冒号后折行(RFC 6376允许冒号两侧的折叠空白)
+ *
+ * @param {Array} tags 标签列表
+ * @param {Number} lineLength 最大行长度
+ * @param {String} headerName 头名称
+ * @return {String} 折行后的头(含头名称)
+ */
+function _foldHeader(tags, lineLength = 76, headerName = 'DKIM-Signature') {
+    let result = `${headerName}:`, lineLen = result.length;
+    tags.forEach((tag, i) => {
+        const pieces = tag.startsWith('h=') ? tag.split(':').map((name, j, names) => j < names.length - 1 ? `${name}:` : name) : [tag];
+        pieces.forEach((piece, j) => {
+            if (i && !j) piece = ` ${piece}`;                            // 标签之间以空格分隔
+            // 超出行长度时折行,续行必须以空白字符开头
+            if (lineLen + piece.length > lineLength && lineLen > 1) result += '\r\n', lineLen = 0, piece = j ? ` ${piece}` : piece;
+            result += piece, lineLen += piece.length;
+        });
+        if (i < tags.length - 1) result += ';', lineLen++;
+    });
+    return result;
 }
 
 /**
@@ -38,9 +100,10 @@ function _generateDKIMHeader(domainName, keySelector, fieldNames, hashAlgo, body
  * @param {Array} headers 邮件头数组
  * @param {String} fieldNames 需要处理的字段列表（冒号分隔）
  * @param {String} skipFields 需要跳过的字段列表（冒号分隔）
+ * @param {String} canonicalization 头规范化方式：'relaxed'或'simple'
  * @return {Object} 包含规范化后的头数据和字段列表的对象
  */
-function _relaxedHeaders(headers, fieldNames = '', skipFields = '') {
+function _canonicalHeaders(headers, fieldNames = '', skipFields = '', canonicalization = 'relaxed') {
     // 存储最终需要包含的字段,需要跳过的字段,字段名和对应的规范化值
     const includedFields = new Set(), skip = new Set(), headerFields = new Map();
 
@@ -55,72 +118,144 @@ function _relaxedHeaders(headers, fieldNames = '', skipFields = '') {
     for (let i = headers.length - 1; i >= 0; i--) {
         const { key, line } = headers[i];
         // 只包含第一个遇到的值（从底部到顶部）
-        if (includedFields.has(key) && !headerFields.has(key)) headerFields.set(key, _relaxedHeaderLine(line));
+        if (includedFields.has(key) && !headerFields.has(key))
+            headerFields.set(key, canonicalHeaderLine(line, canonicalization));
     }
 
     // 构建规范化后的头数据行和字段列表
     const headersList = [], fields = [];
     includedFields.forEach(field => {
         // 如果字段在头中存在，则将其添加到规范化数据中
-        if (headerFields.has(field)) fields.push(field), headersList.push(`${field}:${headerFields.get(field)}`);
+        if (headerFields.has(field)) fields.push(field), headersList.push(`${headerFields.get(field)}\r\n`);
     });
 
-    // 用CRLF连接所有头行,用冒号连接字段名
-    return { headers: `${headersList.join('\r\n')}\r\n`, fieldNames: fields.join(':') };
+    // 每个头行以CRLF结束,用冒号连接字段名
+    return { headers: headersList.join(''), fieldNames: fields.join(':') };
 }
 
 /**
- * 对单行头数据进行"relaxed"规范化
+ * 对单行头数据进行规范化
+ * simple：保持原样(折叠行统一使用CRLF)；relaxed：字段名小写,移除换行符,将连续空白压缩为单个空格,去除值首尾空格
  *
  * @param {String} line 头行字符串
- * @return {String} 规范化后的头值
+ * @param {String} canonicalization 头规范化方式：'relaxed'或'simple'
+ * @return {String} 规范化后的头行(不含结尾的CRLF)
  */
-function _relaxedHeaderLine(line) {
+function canonicalHeaderLine(line, canonicalization = 'relaxed') {
     const rGCOL = resetRegex(regexs.GLOBAL_CRLF_OR_LF), rGW = resetRegex(regexs.GLOBAL_WHITESPACE);
-    // 去除字段名部分,移除换行符,将连续空白压缩为单个空格,去除首尾空格
-    return line.substring(line.indexOf(':') + 1).replace(rGCOL, '').replace(rGW, ' ').trim();
+    if (canonicalization === 'simple') return line.replace(rGCOL, '\r\n');
+
+    const pos = line.indexOf(':');
+    return `${line.substring(0, pos).trim().toLowerCase()}:${line.substring(pos + 1).replace(rGCOL, '').replace(rGW, ' ').trim()}`;
 }
 
 /**
  * 生成DKIM签名头行
  *
  * @param {Object} headers 由MessageParser解析得到的邮件头对象
+ * @param {String} hashAlgo 哈希算法(ed25519密钥固定使用sha256)
  * @param {String} bodyHash 邮件正文的Base64编码哈希值
  * @param {Object} options DKIM配置选项
  * @param {String} options.domainName 要进行签名的域名
  * @param {String} options.keySelector 使用的DKIM密钥选择器
- * @param {String} options.privateKey 用于签名的DKIM私钥
+ * @param {String} options.privateKey 用于签名的DKIM私钥(RSA或Ed25519)
+ * @param {String} [options.keyType] 密钥类型,未设置时从私钥检测
+ * @param {String} [options.canonicalization] 规范化方法（头/正文）,默认为'relaxed/relaxed'
+ * @param {Number} [options.bodyLength] 参与正文哈希计算的字节数(l=标签)
+ * @param {String} [options.identity] 签名身份(i=标签)
+ * @param {Boolean|Date|Number} [options.timestamp] 签名时间(t=标签),true表示当前时间
+ * @param {Date|Number} [options.expires] 签名过期时间(x=标签)
+ * @param {Number} [options.instance] ARC实例编号,设置时生成ARC-Message-Signature头
  * @return {String} 完整的DKIM签名头行
  */
 function generateDKIMSignature(headers, hashAlgo, bodyHash, options = {}) {
-    // RFC4871 #5.5中列出的默认签名头字段
+    // RFC4871 #5.5中列出的默认签名头字段(以及RFC 8058要求签名的List-Unsubscribe-Post)
     const defaultFieldNames =
         'From:Sender:Reply-To:Subject:Date:Message-ID:To:' +
         'Cc:MIME-Version:Content-Type:Content-Transfer-Encoding:Content-ID:' +
         'Content-Description:Resent-Date:Resent-From:Resent-Sender:' +
         'Resent-To:Resent-Cc:Resent-Message-ID:In-Reply-To:References:' +
-        'List-Id:List-Help:List-Unsubscribe:List-Subscribe:List-Post:List-Owner:List-Archive',
+        'List-Id:List-Help:List-Unsubscribe:List-Unsubscribe-Post:List-Subscribe:List-Post:List-Owner:List-Archive',
 
-        { headerFieldNames, skipFields, domainName, keySelector, privateKey } = options,
-        fieldNames = headerFieldNames || defaultFieldNames,            // 使用选项中的头字段列表或默认列表
-        result = _relaxedHeaders(headers, fieldNames, skipFields),     // 获取经过"relaxed"规范化的头数据及字段列表
+        { headerFieldNames, skipFields, domainName, keySelector, privateKey, canonicalization = 'relaxed/relaxed', bodyLength,
+            identity, timestamp, expires, instance } = options,
+        keyType = options.keyType || getKeyType(privateKey), headerCanon = canonicalization.split('/')[0],
+        fieldNames = headerFieldNames || defaultFieldNames,                     // 使用选项中的头字段列表或默认列表
+        result = _canonicalHeaders(headers, fieldNames, skipFields, headerCanon), // 获取规范化后的头数据及字段列表
 
         // 生成DKIM签名头（不包含签名值部分）
-        dkimHeader = _generateDKIMHeader(domainName, keySelector, result.fieldNames, hashAlgo, bodyHash);
+        dkimHeader = _generateDKIMHeader({
+            domainName, keySelector, fieldNames: result.fieldNames, canonicalization, bodyHash, bodyLength, identity, instance,
+            algorithm: keyType === 'ed25519' ? 'ed25519-sha256' : `rsa-${hashAlgo}`,
+            timestamp: timestamp && _unixTime(timestamp), expires: expires && _unixTime(expires)
+        });
+
+    result.headers += canonicalHeaderLine(dkimHeader, headerCanon); // 将DKIM签名头自身添加到规范化数据中（用于生成签名）
+    return _appendSignature(dkimHeader, result.headers, keyType, hashAlgo, privateKey);
+}
+
+/**
+ * 生成ARC-Seal签名所覆盖的数据(RFC 8617 #5.1.1)
+ * 按实例顺序排列的所有ARC头(每组依次为ARC-Authentication-Results,ARC-Message-Signature,ARC-Seal)均使用relaxed规范化,
+ * 最后一个ARC-Seal头的b=标签值为空且不含结尾的CRLF
+ *
+ * @param {Array} arcHeaders 之前的ARC头行及当前实例的ARC-Authentication-Results,ARC-Message-Signature头行
+ * @param {String} sealHeader 当前ARC-Seal头行(b=标签值为空)
+ * @return {String} 规范化后的数据
+ */
+function arcSealData(arcHeaders, sealHeader) {
+    return arcHeaders.map(line => `${canonicalHeaderLine(line)}\r\n`).join('') + canonicalHeaderLine(sealHeader);
+}
+
+/**
+ * 生成ARC-Seal头行
+ *
+ * @param {Array} arcHeaders 之前的ARC头行及当前实例的ARC-Authentication-Results,ARC-Message-Signature头行
+ * @param {Object} options ARC配置选项
+ * @param {Number} options.instance ARC实例编号
+ * @param {String} options.cv 之前ARC链的验证结果('none','pass'或'fail')
+ * @param {String} options.domainName 要进行签名的域名
+ * @param {String} options.keySelector 使用的密钥选择器
+ * @param {String} options.privateKey 用于签名的私钥(RSA或Ed25519)
+ * @param {String} [options.keyType] 密钥类型,未设置时从私钥检测
+ * @param {String} [options.hashAlgo] RSA密钥使用的哈希算法,默认为sha256
+ * @return {String} 完整的ARC-Seal头行
+ */
+function generateARCSeal(arcHeaders, options = {}) {
+    const { instance, cv, domainName, keySelector, privateKey, hashAlgo = 'sha256' } = options,
+        keyType = options.keyType || getKeyType(privateKey),
+        sealHeader = `${_foldHeader([
+            `i=${instance}`, `a=${keyType === 'ed25519' ? 'ed25519-sha256' : `rsa-${hashAlgo}`}`, `t=${_unixTime(true)}`,
+            `cv=${cv}`, `d=${toASCII(domainName)}`, `s=${keySelector}`
+        ], 76, 'ARC-Seal')};\r\n b=`;
+
+    return _appendSignature(sealHeader, arcSealData(arcHeaders, sealHeader), keyType, hashAlgo, privateKey);
+}
 
-    let signer, signature;
-    result.headers += `dkim-signature:${_relaxedHeaderLine(dkimHeader)}`; // 将DKIM签名头自身添加到规范化数据中（用于生成签名）
-    // 创建签名对象，使用指定的哈希算法;更新要签名的数据（规范化后的头数据）
-    signer = createSign((`rsa-${hashAlgo}`).toUpperCase()), signer.update(result.headers);
+/**
+ * 对规范化数据签名,并将签名值追加到头中
+ *
+ * @param {String} header 不含签名值的头行(以b=结尾)
+ * @param {String} data 规范化后的待签名数据
+ * @param {String} keyType 密钥类型
+ * @param {String} hashAlgo 哈希算法
+ * @param {String} privateKey 私钥
+ * @return {String|Boolean} 完整的头行,签名失败时返回false
+ */
+function _appendSignature(header, data, keyType, hashAlgo, privateKey) {
+    let signature;
     try {
-        signature = signer.sign(privateKey, 'base64');                    // 使用私钥进行签名，输出Base64格式
+        // Ed25519(RFC 8463)对规范化头数据的SHA-256摘要签名;RSA使用指定的哈希算法签名,均输出Base64格式
+        signature = keyType === 'ed25519'
+            ? sign(null, createHash('sha256').update(data).digest(), privateKey).toString('base64')
+            : createSign((`rsa-${hashAlgo}`).toUpperCase()).update(data).sign(privateKey, 'base64');
     } catch (E) {
         return false;
     }
 
     const rSF = resetRegex(regexs.SIGNATURE_FOLDING);
-    return dkimHeader + signature.replace(rSF, '$&\r\n ').trim();         // 返回完整的DKIM签名头，并对长签名进行折行处理
+    return header + signature.replace(rSF, '$&\r\n ').trim(); // 返回完整的头，并对长签名进行折行处理
 }
 
 // 导出
-module.exports = generateDKIMSignature;
\ No newline at end of file
+module.exports = { generateDKIMSignature, generateARCSeal, arcSealData, getKeyType, canonicalHeaderLine };
\ No newline at end of file
@@ -0,0 +1,286 @@
+'use strict';
+
+// 引入必要的模块
+const dns = require('dns');
+const { createHash, createPublicKey, createVerify, verify } = require('crypto'); // Node.js加密模块，用于验证签名
+const MessageParser = require('./message-parser');  // 用于解析邮件头和正文
+const CanonicalBody = require('./canonical-body');  // 用于规范化邮件正文并计算哈希
+const { canonicalHeaderLine, arcSealData } = require('./sign'); // 用于规范化头行及生成ARC-Seal签名数据
+const { regexs, resetRegex } = require('../regexs');
+
+// 支持的签名算法(算法 -> [密钥类型, 哈希算法])
+const ALGORITHMS = { 'rsa-sha256': ['rsa', 'sha256'], 'rsa-sha1': ['rsa', 'sha1'], 'ed25519-sha256': ['ed25519', 'sha256'] };
+const REQUIRED_TAGS = ['v', 'a', 'b', 'bh', 'd', 'h', 's'];                 // DKIM-Signature必需的标签
+const ARC_HEADERS = ['arc-authentication-results', 'arc-message-signature', 'arc-seal']; // 每组ARC头(按签名数据中的顺序)
+const ARC_MAX_INSTANCE = 50;                                                // ARC实例编号上限(RFC 8617 #4.2.1)
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex'); // Ed25519原始公钥的SPKI DER前缀
+const DNS_NO_RECORD = [dns.NOTFOUND, dns.NODATA];                           // 表示记录不存在的DNS错误代码
+
+/**
+ * 解析"tag=value"列表(移除值中的所有空白字符)
+ *
+ * @param {String} value 标签列表字符串
+ * @return {Object} 标签对象
+ */
+function parseTags(value = '') {
+    const tags = {};
+    value.split(';').forEach(part => {
+        const pos = part.indexOf('=');
+        if (pos > 0) tags[part.substring(0, pos).trim()] = part.substring(pos + 1).replace(resetRegex(regexs.BLANK_REGEX), '');
+    });
+    return tags;
+}
+
+/**
+ * 生成参与签名的规范化头数据
+ *
+ * @param {Array} headers 邮件头数组
+ * @param {String} fieldNames h=标签中的字段列表
+ * @param {Object} signatureHeader 当前DKIM-Signature或ARC-Message-Signature头
+ * @param {String} canonicalization 头规范化方式
+ * @return {String} 规范化后的头数据
+ */
+function _signedHeaders(headers, fieldNames, signatureHeader, canonicalization) {
+    const used = new Map(), lines = [];
+    // 按h=列表从下往上选择头实例(同名字段多次出现时依次选择更早的实例,不存在的字段忽略)
+    fieldNames.toLowerCase().split(':').map(name => name.trim()).forEach(name => {
+        const instances = headers.filter(header => header.key === name), count = used.get(name) || 0;
+        if (count >= instances.length) return;
+        used.set(name, count + 1), lines.push(`${canonicalHeaderLine(instances[instances.length - 1 - count].line, canonicalization)}\r\n`);
+    });
+
+    // 签名头自身(b=标签值视为空,不含结尾的CRLF)
+    lines.push(canonicalHeaderLine(signatureHeader.line.replace(regexs.DKIM_SIGNATURE_VALUE, '$1'), canonicalization));
+    return lines.join('');
+}
+
+/**
+ * 通过TXT记录获取公钥
+ *
+ * @param {String} name 记录名称(selector._domainkey.domain)
+ * @param {Function|Object} resolver TXT记录解析函数或 {名称: 记录} 映射
+ * @param {Function} callback 回调函数 (err, key)，err为 {status, reason}
+ */
+function _resolveKey(name, resolver, callback) {
+    const lookup = typeof resolver === 'function' ? resolver : (name, done) => {
+        if (resolver && Object.prototype.hasOwnProperty.call(resolver, name)) return done(null, resolver[name]);
+        done(Object.assign(new Error(`未找到 ${name}`), { code: dns.NOTFOUND }));
+    };
+
+    lookup(name, (err, records) => {
+        if (err) return callback({
+            status: 'neutral', reason: DNS_NO_RECORD.includes(err.code) ? `未找到公钥记录 ${name}` : `查询公钥记录 ${name} 失败: ${err.message}`
+        });
+
+        // TXT记录可能被拆分为多个字符串,需要先拼接
+        const record = [].concat(records || []).map(chunks => [].concat(chunks).join('')).find(record => record.includes('p='));
+        if (!record) return callback({ status: 'neutral', reason: `未找到公钥记录 ${name}` });
+
+        const { v, k = 'rsa', p } = parseTags(record), keyType = k.toLowerCase();
+        if (v && v !== 'DKIM1') return callback({ status: 'neutral', reason: `无效的公钥记录版本 ${v}` });
+        if (!p) return callback({ status: 'fail', reason: '公钥已被撤销' }); // 空p=表示密钥已撤销
+
+        const raw = Buffer.from(p, 'base64');
+        let publicKey;
+        try {
+            publicKey = keyType === 'ed25519'
+                ? createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' })
+                : createPublicKey({ key: raw, format: 'der', type: 'spki' });
+        } catch (E) {
+            try {
+                publicKey = createPublicKey({ key: raw, format: 'der', type: 'pkcs1' }); // 部分RSA公钥使用PKCS#1格式
+            } catch (E) {
+                return callback({ status: 'neutral', reason: '无效的公钥' });
+            }
+        }
+        callback(null, { keyType, publicKey });
+    });
+}
+
+/**
+ * 使用公钥验证签名(Ed25519对SHA-256摘要签名)
+ *
+ * @param {Object} key 公钥信息 {keyType, publicKey}
+ * @param {String} hashAlgo 哈希算法
+ * @param {String} data 规范化后的签名数据
+ * @param {String} signature Base64编码的签名值
+ * @return {Boolean} 签名是否有效
+ */
+function _verifyData(key, hashAlgo, data, signature) {
+    signature = Buffer.from(signature, 'base64');
+    return key.keyType === 'ed25519'
+        ? verify(null, createHash('sha256').update(data).digest(), key.publicKey, signature)
+        : createVerify(`RSA-${hashAlgo.toUpperCase()}`).update(data).verify(key.publicKey, signature);
+}
+
+/**
+ * 验证单个DKIM签名或ARC-Message-Signature(后者使用i=标签作为实例编号,没有v=标签)
+ *
+ * @param {Object} header DKIM-Signature或ARC-Message-Signature头
+ * @param {Array} headers 所有邮件头
+ * @param {Buffer} body 原始正文
+ * @param {Object} options 验证选项
+ * @param {Function} done 回调函数 (result)
+ */
+function _verifySignature(header, headers, body, options, done) {
+    const tags = parseTags(header.line.substring(header.line.indexOf(':') + 1)),
+        { a = '', c = 'simple/simple', d, s, h, l, x, i } = tags,
+        result = { domain: d, selector: s, algorithm: a, canonicalization: c, identity: i },
+        finish = (status, reason) => done({ ...result, status, ...(reason && { reason }) }),
+        [keyType, hashAlgo] = ALGORITHMS[a.toLowerCase()] || [],
+        [headerCanon, bodyCanon = 'simple'] = c.toLowerCase().split('/');
+
+    const arc = header.key === 'arc-message-signature';
+    if (REQUIRED_TAGS.some(tag => !tags[tag] && (tag !== 'v' || !arc)) || (!arc && tags.v !== '1'))
+        return finish('neutral', '签名格式无效');
+    if (!keyType) return finish('neutral', `不支持的签名算法 ${a}`);
+    if (!h.toLowerCase().split(':').includes('from')) return finish('neutral', '签名未包含From头');
+    if (x && Number(x) < Date.now() / 1000) return finish('fail', '签名已过期');
+
+    // 重新计算正文哈希
+    const canonicalBody = new CanonicalBody({ canonicalization: bodyCanon, hashAlgo, maxLength: l !== undefined ? Number(l) : undefined });
+    canonicalBody.once('hash', (hashes, length) => {
+        if (l !== undefined && length < Number(l)) return finish('fail', '正文长度小于l=标签的值');
+        if (hashes[hashAlgo] !== tags.bh) return finish('fail', '正文哈希不匹配');
+
+        _resolveKey(`${s}._domainkey.${d}`, options.resolver || dns.resolveTxt, (err, key) => {
+            if (err) return finish(err.status, err.reason);
+            if (key.keyType !== keyType) return finish('fail', '公钥类型与签名算法不一致');
+
+            // 重新计算头哈希并验证签名
+            let valid;
+            try {
+                valid = _verifyData(key, hashAlgo, _signedHeaders(headers, h, header, headerCanon), tags.b);
+            } catch (E) {
+                return finish('neutral', `签名验证失败: ${E.message}`);
+            }
+            valid ? finish('pass') : finish('fail', '签名不匹配');
+        });
+    });
+    canonicalBody.resume(), canonicalBody.end(body);
+}
+
+/**
+ * 验证单个ARC-Seal签名
+ *
+ * @param {Array} sets 按实例编号排列的ARC头组
+ * @param {Number} instance 要验证的实例编号
+ * @param {Object} options 验证选项
+ * @param {Function} done 回调函数 (status, reason)
+ */
+function _verifySeal(sets, instance, options, done) {
+    const seal = sets[instance - 1][2], tags = parseTags(seal.line.substring(seal.line.indexOf(':') + 1)),
+        [keyType, hashAlgo] = ALGORITHMS[(tags.a || '').toLowerCase()] || [];
+    if (!keyType || !tags.b || !tags.d || !tags.s) return done('fail', `第${instance}个ARC-Seal格式无效`);
+
+    _resolveKey(`${tags.s}._domainkey.${tags.d}`, options.resolver || dns.resolveTxt, (err, key) => {
+        if (err) return done('fail', `第${instance}个ARC-Seal: ${err.reason}`);
+        if (key.keyType !== keyType) return done('fail', `第${instance}个ARC-Seal的公钥类型与签名算法不一致`);
+
+        // 签名数据包含从第1组到当前组的所有ARC头,当前ARC-Seal的b=标签值视为空
+        const lines = [].concat(...sets.slice(0, instance)).map(header => header.line),
+            sealHeader = lines.pop().replace(regexs.DKIM_SIGNATURE_VALUE, '$1');
+        let valid;
+        try {
+            valid = _verifyData(key, hashAlgo, arcSealData(lines, sealHeader), tags.b);
+        } catch (E) {
+            valid = false;
+        }
+        valid ? done('pass') : done('fail', `第${instance}个ARC-Seal签名不匹配`);
+    });
+}
+
+/**
+ * 按实例编号将ARC头分组,每组依次为ARC-Authentication-Results,ARC-Message-Signature和ARC-Seal头
+ * 实例编号无效或同一实例中出现重复的头时,返回的数组带有malformed标记
+ *
+ * @param {Array} headers 所有邮件头
+ * @return {Array} ARC头组数组(索引为实例编号-1,缺失的实例或头为空)
+ */
+function arcSets(headers) {
+    const sets = [];
+    headers.filter(header => ARC_HEADERS.includes(header.key)).forEach(header => {
+        const instance = Number(parseTags(header.line.substring(header.line.indexOf(':') + 1)).i),
+            pos = ARC_HEADERS.indexOf(header.key);
+        if (!(instance >= 1 && instance <= ARC_MAX_INSTANCE) || sets[instance - 1]?.[pos]) return sets.malformed = true;
+        (sets[instance - 1] = sets[instance - 1] || [])[pos] = header;
+    });
+    return sets;
+}
+
+/**
+ * 验证邮件中的ARC链(RFC 8617 #5.2)
+ *
+ * @param {Array} headers 所有邮件头
+ * @param {Buffer} body 原始正文
+ * @param {Object} options 验证选项
+ * @param {Function} callback 回调函数 (result)，result为 {status: 'none'|'pass'|'fail', instance, reason}
+ */
+function verifyARC(headers, body, options, callback) {
+    const sets = arcSets(headers), finish = (status, reason) => callback({ status, instance: sets.length, ...(reason && { reason }) });
+    if (!sets.length && !sets.malformed) return finish('none');
+    if (sets.malformed || [...sets].some(set => !set || set.filter(Boolean).length !== 3)) return finish('fail', 'ARC头组不完整');
+
+    // 第1组的cv=标签必须为none,之后各组必须为pass
+    const invalidCv = sets.findIndex((set, index) =>
+        parseTags(set[2].line.substring(set[2].line.indexOf(':') + 1)).cv !== (index ? 'pass' : 'none'));
+    if (invalidCv >= 0) return finish('fail', `第${invalidCv + 1}个ARC-Seal的cv=标签无效`);
+
+    // 最新的ARC-Message-Signature必须验证通过,然后从最新到最早依次验证所有ARC-Seal
+    _verifySignature(sets[sets.length - 1][1], headers, body, options, result => {
+        if (result.status !== 'pass') return finish('fail', `ARC-Message-Signature验证失败: ${result.reason || result.status}`);
+        const verifyNextSeal = instance => {
+            if (!instance) return finish('pass');
+            _verifySeal(sets, instance, options, (status, reason) => status === 'pass' ? verifyNextSeal(instance - 1) : finish(status, reason));
+        };
+        verifyNextSeal(sets.length);
+    });
+}
+
+/**
+ * 读取并解析原始邮件
+ *
+ * @param {Stream|Buffer|String} input 原始邮件
+ * @param {Function} callback 回调函数 (err, headers, body, rawHeaders)
+ */
+function parseMessage(input, callback) {
+    const parser = new MessageParser(), chunks = [], state = { returned: false };
+    let headers = [], chunklen = 0;
+    const done = (...args) => {
+        if (state.returned) return;
+        state.returned = true, callback(...args);
+    };
+
+    parser.on('headers', value => headers = value).on('data', chunk => (chunks.push(chunk), chunklen += chunk.length))
+        .once('error', err => done(err))
+        .once('end', () => done(null, headers, Buffer.concat(chunks, chunklen), parser.rawHeaders || Buffer.alloc(0)));
+
+    // 如果输入是流，则通过管道传输;否则直接写入
+    if (typeof input?.pipe === 'function') input.once('error', err => done(err)), input.pipe(parser);
+    else parser.end(Buffer.isBuffer(input) ? input : Buffer.from((input || '').toString()));
+}
+
+/**
+ * 验证邮件中的所有DKIM签名
+ *
+ * @param {Stream|Buffer|String} input 原始邮件
+ * @param {Object} options 验证选项
+ * @param {Function|Object} [options.resolver] TXT记录解析函数 (name, callback(err, records)) 或 {名称: 记录} 映射,默认使用DNS
+ * @param {Function} callback 回调函数 (err, results)，每个签名对应一个结果，status为'pass','fail'或'neutral'
+ */
+function verifyDKIM(input, options = {}, callback) {
+    parseMessage(input, (err, headers, body) => {
+        if (err) return callback(err);
+        const signatures = headers.filter(header => header.key === 'dkim-signature'), results = [];
+        let pending = signatures.length;
+        if (!pending) return callback(null, results); // 没有DKIM签名
+
+        signatures.forEach((header, index) => _verifySignature(header, headers, body, options, result => {
+            results[index] = result;
+            if (!--pending) callback(null, results);
+        }));
+    });
+}
+
+// 导出
+module.exports = { parseMessage, parseTags, arcSets, verifyDKIM, verifyARC };
\ No newline at end of file
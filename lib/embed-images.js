@@ -0,0 +1,255 @@
+'use strict';
+
+const path = require('path');
+const dns = require('dns');
+const { isIP, BlockList } = require('net');
+const { createHash, randomBytes } = require('crypto');
+const { fileURLToPath } = require('url');
+const { decodeEntities } = require('./html-to-text');
+const { detectMimeType, detectExtension } = require('./mime-funcs');
+const { fs, nmfetch, regexs, resetRegex, callbackPromise, createError } = require('./shared');
+
+const DEFAULT_MAX_SIZE = 5 * 1024 * 1024; // 单个图片的默认最大字节数
+const DEFAULT_TIMEOUT = 10 * 1000;        // 获取单个图片的默认超时时间(毫秒)
+
+// 未设置allow时拒绝访问的内部地址(本机、回环、私有、共享、链路本地和组播地址)
+const INTERNAL_ADDRESSES = new BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]].forEach(([net, prefix]) => INTERNAL_ADDRESSES.addSubnet(net, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([net, prefix]) => INTERNAL_ADDRESSES.addSubnet(net, prefix, 'ipv6'));
+
+// 用法示例：
+/*
+const transporter = createTransport({
+    host: 'smtp.example.com',
+    embedImages: {
+        allow: ['cdn.example.com', '*.example.org'], // 允许获取的主机(也可以是函数 url => Boolean)，默认允许内部地址以外的主机
+        baseDir: path.join(__dirname, 'assets'),     // 相对路径和file:地址基于该目录，且只能指向该目录之内
+        maxSize: 1024 * 1024, timeout: 5000
+    }
+});
+
+transporter.sendMail({ html: '<img src="https://cdn.example.com/logo.png"><img src="images/banner.jpg">' });
+// -> <img src="cid:...@localhost"><img src="cid:...@localhost">，图片作为内嵌附件发送
+*/
+
+/**
+ * 检查主机是否在允许列表中('*.example.com'匹配所有子域名)
+ *
+ * @param {URL} url 图片地址
+ * @param {Array|Function} allow 允许列表或检查函数
+ * @return {Boolean} 是否允许
+ */
+function _isAllowed(url, allow) {
+    if (typeof allow === 'function') return !!allow(url.href);
+    const host = url.hostname.toLowerCase();
+    return [].concat(allow).some(entry => {
+        const pattern = String(entry).trim().toLowerCase();
+        return pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+    });
+}
+
+/**
+ * 检查是否为内部地址
+ */
+function _isInternal(address) {
+    const family = isIP(address);
+    return family ? INTERNAL_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6') : false;
+}
+
+/**
+ * 检查是否允许获取远程图片地址(包括重定向地址)：设置了allow时主机必须在允许列表中，否则拒绝IP形式的内部地址
+ *
+ * @param {String} href 图片地址
+ * @param {Object} options 选项 {allow}
+ * @param {String} src 原图片地址
+ * @return {Error|null} 不允许时返回错误
+ */
+function _checkUrl(href, options, src) {
+    if (!regexs.HTTP_URL.test(href)) return createError(`不支持的图片地址: ${href}`, 'EEMBED', { sourceUrl: src });
+    const url = new URL(href);
+    if (options.allow) return _isAllowed(url, options.allow) ? null
+        : createError(`主机不在允许列表中: ${url.hostname}`, 'EEMBED', { sourceUrl: src });
+    // IPv6地址的hostname带有方括号
+    const host = url.hostname.startsWith('[') ? url.hostname.slice(1, -1) : url.hostname;
+    return _isInternal(host) ? createError(`不允许访问内部地址: ${url.hostname}`, 'EEMBED', { sourceUrl: src }) : null;
+}
+
+/**
+ * DNS解析，解析结果包含内部地址时返回错误(防止通过域名访问内部服务)
+ */
+function _lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const internal = [].concat(Array.isArray(address) ? address.map(item => item.address) : address).find(_isInternal);
+        if (internal) return callback(createError(`不允许访问内部地址: ${hostname} (${internal})`, 'EEMBED'));
+        callback(null, address, family);
+    });
+}
+
+/**
+ * 读取流内容(超过最大字节数或超时时中止)
+ */
+function _readLimited(stream, src, { maxSize, timeout }, callback) {
+    const chunks = [];
+    let size = 0, finished = false;
+    const done = (err, content) => {
+        if (finished) return;
+        finished = true, clearTimeout(timer);
+        if (err) stream.destroy();
+        callback(err, content);
+    }, timer = setTimeout(() => done(createError(`获取图片超时: ${src}`, 'EEMBED', { sourceUrl: src })), timeout);
+
+    stream.on('error', err => done(err))
+        .on('data', chunk => {
+            size += chunk.length;
+            if (size > maxSize) return done(createError(`图片超过最大字节数(${maxSize}): ${src}`, 'EEMBED', { sourceUrl: src }));
+            chunks.push(chunk);
+        })
+        .on('end', () => done(null, Buffer.concat(chunks, size)));
+}
+
+/**
+ * 获取远程图片，每个重定向地址都重新检查；未设置allow时拒绝解析为内部地址的主机
+ *
+ * @param {URL} url 图片地址
+ * @param {Object} options 选项 {allow, maxSize, timeout}
+ * @param {Function} callback 回调函数 (err, {content, contentType, filename})
+ */
+function _fetchRemote(url, options, callback) {
+    const stream = nmfetch(url.href, {
+        timeout: options.timeout, checkRedirect: href => _checkUrl(href, options, url.href), lookup: options.allow ? undefined : _lookup
+    });
+    _readLimited(stream, url.href, options, (err, content) => {
+        if (err) return callback(err);
+        const filename = path.posix.basename(decodeURIComponent(url.pathname)),
+            contentType = String(stream.headers?.['content-type'] || detectMimeType(filename)).split(';').shift().trim();
+        callback(null, { content, contentType, filename });
+    });
+}
+
+/**
+ * 读取本地图片(只能读取baseDir目录之内的文件)
+ *
+ * @param {String} src 图片地址(file:地址或相对路径)
+ * @param {Object} options 选项 {baseDir, maxSize, timeout}
+ * @param {Function} callback 回调函数 (err, {content, contentType, filename})
+ */
+function _readLocal(src, options, callback) {
+    let file;
+    try {
+        file = regexs.FILE_URL.test(src) ? fileURLToPath(src)
+            : path.resolve(options.baseDir, decodeURIComponent(src.replace(regexs.URL_QUERY_HASH, '')));
+    } catch (err) {
+        return setImmediate(() => callback(err));
+    }
+
+    const relative = path.relative(options.baseDir, file);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative))
+        return setImmediate(() => callback(createError(`图片不在允许的目录中: ${src}`, 'EEMBED', { sourceUrl: src })));
+
+    fs.stat(file, (err, stats) => {
+        if (err) return callback(err);
+        if (!stats.isFile()) return callback(createError(`图片不是文件: ${src}`, 'EEMBED', { sourceUrl: src }));
+        if (stats.size > options.maxSize)
+            return callback(createError(`图片超过最大字节数(${options.maxSize}): ${src}`, 'EEMBED', { sourceUrl: src }));
+        const filename = path.basename(file);
+        _readLimited(fs.createReadStream(file), src, options, (err, content) =>
+            callback(err, err ? null : { content, contentType: detectMimeType(filename), filename }));
+    });
+}
+
+/**
+ * 获取单个图片
+ */
+function _loadImage(src, options, callback) {
+    // 协议相对地址使用https
+    if (src.startsWith('//')) src = `https:${src}`;
+
+    if (regexs.HTTP_URL.test(src)) {
+        if (options.disableUrlAccess)
+            return setImmediate(() => callback(createError(`URL访问被拒绝: ${src}`, 'EEMBED', { sourceUrl: src })));
+        let url, err;
+        try {
+            url = new URL(src), err = _checkUrl(url.href, options, src);
+        } catch (error) {
+            err = error;
+        }
+        return err ? setImmediate(() => callback(err)) : _fetchRemote(url, options, callback);
+    }
+
+    if (options.disableFileAccess || !options.baseDir)
+        return setImmediate(() => callback(createError(`文件访问被拒绝: ${src}`, 'EEMBED', { sourceUrl: src })));
+    _readLocal(src, options, callback);
+}
+
+/**
+ * 将HTML中<img>引用的远程图片(http:, https:)和本地图片(file:, 相对路径)转换为内嵌附件，并将src替换为cid:引用
+ * 内容相同的图片只添加一个附件；无法获取的图片保留原地址，并在结果的skipped中返回原因
+ *
+ * 可选的选项对象可以包含以下属性：
+ *
+ *  **allow** - 允许获取的主机列表('*.example.com'匹配子域名)或检查函数 (url) => Boolean，重定向地址同样需要允许；
+ *    未设置时允许内部地址(回环、私有和链路本地地址等)以外的所有主机
+ *  **baseDir** - 本地图片的目录，相对路径基于该目录解析；未设置时不嵌入本地图片
+ *  **maxSize** - 单个图片的最大字节数(默认5MB)
+ *  **timeout** - 获取单个图片的超时时间，单位毫秒(默认10秒)
+ *  **disableFileAccess**, **disableUrlAccess** - 禁止读取文件或URL
+ *
+ * @param {String|Buffer} html HTML内容
+ * @param {Object} [options] 选项
+ * @param {Function} [callback] 回调函数 (err, {html, attachments, skipped})，未提供时返回Promise
+ */
+function embedImages(html, options = {}, callback) {
+    if (typeof options === 'function') callback = options, options = {};
+    const promise = !callback ? new Promise((resolve, reject) => callback = callbackPromise(resolve, reject)) : null;
+
+    const opts = {
+        ...options, maxSize: Number(options.maxSize) || DEFAULT_MAX_SIZE, timeout: Number(options.timeout) || DEFAULT_TIMEOUT,
+        baseDir: options.baseDir ? path.resolve(options.baseDir) : false
+    };
+    html = String(html ?? '');
+
+    // 收集需要嵌入的图片地址
+    const sources = new Set(), rIS = resetRegex(regexs.HTML_IMG_SRC);
+    let match;
+    while ((match = rIS.exec(html))) {
+        const src = decodeEntities((match[2] ?? match[3] ?? match[4]).trim());
+        if (src && (regexs.HTTP_URL.test(src) || regexs.FILE_URL.test(src) || src.startsWith('//') || !regexs.URL_SCHEME.test(src)))
+            sources.add(src);
+    }
+
+    // 逐个获取图片，内容相同的图片使用同一个附件
+    const attachments = [], skipped = [], cids = new Map(), hashes = new Map(), queue = [...sources];
+    const next = () => {
+        if (!queue.length) {
+            const result = html.replace(resetRegex(regexs.HTML_IMG_SRC), (match, prefix, dq, sq, plain) => {
+                const cid = cids.get(decodeEntities((dq ?? sq ?? plain).trim()));
+                return cid ? `${prefix}"cid:${cid}"` : match;
+            });
+            return callback(null, { html: result, attachments, skipped });
+        }
+
+        const src = queue.shift();
+        _loadImage(src, opts, (err, image) => {
+            if (!err && !regexs.IMAGE_TYPE.test(image.contentType))
+                err = createError(`不是图片(${image.contentType}): ${src}`, 'EEMBED', { sourceUrl: src });
+            if (err) return skipped.push({ src, error: err }), next();
+
+            const hash = createHash('sha256').update(image.content).digest('hex');
+            if (!hashes.has(hash)) {
+                const cid = `${randomBytes(10).toString('hex')}@localhost`, { name, ext } = path.parse(image.filename || '');
+                hashes.set(hash, cid), attachments.push({
+                    content: image.content, contentType: image.contentType, cid,
+                    filename: `${name || `image-${attachments.length + 1}`}${ext || `.${detectExtension(image.contentType)}`}`
+                });
+            }
+            cids.set(src, hashes.get(hash)), next();
+        });
+    };
+    next();
+    return promise;
+}
+
+module.exports = { embedImages };
\ No newline at end of file
@@ -41,7 +41,7 @@ class Cookies {
      * @param {String} url 当前URL
      */
     set(cookieStr, url) {
-        const urlObj = _newURL(str)
+        const urlObj = this._newURL(url);
         if (!urlObj) throw new Error('提供的URL无效');
 
         const cookie = this.parse(cookieStr), // 解析Cookie字符串
@@ -34,9 +34,9 @@ function _parseUrl(url, fetchRes) {
 }
 
 // 处理请求体函数
-function _processRequestBody(options, url, fetchRes, finishedFlag) {
+function _processRequestBody(options, headers, url, fetchRes, finishedFlag) {
     let processedBody = null;
-    const { contentType, body, headers } = options;
+    const { contentType, body } = options;
 
     // 设置内容类型（除非明确禁止）
     if (contentType !== false) headers['Content-Type'] = contentType || 'application/x-www-form-urlencoded';
@@ -83,7 +83,13 @@ function _handleRedirect(res, url, options, fetchRes, finishedFlag, req) {
     options.method = 'GET', options.body = false;
 
     try {
-        const redirectUrl = new URL(res.headers.location, url).toString(); // 重定向URL为绝对URL
+        const redirectUrl = new URL(res.headers.location, url).toString(), // 重定向URL为绝对URL
+            // 设置了checkRedirect时，返回错误表示不允许重定向到该地址
+            err = options.checkRedirect?.(redirectUrl);
+        if (err) {
+            _markFinishedWithError(finishedFlag, fetchRes, err, url), req.destroy();
+            return true;
+        }
         nmfetch(redirectUrl, options);
         return true;
     } catch (error) {
@@ -94,13 +100,14 @@ function _handleRedirect(res, url, options, fetchRes, finishedFlag, req) {
 
 // 核心fetch函数实现
 function nmfetch(url, options = {}) {
-    const { fetchRes: fetchRes_, cookies, redirects = 0, maxRedirects, method = '', headers: headers_, userAgent, } = options,
+    const { fetchRes: fetchRes_, cookies, cookie: cookie_, redirects = 0, maxRedirects, method = '', headers: headers_, userAgent, } = options,
         // 设置默认响应流、Cookie管理器和重定向计数器
         fetchRes = fetchRes_ || new PassThrough(), newCookies = cookies || new Cookies();
     options.redirects = redirects, options.maxRedirects = isNaN(maxRedirects) ? MAX_REDIRECTS : maxRedirects;
+    options.fetchRes = fetchRes, options.cookies = newCookies; // 重定向时使用同一个输出流和Cookie管理器
 
-    // 处理传入的Cookie选项
-    if (newCookies) [].concat(newCookies).forEach(cookie => newCookies.set(cookie, url)), options.cookies = false;
+    // 处理传入的Cookie字符串选项
+    if (cookie_) [].concat(cookie_).forEach(cookie => newCookies.set(cookie, url)), options.cookie = false;
 
     // 解析URL
     const parsedResult = _parseUrl(url, fetchRes);
@@ -127,7 +134,8 @@ function nmfetch(url, options = {}) {
     if (cookie) headers.cookie = cookie;              // 获取并设置Cookie(如果有)
 
     // 处理请求体(使用对象包装finished标志,便于在函数间传递引用)
-    const finishedFlag = { value: false }, bodyResult = _processRequestBody(options, url, fetchRes, finishedFlag);
+    const finishedFlag = { value: false },
+        bodyResult = options.body ? _processRequestBody(options, headers, url, fetchRes, finishedFlag) : { success: true, body: null };
     if (!bodyResult.success) return fetchRes;
     newMethod = newMethod || 'POST'; // 默认 POST 方法
     const { tls, timeout } = options;
@@ -139,6 +147,7 @@ function nmfetch(url, options = {}) {
     };
 
     if (tls) Object.assign(reqOptions, tls);    // 合并TLS选项
+    if (options.lookup) reqOptions.lookup = options.lookup; // 自定义DNS解析(可用于拒绝特定地址)
     // 处理HTTPS协议的SNI
     if (protocol === 'https:' && host && !NET.isIP(host) && !reqOptions.servername) reqOptions.servername = host;
 
@@ -158,8 +167,8 @@ function nmfetch(url, options = {}) {
         });
     }
     // 处理请求错误和响应
-    req.on('error', err => _markFinishedWithError(finishedFlag, fetchRes, err, url))
-    on('response', res => {
+    req.on('error', err => _markFinishedWithError(finishedFlag, fetchRes, err, url));
+    req.on('response', res => {
         let inflate; // 解压流
         if (finishedFlag.value) return;
 
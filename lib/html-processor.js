@@ -0,0 +1,391 @@
+'use strict';
+
+const { parseHtml, VOID_ELEMENTS, ATTR_ESCAPES } = require('./html-to-text');
+const { regexs, resetRegex } = require('./shared');
+
+// 不应用内联样式的元素
+const NON_VISUAL_ELEMENTS = ['html', 'head', 'style', 'script', 'title', 'meta', 'link', 'base'];
+// 包含URL的属性
+const URL_ATTRIBUTES = ['href', 'src', 'background', 'poster', 'cite', 'action', 'longdesc'];
+// 可执行脚本的URL协议
+const SCRIPT_SCHEMES = ['javascript:', 'vbscript:'];
+// 不需要基于基础URL解析的引用前缀
+const LOCAL_PREFIXES = ['#', '{{', '['];
+
+// 用法示例：
+/*
+const transporter = createTransport({
+    host: 'smtp.example.com',
+    processHtml: { inlineCss: true, sanitize: true, baseUrl: 'https://example.com/' } // 或 processHtml: true
+});
+
+transporter.sendMail({
+    html: '<style>.btn { color: #fff; background: #07c }</style><a class="btn" href="/login" onclick="track()">登录</a>'
+});
+// -> <a class="btn" href="https://example.com/login" style="color: #fff; background: #07c">登录</a>
+*/
+
+/* ============================== 序列化 ============================== */
+
+/**
+ * 将节点树序列化为HTML(文本节点保持原始文本)
+ *
+ * @param {Object} node parseHtml返回的根节点或元素节点
+ * @return {String} HTML
+ */
+function serializeHtml(node) {
+    return node.children.map(child => {
+        if (child.type !== 'element') return child.value;
+        const attrs = Object.entries(child.attrs)
+            .map(([key, value]) => ` ${key}="${String(value).replace(resetRegex(regexs.HTML_ESCAPE), chr => ATTR_ESCAPES[chr])}"`).join('');
+        return VOID_ELEMENTS.includes(child.name) ? `<${child.name}${attrs}>` : `<${child.name}${attrs}>${serializeHtml(child)}</${child.name}>`;
+    }).join('');
+}
+
+/**
+ * 遍历所有元素节点
+ *
+ * @param {Object} node 起始节点
+ * @param {Function} fn 处理函数 (element)，返回false时从父节点中移除该元素
+ */
+function _walk(node, fn) {
+    node.children = node.children.filter(child => child.type !== 'element' || fn(child) !== false);
+    node.children.forEach(child => child.type === 'element' && _walk(child, fn));
+}
+
+/* ============================== CSS解析 ============================== */
+
+/**
+ * 按顶层分隔符拆分字符串(忽略括号和引号中的分隔符)
+ *
+ * @param {String} str 字符串
+ * @param {String} separator 分隔字符
+ * @return {Array} 拆分结果
+ */
+function _splitTopLevel(str, separator) {
+    const result = [];
+    let depth = 0, quote = '', start = 0;
+    for (let i = 0; i < str.length; i++) {
+        const chr = str[i];
+        if (quote) quote = chr === quote && str[i - 1] !== '\\' ? '' : quote;
+        else if (chr === '"' || chr === "'") quote = chr;
+        else if (chr === '(' || chr === '[') depth++;
+        else if (chr === ')' || chr === ']') depth--;
+        else if (chr === separator && depth <= 0) result.push(str.slice(start, i)), start = i + 1;
+    }
+    result.push(str.slice(start));
+    return result;
+}
+
+/**
+ * 解析CSS声明列表
+ *
+ * @param {String} str 声明列表，如 'color: red; margin: 0 !important'
+ * @return {Array} [{prop, value, important}]
+ */
+function parseDeclarations(str) {
+    return _splitTopLevel(String(str || ''), ';').map(declaration => {
+        const pos = declaration.indexOf(':');
+        if (pos <= 0) return null;
+        const prop = declaration.slice(0, pos).trim().toLowerCase(), rawValue = declaration.slice(pos + 1).trim(),
+            important = regexs.CSS_IMPORTANT.test(rawValue), value = rawValue.replace(regexs.CSS_IMPORTANT, '').trim();
+        return prop && value ? { prop, value, important } : null;
+    }).filter(Boolean);
+}
+
+/**
+ * 查找与开始括号匹配的结束括号位置
+ */
+function _findBlockEnd(css, open) {
+    let depth = 0;
+    for (let i = open; i < css.length; i++) {
+        if (css[i] === '{') depth++;
+        else if (css[i] === '}' && !--depth) return i;
+    }
+    return css.length;
+}
+
+/**
+ * 解析样式表：可以内联的普通规则，以及需要保留在<style>中的其他内容(@media等@规则,伪类选择器)
+ *
+ * @param {String} css 样式表
+ * @return {Object} {rules: [{selector, parts, specificity, declarations}], rest: 保留的CSS}
+ */
+function _parseStylesheet(css) {
+    const rules = [], rest = [];
+    css = css.replace(resetRegex(regexs.CSS_COMMENT), '');
+
+    for (let pos = 0; pos < css.length;) {
+        const open = css.indexOf('{', pos), semicolon = css.indexOf(';', pos);
+        // 没有块的@规则(如@import, @charset)
+        if (css.slice(pos).trimStart().startsWith('@') && semicolon >= 0 && (open < 0 || semicolon < open)) {
+            rest.push(css.slice(pos, semicolon + 1).trim()), pos = semicolon + 1;
+            continue;
+        }
+        if (open < 0) break;
+
+        const end = _findBlockEnd(css, open), prelude = css.slice(pos, open).trim(), body = css.slice(open + 1, end);
+        pos = end + 1;
+        if (!prelude) continue;
+        if (prelude.startsWith('@')) {
+            rest.push(`${prelude} {${body}}`); // @media, @font-face等保留在<style>中
+            continue;
+        }
+
+        const declarations = parseDeclarations(body);
+        _splitTopLevel(prelude, ',').map(selector => selector.trim()).filter(Boolean).forEach(selector => {
+            const parts = _parseSelector(selector);
+            if (!parts) return rest.push(`${selector} {${body}}`); // 不支持的选择器(如:hover)
+            rules.push({ selector, parts, specificity: _specificity(parts), declarations });
+        });
+    }
+    return { rules, rest: rest.join('\n') };
+}
+
+/* ============================== 选择器 ============================== */
+
+/**
+ * 检查字符是否可以出现在标识符中
+ */
+function _isIdentChar(chr) {
+    return chr !== undefined && (chr === '-' || chr === '_' || (chr >= 'a' && chr <= 'z') || (chr >= 'A' && chr <= 'Z') ||
+        (chr >= '0' && chr <= '9') || chr.charCodeAt(0) > 0x7f);
+}
+
+/**
+ * 读取标识符
+ *
+ * @return {Array} [标识符, 结束位置]
+ */
+function _readIdent(str, pos) {
+    let end = pos;
+    while (_isIdentChar(str[end])) end++;
+    return [str.slice(pos, end), end];
+}
+
+/**
+ * 解析选择器(支持标签,*,#id,.class,[attr],[attr=value]等属性选择器，以及后代和子元素组合器)
+ *
+ * @param {String} selector 选择器
+ * @return {Array|Boolean} 从左到右的复合选择器列表 [{tag, id, classes, attrs, combinator}]，不支持时返回false
+ */
+function _parseSelector(selector) {
+    const parts = [], newPart = combinator => ({ tag: '', id: '', classes: [], attrs: [], combinator, empty: true });
+    let part = newPart(null), pos = 0, combinator = null;
+
+    while (pos < selector.length) {
+        const chr = selector[pos];
+        if (chr === ' ' || chr === '\t' || chr === '\n' || chr === '>') {
+            if (chr === '>') combinator = '>';
+            else if (!combinator) combinator = ' ';
+            pos++;
+            continue;
+        }
+        if (combinator) {
+            if (part.empty) return false; // 选择器以组合器开头
+            parts.push(part), part = newPart(combinator), combinator = null;
+        }
+
+        if (chr === '*') part.tag = '*', part.empty = false, pos++;
+        else if (chr === '#' || chr === '.') {
+            const [name, end] = _readIdent(selector, pos + 1);
+            if (!name) return false;
+            chr === '#' ? part.id = name : part.classes.push(name);
+            part.empty = false, pos = end;
+        }
+        else if (chr === '[') {
+            const close = selector.indexOf(']', pos);
+            if (close < 0) return false;
+            const attr = _parseAttributeSelector(selector.slice(pos + 1, close));
+            if (!attr) return false;
+            part.attrs.push(attr), part.empty = false, pos = close + 1;
+        }
+        else if (_isIdentChar(chr)) {
+            const [name, end] = _readIdent(selector, pos);
+            part.tag = name.toLowerCase(), part.empty = false, pos = end;
+        }
+        else return false; // 伪类,伪元素,兄弟组合器等
+    }
+    if (part.empty || combinator) return false;
+    parts.push(part);
+    return parts;
+}
+
+/**
+ * 解析属性选择器的内容，如 href^="https" 或 disabled
+ */
+function _parseAttributeSelector(str) {
+    const [name, end] = _readIdent(str.trim(), 0), rest = str.trim().slice(end).trim();
+    if (!name) return null;
+    if (!rest) return { name: name.toLowerCase() };
+
+    const op = ['~=', '|=', '^=', '$=', '*='].find(op => rest.startsWith(op)) || (rest.startsWith('=') ? '=' : '');
+    if (!op) return null;
+    let value = rest.slice(op.length).trim();
+    if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) value = value.slice(1, -1);
+    return { name: name.toLowerCase(), op, value };
+}
+
+/**
+ * 计算选择器的优先级 [id数, 类和属性数, 标签数]
+ */
+function _specificity(parts) {
+    return parts.reduce((spec, { tag, id, classes, attrs }) =>
+        [spec[0] + (id ? 1 : 0), spec[1] + classes.length + attrs.length, spec[2] + (tag && tag !== '*' ? 1 : 0)], [0, 0, 0]);
+}
+
+/**
+ * 检查元素是否匹配复合选择器
+ */
+function _matchPart(node, { tag, id, classes, attrs }) {
+    if (tag && tag !== '*' && node.name !== tag) return false;
+    if (id && node.attrs.id !== id) return false;
+    if (classes.length) {
+        const list = String(node.attrs.class || '').split(regexs.BLANK_REGEX);
+        if (!classes.every(name => list.includes(name))) return false;
+    }
+    return attrs.every(({ name, op, value }) => {
+        const actual = node.attrs[name];
+        if (actual === undefined) return false;
+        switch (op) {
+            case '=': return actual === value;
+            case '~=': return actual.split(regexs.BLANK_REGEX).includes(value);
+            case '|=': return actual === value || actual.startsWith(`${value}-`);
+            case '^=': return !!value && actual.startsWith(value);
+            case '$=': return !!value && actual.endsWith(value);
+            case '*=': return !!value && actual.includes(value);
+            default: return true;
+        }
+    });
+}
+
+/**
+ * 检查元素是否匹配选择器(从右向左匹配)
+ *
+ * @param {Object} node 元素节点
+ * @param {Array} parts 复合选择器列表
+ * @param {Number} index 当前匹配的复合选择器位置
+ */
+function _matches(node, parts, index = parts.length - 1) {
+    if (!_matchPart(node, parts[index])) return false;
+    if (index === 0) return true;
+    if (parts[index].combinator === '>') return node.parent?.type === 'element' && _matches(node.parent, parts, index - 1);
+    for (let parent = node.parent; parent?.type === 'element'; parent = parent.parent)
+        if (_matches(parent, parts, index - 1)) return true;
+    return false;
+}
+
+/**
+ * 比较优先级
+ */
+function _compareSpecificity(a, b) {
+    return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+/* ============================== 处理步骤 ============================== */
+
+/**
+ * 将<style>中的规则内联到元素的style属性中
+ * 优先级：样式表中的普通声明 < 元素原有的style属性 < 样式表中的!important声明；无法内联的内容保留在<style>中
+ *
+ * @param {Object} root parseHtml返回的根节点
+ */
+function inlineCss(root) {
+    const styles = [], rest = [];
+    _walk(root, node => node.name === 'style' ? (styles.push(node), true) : undefined);
+    if (!styles.length) return;
+
+    // 收集规则(按出现顺序编号)
+    const rules = [];
+    styles.forEach(node => {
+        const parsed = _parseStylesheet(node.children.map(child => child.value).join(''));
+        rules.push(...parsed.rules), rest.push(parsed.rest);
+    });
+    rules.forEach((rule, order) => rule.order = order);
+
+    _walk(root, node => {
+        if (NON_VISUAL_ELEMENTS.includes(node.name)) return;
+        const matched = rules.filter(rule => _matches(node, rule.parts))
+            .sort((a, b) => _compareSpecificity(a.specificity, b.specificity) || a.order - b.order);
+        if (!matched.length) return;
+
+        const declarations = matched.flatMap(rule => rule.declarations), result = new Map(),
+            apply = list => list.forEach(({ prop, value }) => (result.delete(prop), result.set(prop, value)));
+        apply(declarations.filter(d => !d.important));
+        apply(parseDeclarations(node.attrs.style));
+        apply(declarations.filter(d => d.important));
+        node.attrs.style = [...result].map(([prop, value]) => `${prop}: ${value}`).join('; ');
+    });
+
+    // 保留无法内联的CSS(放在第一个<style>中)，移除其他<style>
+    const remaining = rest.filter(Boolean).join('\n');
+    styles.forEach((node, i) => {
+        if (i === 0 && remaining) return node.children = [{ type: 'text', value: remaining }];
+        const siblings = node.parent.children;
+        siblings.splice(siblings.indexOf(node), 1);
+    });
+}
+
+/**
+ * 移除<script>元素,事件处理属性(on*)和javascript:等脚本URL
+ *
+ * @param {Object} root parseHtml返回的根节点
+ */
+function sanitize(root) {
+    _walk(root, node => {
+        if (node.name === 'script') return false;
+        Object.keys(node.attrs).forEach(key => {
+            const value = String(node.attrs[key]).replace(resetRegex(regexs.URL_IGNORED_CHARS), '').toLowerCase();
+            if (key.startsWith('on') || (URL_ATTRIBUTES.includes(key) && SCRIPT_SCHEMES.some(scheme => value.startsWith(scheme))))
+                delete node.attrs[key];
+        });
+    });
+}
+
+/**
+ * 将相对URL解析为基于基础URL的绝对URL(包括URL属性,style属性和<style>中的url())
+ *
+ * @param {Object} root parseHtml返回的根节点
+ * @param {String} baseUrl 基础URL
+ */
+function rewriteUrls(root, baseUrl) {
+    const resolve = url => {
+        const value = url.trim();
+        // 空值,锚点,模板占位符和已有协议(https:, cid:, data:, mailto:等)的URL保持不变
+        if (!value || LOCAL_PREFIXES.some(prefix => value.startsWith(prefix)) || regexs.URL_SCHEME.test(value)) return url;
+        try {
+            return new URL(value, baseUrl).href;
+        } catch (err) {
+            return url;
+        }
+    }, resolveCss = css => css.replace(resetRegex(regexs.CSS_URL), (match, quote, url) => `url(${quote}${resolve(url)}${quote})`);
+
+    _walk(root, node => {
+        URL_ATTRIBUTES.forEach(key => key in node.attrs && (node.attrs[key] = resolve(node.attrs[key])));
+        if (node.attrs.style) node.attrs.style = resolveCss(node.attrs.style);
+        if (node.name === 'style') node.children.forEach(child => child.value = resolveCss(child.value));
+    });
+}
+
+/**
+ * 处理HTML邮件内容
+ *
+ * 可选的选项对象可以包含以下属性：
+ *
+ *  **inlineCss** - 如果为false，不内联<style>中的规则(默认内联)
+ *  **sanitize** - 如果为false，不移除脚本和事件处理属性(默认移除)
+ *  **baseUrl** - 设置后将相对URL解析为绝对URL
+ *
+ * @param {String|Buffer} html HTML内容
+ * @param {Object} [options] 处理选项
+ * @return {String} 处理后的HTML
+ */
+function processHtml(html, options = {}) {
+    const root = parseHtml(html);
+    if (options.sanitize !== false) sanitize(root);
+    if (options.inlineCss !== false) inlineCss(root);
+    if (options.baseUrl) rewriteUrls(root, options.baseUrl);
+    return serializeHtml(root);
+}
+
+module.exports = { processHtml, inlineCss, sanitize, rewriteUrls, serializeHtml, parseDeclarations };
\ No newline at end of file
@@ -0,0 +1,307 @@
+'use strict';
+
+const { regexs, resetRegex } = require('./shared');
+
+// 常用的命名字符实体
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', trade: '™', hellip: '…',
+    mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', middot: '·',
+    bull: '•', euro: '€', pound: '£', yen: '¥', cent: '¢', times: '×', divide: '÷', deg: '°'
+};
+// 没有结束标签的元素
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+// 序列化属性值时需要转义的字符
+const ATTR_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+// 内容为纯文本的元素(内容中的<不作为标签解析)
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+// 开始标签自动结束的元素 {标签: [自动结束的元素, 查找的边界元素]}：向上查找最近的打开元素，遇到边界元素时停止；
+// 没有边界元素的标签只检查当前元素
+const AUTO_CLOSE = {
+    li: [['li'], ['ul', 'ol', 'table']], tr: [['tr'], ['table', 'thead', 'tbody', 'tfoot']], td: [['td', 'th'], ['tr', 'table']],
+    th: [['td', 'th'], ['tr', 'table']], thead: [['thead', 'tbody', 'tfoot'], ['table']], tbody: [['thead', 'tbody', 'tfoot'], ['table']],
+    tfoot: [['thead', 'tbody', 'tfoot'], ['table']], p: [['p']], option: [['option']]
+};
+// 元素的最大嵌套深度(与浏览器相同)，更深的元素不再嵌套，其内容作为同级节点
+const MAX_DEPTH = 512;
+// 不显示内容的元素
+const HIDDEN_ELEMENTS = ['head', 'script', 'style', 'title', 'template', 'noscript', 'object', 'iframe'];
+// 块级元素(前后换行)
+const BLOCK_ELEMENTS = ['address', 'article', 'aside', 'center', 'dd', 'div', 'dl', 'dt', 'fieldset', 'figure', 'footer', 'form',
+    'header', 'main', 'nav', 'section', 'tbody', 'thead', 'tfoot', 'caption'];
+// 包含这些元素的表格单元格按块处理(通常是布局表格)
+const LAYOUT_ELEMENTS = ['table', 'p', 'div', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre'];
+// 标记预格式化文本和缩进的行(防止整理空白时删除缩进)
+const PRE_MARK = '\u0000';
+
+/**
+ * 解码HTML字符实体
+ *
+ * @param {String} str 包含字符实体的文本
+ * @return {String} 解码后的文本
+ */
+function decodeEntities(str) {
+    return str.replace(resetRegex(regexs.HTML_ENTITY), (match, entity) => {
+        if (entity.charAt(0) !== '#') return ENTITIES[entity.toLowerCase()] ?? match;
+        const code = entity.charAt(1).toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    });
+}
+
+/**
+ * 解析标签的属性
+ *
+ * @param {String} str 标签名之后的属性字符串
+ * @return {Object} {属性名(小写): 解码后的值}
+ */
+function _parseAttributes(str) {
+    const attrs = {}, rHA = resetRegex(regexs.HTML_ATTRIBUTE);
+    let match;
+    while ((match = rHA.exec(str))) {
+        const [, name, dq, sq, unquoted] = match, key = name.toLowerCase();
+        if (!(key in attrs)) attrs[key] = decodeEntities(dq ?? sq ?? unquoted ?? '');
+    }
+    return attrs;
+}
+
+/**
+ * 将HTML解析为简单的节点树(宽松解析：自动结束未闭合的元素，忽略多余的结束标签，嵌套深度不超过MAX_DEPTH)
+ *
+ * 节点格式：
+ *  元素 {type: 'element', name, attrs, children, parent}
+ *  文本 {type: 'text', value}(未解码的原始文本)
+ *  注释和声明 {type: 'raw', value}
+ *
+ * @param {String|Buffer} html HTML内容
+ * @return {Object} 根节点 {type: 'root', children}
+ */
+function parseHtml(html) {
+    const source = String(html ?? ''), root = { type: 'root', name: '', children: [] }, rHT = resetRegex(regexs.HTML_TOKEN),
+        open = [root]; // 打开的元素，最后一个为当前元素
+    let lower, match;
+
+    while ((match = rHT.exec(source))) {
+        const [token, closing, rawName, attrStr, selfClosing] = match, current = open[open.length - 1];
+        if (!rawName) {
+            // 注释和声明(如<!DOCTYPE>, Outlook条件注释)原样保留
+            current.children.push({ type: token.charAt(0) !== '<' || token === '<' ? 'text' : 'raw', value: token });
+            continue;
+        }
+
+        const name = rawName.toLowerCase();
+        if (closing) {
+            // 向上查找同名的打开元素并结束该元素及其中未闭合的元素，找不到时忽略该结束标签
+            let index = open.length - 1;
+            while (index > 0 && open[index].name !== name) index--;
+            if (index > 0) open.length = index;
+            continue;
+        }
+
+        const [names, scope] = AUTO_CLOSE[name] || [];
+        for (let i = open.length - 1; names && i > 0; i--) {
+            if (names.includes(open[i].name)) {
+                open.length = i;
+                break;
+            }
+            if (!scope || scope.includes(open[i].name)) break;
+        }
+        const parent = open[open.length - 1], node = { type: 'element', name, attrs: _parseAttributes(attrStr), children: [], parent };
+        parent.children.push(node);
+        if (VOID_ELEMENTS.includes(name) || selfClosing) continue;
+
+        if (RAW_TEXT_ELEMENTS.includes(name)) {
+            // 纯文本元素的内容直到对应的结束标签为止
+            lower = lower || source.toLowerCase();
+            const end = lower.indexOf(`</${name}`, rHT.lastIndex), stop = end < 0 ? source.length : end;
+            if (stop > rHT.lastIndex) node.children.push({ type: 'text', value: source.slice(rHT.lastIndex, stop) });
+            rHT.lastIndex = end < 0 ? source.length : source.indexOf('>', end) + 1 || source.length;
+            continue;
+        }
+        if (open.length <= MAX_DEPTH) open.push(node);
+    }
+    return root;
+}
+
+/**
+ * 整理文本块：去除每行首尾的空白，合并行内的连续空白和多余的空行
+ */
+function _cleanBlock(text) {
+    return text.split('\n')
+        .map(line => line.startsWith(PRE_MARK) ? line.trimEnd() : line.replace(resetRegex(regexs.MULTIPLE_WSP), ' ').trim()).join('\n')
+        .replace(resetRegex(regexs.EXTRA_BLANK_LINES), '\n\n').trim();
+}
+
+/**
+ * 为文本块的每一行添加前缀(首行和后续行可以不同)，添加前缀的行在外层整理时保留缩进
+ */
+function _indent(text, first, rest = ' '.repeat(first.length)) {
+    return text.split('\n').map((line, i) => line ? PRE_MARK + (i ? rest : first) + line : line).join('\n');
+}
+
+/**
+ * HTML到纯文本的转换器
+ *
+ * @param {Object} [options] 转换选项
+ * @param {Boolean} [options.footnotes] 如果为false，链接地址直接跟在链接文本之后而不是作为脚注(默认为脚注)
+ */
+class HtmlToText {
+    constructor(options = {}) {
+        this.options = options, this.links = [];
+    }
+
+    /**
+     * 转换HTML
+     *
+     * @param {String|Buffer} html HTML内容
+     * @return {String} 纯文本
+     */
+    convert(html) {
+        this.links = [];
+        const text = _cleanBlock(this._children(parseHtml(html), {})).split(PRE_MARK).join('');
+        if (!this.links.length) return text;
+        return `${text}\n\n${this.links.map((url, i) => `[${i + 1}] ${url}`).join('\n')}`;
+    }
+
+    /**
+     * 转换子节点
+     */
+    _children(node, ctx) {
+        return node.children.map(child => this._node(child, ctx)).join('');
+    }
+
+    /**
+     * 转换单个节点
+     *
+     * @param {Object} node 节点
+     * @param {Object} ctx 上下文 {pre: 是否在<pre>中}
+     * @return {String} 文本(块级元素前后带有换行)
+     */
+    _node(node, ctx) {
+        if (node.type === 'text') {
+            const text = decodeEntities(ctx.pre ? node.value : node.value.replace(resetRegex(regexs.GLOBAL_WHITESPACE), ' '));
+            return ctx.pre ? text.split('\n').join(`\n${PRE_MARK}`) : text;
+        }
+        if (node.type !== 'element') return ''; // 注释和声明
+
+        const { name, attrs } = node;
+        if (HIDDEN_ELEMENTS.includes(name)) return '';
+        switch (name) {
+            case 'br':
+                return ctx.pre ? `\n${PRE_MARK}` : '\n';
+            case 'hr':
+                return '\n\n------------------------------\n\n';
+            case 'img':
+                return attrs.alt ? ` ${attrs.alt} ` : '';
+            case 'a':
+                return this._link(node, ctx);
+            case 'h1':
+            case 'h2': {
+                const text = this._inline(node, ctx);
+                return text ? `\n\n${text}\n${(name === 'h1' ? '=' : '-').repeat(Math.min(text.length, 60))}\n\n` : '';
+            }
+            case 'h3':
+            case 'h4':
+            case 'h5':
+            case 'h6':
+            case 'p':
+                return `\n\n${_cleanBlock(this._children(node, ctx))}\n\n`;
+            case 'pre':
+                return `\n\n${PRE_MARK}${this._children(node, { ...ctx, pre: true })}\n\n`;
+            case 'blockquote':
+                return `\n\n${_indent(_cleanBlock(this._children(node, ctx)), '> ', '> ')}\n\n`;
+            case 'ul':
+            case 'ol':
+                return `\n\n${this._list(node, ctx)}\n\n`;
+            case 'li':
+                return `\n* ${_cleanBlock(this._children(node, ctx))}\n`; // 列表之外的<li>
+            case 'table':
+                return `\n\n${this._table(node, ctx)}\n\n`;
+            case 'tr':
+                return `\n${this._row(node, ctx)}\n`;
+            default:
+                return BLOCK_ELEMENTS.includes(name) ? `\n${this._children(node, ctx)}\n` : this._children(node, ctx);
+        }
+    }
+
+    /**
+     * 转换为单行文本(用于标题和链接文本)
+     */
+    _inline(node, ctx) {
+        return _cleanBlock(this._children(node, ctx)).replace(resetRegex(regexs.GLOBAL_WHITESPACE), ' ');
+    }
+
+    /**
+     * 转换链接：链接文本后添加脚注编号，脚注列表附加在文本末尾
+     */
+    _link(node, ctx) {
+        const text = this._inline(node, ctx), href = (node.attrs.href || '').trim(), lower = href.toLowerCase();
+        // 锚点,脚本和与文本相同的地址不需要脚注
+        if (!href || href.startsWith('#') || lower.startsWith('javascript:') || [href, `mailto:${text}`, `tel:${text}`].includes(text) ||
+            lower === `mailto:${text.toLowerCase()}`) return text || href.replace(regexs.MAILTO_PREFIX, '');
+        if (!text) return href;
+        if (this.options.footnotes === false) return `${text} (${href})`;
+
+        let index = this.links.indexOf(href);
+        if (index < 0) index = this.links.push(href) - 1;
+        return `${text} [${index + 1}]`;
+    }
+
+    /**
+     * 转换列表：无序列表使用*，有序列表使用编号(支持start属性)，嵌套列表缩进
+     */
+    _list(node, ctx) {
+        const items = node.children.filter(child => child.type === 'element' && child.name === 'li'),
+            start = node.name === 'ol' ? parseInt(node.attrs.start, 10) || 1 : 0;
+        return items.map((item, i) => {
+            const marker = node.name === 'ol' ? `${start + i}. ` : '* ';
+            // 列表项中的段落和嵌套列表之间不保留空行
+            return _indent(_cleanBlock(this._children(item, ctx)).split('\n').filter(Boolean).join('\n'), marker);
+        }).filter(line => line.trim()).join('\n');
+    }
+
+    /**
+     * 转换表格：每行一行，单元格之间使用 | 分隔；包含块级内容的单元格(布局表格)按块输出
+     */
+    _table(node, ctx) {
+        const rows = [], collect = parent => parent.children.forEach(child => {
+            if (child.type !== 'element') return;
+            if (child.name === 'tr') rows.push(child);
+            else if (['thead', 'tbody', 'tfoot'].includes(child.name)) collect(child);
+        });
+        collect(node);
+
+        const caption = node.children.find(child => child.type === 'element' && child.name === 'caption'),
+            lines = rows.map(row => this._row(row, ctx)).filter(Boolean);
+        if (caption) lines.unshift(this._inline(caption, ctx));
+        return lines.join('\n');
+    }
+
+    /**
+     * 转换表格行
+     */
+    _row(row, ctx) {
+        const cells = row.children.filter(child => child.type === 'element' && ['td', 'th'].includes(child.name)),
+            isLayout = cells.some(cell => this._hasLayout(cell)),
+            texts = cells.map(cell => isLayout ? _cleanBlock(this._children(cell, ctx)) : this._inline(cell, ctx)).filter(Boolean);
+        return texts.join(isLayout ? '\n\n' : ' | ');
+    }
+
+    /**
+     * 检查元素中是否包含块级内容
+     */
+    _hasLayout(node) {
+        return node.children.some(child => child.type === 'element' && (LAYOUT_ELEMENTS.includes(child.name) || this._hasLayout(child)));
+    }
+}
+
+/**
+ * 将HTML转换为可读的纯文本：链接转换为脚注，列表,表格和标题转换为对应的文本格式
+ *
+ * @param {String|Buffer} html HTML内容
+ * @param {Object} [options] 转换选项，见HtmlToText
+ * @return {String} 纯文本
+ */
+function htmlToText(html, options) {
+    return new HtmlToText(options).convert(html);
+}
+
+module.exports = { htmlToText, decodeEntities, parseHtml, HtmlToText, VOID_ELEMENTS, ATTR_ESCAPES };
\ No newline at end of file
@@ -1,8 +1,10 @@
 'use strict';
 
 const MimeNode = require('./mime-node');
+const SMIME = require('./smime');
 const { regexs, resetRegex, parseDataURI } = require('./shared');
-const { detectMimeType, detectExtension } = require('./mime-funcs');
+const { detectMimeType, detectExtension, parseHeaderValue, buildHeaderValue } = require('./mime-funcs');
+const { getCharset, charsetLabel } = require('./mime-funcs/charsets');
 
 /**
  * 邮件编译器类，用于从邮件选项组合MimeNode实例
@@ -30,7 +32,7 @@ class MailComposer {
         this._useMixed = attached.length > 1 || (aTives.length && attached.length === 1); // 是否需要混合部分（内容 + 附件）
 
         // 根据内容类型构建相应的MIME结构
-        const { raw, newline, headers, envelope } = this.mail;
+        const { raw, newline, headers, envelope, smime } = this.mail;
         if (raw) this.message = new MimeNode('message/rfc822', { newline }).setRaw(raw); // 如果有raw字段，则直接使用raw字段
         else if (this._useMixed) this.message = this._createMixed();                     // 混合类型：内容 + 多个附件
         else if (this._useAlternative) this.message = this._createAlternative();         // 替代类型：纯文本 + HTML
@@ -47,9 +49,15 @@ class MailComposer {
                 if (this.mail[key]) this.message.setHeader(header, this.mail[key]);
             });
 
+        // 使用旧字符集时提前编码头部，使无法编码的字符在编译时报错
+        if (getCharset(this.mail.charset) && !raw)
+            this.message._headers.forEach(({ key, value }) => value?.prepared || this.message._encodeHeaderValue(key, value?.value ?? value));
+
         // 设置邮件信封和消息ID
         if (envelope) this.message.setEnvelope(envelope);
         this.message.messageId();
+        // S/MIME签名和(或)加密(在DKIM签名之前对编译后的邮件进行包装)
+        if (smime && (smime.sign || smime.encrypt)) this.message.processFunc(input => new SMIME(smime).wrap(input));
         return this.message;
     }
 
@@ -112,22 +120,27 @@ class MailComposer {
      */
     getAlternatives() {
         let text_, html_, watchHtml_, amp_, eventObject;
-        const { text, html, watchHtml, amp, icalEvent, alternatives } = this.mail,
+        const { text, html, watchHtml, amp, icalEvent, alternatives, charset } = this.mail,
             // 处理替代内容对象
             processAlt = (letValue, v, defaultContentType) => {
                 letValue = (typeof v === 'object' && (v.content || v.path || v.href || v.raw)) ? v : { content: v };
                 letValue.contentType = defaultContentType;
                 return letValue;
+            },
+            // 正文使用的字符集(单个部分的charset优先于邮件的charset)
+            textCharset = v => {
+                const legacy = getCharset(v && typeof v === 'object' && v.charset || charset);
+                return legacy ? charsetLabel(legacy) : 'utf-8';
             };
 
         // 处理纯文本内容,Apple Watch HTML内容,AMP HTML内容
-        if (text) text_ = processAlt(text_, text, 'text/plain; charset=utf-8');
-        if (watchHtml) watchHtml_ = processAlt(watchHtml_, watchHtml, 'text/watch-html; charset=utf-8');
-        if (amp) amp_ = processAlt(amp_, amp, 'text/x-amp-html; charset=utf-8');
+        if (text) text_ = processAlt(text_, text, `text/plain; charset=${textCharset(text)}`);
+        if (watchHtml) watchHtml_ = processAlt(watchHtml_, watchHtml, `text/watch-html; charset=${textCharset(watchHtml)}`);
+        if (amp) amp_ = processAlt(amp_, amp, `text/x-amp-html; charset=${textCharset(amp)}`);
 
         // 处理日历事件
         if (icalEvent) {
-            const iEvent = processAlt(iEvent, icalEvent, null);
+            const iEvent = processAlt(null, icalEvent, null);
             eventObject = {
                 ...iEvent, filename: false,
                 contentType: `text/calendar; charset=utf-8; method=${(iEvent.method || 'PUBLISH').toString().trim().toUpperCase()}`,
@@ -137,7 +150,7 @@ class MailComposer {
         }
 
         // 处理HTML内容
-        if (html) html_ = processAlt(html_, html, 'text/html; charset=utf-8');
+        if (html) html_ = processAlt(html_, html, `text/html; charset=${textCharset(html)}`);
 
         // 将所有替代内容合并到数组中
         const gAlternatives = Array.prototype.concat.call([], text_, html_, watchHtml_, amp_, eventObject, alternatives)
@@ -145,7 +158,8 @@ class MailComposer {
                 const oAtive = this._prepareAttachmentObject(originalAlternative), // 预处理附件
                     { contentType, filename, path, href, raw, content = '', contentTransferEncoding, encoding, headers } = oAtive,
                     data = ({
-                        contentType: contentType || detectMimeType(filename || path || href || 'txt'), contentTransferEncoding,
+                        contentType: this._withCharset(contentType || detectMimeType(filename || path || href || 'txt'),
+                            originalAlternative?.charset), contentTransferEncoding,
                         ...(raw && { raw }), ...(filename && { filename }), ...(encoding && { encoding }), ...(headers && { headers })
                     });
 
@@ -156,6 +170,19 @@ class MailComposer {
         return gAlternatives;
     }
 
+    /**
+     * 为内容类型设置charset参数(替代内容对象中指定了charset时)
+     * @param {string} contentType - 内容类型
+     * @param {string} [charset] - 字符集
+     * @returns {string} 内容类型
+     */
+    _withCharset(contentType, charset) {
+        if (!charset || !regexs.TEXT_TYPE.test(contentType)) return contentType;
+        const structured = parseHeaderValue(contentType), legacy = getCharset(charset);
+        structured.params.charset = legacy ? charsetLabel(legacy) : 'utf-8';
+        return buildHeaderValue(structured);
+    }
+
     /**
      * 预处理附件对象（处理dataURL和标准化路径,将HTTP / HTTPS路径转换为href属性）
      * @param {Object} obj - 要处理的附件对象
@@ -237,13 +264,13 @@ class MailComposer {
             content = '', raw } = element, rEF = resetRegex(regexs.ENCODING_FORMAT),
             eEncoding = encoding.toString().toLowerCase().replace(rEF, ''),
             { baseBoundary, textEncoding, boundaryPrefix, disableUrlAccess, disableFileAccess, normalizeHeaderKey, newline,
-                encoding: mEncoding } = this.mail
+                encoding: mEncoding, charset } = this.mail
 
         // 创建节点（根节点或子节点）
         const node = !parentNode ? new MimeNode(contentType, {
-            filename, baseBoundary, textEncoding, boundaryPrefix, disableUrlAccess, disableFileAccess, normalizeHeaderKey, newline
+            filename, baseBoundary, textEncoding, boundaryPrefix, disableUrlAccess, disableFileAccess, normalizeHeaderKey, newline, charset
         }) : parentNode.createChild(contentType, {
-            filename, textEncoding, disableUrlAccess, disableFileAccess, normalizeHeaderKey, newline
+            filename, textEncoding, disableUrlAccess, disableFileAccess, normalizeHeaderKey, newline, charset
         });
 
         // 设置节点头信息
@@ -263,6 +290,11 @@ class MailComposer {
             newContent = Buffer.from(newContent, eEncoding);
 
         raw ? node.setRaw(raw) : node.setContent(newContent);  // 设置节点内容
+        // 按charset参数转换字符串正文，无法编码的字符在编译时报错
+        if (!raw && typeof newContent === 'string') {
+            node._encodeContentCharset();
+            if (Object.prototype.toString.call(node.content) === '[object Error]') throw node.content;
+        }
         return node;
     }
 
@@ -299,9 +331,10 @@ class MailComposer {
      * @returns {MimeNode} 创建的根节点
      */
     _createRootMimeNode(contentType) {
-        const { baseBoundary, textEncoding, boundaryPrefix, disableUrlAccess, disableFileAccess, normalizeHeaderKey, newline } = this.mail;
+        const { baseBoundary, textEncoding, boundaryPrefix, disableUrlAccess, disableFileAccess, normalizeHeaderKey, newline,
+            charset } = this.mail;
         return new MimeNode(contentType, {
-            baseBoundary, textEncoding, boundaryPrefix, disableUrlAccess, disableFileAccess, normalizeHeaderKey, newline
+            baseBoundary, textEncoding, boundaryPrefix, disableUrlAccess, disableFileAccess, normalizeHeaderKey, newline, charset
         });
     }
 
@@ -310,8 +343,8 @@ class MailComposer {
      * @returns {Object} 子节点配置选项
      */
     _getChildNodeOptions() {
-        const { disableUrlAccess, disableFileAccess, normalizeHeaderKey, newline } = this.mail;
-        return { disableUrlAccess, disableFileAccess, normalizeHeaderKey, newline };
+        const { disableUrlAccess, disableFileAccess, normalizeHeaderKey, newline, charset } = this.mail;
+        return { disableUrlAccess, disableFileAccess, normalizeHeaderKey, newline, charset };
     }
 }
 
@@ -0,0 +1,227 @@
+'use strict';
+
+const { parseMail } = require('./index');
+const { decodeCharset } = require('../mime-funcs/charsets');
+const { callbackPromise, regexs, resetRegex } = require('../shared');
+
+// 投递状态报告的内容类型(RFC 3464, RFC 6533)
+const DSN_TYPES = ['message/delivery-status', 'message/global-delivery-status'];
+// 原邮件或原邮件头的内容类型
+const ORIGINAL_TYPES = ['message/rfc822', 'message/global', 'text/rfc822-headers', 'message/global-headers'];
+// 表示投递成功的Action
+const SUCCESS_ACTIONS = ['delivered', 'relayed', 'expanded'];
+// 虽然是永久失败但与收件人地址无关的增强状态码(邮箱已满,邮件过大,投递超时)
+const SOFT_STATUSES = ['5.2.2', '5.2.3', '5.3.4', '5.4.7'];
+
+// 用法示例：
+/*
+const { parseBounce } = require('lunjack-mail');
+
+const bounce = await parseBounce(fs.createReadStream('bounce.eml'));
+// -> { format: 'dsn', messageId: '<original@example.com>', envelopeId: 'campaign-42', reportingMta: 'mx.example.net',
+//      recipients: [{ recipient: 'nobody@example.net', messageId: '<original@example.com>', action: 'failed', status: '5.1.1',
+//                     diagnosticCode: '550 5.1.1 User unknown', remoteMta: 'mx.example.net', classification: 'hard' }] }
+// 不是退信时返回null
+
+bounce?.recipients.filter(result => result.classification === 'hard').forEach(result => suppress(result.recipient));
+*/
+
+/**
+ * 判断退信的类型：hard表示地址永久无效(应加入禁止发送列表)，soft表示临时失败或与地址无关的拒绝
+ *
+ * @param {Object} result 收件人的投递结果 {action, status, diagnosticCode}
+ * @return {String|null} 'hard', 'soft'，投递成功时为null
+ */
+function classifyBounce({ action, status, diagnosticCode } = {}) {
+    action = String(action || '').toLowerCase(), status = String(status || '');
+    const text = String(diagnosticCode || '');
+    if (SUCCESS_ACTIONS.includes(action)) return null;
+    if (action === 'delayed' || status.startsWith('4')) return 'soft';
+    // 策略拒绝(5.7.x,如被判为垃圾邮件)不代表地址无效
+    if (SOFT_STATUSES.includes(status) || status.startsWith('5.7.') || regexs.SOFT_BOUNCE_TEXT.test(text)) return 'soft';
+    if (status.startsWith('5') || regexs.HARD_BOUNCE_TEXT.test(text)) return 'hard';
+    return action === 'failed' ? 'hard' : 'soft';
+}
+
+/**
+ * 解析头格式的字段块(空行分隔)，如投递状态报告的每条消息字段和每个收件人字段
+ *
+ * @param {String} text 文本
+ * @return {Array} 字段块列表，每个字段块为 {小写字段名: 值}
+ */
+function _parseFieldBlocks(text) {
+    return text.replace(resetRegex(regexs.LINEBREAKS), '\n').split('\n\n').map(block => {
+        const fields = {};
+        block.replace(resetRegex(regexs.UNFOLD_HEADER), '').split('\n').forEach(line => {
+            const index = line.indexOf(':');
+            if (index <= 0) return;
+            const key = line.substring(0, index).trim().toLowerCase();
+            if (!(key in fields)) fields[key] = line.substring(index + 1).replace(resetRegex(regexs.MULTIPLE_WSP), ' ').trim();
+        });
+        return fields;
+    }).filter(fields => Object.keys(fields).length);
+}
+
+/**
+ * 去掉DSN字段值的类型前缀(如 'rfc822; user@example.com' -> 'user@example.com')
+ */
+function _typedValue(value) {
+    return value ? value.replace(regexs.DSN_TYPE_PREFIX, '').trim() : undefined;
+}
+
+/**
+ * 解码xtext编码的值(Original-Envelope-Id和Original-Recipient)
+ */
+function _xtext(value) {
+    return value ? value.replace(resetRegex(regexs.XTEXT_HEX), (match, hex) => String.fromCharCode(parseInt(hex, 16))) : undefined;
+}
+
+/**
+ * 从说明文字中提取增强状态码，没有时根据SMTP响应码推断(5xx -> 5.0.0)
+ */
+function _statusFromText(text) {
+    let match;
+    if ((match = text.match(regexs.ENHANCED_STATUS))) return match[1];
+    if ((match = text.match(regexs.SMTP_REPLY_CODE))) return `${match[1].charAt(0)}.0.0`;
+    return undefined;
+}
+
+/**
+ * 创建收件人的投递结果
+ */
+function _createResult(fields, messageId) {
+    const diagnosticCode = _typedValue(fields['diagnostic-code']), status = (fields.status || '').match(regexs.ENHANCED_STATUS),
+        result = {
+            recipient: _typedValue(fields['final-recipient'] || fields['original-recipient'])?.toLowerCase(),
+            originalRecipient: _xtext(_typedValue(fields['original-recipient'])), messageId, action: fields.action?.toLowerCase(),
+            status: status ? status[1] : _statusFromText(diagnosticCode || ''), diagnosticCode, remoteMta: _typedValue(fields['remote-mta']),
+            lastAttemptDate: fields['last-attempt-date']
+        };
+    Object.keys(result).forEach(key => result[key] === undefined && delete result[key]);
+    result.classification = classifyBounce(result);
+    return result;
+}
+
+/**
+ * 遍历MIME节点树
+ */
+function _walk(node, fn) {
+    fn(node), node.childNodes.forEach(child => _walk(child, fn));
+}
+
+/**
+ * 获取节点内容的文本
+ */
+function _text(node) {
+    return node?.content ? decodeCharset(node.content, node.params.charset) : '';
+}
+
+/**
+ * 获取原邮件的Message-ID：优先使用附带的原邮件或原邮件头，否则在正文中查找
+ */
+function _findMessageId(tree, texts) {
+    let original;
+    _walk(tree, node => !original && node !== tree && ORIGINAL_TYPES.includes(node.contentType) && node.content && (original = node));
+    const sources = original ? [_text(original).split(regexs.HEADER_BODY_SEPARATOR)[0], ...texts] : texts;
+    for (const text of sources) {
+        const match = text.match(regexs.MESSAGE_ID_LINE);
+        if (match) return match[1];
+    }
+    return undefined;
+}
+
+/**
+ * 从非标准退信的正文中提取收件人和失败原因(qmail, Exim等格式：收件人地址单独一行，其后为失败说明；
+ * Postfix格式：失败说明从收件人地址的同一行开始)
+ *
+ * @param {String} text 退信正文
+ * @return {Array} 字段列表 [{final-recipient, diagnostic-code}]
+ */
+function _parseBounceText(text) {
+    const results = [];
+    let current = null;
+
+    for (const line of text.replace(resetRegex(regexs.LINEBREAKS), '\n').split('\n')) {
+        if (regexs.BOUNCE_ORIGINAL_MARKER.test(line)) break; // 原邮件部分不再查找
+        const match = line.match(regexs.BOUNCE_QMAIL_RECIPIENT) || line.match(regexs.BOUNCE_INDENTED_RECIPIENT);
+        if (match) {
+            current = { 'final-recipient': match[1], lines: match[2] ? [match[2]] : [] }; // Postfix的失败原因从同一行开始
+            if (!results.some(result => result['final-recipient'].toLowerCase() === match[1].toLowerCase())) results.push(current);
+        }
+        else if (!line.trim()) current = current?.lines.length ? null : current;
+        else if (current) current.lines.push(line.trim());
+    }
+
+    return results.map(({ lines, ...fields }) => ({ ...fields, action: 'failed', 'diagnostic-code': lines.join(' ') || undefined }));
+}
+
+/**
+ * 解析退信：标准的投递状态报告(multipart/report; report-type=delivery-status)，以及常见的非标准退信
+ *
+ * @param {Object} parsed parseMail的解析结果 {data, tree}
+ * @return {Object|null} 退信信息 {format, messageId, envelopeId, reportingMta, arrivalDate, recipients}，不是退信时为null
+ */
+function _parseBounce({ data, tree }) {
+    const texts = [];
+    let report;
+    _walk(tree, node => {
+        if (!report && DSN_TYPES.includes(node.contentType)) report = node;
+        else if (node.contentType === 'text/plain' && node.content && node.disposition !== 'attachment') texts.push(_text(node));
+    });
+    const messageId = _findMessageId(tree, texts);
+
+    if (report) {
+        // 每条消息字段在前，其后每个收件人一个字段块(部分MTA省略每条消息字段)
+        const blocks = _parseFieldBlocks(_text(report)), perMessage = blocks[0] && !blocks[0]['final-recipient'] ? blocks.shift() : {},
+            perRecipient = blocks, result = {
+                format: 'dsn', messageId, envelopeId: _xtext(perMessage['original-envelope-id']),
+                reportingMta: _typedValue(perMessage['reporting-mta']), arrivalDate: perMessage['arrival-date'],
+                recipients: perRecipient.filter(fields => fields['final-recipient'] || fields['original-recipient'])
+                    .map(fields => _createResult(fields, messageId))
+            };
+        Object.keys(result).forEach(key => result[key] === undefined && delete result[key]);
+        return result;
+    }
+
+    // 非标准退信：发件人或主题像退信，或者有X-Failed-Recipients头(Exim)
+    const from = data.from?.address || '', failed = tree.headers.filter(header => header.key === 'x-failed-recipients')
+        .flatMap(header => header.raw.split(',')).map(address => address.trim()).filter(Boolean);
+    if (!failed.length && !regexs.BOUNCE_SENDER.test(from) && !regexs.BOUNCE_SUBJECT.test(data.subject || '')) return null;
+
+    let fields = texts.flatMap(_parseBounceText);
+    if (failed.length) {
+        const found = new Map(fields.map(item => [item['final-recipient'].toLowerCase(), item]));
+        fields = failed.map(address => found.get(address.toLowerCase()) || { 'final-recipient': address, action: 'failed' });
+    }
+    if (!fields.length) return null;
+
+    const recipients = fields.map(item => _createResult(item, messageId));
+    return { format: 'heuristic', ...(messageId && { messageId }), recipients };
+}
+
+/**
+ * 解析退信
+ *
+ * @param {String|Buffer|Stream|Object} input 原始邮件，或parseMail的解析结果 {data, tree}
+ * @param {Function} [callback] 回调函数 (err, bounce)，不是退信时bounce为null
+ * @return {Promise|undefined} 未提供回调时返回Promise
+ */
+function parseBounce(input, callback) {
+    const promise = !callback ? new Promise((resolve, reject) => callback = callbackPromise(resolve, reject)) : null;
+    const done = (err, parsed) => {
+        if (err) return callback(err);
+        let bounce;
+        try {
+            bounce = _parseBounce(parsed);
+        } catch (err) {
+            return callback(err);
+        }
+        callback(null, bounce);
+    };
+
+    if (input && input.tree && input.data) setImmediate(() => done(null, input));
+    else parseMail(input, done);
+    return promise;
+}
+
+module.exports = { parseBounce, classifyBounce };
\ No newline at end of file
@@ -0,0 +1,405 @@
+'use strict';
+
+const { Writable, PassThrough } = require('stream');
+const addressparser = require('../addressparser');
+const { QpDecoder } = require('../qp');
+const { Base64Decoder } = require('../base64');
+const { decodeWords, parseHeaderValue, decodeHeaderValue } = require('../mime-funcs');
+const { decodeCharset } = require('../mime-funcs/charsets');
+const { callbackPromise, regexs, resetRegex } = require('../shared');
+
+// 地址头对应的邮件数据字段(from和sender只有一个地址)
+const ADDRESS_FIELDS = { from: 'from', sender: 'sender', to: 'to', cc: 'cc', bcc: 'bcc', 'reply-to': 'replyTo' };
+// 正文内容类型对应的邮件数据字段
+const BODY_FIELDS = { 'text/plain': 'text', 'text/html': 'html', 'text/watch-html': 'watchHtml', 'text/x-amp-html': 'amp' };
+// 不复制到邮件数据headers中的头：MIME结构头(重新发送时重新生成)和投递过程中添加的跟踪头
+const SKIPPED_HEADERS = [
+    'mime-version', 'x-priority', 'x-msmail-priority', 'importance', 'received', 'return-path', 'delivered-to', 'x-original-to',
+    'dkim-signature', 'arc-seal', 'arc-message-signature', 'arc-authentication-results', 'authentication-results'
+];
+// 超过此长度仍未找到换行符的正文行按部分行处理(分隔线不会这么长)
+const MAX_LINE_LENGTH = 64 * 1024;
+
+// 用法示例：
+/*
+const { parseMail } = require('lunjack-mail');
+
+const { data, tree } = await parseMail(fs.createReadStream('message.eml'));
+// data -> { from: { name: '张三', address: 'zhangsan@example.com' }, to: [...], subject: '...', text: '...', html: '...',
+//           attachments: [{ filename: 'report.pdf', contentType: 'application/pdf', content: <Buffer> }], headers: [...] }
+
+// 编辑后重新发送
+await transporter.sendMail({ ...data, to: 'other@example.com', messageId: undefined });
+
+// 流式读取附件(附件流必须被读取，否则解析会暂停)
+const parser = new MailParser({ streamAttachments: true });
+parser.on('attachment', attachment => attachment.content.pipe(fs.createWriteStream(attachment.filename)));
+parser.on('finish', () => console.log(parser.data.subject));
+fs.createReadStream('message.eml').pipe(parser);
+*/
+
+/**
+ * 流式MIME解析器：将原始邮件(RFC 822 / .eml)解析为MIME节点树，并生成与sendMail相同格式的邮件数据
+ *
+ * 每个节点为 {contentType, params, disposition, dispositionParams, encoding, headers, childNodes, content, size}，
+ * headers为 [{key: 小写头名称, name: 原始头名称, value: 解码后的值, raw: 展开后的原始值}]；
+ * 非multipart节点的content为解码传输编码后的内容(流式附件除外)
+ *
+ * 可用的选项如下：
+ *
+ *  **streamAttachments** 如果为true，附件不缓存到内存中，而是通过'attachment'事件以流的形式输出
+ *
+ * 触发的事件：'headers'(根节点的头解析完成), 'attachment'(流式附件), 'finish'(解析完成，结果在data和tree属性中)
+ *
+ * @constructor
+ * @param {Object} [options] 解析选项
+ */
+class MailParser extends Writable {
+    constructor(options = {}) {
+        super();
+        this.options = options || {};
+        this.tree = this._createNode(null), this.data = null;
+        // 当前节点,当前节点的状态('header'或'body'),未闭合的multipart节点,上个数据块中不完整的行
+        this._node = this.tree, this._state = 'header', this._multiparts = [], this._remainder = Buffer.alloc(0);
+        // 各正文字段是否已找到,尚未结束的正文流数量,解析完成的回调,需要等待排空的流
+        this._bodies = {}, this._pending = 0, this._finished = null, this._waitFor = null;
+    }
+
+    _write(chunk, encoding, done) {
+        if (typeof chunk === 'string') chunk = Buffer.from(chunk, encoding);
+        const buffer = this._remainder.length ? Buffer.concat([this._remainder, chunk]) : chunk;
+        let pos = 0, index;
+
+        this._waitFor = null;
+        try {
+            while ((index = buffer.indexOf(0x0a, pos)) >= 0) this._processLine(buffer.subarray(pos, index + 1)), pos = index + 1;
+            this._remainder = buffer.subarray(pos);
+            // 过长的正文行直接写入，避免缓存过多数据
+            if (this._state === 'body' && this._remainder.length > MAX_LINE_LENGTH)
+                this._writeBody(this._node, this._remainder, false), this._remainder = Buffer.alloc(0);
+        } catch (err) {
+            return done(err);
+        }
+
+        const stream = this._waitFor;
+        if (!stream) return done();
+        // 附件流的缓冲区已满，等待读取后继续
+        const onDrain = () => (stream.removeListener('drain', onDrain), stream.removeListener('close', onDrain), done());
+        stream.on('drain', onDrain), stream.on('close', onDrain);
+    }
+
+    _final(done) {
+        try {
+            if (this._remainder.length) this._processLine(this._remainder), this._remainder = Buffer.alloc(0);
+            if (this._state === 'header') this._endHeaders(this._node);
+            if (!this._node.multipart) this._endBody(this._node);
+        } catch (err) {
+            return done(err);
+        }
+
+        this._finished = () => {
+            try {
+                this.data = this._buildData();
+            } catch (err) {
+                return done(err);
+            }
+            done();
+        };
+        if (!this._pending) this._finished();
+    }
+
+    /**
+     * 创建MIME节点
+     *
+     * @param {Object} parentNode 父节点(multipart节点)
+     * @return {Object} MIME节点
+     */
+    _createNode(parentNode) {
+        // multipart/digest的子节点默认为message/rfc822
+        const contentType = parentNode?.multipart === 'digest' ? 'message/rfc822' : 'text/plain';
+        return {
+            contentType, params: {}, disposition: '', dispositionParams: {}, encoding: '7bit', multipart: false, boundary: null,
+            headers: [], childNodes: [], content: null, size: 0, _headerLines: [], _decoder: null, _newline: null
+        };
+    }
+
+    /**
+     * 处理一行输入(包含行结束符)
+     *
+     * @param {Buffer} line 输入行
+     */
+    _processLine(line) {
+        const node = this._node;
+        if (this._state === 'header') return this._processHeaderLine(node, line);
+
+        const boundary = this._matchBoundary(line);
+        if (boundary) return this._processBoundary(boundary);
+        if (!node.multipart) this._writeBody(node, line, true); // multipart节点的序言和结语被忽略
+    }
+
+    /**
+     * 处理头部中的一行
+     */
+    _processHeaderLine(node, line) {
+        const text = line.toString('utf-8').replace(regexs.OPTIONAL_CRLF, ''), headerLines = node._headerLines;
+        if (!text.trim()) return this._endHeaders(node);
+
+        // 跳过mbox格式的"From "分隔行
+        if (node === this.tree && !headerLines.length && text.startsWith('From ')) return;
+        if (regexs.FOLDED_HEADER_LINE.test(text) && headerLines.length) headerLines[headerLines.length - 1] += text;
+        else if (text.includes(':')) headerLines.push(text);
+    }
+
+    /**
+     * 头部结束：解析头并开始处理正文
+     *
+     * @param {Object} node MIME节点
+     */
+    _endHeaders(node) {
+        node.headers = node._headerLines.map(line => {
+            const index = line.indexOf(':'), name = line.substring(0, index).trim(), raw = line.substring(index + 1).trim();
+            return { key: name.toLowerCase(), name, value: decodeWords(raw), raw };
+        });
+        node._headerLines = [];
+
+        const header = key => node.headers.filter(header => header.key === key).pop(), contentType = header('content-type'),
+            disposition = header('content-disposition'), encoding = header('content-transfer-encoding');
+
+        if (contentType) {
+            const { value, params } = decodeHeaderValue(contentType.raw);
+            if (value.includes('/')) node.contentType = value.toLowerCase();
+            // 分隔线使用未解码的原始值
+            node.boundary = parseHeaderValue(contentType.raw).params.boundary || null, node.params = params;
+        }
+        if (disposition) {
+            const { value, params } = decodeHeaderValue(disposition.raw);
+            node.disposition = value.toLowerCase(), node.dispositionParams = params;
+        }
+        if (encoding) node.encoding = encoding.raw.toLowerCase();
+
+        // 有分隔线的multipart节点包含子节点，没有分隔线时按普通节点处理
+        if (regexs.MULTIPART.test(node.contentType) && node.boundary) node.multipart = node.contentType.split('/').pop(), this._multiparts.push(node);
+        else node.boundary = null;
+
+        this._state = 'body';
+        if (node === this.tree) this.emit('headers', node.headers);
+        if (!node.multipart) this._startBody(node);
+    }
+
+    /**
+     * 检查行是否为未闭合的multipart节点的分隔线
+     *
+     * @param {Buffer} line 输入行
+     * @return {Object|null} 分隔线信息 {node: multipart节点, final: 是否为结束分隔线}
+     */
+    _matchBoundary(line) {
+        if (line[0] !== 0x2d || line[1] !== 0x2d || !this._multiparts.length) return null;
+        const text = line.toString('latin1').trimEnd();
+        // 从最内层的multipart节点开始匹配(外层的分隔线也会闭合内层节点)
+        for (let i = this._multiparts.length - 1; i >= 0; i--) {
+            const node = this._multiparts[i];
+            if (text === `--${node.boundary}`) return { node, final: false };
+            if (text === `--${node.boundary}--`) return { node, final: true };
+        }
+        return null;
+    }
+
+    /**
+     * 处理分隔线：结束当前节点，开始新的子节点或闭合multipart节点
+     */
+    _processBoundary({ node, final }) {
+        if (this._state === 'header') this._endHeaders(this._node);
+        if (!this._node.multipart) this._endBody(this._node);
+        while (this._multiparts[this._multiparts.length - 1] !== node) this._multiparts.pop();
+
+        if (final) return this._multiparts.pop(), this._node = node;
+        const child = this._createNode(node);
+        node.childNodes.push(child), this._node = child, this._state = 'header';
+    }
+
+    /**
+     * 确定节点在邮件数据中的用途：正文字段(text, html, watchHtml, amp),日历事件,替代内容或附件
+     *
+     * @param {Object} node MIME节点
+     * @return {String} 用途
+     */
+    _getRole(node) {
+        // 非multipart节点开始时，最内层未闭合的multipart节点即为父节点
+        const field = BODY_FIELDS[node.contentType], inAlternative = this._multiparts[this._multiparts.length - 1]?.multipart === 'alternative',
+            hasFilename = !!(node.dispositionParams.filename || node.params.name);
+        if (node.disposition === 'attachment' || hasFilename) return 'attachment';
+        if (field && !this._bodies[field]) return field;
+        if (node.contentType === 'text/calendar' && inAlternative && !this._bodies.icalEvent) return 'icalEvent';
+        return inAlternative && node.contentType !== 'message/rfc822' ? 'alternative' : 'attachment';
+    }
+
+    /**
+     * 开始节点的正文：创建传输编码解码器并收集内容
+     *
+     * @param {Object} node 非multipart的MIME节点
+     */
+    _startBody(node) {
+        const decoder = node.encoding === 'base64' ? new Base64Decoder() : node.encoding === 'quoted-printable' ? new QpDecoder()
+            : new PassThrough();
+        node._decoder = decoder, node._role = this._getRole(node), this._bodies[node._role] = true, this._pending++;
+        const done = () => (this._pending--, !this._pending && this._finished && this._finished());
+
+        if (node._role === 'attachment' && this.options.streamAttachments) {
+            node._attachment = this._createAttachment(node, decoder);
+            decoder.once('end', done), this.emit('attachment', node._attachment);
+            return;
+        }
+
+        const chunks = [];
+        decoder.on('data', chunk => (chunks.push(chunk), node.size += chunk.length));
+        decoder.once('end', () => (node.content = Buffer.concat(chunks, node.size), done()));
+    }
+
+    /**
+     * 写入正文内容。行结束符延迟写入，分隔线之前的换行属于分隔线而不属于内容
+     *
+     * @param {Object} node MIME节点
+     * @param {Buffer} line 输入行
+     * @param {Boolean} complete 是否为完整的行(包含行结束符)
+     */
+    _writeBody(node, line, complete) {
+        const decoder = node._decoder;
+        if (!decoder) return;
+        const write = chunk => chunk.length && !decoder.write(chunk) && (this._waitFor = decoder),
+            length = !complete ? line.length : line[line.length - 1] !== 0x0a ? line.length
+                : line[line.length - 2] === 0x0d ? line.length - 2 : line.length - 1;
+
+        if (node._newline) write(node._newline);
+        write(line.subarray(0, length)), node._newline = complete ? Buffer.from(line.subarray(length)) : null;
+    }
+
+    /**
+     * 结束节点的正文
+     */
+    _endBody(node) {
+        if (node._decoder) node._decoder.end(), node._decoder = null, node._newline = null;
+    }
+
+    /**
+     * 获取节点的内容类型(文本内容保留charset参数)
+     */
+    _contentType(node) {
+        return node.params.charset ? `${node.contentType}; charset=${node.params.charset}` : node.contentType;
+    }
+
+    /**
+     * 创建附件数据 {filename, contentType, contentDisposition, cid, content}
+     *
+     * @param {Object} node MIME节点
+     * @param {Buffer|Stream} content 附件内容
+     * @return {Object} 附件数据
+     */
+    _createAttachment(node, content) {
+        const filename = node.dispositionParams.filename || node.params.name, cid = node.headers.find(header => header.key === 'content-id'),
+            attachment = { contentType: this._contentType(node) };
+        if (filename) attachment.filename = filename;
+        if (node.disposition === 'inline' || node.disposition === 'attachment') attachment.contentDisposition = node.disposition;
+        if (cid) attachment.cid = cid.raw.replace(resetRegex(regexs.ANGLE_BRACKETED), '$1').trim();
+        attachment.content = content;
+        return attachment;
+    }
+
+    /**
+     * 解析地址头，名称中的MIME字被解码
+     *
+     * @param {String} raw 地址头的原始值
+     * @return {Array} 地址列表 [{name, address}] 或 [{name, group: [...]}]
+     */
+    _parseAddresses(raw) {
+        const decode = item => item.group ? { name: decodeWords(item.name), group: item.group.map(decode) }
+            : { name: decodeWords(item.name), address: item.address };
+        return addressparser(raw).map(decode);
+    }
+
+    /**
+     * 根据节点树生成sendMail格式的邮件数据
+     *
+     * @return {Object} 邮件数据
+     */
+    _buildData() {
+        const data = {}, headers = [], root = this.tree;
+        let priority;
+
+        root.headers.forEach(({ key, name, value, raw }) => {
+            const field = ADDRESS_FIELDS[key];
+            if (field) {
+                if (data[field] !== undefined) return;
+                const list = this._parseAddresses(raw);
+                return data[field] = field === 'from' || field === 'sender' ? list[0] : list;
+            }
+
+            switch (key) {
+                case 'subject': data.subject = data.subject ?? value; break;
+                case 'message-id': data.messageId = raw; break;
+                case 'in-reply-to': data.inReplyTo = raw; break;
+                case 'references': data.references = (raw.match(resetRegex(regexs.ANGLE_BRACKETED)) || []); break;
+                case 'date': {
+                    const date = new Date(raw);
+                    data.date = isNaN(date.getTime()) ? raw : date;
+                    break;
+                }
+                // X-Priority为1-5的数字(1,2为高,4,5为低)，Importance和X-MSMail-Priority为High/Normal/Low
+                case 'x-priority': priority = priority || { 1: 'high', 2: 'high', 4: 'low', 5: 'low' }[raw.charAt(0)]; break;
+                case 'importance':
+                case 'x-msmail-priority': priority = priority || { high: 'high', low: 'low' }[raw.toLowerCase()]; break;
+                default:
+                    if (!SKIPPED_HEADERS.includes(key) && !regexs.CONTENT_HEADER.test(key)) headers.push({ key: name, value });
+            }
+        });
+        if (priority) data.priority = priority;
+        if (headers.length) data.headers = headers;
+
+        // 按文档顺序收集正文,日历事件,替代内容和附件
+        const attachments = [], alternatives = [], walk = node => {
+            if (node.multipart) return node.childNodes.forEach(walk);
+            const role = node._role, content = node.content || Buffer.alloc(0);
+
+            if (BODY_FIELDS[node.contentType] === role)
+                data[role] = decodeCharset(content, node.params.charset).replace(resetRegex(regexs.LINEBREAKS), '\n');
+            else if (role === 'icalEvent')
+                data.icalEvent = { ...(node.params.method && { method: node.params.method }), content: decodeCharset(content, node.params.charset) };
+            else if (role === 'alternative') alternatives.push({ contentType: this._contentType(node), content });
+            else attachments.push(node._attachment || this._createAttachment(node, content));
+        };
+        walk(root);
+
+        // 日历事件同时作为application/ics附件发送，避免重新发送时重复
+        const files = data.icalEvent ? attachments.filter(attachment => attachment.contentType !== 'application/ics') : attachments;
+        if (alternatives.length) data.alternatives = alternatives;
+        if (files.length) data.attachments = files;
+        return data;
+    }
+}
+
+/**
+ * 解析原始邮件
+ *
+ * @param {String|Buffer|Stream} input 原始邮件(RFC 822 / .eml)
+ * @param {Object} [options] 解析选项，见MailParser
+ * @param {Function} [callback] 回调函数 (err, {data, tree})
+ * @return {Promise|undefined} 未提供回调时返回Promise
+ */
+function parseMail(input, options, callback) {
+    if (!callback && typeof options === 'function') callback = options, options = {};
+    const promise = !callback ? new Promise((resolve, reject) => callback = callbackPromise(resolve, reject)) : null,
+        parser = new MailParser(options);
+
+    let finished = false;
+    const done = (err, result) => !finished && (finished = true, callback(err, result));
+    parser.once('error', done), parser.once('finish', () => done(null, { data: parser.data, tree: parser.tree }));
+
+    if (input && typeof input.pipe === 'function') {
+        input.once('error', err => (parser.destroy(), done(err)));
+        input.pipe(parser);
+    }
+    else parser.end(Buffer.isBuffer(input) ? input : Buffer.from(String(input ?? ''), 'utf-8'));
+
+    return promise;
+}
+
+module.exports = { MailParser, parseMail };
\ No newline at end of file
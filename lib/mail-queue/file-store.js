@@ -0,0 +1,118 @@
+'use strict';
+
+const path = require('path');
+const { fs, OS, createError } = require('../shared');
+
+const DEFAULT_DIR = path.join(OS.tmpdir(), 'lunjack-mail-queue'); // 默认队列目录的上级目录
+
+/**
+ * 基于文件系统的队列存储,每条队列条目保存为两个文件：
+ *
+ *  **<id>.eml** 编译后的原始邮件内容
+ *  **<id>.json** 条目元数据(信封,尝试次数,下次尝试时间等)
+ *
+ * 元数据文件总是最后写入(先写临时文件再重命名),因此只有元数据完整的条目才会在重启后被恢复。
+ * 自定义存储只需实现相同的回调风格方法：init, save, update, load, remove, list
+ *
+ * @constructor
+ * @param {Object} options 可选配置参数
+ * @param {String} [options.dir] 队列目录
+ * @param {String} [options.name] 队列名称，未指定dir时使用默认目录下以名称命名的子目录
+ */
+class FileStore {
+    constructor(options = {}) {
+        const { dir, name } = options;
+        if (!dir && !name) throw createError('FileStore需要指定队列目录(dir)或队列名称(name)', 'EQUEUE');
+        this.dir = dir || path.join(DEFAULT_DIR, name);
+    }
+
+    /**
+     * 初始化存储(创建队列目录)
+     *
+     * @param {Function} callback 回调函数
+     */
+    init(callback) {
+        fs.mkdir(this.dir, { recursive: true }, err => callback(err || null));
+    }
+
+    /**
+     * 保存新的队列条目及其邮件内容
+     *
+     * @param {Object} entry 队列条目元数据
+     * @param {Buffer} message 编译后的邮件
+     * @param {Function} callback 回调函数
+     */
+    save(entry, message, callback) {
+        fs.writeFile(this._path(entry.id, 'eml'), message, err => err ? callback(err) : this.update(entry, callback));
+    }
+
+    /**
+     * 更新队列条目元数据
+     *
+     * @param {Object} entry 队列条目元数据
+     * @param {Function} callback 回调函数
+     */
+    update(entry, callback) {
+        const file = this._path(entry.id, 'json'), tmpFile = `${file}.tmp`;
+        fs.writeFile(tmpFile, JSON.stringify(entry), err => err ? callback(err) : fs.rename(tmpFile, file, callback));
+    }
+
+    /**
+     * 读取队列条目的邮件内容
+     *
+     * @param {String} id 条目ID
+     * @param {Function} callback 回调函数 (err, message)
+     */
+    load(id, callback) {
+        fs.readFile(this._path(id, 'eml'), callback);
+    }
+
+    /**
+     * 删除队列条目(文件不存在时忽略)
+     *
+     * @param {String} id 条目ID
+     * @param {Function} callback 回调函数
+     */
+    remove(id, callback) {
+        let pending = 3, error = null;
+        ['json', 'json.tmp', 'eml'].forEach(ext => fs.unlink(this._path(id, ext), err => {
+            if (err && err.code !== 'ENOENT') error = err;
+            if (!--pending) callback(error);
+        }));
+    }
+
+    /**
+     * 列出所有队列条目元数据(无法解析的条目将被跳过)
+     *
+     * @param {Function} callback 回调函数 (err, entries)
+     */
+    list(callback) {
+        fs.readdir(this.dir, (err, files) => {
+            if (err) return callback(err);
+            const entries = [], names = files.filter(file => path.extname(file) === '.json');
+            let pending = names.length;
+            if (!pending) return callback(null, entries);
+
+            names.forEach(name => fs.readFile(path.join(this.dir, name), 'utf8', (err, json) => {
+                if (!err) {
+                    try {
+                        entries.push(JSON.parse(json));
+                    } catch (E) {
+                        // 忽略损坏的元数据文件
+                    }
+                }
+                if (!--pending) callback(null, entries.sort((a, b) => a.created - b.created));
+            }));
+        });
+    }
+
+    /**
+     * 获取条目文件路径
+     */
+    _path(id, ext) {
+        return path.join(this.dir, `${id}.${ext}`);
+    }
+}
+
+// 导出
+module.exports = FileStore;
\ No newline at end of file
@@ -0,0 +1,252 @@
+'use strict';
+
+// 引入所需模块
+const EventEmitter = require('events');
+const { randomBytes, createHash } = require('crypto');
+const MimeNode = require('../mime-node');
+const FileStore = require('./file-store');
+const { createError, resolveStream } = require('../shared');
+
+const RETRY_DELAY = 60 * 1000;                // 首次重试延迟(1分钟)
+const MAX_RETRY_DELAY = 60 * 60 * 1000;       // 最大重试延迟(1小时)
+const MAX_AGE = 5 * 24 * 60 * 60 * 1000;      // 消息在队列中的最长保留时间(5天)
+const MAX_TIMEOUT = 0x7fffffff;               // setTimeout允许的最大延迟
+const TEMPORARY_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS']; // 没有响应码时视为临时失败的错误代码
+
+/**
+ * 持久化发送队列。编译后的邮件先写入存储再交给传输器投递，
+ * 临时失败(4xx响应,连接被拒绝或关闭,DNS错误,超时)按指数退避重试，超过最长保留时间或永久失败时退信
+ *
+ * 可用的选项如下：
+ *
+ *  **store** 自定义存储对象(默认为FileStore)
+ *  **dir** FileStore使用的队列目录(默认为系统临时目录下按队列名称区分的子目录)
+ *  **name** 队列名称，默认根据传输器类型,主机,端口和用户名生成。
+ *    每个条目都记录写入它的队列名称，启动时只恢复名称相同的条目，因此共用传输配置的多个应用应设置不同的名称
+ *  **retryDelay** 首次重试延迟(毫秒)，之后每次翻倍
+ *  **maxRetryDelay** 最大重试延迟(毫秒)
+ *  **maxAge** 消息最长保留时间(毫秒)
+ *
+ * 触发的事件：'queued'(加入队列), 'retry'(安排重试), 'sent'(投递成功), 'bounced'(退信)
+ *
+ * @constructor
+ * @param {Object} mailer Mailer实例
+ * @param {Object|Boolean} options 队列配置参数
+ */
+class MailQueue extends EventEmitter {
+    constructor(mailer, options = {}) {
+        super();
+        if (typeof options !== 'object') options = {};
+        const { store, dir, name, retryDelay, maxRetryDelay, maxAge } = options;
+        this.mailer = mailer, this.logger = mailer.logger, this.name = String(name || this._transportKey());
+        this.store = store || new FileStore({ dir, name: this.name });
+        this.retryDelay = Number(retryDelay) || RETRY_DELAY, this.maxRetryDelay = Number(maxRetryDelay) || MAX_RETRY_DELAY;
+        this.maxAge = Number(maxAge) || MAX_AGE;
+        // 重试定时器,等待初始化的操作,是否已初始化,初始化错误,是否已关闭
+        this._timers = new Map(), this._waiting = [], this._ready = false, this._initError = null, this._closed = false;
+        this._init();
+    }
+
+    /**
+     * 初始化存储并恢复上次进程退出时未完成的条目
+     */
+    _init() {
+        const done = err => {
+            this._ready = true, this._initError = err || null;
+            if (err) this.logger.error({ err, tnx: 'queue' }, '邮件队列初始化失败: %s', err.message);
+            while (this._waiting.length) this._waiting.shift()();
+        };
+
+        this.store.init(err => {
+            if (err) return done(err);
+            this.store.list((err, entries = []) => {
+                if (err) return done(err);
+                // 只恢复本队列写入的条目，其他传输器或应用的条目不能通过当前传输器投递
+                entries = entries.filter(entry => entry.queue === this.name);
+                if (entries.length) this.logger.info({ tnx: 'queue' }, '从队列存储中恢复 %s 条待投递消息', entries.length);
+                entries.forEach(entry => this._schedule(entry)), done();
+            });
+        });
+    }
+
+    /**
+     * 将邮件写入队列存储并立即尝试首次投递
+     *
+     * 回调结果：投递成功时返回传输器结果；临时失败时返回 {queued: true, queueId, ...}；永久失败时返回错误
+     *
+     * @param {Object} mail 邮件对象
+     * @param {Function} callback 回调函数
+     */
+    send(mail, callback) {
+        const run = () => {
+            if (this._initError) return callback(this._initError);
+            if (this._closed) return callback(createError('邮件队列已关闭', 'EQUEUE'));
+
+            resolveStream(mail.message.createReadStream(), (err, message) => {
+                if (err) return callback(err);
+                const { envelope, dsn } = mail.data, entry = {
+                    id: `${Date.now().toString(36)}-${randomBytes(6).toString('hex')}`, messageId: mail.message.messageId(),
+                    envelope: envelope || mail.message.getEnvelope(), dsn, queue: this.name, created: Date.now(), attempts: 0
+                };
+
+                this.store.save(entry, message, err => {
+                    if (err) {
+                        this.logger.error({ err, tnx: 'queue', messageId: entry.messageId }, '写入队列存储失败: %s', err.message);
+                        return callback(err);
+                    }
+                    this.logger.debug({ tnx: 'queue', queueId: entry.id }, '消息 %s 已加入队列 %s', entry.messageId, entry.id);
+                    this.emit('queued', this._eventInfo(entry)), this._attempt(entry, message, mail.data, callback);
+                });
+            });
+        };
+
+        this._ready ? run() : this._waiting.push(run);
+    }
+
+    /**
+     * 停止所有重试定时器(已存储的条目保留在存储中，下次启动时恢复)
+     */
+    close() {
+        this._closed = true, this._timers.forEach(timer => clearTimeout(timer)), this._timers.clear();
+    }
+
+    /**
+     * 通过传输器投递一次队列条目
+     *
+     * @param {Object} entry 队列条目
+     * @param {Buffer} message 编译后的邮件
+     * @param {Object} data 原始邮件数据(仅在当前进程内可用)
+     * @param {Function} callback 回调函数
+     */
+    _attempt(entry, message, data, callback) {
+        const { envelope, dsn, messageId } = entry, node = new MimeNode().setRaw(message);
+        node.setHeader('Message-ID', messageId), entry.attempts++;
+        if (typeof this.mailer.getSocket === 'function') this.mailer._setupTransporterSocket(); // 恢复的条目可能早于首次sendMail
+
+        // 传输器会在信封对象上记录发送状态，因此传递副本
+        const mail = { data: { ...data, envelope: { ...envelope, to: [].concat(envelope.to || []) }, dsn }, message: node };
+        this.mailer.transporter.send(mail, (err, info) => this._handleResult(entry, data, err, info, callback));
+    }
+
+    /**
+     * 根据投递结果移除,重试或退回队列条目
+     */
+    _handleResult(entry, data, err, info, callback) {
+        const deferred = this._deferredRecipients(err || info), { id: queueId, messageId } = entry;
+        if (!deferred.length && (!err || !this._isTemporary(err))) {
+            if (err) return this._bounce(entry, err), callback(err);
+            this._remove(entry), this.emit('sent', { ...this._eventInfo(entry), response: info?.response });
+            return callback(null, info);
+        }
+
+        if (deferred.length) entry.envelope = { ...entry.envelope, to: deferred }; // 仅重试被延迟的收件人
+        const reason = err || info.rejectedErrors?.find(e => deferred.includes(e.recipient))
+            || createError('收件人投递被延迟', 'EQUEUE');
+        if (!this._retry(entry, data, reason)) return err ? callback(err) : callback(null, info);
+
+        callback(null, err ? { envelope: entry.envelope, messageId, queueId, queued: true, response: err.response || err.message }
+            : { ...info, queueId, queued: true });
+    }
+
+    /**
+     * 按指数退避安排下一次投递，超过最长保留时间时退信
+     *
+     * @returns {Boolean} 是否已安排重试
+     */
+    _retry(entry, data, reason) {
+        const { id, messageId, attempts, created } = entry,
+            delay = Math.min(this.retryDelay * 2 ** Math.max(attempts - 1, 0), this.maxRetryDelay);
+        if (Date.now() + delay - created > this.maxAge) return this._bounce(entry, reason), false;
+
+        entry.nextAttempt = Date.now() + delay, entry.lastError = reason.response || reason.message;
+        this.store.update(entry, err => {
+            if (err) this.logger.error({ err, tnx: 'queue', queueId: id }, '更新队列条目 %s 失败: %s', id, err.message);
+        });
+        this.logger.info({ tnx: 'queue', queueId: id, messageId }, '消息 %s 投递失败(第 %s 次)，将在 %s 秒后重试: %s',
+            messageId, attempts, Math.round(delay / 1000), entry.lastError);
+        this.emit('retry', { ...this._eventInfo(entry), nextAttempt: new Date(entry.nextAttempt), error: reason });
+        this._schedule(entry, data);
+        return true;
+    }
+
+    /**
+     * 为队列条目设置定时器，到期后从存储读取邮件并投递
+     */
+    _schedule(entry, data = {}) {
+        if (this._closed) return;
+        const { id } = entry, delay = Math.min(Math.max((entry.nextAttempt || 0) - Date.now(), 0), MAX_TIMEOUT),
+            timer = setTimeout(() => {
+                this._timers.delete(id);
+                this.store.load(id, (err, message) => {
+                    if (err) return this._bounce(entry, err);
+                    this._attempt(entry, message, data, () => false); // 重试结果通过事件通知
+                });
+            }, delay);
+
+        clearTimeout(this._timers.get(id)), this._timers.set(id, timer);
+        timer.unref(); // 等待重试不阻止进程退出，条目保留在存储中
+    }
+
+    /**
+     * 退信：移除队列条目并触发'bounced'事件
+     */
+    _bounce(entry, err) {
+        const { id, messageId } = entry;
+        this.logger.error({ err, tnx: 'queue', queueId: id, messageId }, '消息 %s 被退回: %s', messageId, err.message);
+        this._remove(entry), this.emit('bounced', { ...this._eventInfo(entry), error: err });
+    }
+
+    /**
+     * 从存储中删除队列条目
+     */
+    _remove(entry) {
+        const { id } = entry;
+        clearTimeout(this._timers.get(id)), this._timers.delete(id);
+        this.store.remove(id, err => {
+            if (err) this.logger.error({ err, tnx: 'queue', queueId: id }, '删除队列条目 %s 失败: %s', id, err.message);
+        });
+    }
+
+    /**
+     * 获取需要重试的收件人(传输器报告的延迟收件人或4xx拒绝的收件人)
+     *
+     * @param {Object} result 传输器返回的结果或错误
+     * @returns {Array} 收件人地址列表
+     */
+    _deferredRecipients(result) {
+        if (Array.isArray(result?.deferred)) return result.deferred;
+        return (result?.rejectedErrors || []).filter(err => err.recipient && this._isTemporary(err)).map(err => err.recipient);
+    }
+
+    /**
+     * 检查错误是否为临时失败：有响应码时按4xx判断，没有响应码时(服务器未响应)按错误代码判断
+     *
+     * @param {Error} err 错误对象
+     * @returns {Boolean} 是否应重试
+     */
+    _isTemporary(err) {
+        const code = Number(err?.responseCode);
+        return code ? code >= 400 && code < 500 : TEMPORARY_CODES.includes(err?.code);
+    }
+
+    /**
+     * 根据传输器类型,主机,端口和用户名生成默认的队列名称
+     *
+     * @returns {String} 队列名称
+     */
+    _transportKey() {
+        const { name, options } = this.mailer.transporter, { service, host, port, auth, path } = options || {},
+            key = JSON.stringify([name, service, host, port, auth?.user, path]);
+        return `${String(name || 'transport').toLowerCase()}-${createHash('sha256').update(key).digest('hex').substring(0, 16)}`;
+    }
+
+    /**
+     * 生成事件参数
+     */
+    _eventInfo({ id, messageId, envelope, attempts }) {
+        return { id, messageId, envelope, attempts };
+    }
+}
+
+// 导出
+module.exports = MailQueue;
\ No newline at end of file
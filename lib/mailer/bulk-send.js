@@ -0,0 +1,127 @@
+'use strict';
+
+const { Readable } = require('stream');
+const TemplateEngine = require('../templates/engine');
+const { createError } = require('../shared');
+
+// 个性化渲染的邮件字段(html转义变量)
+const PERSONALIZED_FIELDS = ['subject', 'text', 'html'];
+
+/**
+ * 批量发送：为每个收件人创建个性化邮件并通过Mailer.sendMail发送，按对象模式流输出每个收件人的结果
+ *
+ * 收件人可以是地址字符串，或 {to, context, ...其他邮件字段} 对象(覆盖模板中的同名字段)；
+ * 收件人列表可以是数组、可迭代对象或异步可迭代对象
+ *
+ * 个性化：邮件数据中设置了template时由模板渲染器渲染；否则subject, text和html字符串使用内置模板引擎渲染，
+ * 上下文对象为模板的context与收件人的context合并后的结果
+ *
+ * 输出的结果为 {index, recipient, info} 或 {index, recipient, error}；单个收件人失败不会中止批量发送。
+ * 全部完成后设置summary属性 {total, sent, failed, duration} 并触发'summary'事件
+ *
+ * @constructor
+ * @param {Object} mailer Mailer实例
+ * @param {Object} template 所有邮件共用的邮件数据
+ * @param {Array|Iterable|AsyncIterable} recipients 收件人列表
+ * @param {Object} [options] 选项 {concurrency: 同时发送的邮件数}
+ */
+class BulkSend extends Readable {
+    constructor(mailer, template = {}, recipients = [], options = {}) {
+        super({ objectMode: true, highWaterMark: options.highWaterMark || 16 });
+        this.mailer = mailer, this.template = template, this.summary = null;
+        this.concurrency = Math.max(Number(options.concurrency) || mailer.transporter.options?.maxConnections || 5, 1);
+        this._engine = new TemplateEngine(), this._inflight = 0, this._index = 0, this._done = false, this._reading = false;
+        this._startTime = Date.now(), this._stats = { total: 0, sent: 0, failed: 0 };
+
+        // 统一为next(callback)形式读取收件人(支持同步和异步迭代器，单个收件人视为只有一项的列表)
+        const list = recipients || [], iterator = typeof list[Symbol.asyncIterator] === 'function' ? list[Symbol.asyncIterator]()
+            : typeof list[Symbol.iterator] === 'function' && typeof list !== 'string' ? list[Symbol.iterator]() : [list][Symbol.iterator]();
+        this._nextRecipient = callback => {
+            let result;
+            try {
+                result = iterator.next();
+            } catch (err) {
+                return callback(err);
+            }
+            if (result && typeof result.then === 'function') return result.then(value => callback(null, value), callback);
+            callback(null, result);
+        };
+    }
+
+    /**
+     * 流需要更多数据时开始发送下一批邮件
+     */
+    _read() {
+        this._fill();
+    }
+
+    /**
+     * 在并发数限制内继续读取收件人并发送
+     */
+    _fill() {
+        if (this._reading || this._done || this.destroyed || this._inflight >= this.concurrency) return;
+        this._reading = true;
+        this._nextRecipient((err, result) => {
+            this._reading = false;
+            if (err) return this.destroy(err);
+            if (!result || result.done) return this._done = true, this._finish();
+
+            this._send(this._index++, result.value), this._fill();
+        });
+    }
+
+    /**
+     * 发送单个收件人的邮件
+     *
+     * @param {Number} index 收件人序号
+     * @param {String|Object} recipient 收件人
+     */
+    _send(index, recipient) {
+        this._inflight++, this._stats.total++;
+        const done = (error, info) => {
+            this._inflight--, error ? this._stats.failed++ : this._stats.sent++;
+            if (this.destroyed) return;
+            const more = this.push(error ? { index, recipient, error } : { index, recipient, info });
+            this._finish();
+            if (more) this._fill();
+        };
+
+        let data;
+        try {
+            data = this._personalize(recipient);
+        } catch (err) {
+            return setImmediate(() => done(err));
+        }
+        this.mailer.sendMail(data, done);
+    }
+
+    /**
+     * 创建收件人的个性化邮件数据
+     *
+     * @param {String|Object} recipient 收件人
+     * @return {Object} 邮件数据
+     */
+    _personalize(recipient) {
+        const { context: recipientContext, ...overrides } = typeof recipient === 'string' ? { to: recipient } : recipient || {},
+            context = { ...this.template.context, ...recipientContext }, data = { ...this.template, ...overrides, context };
+        if (!data.to) throw createError('收件人缺少to地址', 'EENVELOPE');
+
+        // 未使用模板渲染器时，使用内置模板引擎渲染字符串字段
+        if (!data.template)
+            PERSONALIZED_FIELDS.filter(key => typeof data[key] === 'string')
+                .forEach(key => data[key] = this._engine.render(data[key], context, { escape: key === 'html', part: key }));
+        return data;
+    }
+
+    /**
+     * 所有收件人处理完成后输出汇总并结束流
+     */
+    _finish() {
+        if (!this._done || this._inflight || this.summary) return;
+        this.summary = { ...this._stats, duration: Date.now() - this._startTime };
+        this.mailer.logger.info({ tnx: 'bulk', ...this.summary }, '批量发送完成: %s 封成功, %s 封失败', this.summary.sent, this.summary.failed);
+        this.emit('summary', this.summary), this.push(null);
+    }
+}
+
+module.exports = BulkSend;
\ No newline at end of file
@@ -5,7 +5,15 @@ const EventEmitter = require('events');
 const { randomBytes } = require('crypto');
 const MailComposer = require('../mail-composer');
 const MailMessage = require('./mail-message');
+const BulkSend = require('./bulk-send');
 const DKIM = require('../dkim');
+const ARC = require('../dkim/arc');
+const MailQueue = require('../mail-queue');
+const Templates = require('../templates');
+const { htmlToText } = require('../html-to-text');
+const { processHtml } = require('../html-processor');
+const { embedImages } = require('../embed-images');
+const { unsubscribeUrls } = require('../unsubscribe');
 const httpProxyClient = require('../http-proxy-client');
 const { detectExtension } = require('../mime-funcs');
 const { PK, util, NET, dns, regexs, resetRegex, getLogger, callbackPromise, newURL } = require('../shared');
@@ -21,13 +29,23 @@ class Mail extends EventEmitter {
         super();
         this.options = options, this._defaults = defaults; // 初始化选项和默认值
 
+        // 模板渲染器（可选），渲染结果先于其他编译阶段插件写入邮件数据
+        const { templates } = this.options;
+        this.templates = templates ? new Templates(templates === true ? {} : templates) : false;
+
         // 默认插件配置（编译和流处理阶段）
-        this._defaultPlugins = { compile: [(...args) => this._convertDataImages(...args)], stream: [] };
+        this._defaultPlugins = {
+            compile: [(...args) => this._generateUnsubscribe(...args), (...args) => this._processHtml(...args),
+                (...args) => this._convertDataImages(...args), (...args) => this._embedImages(...args),
+                (...args) => this._generateTextFromHtml(...args)], stream: []
+        };
+        if (this.templates) this._defaultPlugins.compile.unshift(this.templates.plugin());
 
         this._userPlugins = { compile: [], stream: [] };     // 用户自定义插件
         this.meta = new Map();                               // 元数据存储
-        const { dkim, proxy, component = 'mail' } = this.options;
+        const { dkim, arc, proxy, queue, component = 'mail' } = this.options;
         this.dkim = dkim ? new DKIM(dkim) : false;           // DKIM配置（域名密钥识别邮件）
+        this.arc = arc ? new ARC(arc) : false;               // ARC配置（转发认证链封装）
         this.transporter = transporter, this.transporter.mailer = this;                 // 设置传输器并建立反向引用
         this.logger = getLogger(this.options, { component }); // 初始化日志记录器
         this.logger.debug({ tnx: 'create' }, '创建传输器: %s', this.getVersionString()); // 记录创建日志
@@ -43,9 +61,15 @@ class Mail extends EventEmitter {
                 .on('idle', (...args) => this.emit('idle', ...args)).on('clear', (...args) => this.emit('clear', ...args));
         }
 
+        // 持久化发送队列（可选），转发队列事件
+        this.queue = queue ? new MailQueue(this, queue) : false;
+        if (this.queue)
+            ['queued', 'retry', 'sent', 'bounced'].forEach(event => this.queue.on(event, (...args) => this.emit(event, ...args)));
+
         // 为底层传输器对象添加可选方法
-        ['close', 'isIdle', 'verify'].forEach(method => {
+        ['close', 'isIdle', 'verify', 'getRateLimitState', 'cancel', 'queueStats'].forEach(method => {
             this[method] = (...args) => {
+                if (method === 'close' && this.queue) this.queue.close(); // 关闭时停止队列重试定时器
                 if (typeof this.transporter[method] === 'function') {
                     // 特殊处理verify方法，设置getSocket
                     if (method === 'verify' && typeof this.getSocket === 'function') this._setupTransporterSocket();
@@ -96,21 +120,26 @@ class Mail extends EventEmitter {
         const { name, version } = this.transporter;
         this.logger.debug({ tnx: 'transport', name, version, action: 'send' }, '使用 %s/%s 发送邮件', name, version);
 
+        // 出错时记录日志并回调,返回true表示应停止后续处理
         const _isCallbackErr = (err, action, context, tnx = 'plugin') => {
-            if (err) {
-                this.logger.error({ err, tnx, action }, context, err.message);
-                return callback(err);
-            }
+            if (!err) return false;
+            this.logger.error({ err, tnx, action }, context, err.message), callback(err);
+            return true;
         };
 
         // 处理编译阶段插件
         this._processPlugins('compile', mail, err => {
-            _isCallbackErr(err, 'compile', '插件编译错误: %s'), mail.message = new MailComposer(mail.data).compile();
+            if (_isCallbackErr(err, 'compile', '插件编译错误: %s')) return;
+            try {
+                mail.message = new MailComposer(mail.data).compile();
+            } catch (err) {
+                return _isCallbackErr(err, 'compile', '邮件编译错误: %s', 'compile'); // 如不支持的字符集
+            }
             mail.setMailerHeader(), mail.setPriorityHeaders(), mail.setListHeaders(); // 设置各种邮件头
 
             // 处理流阶段插件
             this._processPlugins('stream', mail, err => {
-                _isCallbackErr(err, 'stream', '插件流错误: %s');
+                if (_isCallbackErr(err, 'stream', '插件流错误: %s')) return;
                 const mailDKIM = mail.data.dkim;
                 // DKIM签名处理
                 if (mailDKIM || this.dkim) {
@@ -127,9 +156,23 @@ class Mail extends EventEmitter {
                     });
                 }
 
-                // 使用传输器发送邮件
-                this.transporter.send(mail, (err, ...args) => {
-                    _isCallbackErr(err, 'send', '发送错误: %s', 'transport'), callback(null, ...args);
+                const mailARC = mail.data.arc;
+                // ARC封装处理(在DKIM签名之后进行,ARC-Message-Signature会覆盖DKIM签名后的邮件)
+                if (mailARC || this.arc) {
+                    mail.message.processFunc(input => {
+                        // 使用邮件数据中的ARC配置或全局ARC配置
+                        const arc = mailARC ? new ARC(mailARC) : this.arc, { domainName, keySelector } = arc.options;
+                        this.logger.debug(
+                            { tnx: 'ARC', messageId: mail.message.messageId(), arcDomain: `${keySelector}.${domainName}` },
+                            '为外发邮件添加ARC头组'
+                        );
+                        return arc.seal(input);
+                    });
+                }
+
+                // 使用传输器发送邮件(启用队列时先写入队列存储)
+                (this.queue || this.transporter).send(mail, (err, ...args) => {
+                    if (!_isCallbackErr(err, 'send', '发送错误: %s', 'transport')) callback(null, ...args);
                 });
             });
         });
@@ -137,6 +180,20 @@ class Mail extends EventEmitter {
         return promise;
     }
 
+    /**
+     * 批量发送：为每个收件人创建个性化邮件并发送(通过连接池发送时遵循maxConnections和rateLimit)
+     * 返回对象模式的可读流(也可以使用for await遍历)，每个收件人输出一个结果 {index, recipient, info|error}，
+     * 单个收件人失败不会中止批量发送；全部完成后设置summary属性并触发'summary'事件
+     *
+     * @param {Object} template 所有邮件共用的邮件数据，subject, text和html可以使用模板变量
+     * @param {Array|Iterable|AsyncIterable} recipients 收件人列表，每项为地址字符串或 {to, context, ...其他邮件字段}
+     * @param {Object} [options] 选项 {concurrency: 同时发送的邮件数，默认为传输器的maxConnections或5}
+     * @return {BulkSend} 结果流
+     */
+    sendBulk(template, recipients, options = {}) {
+        return new BulkSend(this, template, recipients, options);
+    }
+
     /**
      * 获取版本字符串
      */
@@ -283,6 +340,94 @@ class Mail extends EventEmitter {
         });
     }
 
+    /**
+     * 生成RFC 8058一键退订地址(传输器选项或邮件数据中设置了unsubscribe时)：
+     * 使用收件人的签名令牌生成https退订地址(和可选的mailto地址)作为list.unsubscribe，编译后添加List-Unsubscribe-Post头
+     * 邮件数据中的unsubscribe可以是false(跳过)或覆盖传输器选项的对象，如 { recipient, list }
+     * @param {Object} mail 邮件对象
+     * @param {Function} callback 回调函数
+     */
+    _generateUnsubscribe(mail, callback) {
+        const options = this.options.unsubscribe, { unsubscribe, raw } = mail.data;
+        if (unsubscribe === false || (!options && !unsubscribe) || raw) return callback();
+
+        let urls;
+        try {
+            urls = unsubscribeUrls(mail.data, typeof options === 'object' ? options : {});
+        } catch (err) {
+            return callback(err);
+        }
+        mail.data.list = { ...mail.data.list, unsubscribe: urls }, mail.unsubscribeUrl = urls[0];
+        callback();
+    }
+
+    /**
+     * 将HTML中引用的远程和本地图片转换为内嵌附件(邮件数据或传输器选项中设置了embedImages时)
+     * embedImages可以是true或选项对象，如 { allow: ['cdn.example.com'], baseDir: './assets', maxSize: 1048576, timeout: 5000 }
+     * 无法获取的图片保留原地址并记录警告日志
+     * @param {Object} mail 邮件对象
+     * @param {Function} callback 回调函数
+     */
+    _embedImages(mail, callback) {
+        const { html, raw, disableFileAccess, disableUrlAccess } = mail.data, options = mail.data.embedImages ?? this.options.embedImages;
+        if (!options || !html || raw) return callback();
+
+        mail.resolveContent(mail.data, 'html', (err, content = '') => {
+            if (err) return callback(err);
+            embedImages(content, { ...(typeof options === 'object' ? options : {}), disableFileAccess, disableUrlAccess }, (err, result) => {
+                if (err) return callback(err);
+                result.skipped.forEach(({ src, error }) =>
+                    this.logger.warn({ tnx: 'embed', src, err: error }, '无法嵌入图片 %s: %s', src, error.message));
+                mail.data.html = result.html;
+                mail.data.attachments = [].concat(mail.data.attachments || [], result.attachments);
+                callback();
+            });
+        });
+    }
+
+    /**
+     * 处理HTML内容(邮件数据或传输器选项中设置了processHtml时)：内联<style>中的CSS规则，移除脚本和事件处理属性，解析相对URL
+     * processHtml可以是true或处理选项对象，如 { inlineCss: true, sanitize: true, baseUrl: 'https://example.com/' }
+     * @param {Object} mail 邮件对象
+     * @param {Function} callback 回调函数
+     */
+    _processHtml(mail, callback) {
+        const { html, raw } = mail.data, options = mail.data.processHtml ?? this.options.processHtml;
+        if (!options || !html || raw) return callback();
+
+        mail.resolveContent(mail.data, 'html', (err, content = '') => {
+            if (err) return callback(err);
+            try {
+                mail.data.html = processHtml(content, typeof options === 'object' ? options : {});
+            } catch (err) {
+                return callback(err);
+            }
+            callback();
+        });
+    }
+
+    /**
+     * 根据HTML内容生成纯文本替代内容(邮件数据或传输器选项中设置了textFromHtml，且未提供text时)
+     * textFromHtml可以是true或转换选项对象，如 { footnotes: false }
+     * @param {Object} mail 邮件对象
+     * @param {Function} callback 回调函数
+     */
+    _generateTextFromHtml(mail, callback) {
+        const { text, html, raw } = mail.data, textFromHtml = mail.data.textFromHtml ?? this.options.textFromHtml;
+        if (!textFromHtml || text || !html || raw) return callback();
+
+        mail.resolveContent(mail.data, 'html', (err, content = '') => {
+            if (err) return callback(err);
+            mail.data.html = content; // 避免再次读取文件或URL
+            try {
+                mail.data.text = htmlToText(content, typeof textFromHtml === 'object' ? textFromHtml : {});
+            } catch (err) {
+                return callback(err);
+            }
+            callback();
+        });
+    }
+
     /**
      * 设置元数据
      * @param {*} key 键
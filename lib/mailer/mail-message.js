@@ -4,12 +4,13 @@
 const MimeNode = require('../mime-node');
 const { regexs, resetRegex, resolveContent } = require('../shared');
 const { detectExtension, detectMimeType, isPlainText, encodeWord } = require('../mime-funcs');
+const { ONE_CLICK } = require('../unsubscribe');
 
 // 定义 MailMessage 类
 class MailMessage {
     // 构造函数，初始化邮件消息对象
     constructor(mailer, data = {}) {
-        this.mailer = mailer, this.message = null;
+        this.mailer = mailer, this.message = null, this.unsubscribeUrl = null; // unsubscribeUrl: 一键退订地址(由unsubscribe选项生成)
         const { options = {}, _defaults = {} } = mailer;
         this.data = this._buildMailData(data, _defaults, options); // 初始化所有数据
     }
@@ -180,6 +181,8 @@ class MailMessage {
             this._getListHeaders(list).forEach(listHeader => {
                 listHeader.value.forEach(value => this.message.addHeader(listHeader.key, value));
             });
+        // RFC 8058 一键退订
+        if (this.unsubscribeUrl) this.message.setHeader('List-Unsubscribe-Post', ONE_CLICK);
     }
 
     // 获取列表头部
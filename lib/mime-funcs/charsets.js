@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * 旧字符集编码器(GB18030, GBK, GB2312, Big5, Shift_JIS, ISO-2022-JP)，用于向不支持UTF-8的旧邮件系统发送邮件
+ *
+ * 编码表在首次使用时由Node.js内置的WHATWG解码器(TextDecoder)反向生成，不依赖原生模块或额外的数据文件
+ */
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { regexs, resetRegex, createError } = require('../shared');
+
+// 支持的字符集：MIME名称,生成编码表使用的解码器,双字节编码的首字节和尾字节范围
+const CHARSETS = {
+    gb18030: { label: 'GB18030', decoder: 'gb18030', leads: [[0x81, 0xfe]], trails: [[0x40, 0x7e], [0x80, 0xfe]] },
+    gbk: { label: 'GBK', decoder: 'gbk', leads: [[0x81, 0xfe]], trails: [[0x40, 0x7e], [0x80, 0xfe]] },
+    gb2312: { label: 'GB2312', decoder: 'gbk', leads: [[0xa1, 0xf7]], trails: [[0xa1, 0xfe]] },
+    // Big5只使用标准区(首字节0xA1起)，多个位置对应同一字符时以下字符使用最后一个位置(与WHATWG编码器一致)
+    big5: {
+        label: 'Big5', decoder: 'big5', leads: [[0xa1, 0xfe]], trails: [[0x40, 0x7e], [0xa1, 0xfe]],
+        last: [0x2550, 0x255e, 0x2561, 0x256a, 0x5341, 0x5345]
+    },
+    // 跳过NEC选定的IBM扩展字符(0xED-0xEF，与0xFA-0xFC重复)和用户自定义区(0xF0-0xF9)
+    shift_jis: { label: 'Shift_JIS', decoder: 'shift_jis', leads: [[0x81, 0x9f], [0xe0, 0xec], [0xfa, 0xfc]], trails: [[0x40, 0x7e], [0x80, 0xfc]] },
+    // JIS X 0208字符集，由EUC-JP双字节区生成(去掉最高位即为ISO-2022-JP的7位编码)
+    'iso-2022-jp': { label: 'ISO-2022-JP', decoder: 'euc-jp', leads: [[0xa1, 0xfe]], trails: [[0xa1, 0xfe]] }
+};
+
+// 字符集别名(去掉连字符,下划线和空白后的小写名称)
+const ALIASES = {
+    gb18030: 'gb18030', gbk: 'gbk', cp936: 'gbk', windows936: 'gbk', gb2312: 'gb2312', euccn: 'gb2312', big5: 'big5', cp950: 'big5',
+    shiftjis: 'shift_jis', sjis: 'shift_jis', cp932: 'shift_jis', windows31j: 'shift_jis', iso2022jp: 'iso-2022-jp',
+    csiso2022jp: 'iso-2022-jp'
+};
+// 不需要转换的字符集
+const UTF8_CHARSETS = ['utf8', 'usascii', 'ascii'];
+
+// ISO-2022-JP的转义序列(ASCII, JIS X 0201罗马字, JIS X 0208)
+const ISO_2022_JP_ESCAPES = { ascii: [0x1b, 0x28, 0x42], roman: [0x1b, 0x28, 0x4a], jis: [0x1b, 0x24, 0x42] };
+// 编码表缓存
+const tables = new Map();
+
+/**
+ * 获取规范化的字符集名称
+ *
+ * @param {String} name 字符集名称(如'GBK', 'Shift-JIS', 'iso-2022-jp')
+ * @param {Boolean} [loose] 如果为true，不支持的字符集返回null而不是抛出错误
+ * @return {String|null} 规范化的字符集名称；UTF-8, ASCII或未设置时返回null(无需转换)
+ * @throws {Error} 不支持的字符集(ECHARSET)
+ */
+function getCharset(name, loose) {
+    const key = String(name || '').toLowerCase().replace(resetRegex(regexs.ENCODING_FORMAT), '');
+    if (!key || UTF8_CHARSETS.includes(key) || (loose && !ALIASES[key])) return null;
+    if (!ALIASES[key]) throw createError(`不支持的字符集: ${name}，可用的字符集为 ${Object.values(CHARSETS).map(c => c.label).join(', ')}`, 'ECHARSET');
+    return ALIASES[key];
+}
+
+/**
+ * 获取字符集的MIME名称(用于Content-Type的charset参数和编码字)
+ *
+ * @param {String} charset 规范化的字符集名称
+ * @return {String} MIME名称
+ */
+function charsetLabel(charset) {
+    return CHARSETS[charset] ? CHARSETS[charset].label : 'UTF-8';
+}
+
+/**
+ * 在给定的字节范围内遍历所有组合
+ */
+function _eachByte(ranges, fn) {
+    ranges.forEach(([start, end]) => {
+        for (let byte = start; byte <= end; byte++) fn(byte);
+    });
+}
+
+/**
+ * 由解码器反向生成字符集的编码表(码位 -> 双字节或四字节编码值)
+ *
+ * @param {String} charset 规范化的字符集名称
+ * @return {Map} 编码表
+ */
+function _getTable(charset) {
+    if (tables.has(charset)) return tables.get(charset);
+
+    const { decoder: decoderName, leads, trails, last = [] } = CHARSETS[charset], table = new Map(), bytes = new Uint8Array(2);
+    let decoder;
+    try {
+        decoder = new TextDecoder(decoderName);
+    } catch (err) {
+        throw createError(`当前Node.js不支持${decoderName}解码器(需要完整的ICU数据)，无法生成${charsetLabel(charset)}编码表`, 'ECHARSET');
+    }
+
+    _eachByte(leads, lead => _eachByte(trails, trail => {
+        bytes[0] = lead, bytes[1] = trail;
+        const chr = decoder.decode(bytes), cp = chr.codePointAt(0);
+        // 只记录解码为单个非ASCII字符的组合(跳过无效组合和组合字符序列)
+        if (chr.length !== String.fromCodePoint(cp).length || cp < 0x80 || cp === 0xfffd) return;
+        if (!table.has(cp) || last.includes(cp)) table.set(cp, lead << 8 | trail);
+    }));
+
+    // GB18030的四字节编码(基本多文种平面中双字节未覆盖的字符)
+    if (charset === 'gb18030') {
+        const quad = new Uint8Array(4);
+        for (let b1 = 0x81; b1 <= 0x84; b1++) for (let b2 = 0x30; b2 <= 0x39; b2++)
+            for (let b3 = 0x81; b3 <= 0xfe; b3++) for (let b4 = 0x30; b4 <= 0x39; b4++) {
+                quad[0] = b1, quad[1] = b2, quad[2] = b3, quad[3] = b4;
+                const chr = decoder.decode(quad), cp = chr.charCodeAt(0);
+                if (chr.length === 1 && cp >= 0x80 && cp !== 0xfffd && !table.has(cp)) table.set(cp, ((b1 << 24) | (b2 << 16) | (b3 << 8) | b4) >>> 0);
+            }
+    }
+
+    // ISO-2022-JP没有半角片假名，使用对应的全角片假名(浊点和半浊点使用非组合形式)
+    if (charset === 'iso-2022-jp')
+        for (let cp = 0xff61; cp <= 0xff9f; cp++) {
+            const full = String.fromCharCode(cp).normalize('NFKC').replace('゙', '゛').replace('゚', '゜');
+            if (table.has(full.charCodeAt(0))) table.set(cp, table.get(full.charCodeAt(0)));
+        }
+
+    tables.set(charset, table);
+    return table;
+}
+
+/**
+ * 创建无法编码的字符错误
+ */
+function _unmappableError(chr, index, charset) {
+    const cp = chr.codePointAt(0).toString(16).toUpperCase().padStart(4, '0'), label = charsetLabel(charset);
+    return createError(`字符 "${chr}" (U+${cp}，位置 ${index}) 无法使用 ${label} 编码`, 'ECHARSET', { character: chr, charset: label, index });
+}
+
+/**
+ * 使用ISO-2022-JP编码字符串(有状态的7位编码，每行和结尾都切换回ASCII)
+ */
+function _encodeIso2022Jp(str, table) {
+    const result = [];
+    let mode = 'ascii', index = 0;
+    const switchTo = next => mode !== next && (result.push(...ISO_2022_JP_ESCAPES[next]), mode = next);
+
+    for (const chr of str) {
+        const cp = chr.codePointAt(0);
+        if (cp === 0x0a || cp === 0x0d) switchTo('ascii'), result.push(cp);
+        // SO, SI和ESC会破坏转义序列状态
+        else if (cp < 0x80 && ![0x0e, 0x0f, 0x1b].includes(cp)) {
+            if (mode !== 'roman' || cp === 0x5c || cp === 0x7e) switchTo('ascii');
+            result.push(cp);
+        }
+        else if (cp === 0xa5 || cp === 0x203e) switchTo('roman'), result.push(cp === 0xa5 ? 0x5c : 0x7e);
+        else {
+            const code = table.get(cp === 0x2212 ? 0xff0d : cp);
+            if (!code) throw _unmappableError(chr, index, 'iso-2022-jp');
+            switchTo('jis'), result.push(code >> 8 & 0x7f, code & 0x7f);
+        }
+        index += chr.length;
+    }
+    switchTo('ascii');
+    return Buffer.from(result);
+}
+
+/**
+ * 将字符串编码为指定字符集
+ *
+ * @param {String} str 要编码的字符串
+ * @param {String} charset 字符集名称
+ * @return {Buffer} 编码后的内容
+ * @throws {Error} 不支持的字符集或无法编码的字符(ECHARSET)
+ */
+function encodeCharset(str, charset) {
+    str = String(str ?? ''), charset = getCharset(charset);
+    if (!charset) return Buffer.from(str, 'utf-8');
+
+    const table = _getTable(charset);
+    if (charset === 'iso-2022-jp') return _encodeIso2022Jp(str, table);
+
+    const result = [];
+    let index = 0;
+    for (const chr of str) {
+        const cp = chr.codePointAt(0);
+        let code;
+        if (cp < 0x80) result.push(cp);
+        else if (charset === 'gbk' && cp === 0x20ac) result.push(0x80);
+        else if (charset === 'shift_jis' && (cp === 0x80 || cp === 0xa5 || cp === 0x203e || (cp >= 0xff61 && cp <= 0xff9f)))
+            result.push(cp === 0x80 ? 0x80 : cp === 0xa5 ? 0x5c : cp === 0x203e ? 0x7e : cp - 0xff61 + 0xa1);
+        // GB18030辅助平面字符按线性位置计算四字节编码
+        else if (charset === 'gb18030' && cp >= 0x10000) {
+            let pointer = cp - 0x10000 + 189000;
+            const b1 = Math.floor(pointer / 12600);
+            pointer %= 12600;
+            const b2 = Math.floor(pointer / 1260);
+            pointer %= 1260;
+            result.push(b1 + 0x81, b2 + 0x30, Math.floor(pointer / 10) + 0x81, pointer % 10 + 0x30);
+        }
+        else if ((code = table.get(charset === 'shift_jis' && cp === 0x2212 ? 0xff0d : cp))) {
+            if (code > 0xffff) result.push(code >>> 24, code >> 16 & 0xff, code >> 8 & 0xff, code & 0xff);
+            else result.push(code >> 8, code & 0xff);
+        }
+        else throw _unmappableError(chr, index, charset);
+        index += chr.length;
+    }
+    return Buffer.from(result);
+}
+
+/**
+ * 将UTF-8流转换为指定字符集的转换流
+ *
+ * @constructor
+ * @param {String} charset 字符集名称
+ */
+class CharsetEncoder extends Transform {
+    constructor(charset) {
+        super();
+        this.charset = charset, this._decoder = new StringDecoder('utf8');
+    }
+
+    _transform(chunk, encoding, done) {
+        this._encode(typeof chunk === 'string' ? chunk : this._decoder.write(chunk), done);
+    }
+
+    _flush(done) {
+        this._encode(this._decoder.end(), done);
+    }
+
+    _encode(str, done) {
+        let encoded;
+        try {
+            encoded = encodeCharset(str, this.charset);
+        } catch (err) {
+            return done(err);
+        }
+        if (encoded.length) this.push(encoded);
+        done();
+    }
+}
+
+/**
+ * 将指定字符集的内容解码为字符串
+ * 使用WHATWG解码器，未知或当前Node.js不支持的字符集按UTF-8解码
+ *
+ * @param {Buffer} buffer 要解码的内容
+ * @param {String} [charset='utf-8'] 字符集名称
+ * @return {String} 解码后的字符串
+ */
+function decodeCharset(buffer, charset) {
+    const key = getCharset(charset, true), label = key ? CHARSETS[key].label : String(charset || 'utf-8').trim();
+    let decoder;
+    try {
+        decoder = new TextDecoder(key === 'gb2312' ? 'gbk' : label);
+    } catch (err) {
+        decoder = new TextDecoder('utf-8');
+    }
+    return decoder.decode(buffer);
+}
+
+module.exports = { getCharset, charsetLabel, encodeCharset, decodeCharset, CharsetEncoder };
\ No newline at end of file
@@ -4,7 +4,8 @@ const path = require('path');
 const { MIME_TYPES, EXTENSIONS } = require('./mime-types');
 const { regexs, resetRegex } = require('../regexs');
 const { base64Encode } = require('../base64');
-const { qpEncode } = require('../qp');
+const { qpEncode, qpDecode } = require('../qp');
+const { getCharset, charsetLabel, encodeCharset, decodeCharset } = require('./charsets');
 
 const defaultMimeType = 'application/octet-stream'; // 默认的MIME类型(通用的二进制数据流)
 const defaultExtension = 'bin'; // 默认的文件扩展名
@@ -36,28 +37,60 @@ function hasLongerLines(str, lineLength) {
 }
 
 /**
- * 将字符串或Buffer编码为UTF-8 MIME字（rfc2047）
+ * 使用MIME字的Q编码(rfc2047)编码字符串或Buffer
+ *
+ * @param {String|Buffer} data 要编码的内容
+ * @return {String} 编码后的字符串
+ */
+function _encodeQ(data) {
+    const rNSC = resetRegex(regexs.NON_SAFE_CHAR);
+    return qpEncode(data).replace(rNSC, chr => {
+        const ord = chr.charCodeAt(0).toString(16).toUpperCase(), XX = ord.length === 1 ? `0${ord}` : ord
+        return chr === ' ' ? '_' : `=${XX}`;// 如果字符是空格，则使用_;否则使用=XX
+    });
+}
+
+/**
+ * 将字符串编码为旧字符集(如GBK, ISO-2022-JP)的MIME字。按字符拆分为多个块，每个块单独编码，
+ * 保证多字节字符不被拆开，ISO-2022-JP的每个MIME字都以ASCII状态结束
+ *
+ * @param {String} str 要编码的字符串
+ * @param {String} encoding MIME字的编码，Q或B
+ * @param {Number} maxLength 编码后内容的最大长度(0表示不拆分)
+ * @param {String} charset 规范化的字符集名称
+ * @return {String} 单个或多个以空格连接的MIME字
+ */
+function _encodeLegacyWord(str, encoding, maxLength, charset) {
+    const encode = chunk => encoding === 'Q' ? _encodeQ(encodeCharset(chunk, charset)) : base64Encode(encodeCharset(chunk, charset)),
+        parts = [];
+    let chunk = '';
+    for (const chr of str) {
+        if (chunk && maxLength && encode(chunk + chr).length > maxLength) parts.push(encode(chunk)), chunk = chr;
+        else chunk += chr;
+    }
+    if (chunk || !parts.length) parts.push(encode(chunk));
+    return parts.map(part => `=?${charsetLabel(charset)}?${encoding}?${part}?=`).join(' ');
+}
+
+/**
+ * 将字符串或Buffer编码为MIME字（rfc2047），默认使用UTF-8
  *
  * @param {String|Buffer} data 要编码的字符串
  * @param {String} mimeWordEncoding='Q' MIME字的编码，Q或B
  * @param {Number} [maxLength=0] 如果设置，根据需要将MIME字拆分为多个块
+ * @param {String} [charset] 字符集(GB18030, GBK, GB2312, Big5, Shift_JIS或ISO-2022-JP)，字符串会先转换为该字符集
  * @return {String} 单个或多个连接在一起的MIME字
  */
-function encodeWord(data, mimeWordEncoding = "Q", maxLength = 0) {
-    const newMWE = mimeWordEncoding.toString().toUpperCase().trim().charAt(0);
+function encodeWord(data, mimeWordEncoding = "Q", maxLength = 0, charset) {
+    const newMWE = mimeWordEncoding.toString().toUpperCase().trim().charAt(0), legacyCharset = getCharset(charset);
 
     let encodedStr;
-    const toCharset = 'UTF-8', offset = 7 + toCharset.length;
+    const toCharset = legacyCharset ? charsetLabel(legacyCharset) : 'UTF-8', offset = 7 + toCharset.length;
     maxLength && maxLength > offset && (maxLength -= offset);
+    if (legacyCharset && typeof data === 'string') return _encodeLegacyWord(data, newMWE === 'B' ? 'B' : 'Q', maxLength, legacyCharset);
 
     // 如果mimeWordEncoding为Q，则使用qp编码，否则使用base64编码
-    if (newMWE === 'Q') {
-        const rNSC = resetRegex(regexs.NON_SAFE_CHAR);
-        encodedStr = qpEncode(data).replace(rNSC, chr => {
-            const ord = chr.charCodeAt(0).toString(16).toUpperCase(), XX = ord.length === 1 ? `0${ord}` : ord
-            return chr === ' ' ? '_' : `=${XX}`;// 如果字符是空格，则使用_;否则使用=XX
-        });
-    }
+    if (newMWE === 'Q') encodedStr = _encodeQ(data);
     // 否则如果mimeWordEncoding为B，则使用base64编码
     else if (newMWE === 'B') {
         encodedStr = typeof data === 'string' ? data : base64Encode(data);
@@ -85,6 +118,8 @@ function encodeWord(data, mimeWordEncoding = "Q", maxLength = 0) {
             encodedStr = parts.length > 1 ? parts.join(delimiter) : parts.join('');
         }
     }
+    // 不需要拆分时整体编码为base64
+    else if (newMWE === 'B' && typeof data === 'string') encodedStr = base64Encode(data);
 
     return `=?${toCharset}?${newMWE}?${encodedStr}${encodedStr.slice(-2) === '?=' ? '' : '?='}`; // 返回编码后的字符串
 }
@@ -96,22 +131,54 @@ function encodeWord(data, mimeWordEncoding = "Q", maxLength = 0) {
  * @param {String} mimeWordEncoding='Q' MIME字的编码，Q或B
  * @param {Number} [maxLength=0] 如果设置，根据需要将MIME字拆分为多个块
  * @param {Boolean} [encodeAll=false] 如果为true且值需要编码，则编码整个字符串，而不仅仅是最小匹配
+ * @param {String} [charset] MIME字使用的字符集，默认为UTF-8
  * @return {String} 可能包含MIME字的字符串
  */
-function encodeWords(value, mimeWordEncoding = "Q", maxLength = 0, encodeAll) {
+function encodeWords(value, mimeWordEncoding = "Q", maxLength = 0, encodeAll, charset) {
     // 查找第一个和最后一个是否包含不可打印ASCII或特殊符号的单词,如果找不到，则返回原始值
     const firstMatch = value.match(regexs.FIRST_NON_ASCII_WORD), lastMatch = value.match(regexs.LAST_NON_ASCII_WORD);
     if (!firstMatch || !lastMatch) return value;
     // 如果请求编码所有内容或字符串包含类似编码字的内容，则返回编码后的所有内容
-    if (encodeAll) return encodeWord(value, mimeWordEncoding, maxLength);
+    if (encodeAll) return encodeWord(value, mimeWordEncoding, maxLength, charset);
 
     const startIndex = firstMatch.index + firstMatch[0].length - firstMatch[0].trimStart().length,
         endIndex = lastMatch.index + (lastMatch[1] || '').length, startStr = startIndex ? value.substring(0, startIndex) : '',
         endStr = endIndex < value.length ? value.substring(endIndex) : '',
-        eWord = encodeWords(value.substring(startIndex, endIndex), mimeWordEncoding, maxLength);
+        eWord = encodeWords(value.substring(startIndex, endIndex), mimeWordEncoding, maxLength, false, charset);
     return `${startStr}${eWord}${endStr}`;
 }
 
+/**
+ * 将字符串中的MIME字(rfc2047)解码为Unicode字符串
+ * 相邻MIME字之间的空白被忽略，相同字符集的相邻MIME字合并后再解码(多字节字符可能被拆分到两个MIME字中)，ISO-2022-*的MIME字单独解码
+ *
+ * @param {String} str 可能包含MIME字的字符串
+ * @return {String} 解码后的字符串
+ */
+function decodeWords(str = '') {
+    str = String(str ?? '');
+    const rMEW = resetRegex(regexs.MIME_ENCODED_WORD);
+    let result = '', lastIndex = 0, pending = null, match; // 等待解码的相邻MIME字 {charset, bytes}
+    const flush = () => pending && (result += decodeCharset(Buffer.concat(pending.bytes), pending.charset), pending = null);
+
+    while ((match = rMEW.exec(str))) {
+        const [word, charset, encoding, text] = match, between = str.substring(lastIndex, match.index);
+        // 与上一个MIME字之间只有空白时忽略空白
+        if (!lastIndex || between.trim()) flush(), result += between;
+        else if (pending?.charset !== charset.toLowerCase()) flush();
+
+        const bytes = encoding.toUpperCase() === 'B' ? Buffer.from(text, 'base64')
+            : qpDecode(text.replace(resetRegex(regexs.UNDERSCORE), ' '));
+        (pending = pending || { charset: charset.toLowerCase(), bytes: [] }).bytes.push(bytes);
+        // ISO-2022-*的每个MIME字都以ASCII状态结束，合并后相邻的转义序列会被解码为U+FFFD
+        if (pending.charset.startsWith('iso-2022-')) flush();
+        lastIndex = match.index + word.length;
+    }
+    flush();
+
+    return result + str.substring(lastIndex);
+}
+
 /**
  * 将解析后的头值连接为 'value; param1=value1; param2=value2'
  * 注意：我们遵循RFC 822来维护需要放在引号中的特殊字符列表。
@@ -158,6 +225,13 @@ function parseHeaderValue(str) {
 
     // 当前解析状态,正在解析的参数键名,正在解析的值,引号字符,是否处于转义状态
     let state = 'value', currentKey = '', currentValue = '', quoteChar = '', escaped = false;
+    // 保存当前值：有键名时作为参数值,否则作为主值
+    const saveValue = () => {
+        if (currentKey) result.params[currentKey] = currentValue.trim();
+        else if (!result.value) result.value = currentValue.trim();
+        currentKey = '', currentValue = '';
+    };
+
     // 逐个字符遍历输入字符串
     for (let i = 0; i < str.length; i++) {
         const char = str[i];
@@ -170,10 +244,12 @@ function parseHeaderValue(str) {
 
         // 根据当前状态处理字符
         switch (state) {
-            case 'value':  // 解析主值部分（如：text/plain）
-                // 如果遇到分号，保存主值(去除前后空格),重置当前值,切换到键解析状态
-                if (char === ';') result.value = currentValue.trim(), currentValue = '', state = 'key';
+            case 'value':  // 解析主值或参数值（如：text/plain）
+                // 如果遇到分号，保存当前值,切换到键解析状态
+                if (char === ';') saveValue(), state = 'key';
                 else if (char === '\\') escaped = true;  // 遇到反斜杠设置转义为真
+                // 参数值以引号开头时进入引号状态(引号本身不属于值)
+                else if ((char === '"' || char === "'") && currentKey && !currentValue.trim()) quoteChar = char, state = 'quoted';
                 else currentValue += char;               // 普通字符：直接添加到当前值
                 break;
             case 'key':  // 解析参数键名（如：charset）
@@ -191,24 +267,34 @@ function parseHeaderValue(str) {
                 else currentValue += char;
                 break;
         }
-
-        // 检查是否需要进入引号状态（不在转义状态下）
-        if (!escaped && (char === '"' || char === "'") && state !== 'quoted') quoteChar = char, state = 'quoted';
     }
 
-    const finalValue = currentValue.trim();                           // 循环结束后，处理最后剩余的值
-    // 如果最后为值状态且有值
-    if (state === 'value' && finalValue) {
-        if (!result.value && !currentKey) result.value = finalValue;  // 如果主值还未设置且没有当前键,设置为主值
-        else if (currentKey) result.params[currentKey] = finalValue;  // 如果有当前键,设置为参数值
-    }
-    // 否则,如果最后在为键状态且有值,设置为空参数
-    else if (state === 'key' && finalValue) result.params[finalValue.toLowerCase()] = '';
+    // 循环结束后，处理最后剩余的值(在键状态且有值时设置为空参数)
+    if (state !== 'key') saveValue();
+    else if (currentValue.trim()) result.params[currentValue.trim().toLowerCase()] = '';
 
     _processRFC2231Params(result.params); // 处理 RFC2231 编码的参数（用于邮件头编码）
     return result;
 }
 
+/**
+ * 解析结构化头值并解码参数：RFC2231编码的参数(如 filename*=utf-8''%E4%B8%AD.txt)和参数值中的MIME字都被解码为Unicode字符串
+ *
+ * 示例：decodeHeaderValue("attachment; filename*=utf-8''%E4%B8%AD.txt") ->
+ * {
+ *   'value': 'attachment',
+ *   'params': {'filename': '中.txt'}
+ * }
+ *
+ * @param {String} str 头值
+ * @return {Object} 头值作为解析后的结构 {value, params}
+ */
+function decodeHeaderValue(str) {
+    const result = parseHeaderValue(str);
+    Object.keys(result.params).forEach(key => result.params[key] = decodeWords(result.params[key]));
+    return result;
+}
+
 /**
  * 处理 RFC2231 编码的参数
  * 将拆分的rfc2231字符串合并到单个键中，并进行解码
@@ -490,5 +576,5 @@ function _safeEncodeURIComponent(str = '') {
 // 导出
 module.exports = {
     isPlainText, hasLongerLines, encodeWord,
-    encodeWords, buildHeaderValue, parseHeaderValue, detectExtension, detectMimeType, foldLines
+    encodeWords, decodeWords, buildHeaderValue, parseHeaderValue, decodeHeaderValue, detectExtension, detectMimeType, foldLines
 };
\ No newline at end of file
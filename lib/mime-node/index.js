@@ -13,6 +13,7 @@ const { fs, nmfetch, regexs, resetRegex, callbackPromise, cleanup, resolveStream
 const {
     detectMimeType, isPlainText, hasLongerLines, foldLines, parseHeaderValue, buildHeaderValue, encodeWord, encodeWords
 } = require('../mime-funcs');
+const { getCharset, encodeCharset, CharsetEncoder } = require('../mime-funcs/charsets');
 
 // 引入换行符处理模块
 const LeWindows = require('./le-windows');
@@ -34,12 +35,13 @@ const B64 = 'base64', QP = 'quoted-printable';
  * @param {Boolean} [options.keepBcc] 如果为true，不在生成的头部中排除Bcc
  * @param {Function} [options.normalizeHeaderKey] 用于自定义头部键大小写规范化的方法
  * @param {String} [options.textEncoding] 编码类型：'Q'（默认）或'B'
+ * @param {String} [options.charset] 头部MIME字使用的字符集(如'GBK', 'ISO-2022-JP')，默认为UTF-8
  */
 class MimeNode {
     constructor(contentType, options = {}) {
         this.nodeCounter = 0;
         const { baseBoundary, boundaryPrefix = '--_NmP', disableFileAccess, disableUrlAccess, normalizeHeaderKey, rootNode,
-            keepBcc, filename, textEncoding = '', parentNode, hostname, newline } = options;
+            keepBcc, filename, textEncoding = '', parentNode, hostname, newline, charset } = options;
         // 唯一多部分边界值的共享部分(Bcc默认不保留)
         this.baseBoundary = baseBoundary || randomBytes(8).toString('hex');
         this.boundaryPrefix = boundaryPrefix, this.normalizeHeaderKey = normalizeHeaderKey;
@@ -56,6 +58,7 @@ class MimeNode {
         this.textEncoding = textEncoding.toString().trim().charAt(0).toUpperCase(); // 指示头部字符串应使用的编码："Q"或"B"
         this.parentNode = parentNode;                                               // 此节点的直接父节点(如果未设置则为undefined)
         this.hostname = hostname;                                                   // 默认message - id值使用的主机名
+        this.charset = getCharset(charset);                                         // 头部MIME字使用的旧字符集(null表示UTF-8)
 
         this.date = new Date();                                 // 当前日期
         this.childNodes = [];                                   // 可能的子节点数组
@@ -67,6 +70,7 @@ class MimeNode {
         this._hasLongLines = false;                             // 如果内容是纯文本但有超过允许长度的行则为true
         this._envelope = false;                                 // 如果设置，则使用此值作为信封而不是生成一个
         this._raw = false;                                      // 如果设置，则使用此值作为流内容而不是构建它
+        this._contentCharset = null;                            // 流内容需要转换到的旧字符集(由Content-Type的charset参数决定)
         if (contentType) this.setHeader('Content-Type', contentType); // 如果设置了内容类型(或从文件名派生),则将其添加到头部
     }
 
@@ -223,6 +227,7 @@ class MimeNode {
 
     // 获取编码类型
     getTransferEncoding() {
+        this._encodeContentCharset(); // 先按字符集转换内容，再根据转换后的内容选择编码
         let encoding = false;
         const contentType = (this.getHeader('Content-Type') || '').toString().toLowerCase().trim(), content = this.content;
 
@@ -242,6 +247,28 @@ class MimeNode {
         return encoding;
     }
 
+    /**
+     * 按Content-Type中的charset参数将文本内容转换为旧字符集(GB18030, GBK, GB2312, Big5, Shift_JIS, ISO-2022-JP)
+     * 字符串内容立即转换(无法编码时内容设置为错误，发送时返回)，流,文件和URL内容按UTF-8读取后在输出时转换，Buffer内容保持原样
+     */
+    _encodeContentCharset() {
+        const { content } = this, header = this.getHeader('Content-Type'),
+            structured = parseHeaderValue(typeof header === 'object' && header ? header.value || '' : header || ''),
+            charset = regexs.TEXT_TYPE.test(structured.value) && getCharset(structured.params.charset, true);
+        if (!charset || !content || content instanceof Buffer || Object.prototype.toString.call(content) === '[object Error]') return;
+
+        if (typeof content !== 'string') return this._contentCharset = charset;
+        try {
+            this.content = encodeCharset(content, charset);
+        } catch (err) {
+            return this.content = err;
+        }
+        // 按转换后的字节重新检查是否可以使用7bit(ISO-2022-JP的转义序列不影响)
+        const text = this.content.toString('latin1');
+        this._isPlainText = isPlainText(charset === 'iso-2022-jp' ? text.replace(resetRegex(regexs.ESCAPE_CHAR), '') : text);
+        this._hasLongLines = this._isPlainText && hasLongerLines(text, 76);
+    }
+
     /**
      * 构建MIME节点的头部块。在写入内容之前追加 \r\n\r\n
      *
@@ -435,10 +462,10 @@ class MimeNode {
                         contentStream = new (transferEncoding === B64 ? Base64Encoder : QpEncoder)(options);
                         contentStream.pipe(outputStream, { end: false });
                         contentStream.once('end', finalize).once('error', err => callback(err));
-                        localStream = this._getStream(content), localStream.pipe(contentStream);
+                        localStream = this._getContentStream(content), localStream.pipe(contentStream);
                     } else {
                         // 任何不是QP或Base54的内容都按原样传递
-                        localStream = this._getStream(content), localStream.pipe(outputStream, { end: false });
+                        localStream = this._getContentStream(content), localStream.pipe(outputStream, { end: false });
                         localStream.once('end', finalize);
                     }
 
@@ -469,7 +496,15 @@ class MimeNode {
                 raw.pipe(outputStream, { end: false }), raw.on('end', finalize).on('error', err => outputStream.emit('error', err));
             });
         }
-        else outputStream.write(`${this.buildHeaders()}\r\n\r\n`), setImmediate(sendContent);
+        else {
+            let headers;
+            try {
+                headers = this.buildHeaders();
+            } catch (err) {
+                return setImmediate(() => callback(err)); // 头部无法编码(如字符不在指定字符集中)
+            }
+            outputStream.write(`${headers}\r\n\r\n`), setImmediate(sendContent);
+        }
     }
 
     /**
@@ -601,6 +636,20 @@ class MimeNode {
         return createContentStream(content || '');                       // 兜底处理：将其他类型内容转换为流
     }
 
+    /**
+     * 获取节点内容的流，需要转换字符集时通过CharsetEncoder输出
+     *
+     * @param {Mixed} content 节点内容
+     * @returns {Object} 流对象
+     */
+    _getContentStream(content) {
+        const stream = this._getStream(content);
+        if (!this._contentCharset) return stream;
+        const encoder = new CharsetEncoder(this._contentCharset);
+        stream.once('error', err => encoder.emit('error', err));
+        return stream.pipe(encoder);
+    }
+
     /**
      * 解析地址。接受单个地址或数组或地址数组的数组（例如To: [[第一组], [第二组],...]）
      *
@@ -770,7 +819,7 @@ class MimeNode {
 
         if (!rRUS.test(name)) {
             resetRegex(rQP);
-            return rPA.test(name) ? `"${name.replace(rQP, '\\$1')}"` : encodeWord(name, this._getTextEncoding(name), 52);
+            return rPA.test(name) ? `"${name.replace(rQP, '\\$1')}"` : encodeWord(name, this._getTextEncoding(name), 52, this.charset);
         }
         return name;
     }
@@ -783,7 +832,7 @@ class MimeNode {
      * @returns {String} MIME编码字编码后的字符串
      */
     _encodeWords(value) {
-        return encodeWords(value, this._getTextEncoding(value), 52, true);
+        return encodeWords(value, this._getTextEncoding(value), 52, true, this.charset);
     }
 
     /**
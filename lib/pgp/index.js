@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * OpenPGP/MIME(RFC 3156)签名与加密插件，用于Mailer的'stream'阶段：
+ * 将编译后的MimeNode树包装为multipart/signed(application/pgp-signature)或multipart/encrypted(application/pgp-encrypted)，
+ * 同时启用时先签名再加密。实际的OpenPGP运算由调用方提供的signer/encrypter完成，因此可以使用任意OpenPGP实现
+ */
+const MimeNode = require('../mime-node');
+const { regexs, createError, resolveStream } = require('../shared');
+
+// 用法示例：
+/*
+const { pgp } = require('lunjack-mail');
+
+transporter.use('stream', pgp({
+    // 签名者：对数据生成ASCII armor格式的分离签名
+    signer: {
+        hashAlgo: 'sha256', // 签名使用的哈希算法(用于micalg参数,如pgp-sha256)
+        sign(data, callback) { callback(null, '-----BEGIN PGP SIGNATURE-----\n...') } // 也可以返回Promise或直接返回签名
+    },
+    // 加密者：使用收件人公钥生成ASCII armor格式的加密数据
+    encrypter: {
+        encrypt(data, envelope, callback) { callback(null, '-----BEGIN PGP MESSAGE-----\n...') } // envelope为 {from, to}
+    }
+}));
+
+* 工作流程：
+* 1. 将原根节点中的非Content-*头(From, To, Subject等)移动到新的根节点，原根节点作为被签名或加密的实体
+* 2. 签名：生成实体内容(CRLF行结束符)，调用signer.sign生成分离签名，与实体组成multipart/signed
+* 3. 加密：生成(签名后的)实体内容，调用encrypter.encrypt生成加密数据，组成multipart/encrypted
+* 4. 使用新的根节点替换mail.message
+*/
+
+/**
+ * 调用签名者或加密者的方法(支持回调,返回Promise或同步返回结果)
+ *
+ * @param {Object} target 签名者或加密者
+ * @param {String} method 方法名
+ * @param {Array} args 参数
+ * @param {Function} callback 回调函数 (err, result)
+ */
+function _invoke(target, method, args, callback) {
+    const state = { returned: false }, done = (err, result) => {
+        if (state.returned) return;
+        state.returned = true, callback(err, result);
+    };
+    if (!target || typeof target[method] !== 'function') return done(createError(`OpenPGP插件需要提供${method}方法`, 'EPGP'));
+
+    try {
+        const result = target[method](...args, done);
+        if (result && typeof result.then === 'function') result.then(value => done(null, value), done);
+        // 同步返回的签名或加密数据(返回其他值时等待回调)
+        else if (typeof result === 'string' || Buffer.isBuffer(result)) done(null, result);
+    } catch (err) {
+        done(err);
+    }
+}
+
+/**
+ * 创建新的根节点，并将原根节点的非Content-*头移动到新的根节点
+ *
+ * @param {MimeNode} node 原根节点
+ * @param {String} contentType 新根节点的内容类型
+ * @return {MimeNode} 新的根节点
+ */
+function _createRoot(node, contentType) {
+    const { boundaryPrefix, normalizeHeaderKey, keepBcc, textEncoding, hostname, newline } = node,
+        root = new MimeNode(contentType, { boundaryPrefix, normalizeHeaderKey, keepBcc, textEncoding, hostname, newline }),
+        envelope = node.getEnvelope();
+
+    // Content-*头保留在原节点(被签名或加密的实体)中,其余头放在新根节点的Content-Type之前
+    root._headers.unshift(...node._headers.filter(header => !regexs.CONTENT_HEADER.test(header.key)));
+    node._headers = node._headers.filter(header => regexs.CONTENT_HEADER.test(header.key));
+    root.setEnvelope(node._envelope || envelope), root.date = node.date;
+    return root;
+}
+
+/**
+ * 创建OpenPGP/MIME插件
+ *
+ * @param {Object} options 插件选项
+ * @param {Object} [options.signer] 签名者 {sign(data, callback), hashAlgo}
+ * @param {Object} [options.encrypter] 加密者 {encrypt(data, envelope, callback)}
+ * @return {Function} 'stream'阶段的插件函数 (mail, callback)
+ */
+function pgp(options = {}) {
+    const { signer, encrypter } = options;
+
+    // 签名：multipart/signed,第一部分为被签名的实体,第二部分为分离签名
+    const sign = (message, callback) => {
+        const micalg = `pgp-${(signer.hashAlgo || 'sha256').toLowerCase()}`,
+            root = _createRoot(message, `multipart/signed; protocol="application/pgp-signature"; micalg=${micalg}`);
+        // 作为子节点生成实体内容(包含Content-*头,不再添加根节点专用的头),然后替换为原样输出的已签名内容
+        resolveStream(root.appendChild(message).createReadStream(), (err, entity) => {
+            if (err) return callback(err);
+            _invoke(signer, 'sign', [entity], (err, signature) => {
+                if (err) return callback(err);
+                message.replace(new MimeNode().setRaw(entity));
+                root.createChild('application/pgp-signature', { filename: 'signature.asc' })
+                    .setHeader({ 'Content-Description': 'OpenPGP digital signature', 'Content-Transfer-Encoding': '7bit' })
+                    .setContent(signature.toString());
+                callback(null, root);
+            });
+        });
+    };
+
+    // 加密：multipart/encrypted,第一部分为版本标识,第二部分为加密数据
+    const encrypt = (message, callback) => {
+        const root = _createRoot(message, 'multipart/encrypted; protocol="application/pgp-encrypted"');
+        resolveStream(root.appendChild(message).createReadStream(), (err, entity) => {
+            if (err) return callback(err);
+            _invoke(encrypter, 'encrypt', [entity, root.getEnvelope()], (err, encrypted) => {
+                if (err) return callback(err);
+                message.remove(), root.createChild('application/pgp-encrypted')
+                    .setHeader({ 'Content-Description': 'PGP/MIME version identification', 'Content-Transfer-Encoding': '7bit' })
+                    .setContent('Version: 1\r\n');
+                root.createChild('application/octet-stream', { filename: 'encrypted.asc' })
+                    .setHeader({ 'Content-Description': 'OpenPGP encrypted message', 'Content-Disposition': 'inline',
+                        'Content-Transfer-Encoding': '7bit' })
+                    .setContent(encrypted.toString());
+                callback(null, root);
+            });
+        });
+    };
+
+    return (mail, callback) => {
+        if (mail.data.pgp === false) return callback(); // 单封邮件可通过pgp: false跳过
+        const steps = [signer && sign, encrypter && encrypt].filter(Boolean);
+        const next = err => {
+            if (err || !steps.length) return callback(err);
+            steps.shift()(mail.message, (err, root) => err ? callback(err) : (mail.message = root, next()));
+        };
+        next();
+    };
+}
+
+module.exports = pgp;
\ No newline at end of file
@@ -278,7 +278,4 @@ function toASCII(input) {
 // version: '2.3.1', // Punycode.js版本号 <https://mathiasbynens.be/notes/javascript-encoding>
 // ucs2decode,
 // ucs2encode,
-// decode,
-// encode,
-// toUnicode,
-module.exports = { toASCII };
\ No newline at end of file
+module.exports = { decode, encode, toUnicode, toASCII };
\ No newline at end of file
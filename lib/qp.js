@@ -170,5 +170,97 @@ class QpEncoder extends Transform {
     }
 }
 
+/**
+ * 检查字节是否为十六进制数字
+ */
+function _isHex(byte) {
+    return (byte >= 0x30 && byte <= 0x39) || (byte >= 0x41 && byte <= 0x46) || (byte >= 0x61 && byte <= 0x66);
+}
+
+/**
+ * 将Quoted-Printable编码的内容解码为Buffer
+ * 软换行(行尾的=及其后的空白)被移除，无效的编码序列按原样保留
+ *
+ * @param {Buffer|String} input Quoted-Printable编码的内容
+ * @returns {Buffer} 解码后的Buffer
+ */
+function qpDecode(input) {
+    const buffer = typeof input === 'string' ? Buffer.from(input, 'latin1') : input, result = Buffer.alloc(buffer.length);
+    let pos = 0;
+
+    for (let i = 0, len = buffer.length; i < len; i++) {
+        const byte = buffer[i];
+        if (byte !== 0x3d) {
+            result[pos++] = byte;
+            continue;
+        }
+
+        // =XX编码序列
+        if (_isHex(buffer[i + 1]) && _isHex(buffer[i + 2])) {
+            result[pos++] = parseInt(String.fromCharCode(buffer[i + 1], buffer[i + 2]), 16), i += 2;
+            continue;
+        }
+
+        // 软换行：=后跟可选的空白和换行符
+        let j = i + 1;
+        while (buffer[j] === 0x20 || buffer[j] === 0x09) j++;
+        if (buffer[j] === 0x0d && buffer[j + 1] === 0x0a) i = j + 1;
+        else if (buffer[j] === 0x0a) i = j;
+        else result[pos++] = byte;
+    }
+
+    return result.subarray(0, pos);
+}
+
+/**
+ * 获取Quoted-Printable内容末尾可能不完整的编码序列或软换行的起始位置
+ *
+ * @param {Buffer} buffer 内容
+ * @returns {Number} 不完整部分的起始位置，没有时为内容长度
+ */
+function _qpTail(buffer) {
+    const index = buffer.lastIndexOf(0x3d);
+    if (index < 0) return buffer.length;
+
+    const tail = buffer.subarray(index + 1);
+    // =X或=后只有空白和回车时，需要等待后续数据
+    if ((tail.length < 2 && tail.every(_isHex)) || tail.every(byte => byte === 0x20 || byte === 0x09 || byte === 0x0d)) return index;
+    return buffer.length;
+}
+
+/*
+ * 创建用于解码Quoted-Printable内容的转换流
+ *
+ * @constructor
+ */
+class QpDecoder extends Transform {
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this._remainder = Buffer.alloc(0), this.inputBytes = 0, this.outputBytes = 0; // 跨数据块的不完整编码序列
+    }
+
+    _transform(chunk, encoding, done) {
+        if (encoding !== 'buffer') chunk = Buffer.from(chunk, encoding);
+        if (!chunk?.length) return done();
+        this.inputBytes += chunk.length;
+
+        const buffer = this._remainder.length ? Buffer.concat([this._remainder, chunk]) : chunk, tail = _qpTail(buffer);
+        this._remainder = buffer.subarray(tail);
+
+        const decoded = qpDecode(buffer.subarray(0, tail));
+        if (decoded.length) this.outputBytes += decoded.length, this.push(decoded);
+        done();
+    }
+
+    _flush(done) {
+        if (this._remainder.length) {
+            const decoded = qpDecode(this._remainder);
+            this.outputBytes += decoded.length, this.push(decoded), this._remainder = Buffer.alloc(0);
+        }
+        done();
+    }
+}
+
 // 导出模块
-module.exports = { qpEncode, QpEncoder };
\ No newline at end of file
+module.exports = { qpEncode, qpDecode, QpEncoder, QpDecoder };
\ No newline at end of file
@@ -35,6 +35,9 @@ const regexs = {
     TEXT_TYPE: /^text\//i,                                  // 匹配所有text/*内容类型
     IMAGE_TYPE: /^image\//i,                                // 检测图像内容类型
     HTTP_URL: /^https?:\/\//i,                              // 检测HTTP/HTTPS协议
+    FILE_URL: /^file:/i,                                    // 检测file:协议
+    URL_QUERY_HASH: /[?#][\s\S]*$/,                         // 匹配URL中的查询字符串和片段
+    HTML_BODY_END: /<\/body\s*>/i,                          // 匹配HTML的</body>结束标签
     ERROR_SUFFIX: /Error\]$/i,                              // 匹配以"Error]"结尾的字符串（不区分大小写）
     MULTIPART: /^multipart\//i,                             // 匹配multipart/*内容类型
     HTML_TYPE: /^text\/html\b/i,                            // 检测HTML内容类型
@@ -63,6 +66,8 @@ const regexs = {
     NEED_ENCODING: /[\x00-\x20\x2B\x3D\x7F]|[^\x21-\x7E]/,  // 不可打印ASCII字符（包括非ASCII字符）
 
     DSN: /[ -]DSN\b/im,                                      // 匹配DSN扩展支持
+    CHUNKING: /[ -]CHUNKING\b/im,                            // 匹配CHUNKING扩展支持(BDAT命令)
+    BINARYMIME: /[ -]BINARYMIME\b/im,                        // 匹配BINARYMIME扩展支持
     STARTTLS: /[ -]STARTTLS\b/im,                            // 匹配STARTTLS扩展支持
     SMTPUTF8: /[ -]SMTPUTF8\b/im,                            // 匹配SMTPUTF8扩展支持
     _8BITMIME: /[ -]8BITMIME\b/im,                           // 匹配8BITMIME扩展支持
@@ -76,6 +81,30 @@ const regexs = {
     DIGIT_HYPHEN_PREFIX: /^\d+[ -]/,                         // 匹配数字开头后跟空格或连字符
     RESPONSE_4XX_5XX: /^[45]\d{2}\b/,                        // 匹配4xx或5xx错误响应码
     TEXT_PLAIN: /^text\/plain\b/,                            // 匹配text/plain内容类型
+    TRAILING_DOT: /\.$/,                                     // 匹配末尾的点号（如DNS返回的完全限定域名）
+    DKIM_SIGNATURE_VALUE: /([:;]\s*b\s*=)[^;]*/,             // 匹配DKIM-Signature头中的b=标签值(不匹配bh=)
+    CONTENT_HEADER: /^content-/i,                            // 匹配Content-*头(S/MIME中属于被签名或加密的实体)
+
+    HEADER_BODY_SEPARATOR: /\r?\n\r?\n/,                    // 匹配邮件头与正文之间的空行
+    SMTP_PATH: /^(FROM|TO):\s*<([^>]*)>\s*(.*)$/i,          // 匹配MAIL FROM/RCPT TO命令的地址和参数
+    DIGITS_ONLY: /^\d+$/,                                   // 匹配纯数字字符串
+    BEARER_PREFIX: /^Bearer\s+/i,                           // 匹配XOAUTH2认证信息中的Bearer前缀
+    CLI_OPTION: /^--?([^=]+)(?:=([\s\S]*))?$/,              // 匹配命令行选项(-n, --name或--name=value)
+    MAILTO_PREFIX: /^mailto:/i,                             // 匹配mailto:链接前缀
+    URL_SCHEME: /^[a-z][a-z\d+.-]*:/i,                      // 匹配URL的协议前缀(如https:, cid:, mailto:)
+    CSS_IMPORTANT: /\s*!\s*important\s*$/i,                 // 匹配CSS声明末尾的!important
+    TEMPLATE_PATH: /^(?:@?[\w$-]+|\.)(?:\.[\w$-]+)*$/,      // 匹配模板变量路径(如user.name, this, @index)
+    DSN_TYPE_PREFIX: /^\s*[\w-]+\s*;\s*/,                   // 匹配DSN字段值的类型前缀(如rfc822;, smtp;, dns;)
+    ENHANCED_STATUS: /(?<![\w.])([245]\.\d{1,3}\.\d{1,3})(?!\.?\d)/, // 匹配增强状态码(如5.1.1，不匹配IP地址中的数字)
+    SMTP_REPLY_CODE: /(?:^|[\s:(])([45]\d\d)(?=[\s:-]|$)/,  // 匹配退信说明中的SMTP响应码
+    MESSAGE_ID_LINE: /^Message-ID:\s*(<[^<>\s]+>)/im,       // 匹配文本中的Message-ID头
+    BOUNCE_SENDER: /^(mailer-daemon|postmaster|mail-?delivery[\w-]*|mdaemon)@/i, // 匹配退信发件人地址
+    BOUNCE_SUBJECT: /undeliver|delivery (status|fail|notification|has failed)|returned mail|failure notice|could not be delivered|未送达|无法投递|退信/i, // 匹配退信主题
+    BOUNCE_QMAIL_RECIPIENT: /^<([^<>\s]+@[^<>\s]+)>(?::\s*(.*?)|\s*)$/, // 匹配qmail和Postfix格式退信中的收件人行(<user@example.com>: 原因)
+    BOUNCE_INDENTED_RECIPIENT: /^\s+<?([^<>\s:]+@[^<>\s]+?)>?:?\s*$/, // 匹配Exim等格式退信中缩进的收件人行
+    BOUNCE_ORIGINAL_MARKER: /^[-\s]*(original message|below this line|this is a copy|the headers of the original)/i, // 匹配退信中原邮件的开始
+    SOFT_BOUNCE_TEXT: /mailbox (is )?full|over ?quota|quota exceeded|insufficient (system )?storage|temporar|try (again )?later|greylist|rate limit|too many/i, // 匹配临时失败的退信说明
+    HARD_BOUNCE_TEXT: /user unknown|unknown (user|recipient)|no such (user|mailbox|recipient)|does ?n[o']t exist|doesn't have an? [\w.]+ account|invalid (recipient|mailbox|address)|address (not found|rejected)|mailbox (unavailable|not found|disabled)|account (has been )?disabled/i, // 匹配永久失败的退信说明
 
     // 需重置的正则表达式
     NON_DIGIT: /\D/g,                                       // 匹配非数字字符
@@ -97,6 +126,29 @@ const regexs = {
     SEPARATORS: /[\x2E\u3002\uFF0E\uFF61]/g,                // RFC 3490 分隔符
     NON_ALPHANUMERIC_DOT_HYPHEN: /[^a-zA-Z0-9.-]/g,         // 匹配非字母数字、点号和连字符的字符
     SIGNATURE_FOLDING: /(^.{73}|.{75}(?!\r?\n|\r))/g,       // 签名折行处理正则
+    PEM_CERTIFICATE: /-----BEGIN CERTIFICATE-----[^-]+-----END CERTIFICATE-----/g, // 匹配PEM格式的证书
+    DOT_STUFFING: /(^|\n)\./g,                              // 匹配DATA中行首用于转义的点号
+    XTEXT_HEX: /\+([0-9A-F]{2})/gi,                         // 匹配xtext编码的字符(+XX)
+    UNFOLD_HEADER: /\r?\n(?=[ \t])/g,                       // 匹配折叠头信息中的换行符(用于展开折叠行)
+    TEMPLATE_TAG: /\{\{(\{)?\s*([\s\S]*?)\s*\}?\}\}/g,      // 匹配模板标签({{value}}, {{{value}}}, {{#each list}}等)
+    HTML_ESCAPE: /[&<>"']/g,                                // 匹配HTML中需要转义的字符
+    HTML_TOKEN: /<!--[\s\S]*?(?:-->|$)|<![^>]*(?:>|$)|<\?[^>]*(?:>|$)|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*(?:"|$)|'[^']*(?:'|$))*?)(\/?)(?:>|$)|[^<]+|</g, // 匹配HTML的注释,标签或文本(未结束的标签和引号到文本末尾为止)
+    HTML_ATTRIBUTE: /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g, // 匹配HTML标签的属性
+    HTML_ENTITY: /&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi,   // 匹配HTML字符实体
+    EXTRA_BLANK_LINES: /\n{3,}/g,                           // 匹配连续的多个空行
+    CSS_COMMENT: /\/\*[\s\S]*?\*\//g,                       // 匹配CSS注释
+    CSS_URL: /url\(\s*(['"]?)([^'")]*)\1\s*\)/gi,           // 匹配CSS中的url()引用
+    URL_IGNORED_CHARS: /[\x00-\x20]+/g,                     // 匹配浏览器解析URL协议时忽略的空白和控制字符
+    HTML_IMG_SRC: /(<img\b(?:[^>"']|"[^"]*"|'[^']*')*?\ssrc\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi, // 匹配HTML中<img>的src属性
+    HTML_LINK_HREF: /(<a\b(?:[^>"']|"[^"]*"|'[^']*')*?\shref\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi, // 匹配HTML中<a>的href属性
+    ANGLE_BRACKETED: /<([^<>]*)>/g,                         // 匹配尖括号中的内容(如List-*头中的URL)
+    ESCAPE_CHAR: /\x1b/g,                                   // 匹配ESC控制字符(ISO-2022-JP的转义序列)
+    NON_BASE64_CHARS: /[^A-Za-z0-9+/=]/g,                   // 匹配base64字母表以外的字符(换行和空白)
+    MIME_ENCODED_WORD: /=\?([^?\s*]+)(?:\*[^?\s]*)?\?([QqBb])\?([^?\s]*)\?=/g, // 匹配MIME编码字(=?字符集*语言?编码?内容?=)
+    UNDERSCORE: /_/g,                                       // 匹配下划线(Q编码中表示空格)
+    VERP_PLACEHOLDER: /\{(local|domain|hash)\}/g,           // 匹配VERP地址模板中的占位符
+    REGEX_SPECIAL_CHARS: /[.*+?^${}()|[\]\\]/g,             // 匹配正则表达式中需要转义的字符
+    ISO_DATE_SEPARATORS: /[-:T]|\.\d+/g,                    // 匹配ISO时间字符串中的分隔符和毫秒(用于生成ASN.1时间)
     NON_LATIN: /[\x00-\x08\x0B\x0C\x0E-\x1F\P{ASCII}]/gu,   // 匹配非拉丁字符（控制字符和Unicode）
     NON_SAFE_URI: /[^\x00-\x1F *'()<>@,;:\\"[\]?=\u007F-\uFFFF]+/g,    // 匹配URI中的不安全字符范围
     NON_SAFE_URI_CHAR: /[\x00-\x1F *'()<>@,;:\\"[\]?=\u007F-\uFFFF]/g, // 匹配单个URI不安全字符
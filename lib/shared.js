@@ -92,10 +92,12 @@ function resolveStream(stream, callback) {
 
     stream.on('readable', () => _handleReadableStream(stream, chunks, chunklen))
         .on('error', err => {
-            cleanup(state), stream.emit('error', err);
+            if (state.returned) return; // 只回调一次(不能在同一个流上重新触发error事件,否则会无限递归)
+            cleanup(state);
             return callback(err);
         })
         .on('end', () => {
+            if (state.returned) return;
             cleanup(state);
             let value;
             try {
@@ -336,6 +338,19 @@ function callbackPromise(resolve, reject) {
     return (err, ...args) => err ? reject(err) : resolve(...args);// 错误时reject,否则成功resolve
 }
 
+/**
+ * 创建带错误代码的错误对象
+ * @param {string} message - 错误信息
+ * @param {string} code - 错误代码(如ESMIME)
+ * @param {object} [props] - 附加到错误对象上的其他属性
+ * @returns {Error} 错误对象
+ */
+function createError(message, code, props) {
+    const err = new Error(message);
+    err.code = code;
+    return props ? Object.assign(err, props) : err;
+}
+
 /**
  * 解析字符串或Buffer值的内容值
  * @param {object} data - 包含内容的对象或数组
@@ -704,7 +719,7 @@ function verifySmtp(transport, callback, SmtpC, auth = null) {
 // 统一导出
 module.exports = {
     PK, util, NET, dns, fs, OS, nmfetch, regexs, resetRegex, newURL,
-    resolveHostname, parseConnectionUrl, getLogger, callbackPromise, parseDataURI, resolveContent, resolveStream, assign,
+    resolveHostname, parseConnectionUrl, getLogger, callbackPromise, createError, parseDataURI, resolveContent, resolveStream, assign,
     encodeXText, initSmtpConstructor, getSocket, cleanup, createSmtpConnection, setupConnectionHandlers,
     performSmtpAuthentication, createAuthConfig, prepareMessageForSending, handleSendResult, verifySmtp
 };
\ No newline at end of file
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * 签名令牌：base64url(JSON数据).签名，用于跟踪地址和退订地址等需要防篡改的链接参数
+ */
+const { createHmac, timingSafeEqual } = require('crypto');
+const { createError } = require('./shared');
+
+/**
+ * 定长时间比较两个签名
+ */
+function _safeEqual(expected, actual) {
+    const a = Buffer.from(String(expected)), b = Buffer.from(String(actual));
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * 创建默认的HMAC签名者
+ *
+ * @param {String|Buffer} secret 密钥
+ * @param {String} [algorithm='sha256'] 哈希算法
+ * @return {Object} 签名者 {sign(data), verify(data, signature)}
+ */
+function createHmacSigner(secret, algorithm = 'sha256') {
+    if (!secret) throw createError('未提供签名密钥', 'ETOKEN');
+    const sign = data => createHmac(algorithm, secret).update(data).digest('base64url');
+    return { sign, verify: (data, signature) => _safeEqual(sign(data), signature) };
+}
+
+/**
+ * 根据选项获取签名者：提供signer时使用自定义签名者，否则根据secret和algorithm创建HMAC签名者
+ *
+ * @param {Object} options 选项 {signer} 或 {secret, algorithm}
+ * @return {Object} 签名者
+ */
+function getSigner({ signer, secret, algorithm } = {}) {
+    if (!signer) return createHmacSigner(secret, algorithm);
+    if (typeof signer.sign !== 'function') throw createError('签名者必须提供sign方法', 'ETOKEN');
+    return signer;
+}
+
+/**
+ * 生成签名令牌
+ *
+ * @param {Object} signer 签名者
+ * @param {Object} data 令牌数据
+ * @return {String} 令牌
+ */
+function signToken(signer, data) {
+    const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+    return `${payload}.${signer.sign(payload)}`;
+}
+
+/**
+ * 验证签名并解析令牌(自定义签名者未提供verify方法时，比较重新计算的签名)
+ *
+ * @param {Object} signer 签名者
+ * @param {String} token 令牌
+ * @return {Object|null} 令牌有效时返回令牌数据，否则返回null
+ */
+function readToken(signer, token) {
+    const [payload, signature, extra] = String(token || '').split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+    const valid = typeof signer.verify === 'function' ? signer.verify(payload, signature) : _safeEqual(signer.sign(payload), signature);
+    if (!valid) return null;
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        return data && typeof data === 'object' ? data : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = { createHmacSigner, getSigner, signToken, readToken };
\ No newline at end of file
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * 构建S/MIME消息所需的最小DER(ASN.1)编码与解码工具
+ * 仅实现CMS(RFC 5652)SignedData和EnvelopedData结构中用到的类型
+ */
+const { regexs, resetRegex, createError } = require('../shared');
+
+/**
+ * 编码一个DER元素
+ *
+ * @param {Number} tag 标签字节
+ * @param {...Buffer|Array} contents 元素内容(数组将被展开,空值被忽略)
+ * @return {Buffer} 编码后的元素
+ */
+function encode(tag, ...contents) {
+    const content = Buffer.concat(contents.flat().filter(Boolean)), length = content.length;
+    let header;
+    if (length < 0x80) header = Buffer.from([tag, length]);
+    else {
+        // 长格式长度：首字节为0x80加上长度字节数
+        const bytes = [];
+        for (let len = length; len > 0; len = Math.floor(len / 256)) bytes.unshift(len & 0xff);
+        header = Buffer.from([tag, 0x80 | bytes.length, ...bytes]);
+    }
+    return Buffer.concat([header, content]);
+}
+
+// 常用类型
+const sequence = (...items) => encode(0x30, items);
+const octetString = value => encode(0x04, Buffer.from(value));
+const nullValue = () => Buffer.from([0x05, 0x00]);
+const explicit = (number, ...items) => encode(0xa0 + number, items); // [n] EXPLICIT或构造类型的[n] IMPLICIT
+const implicit = (number, value) => encode(0x80 + number, value);    // 基本类型的[n] IMPLICIT
+
+/**
+ * 编码SET OF(DER要求元素按编码后的字节排序)
+ *
+ * @param {Array} items 已编码的元素
+ * @param {Number} [tag] 标签字节,默认为SET
+ * @return {Buffer} 编码后的集合
+ */
+function setOf(items, tag = 0x31) {
+    return encode(tag, [...items].sort(Buffer.compare));
+}
+
+/**
+ * 编码非负整数
+ *
+ * @param {Number} value 整数值
+ * @return {Buffer} 编码后的INTEGER
+ */
+function integer(value) {
+    const bytes = [];
+    do bytes.unshift(value & 0xff), value = Math.floor(value / 256); while (value > 0);
+    if (bytes[0] & 0x80) bytes.unshift(0); // 最高位为1时补零以表示正数
+    return encode(0x02, Buffer.from(bytes));
+}
+
+/**
+ * 编码对象标识符
+ *
+ * @param {String} value 点分形式的OID(如1.2.840.113549.1.7.1)
+ * @return {Buffer} 编码后的OBJECT IDENTIFIER
+ */
+function oid(value) {
+    const [first, second, ...rest] = value.split('.').map(Number), bytes = [first * 40 + second];
+    rest.forEach(arc => {
+        const chunk = [arc & 0x7f];
+        for (arc = Math.floor(arc / 128); arc > 0; arc = Math.floor(arc / 128)) chunk.unshift((arc & 0x7f) | 0x80);
+        bytes.push(...chunk);
+    });
+    return encode(0x06, Buffer.from(bytes));
+}
+
+/**
+ * 编码时间(2050年之前使用UTCTime,之后使用GeneralizedTime)
+ *
+ * @param {Date} date 时间
+ * @return {Buffer} 编码后的时间
+ */
+function time(date) {
+    const value = date.toISOString().replace(resetRegex(regexs.ISO_DATE_SEPARATORS), '');
+    return date.getUTCFullYear() < 2050 ? encode(0x17, Buffer.from(value.substring(2))) : encode(0x18, Buffer.from(value));
+}
+
+/**
+ * 解码一个DER元素
+ *
+ * @param {Buffer} buffer DER数据
+ * @param {Number} [offset] 元素起始位置
+ * @return {Object} {tag, raw, content}，raw为包含标签和长度的完整元素
+ */
+function decode(buffer, offset = 0) {
+    const tag = buffer[offset];
+    let length = buffer[offset + 1], pos = offset + 2;
+    if (length & 0x80) {
+        const count = length & 0x7f;
+        length = 0;
+        for (let i = 0; i < count; i++) length = length * 256 + buffer[pos++];
+    }
+    if (tag === undefined || pos + length > buffer.length) throw createError('无效的DER数据', 'ESMIME');
+    return { tag, raw: buffer.subarray(offset, pos + length), content: buffer.subarray(pos, pos + length) };
+}
+
+/**
+ * 解码构造类型元素的所有子元素
+ *
+ * @param {Object} node 由decode返回的元素
+ * @return {Array} 子元素列表
+ */
+function children(node) {
+    const list = [];
+    for (let pos = 0; pos < node.content.length; pos += list[list.length - 1].raw.length) list.push(decode(node.content, pos));
+    return list;
+}
+
+// 导出
+module.exports = { encode, sequence, setOf, octetString, nullValue, explicit, implicit, integer, oid, time, decode, children };
\ No newline at end of file
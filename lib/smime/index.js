@@ -0,0 +1,230 @@
+'use strict';
+
+/**
+ * S/MIME(RFC 8551)签名与加密，仅使用Node.js内置的crypto模块构建CMS(RFC 5652)结构：
+ * 签名生成multipart/signed(分离的application/pkcs7-signature)，加密生成application/pkcs7-mime(enveloped-data)，
+ * 同时启用时先签名再加密
+ */
+const { PassThrough } = require('stream');
+const { X509Certificate, createHash, createPrivateKey, createCipheriv, publicEncrypt, randomBytes, sign, constants } =
+    require('crypto');
+const MessageParser = require('../dkim/message-parser'); // 用于分离邮件头和正文
+const { base64Wrap } = require('../base64');
+const { regexs, resetRegex, createError } = require('../shared');
+const asn1 = require('./asn1');
+
+// 对象标识符
+const OID = {
+    data: '1.2.840.113549.1.7.1', signedData: '1.2.840.113549.1.7.2', envelopedData: '1.2.840.113549.1.7.3',
+    contentType: '1.2.840.113549.1.9.3', messageDigest: '1.2.840.113549.1.9.4', signingTime: '1.2.840.113549.1.9.5',
+    rsaEncryption: '1.2.840.113549.1.1.1', ecdsaWithSHA256: '1.2.840.10045.4.3.2', ecdsaWithSHA384: '1.2.840.10045.4.3.3',
+    ecdsaWithSHA512: '1.2.840.10045.4.3.4'
+};
+// 支持的摘要算法(算法 -> [OID, micalg参数值])
+const DIGESTS = {
+    sha256: ['2.16.840.1.101.3.4.2.1', 'sha-256'], sha384: ['2.16.840.1.101.3.4.2.2', 'sha-384'],
+    sha512: ['2.16.840.1.101.3.4.2.3', 'sha-512']
+};
+// 支持的内容加密算法(算法 -> OID)
+const CIPHERS = { 'aes-128-cbc': '2.16.840.1.101.3.4.1.2', 'aes-192-cbc': '2.16.840.1.101.3.4.1.22', 'aes-256-cbc': '2.16.840.1.101.3.4.1.42' };
+
+// 用法示例：
+/*
+// 通过邮件选项(或createTransport的默认邮件选项)启用
+transporter.sendMail({
+    from, to, subject, text,
+    smime: {
+        sign: { cert: signerCertPem, key: signerKeyPem, chain: [intermediatePem], hashAlgo: 'sha256' }, // RSA或EC密钥
+        encrypt: { recipients: [recipientCertPem, senderCertPem], algorithm: 'aes-256-cbc' }          // 收件人证书(RSA)
+    }
+});
+
+* 工作流程：
+* 1. 将编译后的邮件分为外层头(From, To, Subject等)和内层实体(Content-*头及正文)，行结束符统一为CRLF
+* 2. 签名：计算内层实体的摘要，生成SignedData并与内层实体组成multipart/signed实体
+* 3. 加密：使用随机密钥加密(签名后的)实体，并使用每个收件人证书的公钥加密该密钥，生成EnvelopedData
+* 4. 输出外层头和生成的实体
+*/
+
+/**
+ * 解析证书列表(PEM字符串可包含多个证书)
+ *
+ * @param {String|Buffer|X509Certificate|Array} value 证书或证书列表
+ * @return {Array} X509Certificate实例列表
+ */
+function _parseCertificates(value) {
+    return [].concat(value || []).flatMap(cert => {
+        if (cert instanceof X509Certificate) return [cert];
+        // DER格式的证书直接使用,PEM格式的字符串可包含多个证书
+        const pems = Buffer.isBuffer(cert) && cert[0] === 0x30 ? [cert] : cert.toString().match(resetRegex(regexs.PEM_CERTIFICATE));
+        return (pems || [cert]).map(pem => new X509Certificate(pem));
+    });
+}
+
+/**
+ * 生成证书的IssuerAndSerialNumber结构(用于标识签名者和收件人)
+ *
+ * @param {X509Certificate} cert 证书
+ * @return {Buffer} DER编码的IssuerAndSerialNumber
+ */
+function _issuerAndSerial(cert) {
+    // Certificate ::= SEQUENCE { tbsCertificate, ... }
+    // tbsCertificate ::= SEQUENCE { [0] version, serialNumber, signature, issuer, ... }
+    const tbs = asn1.children(asn1.children(asn1.decode(cert.raw))[0]), fields = tbs[0].tag === 0xa0 ? tbs.slice(1) : tbs;
+    return asn1.sequence(fields[2].raw, fields[0].raw);
+}
+
+/**
+ * 生成分离签名的SignedData
+ *
+ * @param {Buffer} content 被签名的实体
+ * @param {Object} options 签名选项 {cert, key, chain, hashAlgo}
+ * @return {Buffer} DER编码的ContentInfo
+ */
+function _signedData(content, options) {
+    const { cert, key, chain, hashAlgo = 'sha256' } = options, [digestOid] = DIGESTS[hashAlgo] || [],
+        [signer, ...certs] = _parseCertificates([].concat(cert, chain || []));
+    if (!digestOid) throw createError(`不支持的摘要算法 ${hashAlgo}`, 'ESMIME');
+    if (!signer || !key) throw createError('签名需要证书和私钥', 'ESMIME');
+
+    const privateKey = createPrivateKey(key), keyType = privateKey.asymmetricKeyType;
+    if (!['rsa', 'ec'].includes(keyType)) throw createError(`不支持的签名密钥类型 ${keyType}`, 'ESMIME');
+
+    // 签名属性：内容类型,签名时间,内容摘要(签名针对属性集合的DER编码)
+    const digestAlgorithm = asn1.sequence(asn1.oid(digestOid), asn1.nullValue()), attributes = [
+        asn1.sequence(asn1.oid(OID.contentType), asn1.setOf([asn1.oid(OID.data)])),
+        asn1.sequence(asn1.oid(OID.signingTime), asn1.setOf([asn1.time(new Date())])),
+        asn1.sequence(asn1.oid(OID.messageDigest), asn1.setOf([asn1.octetString(createHash(hashAlgo).update(content).digest())]))
+    ], signature = sign(hashAlgo, asn1.setOf(attributes), keyType === 'ec' ? { key: privateKey, dsaEncoding: 'der' } : privateKey),
+        signatureAlgorithm = keyType === 'ec'
+            ? asn1.sequence(asn1.oid(OID[`ecdsaWith${hashAlgo.toUpperCase()}`]))
+            : asn1.sequence(asn1.oid(OID.rsaEncryption), asn1.nullValue());
+
+    const signerInfo = asn1.sequence(
+        asn1.integer(1), _issuerAndSerial(signer), digestAlgorithm, asn1.setOf(attributes, 0xa0), signatureAlgorithm,
+        asn1.octetString(signature)
+    );
+    return asn1.sequence(asn1.oid(OID.signedData), asn1.explicit(0, asn1.sequence(
+        asn1.integer(1), asn1.setOf([digestAlgorithm]), asn1.sequence(asn1.oid(OID.data)), // 分离签名不包含内容
+        asn1.setOf([signer, ...certs].map(cert => cert.raw), 0xa0), asn1.setOf([signerInfo])
+    )));
+}
+
+/**
+ * 生成EnvelopedData
+ *
+ * @param {Buffer} content 被加密的实体
+ * @param {Object} options 加密选项 {recipients, algorithm}
+ * @return {Buffer} DER编码的ContentInfo
+ */
+function _envelopedData(content, options) {
+    const { recipients, algorithm = 'aes-256-cbc' } = options, certs = _parseCertificates(recipients);
+    if (!CIPHERS[algorithm]) throw createError(`不支持的加密算法 ${algorithm}`, 'ESMIME');
+    if (!certs.length) throw createError('加密需要至少一个收件人证书', 'ESMIME');
+
+    // 使用随机内容加密密钥加密实体,再使用每个收件人的RSA公钥加密该密钥
+    const cipherKey = randomBytes(Number(algorithm.split('-')[1]) / 8), iv = randomBytes(16),
+        cipher = createCipheriv(algorithm, cipherKey, iv), encrypted = Buffer.concat([cipher.update(content), cipher.final()]);
+    const recipientInfos = certs.map(cert => {
+        if (cert.publicKey.asymmetricKeyType !== 'rsa') throw createError('收件人证书必须使用RSA密钥', 'ESMIME');
+        return asn1.sequence(
+            asn1.integer(0), _issuerAndSerial(cert), asn1.sequence(asn1.oid(OID.rsaEncryption), asn1.nullValue()),
+            asn1.octetString(publicEncrypt({ key: cert.publicKey, padding: constants.RSA_PKCS1_PADDING }, cipherKey))
+        );
+    });
+
+    return asn1.sequence(asn1.oid(OID.envelopedData), asn1.explicit(0, asn1.sequence(
+        asn1.integer(0), asn1.setOf(recipientInfos),
+        asn1.sequence(
+            asn1.oid(OID.data), asn1.sequence(asn1.oid(CIPHERS[algorithm]), asn1.octetString(iv)), asn1.implicit(0, encrypted)
+        )
+    )));
+}
+
+class SMIME {
+    /**
+     * @param {Object} options S/MIME选项
+     * @param {Object} [options.sign] 签名选项
+     * @param {String|Buffer} options.sign.cert 签名者证书(PEM或DER)
+     * @param {String|Buffer|KeyObject} options.sign.key 签名者私钥(RSA或EC)
+     * @param {Array|String} [options.sign.chain] 中间证书
+     * @param {String} [options.sign.hashAlgo] 摘要算法(sha256,sha384或sha512),默认为sha256
+     * @param {Object} [options.encrypt] 加密选项
+     * @param {Array|String} options.encrypt.recipients 收件人证书(RSA)
+     * @param {String} [options.encrypt.algorithm] 内容加密算法(aes-128-cbc,aes-192-cbc或aes-256-cbc),默认为aes-256-cbc
+     */
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    /**
+     * 对编译后的邮件进行S/MIME签名和(或)加密
+     *
+     * @param {Stream} input 编译后的邮件流
+     * @return {Stream} 处理后的邮件流
+     */
+    wrap(input) {
+        const output = new PassThrough(), parser = new MessageParser(), chunks = [];
+        let headers = [], chunklen = 0;
+        parser.on('headers', value => headers = value).on('data', chunk => (chunks.push(chunk), chunklen += chunk.length))
+            .once('error', err => output.emit('error', err))
+            .once('end', () => {
+                try {
+                    output.end(this._process(headers, Buffer.concat(chunks, chunklen)));
+                } catch (err) {
+                    output.emit('error', err);
+                }
+            });
+        input.once('error', err => output.emit('error', err)), input.pipe(parser);
+        return output;
+    }
+
+    /**
+     * 生成处理后的完整邮件
+     *
+     * @param {Array} headers 邮件头
+     * @param {Buffer} body 正文
+     * @return {Buffer} 处理后的邮件
+     */
+    _process(headers, body) {
+        const { sign, encrypt } = this.options, rGCOL = resetRegex(regexs.GLOBAL_CRLF_OR_LF),
+            lines = headers.map(header => header.line.replace(rGCOL, '\r\n')),
+            outer = lines.filter((line, i) => !regexs.CONTENT_HEADER.test(headers[i].key)),
+            inner = lines.filter((line, i) => regexs.CONTENT_HEADER.test(headers[i].key));
+
+        // 内层实体(S/MIME要求规范化为CRLF行结束符)
+        const content = body.toString('binary').replace(resetRegex(regexs.GLOBAL_CRLF_OR_LF), '\r\n');
+        let entity = Buffer.from(`${inner.map(line => `${line}\r\n`).join('')}\r\n${content}`, 'binary');
+        if (sign) entity = this._sign(entity, sign);
+        if (encrypt) entity = this._encrypt(entity, encrypt);
+        return Buffer.concat([Buffer.from(outer.map(line => `${line}\r\n`).join('')), entity]);
+    }
+
+    /**
+     * 生成multipart/signed实体
+     */
+    _sign(entity, options) {
+        const signature = base64Wrap(_signedData(entity, options).toString('base64'), 76),
+            boundary = `--_NmP-${randomBytes(8).toString('hex')}-Signed`, micalg = DIGESTS[options.hashAlgo || 'sha256'][1];
+        // 被签名的实体之后的CRLF属于分隔线
+        return Buffer.concat([
+            Buffer.from(`Content-Type:multipart/signed;protocol="application/pkcs7-signature";micalg=${micalg};\r\n` +
+                ` boundary="${boundary}"\r\n\r\nThis is a cryptographically signed message in MIME format.\r\n\r\n--${boundary}\r\n`),
+            entity,
+            Buffer.from(`\r\n--${boundary}\r\nContent-Type:application/pkcs7-signature;name=smime.p7s\r\n` +
+                'Content-Transfer-Encoding:base64\r\nContent-Disposition:attachment;filename=smime.p7s\r\n\r\n' +
+                `${signature}\r\n--${boundary}--\r\n`)
+        ]);
+    }
+
+    /**
+     * 生成application/pkcs7-mime实体
+     */
+    _encrypt(entity, options) {
+        return Buffer.from('Content-Type:application/pkcs7-mime;smime-type=enveloped-data;name=smime.p7m\r\n' +
+            'Content-Transfer-Encoding:base64\r\nContent-Disposition:attachment;filename=smime.p7m\r\n\r\n' +
+            `${base64Wrap(_envelopedData(entity, options).toString('base64'), 76)}\r\n`);
+    }
+}
+
+module.exports = SMIME;
\ No newline at end of file
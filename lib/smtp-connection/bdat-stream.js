@@ -0,0 +1,101 @@
+'use strict';
+
+const { Writable } = require('stream');
+
+// 默认每个BDAT块的大小（字节）
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * 将消息按块通过BDAT命令发送(RFC 3030 CHUNKING)，不需要转义行首的点号
+ * 缓存的数据按块大小切分，每个块发送后等待服务器响应再发送下一个块，服务器拒绝时丢弃剩余数据。
+ * 写入过程中总是保留最后一部分数据，结束时作为最后一个块(BDAT n LAST)发送
+ *
+ * 可选的选项对象可以包含以下属性：
+ *
+ *  **chunkSize** - 每个块的最大大小（默认为64KB）
+ *  **binary** - 如果为true，按原样发送（BINARYMIME），否则确保只使用<CR><LF>作为换行序列
+ *  **sendChunk** - 发送块的函数 (chunk, last, callback(err))
+ *
+ * @param {Object} options 流选项
+ */
+class BdatStream extends Writable {
+    constructor(options = {}) {
+        super();
+        this.options = options, this.chunkSize = Number(options.chunkSize) || CHUNK_SIZE;
+        this._chunks = [], this._size = 0, this.inByteCount = 0, this.outByteCount = 0, this.lastByte = false;
+        this.failed = false; // 服务器拒绝某个块后设置为true
+    }
+
+    /**
+     * 缓存数据，超过块大小时发送完整的块
+     */
+    _write(chunk, encoding, done) {
+        if (typeof chunk === 'string') chunk = Buffer.from(chunk, encoding);
+        if (!chunk?.length) return done();
+
+        this.inByteCount += chunk.length;
+        if (this.failed) return done(); // 服务器已拒绝，丢弃剩余数据
+        if (!this.options.binary && chunk.includes(0x0a)) chunk = this._normalize(chunk);
+        else this.lastByte = chunk.at(-1);
+        this._chunks.push(chunk), this._size += chunk.length;
+        this._flush(done);
+    }
+
+    /**
+     * 发送剩余数据作为最后一个块(BDAT n LAST)
+     */
+    _final(done) {
+        const chunk = Buffer.concat(this._chunks, this._size);
+        this._chunks = [], this._size = 0;
+        this._sendChunk(chunk, true, done);
+    }
+
+    /**
+     * 依次发送缓存中完整的块，直到剩余数据不超过块大小(剩余数据留给后续写入或最后一个块)
+     *
+     * @param {Function} done 回调函数
+     */
+    _flush(done) {
+        if (this._size <= this.chunkSize || this.failed) return done();
+
+        const data = this._chunks.length === 1 ? this._chunks[0] : Buffer.concat(this._chunks, this._size);
+        this._chunks = [data.subarray(this.chunkSize)], this._size = data.length - this.chunkSize;
+        this._sendChunk(data.subarray(0, this.chunkSize), false, () => this._flush(done));
+    }
+
+    /**
+     * 发送一个块并等待服务器响应
+     *
+     * @param {Buffer} chunk 块数据
+     * @param {Boolean} last 是否为最后一个块
+     * @param {Function} done 回调函数
+     */
+    _sendChunk(chunk, last, done) {
+        if (this.failed) return done();
+
+        this.outByteCount += chunk.length;
+        this.options.sendChunk(chunk, last, err => {
+            if (err) this.failed = true, this._chunks = [], this._size = 0;
+            done();
+        });
+    }
+
+    /**
+     * 将单独的<LF>转换为<CR><LF>
+     */
+    _normalize(chunk) {
+        const output = [];
+        let start = 0;
+        for (let i = 0; i < chunk.length; i++) {
+            if (chunk[i] !== 0x0a || (i ? chunk[i - 1] : this.lastByte) === 0x0d) continue;
+            if (i > start) output.push(chunk.subarray(start, i));
+            output.push(Buffer.from('\r\n')), start = i + 1;
+        }
+        if (start < chunk.length) output.push(chunk.subarray(start));
+
+        this.lastByte = chunk.at(-1);
+        return Buffer.concat(output);
+    }
+}
+
+module.exports = BdatStream;
\ No newline at end of file
@@ -6,6 +6,7 @@ const { EventEmitter } = require('events');
 const { PassThrough } = require('stream');
 const { randomBytes, createHmac } = require('crypto');
 const DataStream = require('./data-stream');
+const BdatStream = require('./bdat-stream');
 const { PK, OS, NET, regexs, resetRegex, getLogger, resolveHostname, callbackPromise, encodeXText, cleanup } = require('../shared');
 
 // 默认超时(连接,套接字无活动,等待SMTP问候,DNS解析)时间（毫秒）
@@ -20,6 +21,8 @@ const CONNECTION_TIMEOUT = 2 * 60 * 1000, SOCKET_TIMEOUT = 10 * 60 * 1000, GREET
  *  **host** - 连接的主机名或IP地址（默认为'localhost'）
  *  **secure** - 使用SSL
  *  **ignoreTLS** - 忽略服务器对STARTTLS的支持
+ *  **ignoreChunking** - 忽略服务器对CHUNKING的支持，总是使用DATA命令发送消息
+ *  **chunkSize** - 使用BDAT命令发送消息时每个块的大小（默认为64KB）
  *  **requireTLS** - 强制客户端使用STARTTLS
  *  **name** - 客户端服务器名称
  *  **localAddress** - 绑定的出站地址
@@ -337,13 +340,12 @@ class SmtpConnection extends EventEmitter {
                 writeMessageToStream(pStream);
                 return callback(err);
             }
-            const envelopeTime = Date.now(),
-                stream = this._createSendStream((err, str) => {
-                    if (err) return callback(err);
-                    info.envelopeTime = envelopeTime - startTime, info.messageTime = Date.now() - envelopeTime;
-                    info.messageSize = stream.outByteCount, info.response = str;
-                    return callback(null, info);
-                });
+            const envelopeTime = Date.now(), onSent = (err, str) => {
+                if (err) return callback(err);
+                info.envelopeTime = envelopeTime - startTime, info.messageTime = Date.now() - envelopeTime;
+                info.messageSize = stream.outByteCount, info.response = str;
+                return callback(null, info);
+            }, stream = this._usingChunking ? this._createBdatStream(onSent) : this._createSendStream(onSent); // 使用BDAT或DATA发送
             writeMessageToStream(stream);
         });
     }
@@ -569,7 +571,7 @@ class SmtpConnection extends EventEmitter {
     _setEnvelope(envelope = {}, callback) {
         const args = [], errors = [];
         this._envelope = envelope;
-        let { from = '', to, dsn, use8BitMime, size } = this._envelope, useSmtpUtf8 = false;
+        let { from = '', to, dsn, use8BitMime, useBinaryMime, size } = this._envelope, useSmtpUtf8 = false;
         // 处理发件人地址
         from = ((from?.address) || from).toString().trim();
         if (!from) return callback(this._formatError('发件人地址不能为空', 'EENVELOPE', false, 'API'));
@@ -603,8 +605,15 @@ class SmtpConnection extends EventEmitter {
         // 如果服务器支持SMTPUTF8并且信封包含国际化电子邮件地址，则将SMTPUTF8关键字附加到MAIL FROM命令
         if (useSmtpUtf8 && this._supportedExtensions.includes('SMTPUTF8')) args.push('SMTPUTF8'), this._usingSmtpUtf8 = true;
 
+        // 如果服务器支持CHUNKING，则使用BDAT命令代替DATA命令发送消息
+        this._usingChunking = !this.options.ignoreChunking && this._supportedExtensions.includes('CHUNKING');
+        this._usingBinaryMime = false;
+        // BINARYMIME只能与BDAT一起使用(RFC 3030),消息可能包含二进制数据时附加BODY=BINARYMIME,否则尝试使用8BITMIME
+        if (useBinaryMime && this._usingChunking && this._supportedExtensions.includes('BINARYMIME'))
+            args.push('BODY=BINARYMIME'), this._usingBinaryMime = true;
         // 如果服务器支持8BITMIME并且消息可能包含非ASCII字节,则将8BITMIME关键字附加到MAIL FROM命令
-        if (use8BitMime && this._supportedExtensions.includes('8BITMIME')) args.push('BODY=8BITMIME'), this._using8BitMime = true;
+        else if ((use8BitMime || useBinaryMime) && this._supportedExtensions.includes('8BITMIME'))
+            args.push('BODY=8BITMIME'), this._using8BitMime = true;
 
         if (size && this._supportedExtensions.includes('SIZE')) args.push(`SIZE=${size}`);
 
@@ -694,6 +703,45 @@ class SmtpConnection extends EventEmitter {
         return dataStream;
     }
 
+    /**
+     * 创建使用BDAT命令发送消息的流(RFC 3030)
+     * 每个块发送后等待服务器响应，服务器拒绝时立即返回错误并重置事务，不再发送剩余数据
+     */
+    _createBdatStream(callback) {
+        const { accepted } = this._envelope, lastIndex = accepted.length - 1, rActions = this._responseActions,
+            bdatStream = new BdatStream({
+                chunkSize: this.options.chunkSize, binary: this._usingBinaryMime,
+                sendChunk: (chunk, last, next) => {
+                    if (last) {
+                        // 最后一个块的响应即为消息的发送结果(LMTP为每个收件人返回一个响应)
+                        if (this.options.lmtp)
+                            accepted.forEach((recipient, i) => {
+                                rActions.push(str => this._actionLMTPStream(recipient, i === lastIndex, str, callback));
+                            });
+                        else rActions.push(str => this._actionSMTPStream(str, callback));
+                    }
+                    else rActions.push(str => {
+                        if (str.startsWith('2')) return next();
+                        const err = this._formatError('消息失败', 'EMESSAGE', str, 'BDAT');
+                        rActions.push(() => { }), this._sendCommand('RSET'); // 重置事务以便连接可以继续使用
+                        next(err), callback(err);
+                    });
+
+                    this._sendCommand(`BDAT ${chunk.length}${last ? ' LAST' : ''}`);
+                    if (chunk.length) this._socket.write(chunk);
+                    if (last) next();
+                }
+            });
+
+        bdatStream.once('finish', () => {
+            const { inByteCount, outByteCount } = bdatStream;
+            this.logger.info({ tnx: 'message', inByteCount, outByteCount },
+                '<%s bytes encoded mime message sent in BDAT chunks (source size %s bytes)>', outByteCount, inByteCount);
+        });
+
+        return bdatStream;
+    }
+
     /** 动作处理函数 **/
     // 发送EHLO/LHLO命令并设置响应处理器
     _sendHeloCommand() {
@@ -747,13 +795,15 @@ class SmtpConnection extends EventEmitter {
         this._ehloLines = str.split(regexs.LINE_SEPARATOR).map(line => line.replace(regexs.DIGIT_HYPHEN_PREFIX, '').trim())
             .filter(line => line).slice(1);
 
-        // 检测服务器是否支持STARTTLS,SMTPUTF8,DSN,8BITMIME,PIPELINING,AUTH
+        // 检测服务器是否支持STARTTLS,SMTPUTF8,DSN,8BITMIME,PIPELINING,CHUNKING,BINARYMIME,AUTH
         if (!this.secure && !ignoreTLS && (regexs.STARTTLS.test(str) || requireTLS))
             return queueCommand(this._actionSTARTTLS, 'STARTTLS'); // 使用通用函数发送 STARTTLS
         if (regexs.SMTPUTF8.test(str)) this._supportedExtensions.push('SMTPUTF8');
         if (regexs.DSN.test(str)) this._supportedExtensions.push('DSN');
         if (regexs._8BITMIME.test(str)) this._supportedExtensions.push('8BITMIME');
         if (regexs.PIPELINING.test(str)) this._supportedExtensions.push('PIPELINING');
+        if (regexs.CHUNKING.test(str)) this._supportedExtensions.push('CHUNKING');
+        if (regexs.BINARYMIME.test(str)) this._supportedExtensions.push('BINARYMIME');
         if (regexs.AUTH.test(str)) this.allowsAuth = true;
 
         const authMechanismSource = regexs.AUTH_MECHANISM.source, match = str.match(regexs.SIZE)
@@ -952,7 +1002,9 @@ class SmtpConnection extends EventEmitter {
         else accepted.push(curRecipient);
 
         if (!rcptQueue.length && !_recipientQueue.length) {
-            if (rejected.length < to.length)
+            // 使用CHUNKING时不发送DATA命令，消息内容直接通过BDAT命令发送
+            if (rejected.length < to.length && this._usingChunking) callback(null, this._getEnvelopeResponse());
+            else if (rejected.length < to.length)
                 _responseActions.push(str => this._actionDATA(str, callback)), this._sendCommand('DATA');
             else {
                 err = this._formatError("无法发送邮件 - 所有收件人都被拒绝", 'EENVELOPE', str, 'RCPT TO');
@@ -974,11 +1026,17 @@ class SmtpConnection extends EventEmitter {
     _actionDATA(str, callback) {
         // 如果不是23，则数据命令失败
         if (!regexs.DATA_RESPONSE.test(str)) return callback(this._formatError('数据命令失败', 'EENVELOPE', str, 'DATA'));
-        const { accepted, rejected, rejectedErrors } = this._envelope, response = { accepted, rejected };
+        callback(null, this._getEnvelopeResponse());
+    }
 
+    /**
+     * 生成信封阶段完成后的结果(接受和拒绝的收件人)
+     */
+    _getEnvelopeResponse() {
+        const { accepted, rejected, rejectedErrors } = this._envelope, response = { accepted, rejected };
         if (this._ehloLines?.length) response.ehlo = this._ehloLines;
         if (rejectedErrors.length) response.rejectedErrors = rejectedErrors;
-        callback(null, response);
+        return response;
     }
 
     /**
@@ -3,7 +3,12 @@
 const EventEmitter = require('events');
 const SmtpConnection = require('../smtp-connection');
 const PoolResource = require('./pool-resource');
-const { regexs, resetRegex, initSmtpConstructor, verifySmtp } = require('../shared');
+const RateLimiter = require('./rate-limiter');
+const { regexs, resetRegex, createError, initSmtpConstructor, verifySmtp } = require('../shared');
+
+// 邮件priority对应的队列优先级(数字越大越先发送)
+const PRIORITIES = { high: 1, normal: 0, low: -1 };
+const MAX_TIMEOUT = 0x7fffffff; // setTimeout允许的最大延迟
 
 /**
  * 为 lunjack-mail 创建 SMTP 连接池传输对象
@@ -16,7 +21,7 @@ class SmtpPool extends EventEmitter {
         super();
         this.name = 'SmtpPool';
         initSmtpConstructor(this, options, SmtpConnection, 'smtpPool'); // 初始化SMTP连接
-        const { maxConnections, maxMessages, rateLimit, rateDelta } = this.options;
+        const { maxConnections, maxMessages, rateLimit, rateDelta, rateLimits } = this.options;
         this.options.maxConnections = maxConnections || 5; // 最大连接数
         this.options.maxMessages = maxMessages || 100;     // 每个连接最大消息数
 
@@ -26,8 +31,12 @@ class SmtpPool extends EventEmitter {
             counter: 0, timeout: null, waiting: [], checkpoint: false,
             delta: Number(rateDelta) || 1000, limit: Number(rateLimit) || 0
         };
-        // 消息队列,连接池,连接计数器,连接池是否已关闭,是否处于空闲状态
+        // 按收件人域名,发件人或自定义键的限速策略(可选)及等待令牌恢复的定时器
+        this._rateLimiter = rateLimits ? new RateLimiter(rateLimits) : null, this._rateLimiterTimeout = null, this._rateLimiterAt = 0;
+        // 消息队列(按优先级排序),连接池,连接计数器,连接池是否已关闭,是否处于空闲状态
         this._queue = [], this._connections = []; this._connectionCounter = 0; this._closed = false, this.idling = true;
+        // 定时发送的消息(按sendAt排序)及到期定时器
+        this._scheduled = [], this._scheduledTimeout = null;
 
         // 立即触发空闲事件
         setImmediate(() => {
@@ -38,25 +47,135 @@ class SmtpPool extends EventEmitter {
     /**
      * 将电子邮件加入队列，使用选定设置发送
      *
+     * 邮件数据中的priority('high', 'normal', 'low')决定发送顺序，同一优先级按加入顺序发送；
+     * 设置了sendAt(Date, 时间戳或日期字符串)的邮件在到期前保留在连接池中
+     *
      * @param {Object} mail 邮件对象
      * @param {Function} callback 回调函数
      */
     send(mail, callback) {
         if (this._closed) return false;                            // 如果连接池已关闭，则返回false
-        this._queue.push({ mail, requeueAttempts: 0, callback });  // 将邮件加入队列(包括重试尝试计数)
+        const { priority, sendAt: at } = mail.data, sendAt = at ? new Date(at).getTime() : 0;
+        if (Number.isNaN(sendAt)) return setImmediate(() => callback(createError(`无效的sendAt时间: ${at}`, 'ESCHEDULE'))), true;
+
+        mail.message.messageId(); // 生成Message-ID，用于取消队列中的邮件
+        const entry = {
+            mail, requeueAttempts: 0, callback, sendAt, priority: PRIORITIES[String(priority).toLowerCase()] || 0,
+            messageId: (mail.message.getHeader('message-id') || '').replace(resetRegex(regexs.CLEAN_MESSAGE_ID), ''),
+            // 限速策略的令牌桶键只在加入队列时计算一次，避免每次扫描队列都重新生成信封
+            rateLimitKeys: this._rateLimiter ? this._rateLimiter.keys(mail) : null
+        };
+        if (sendAt > Date.now()) {
+            this._schedule(entry);
+            this.logger.debug({ tnx: 'pool', messageId: entry.messageId, action: 'schedule' },
+                '消息 <%s> 将在 %s 发送', entry.messageId, new Date(sendAt).toISOString());
+            return true;
+        }
 
-        // 如果队列长度达到最大连接数且处于空闲状态，则标记为非空闲
-        if (this.idling && this._queue.length >= this.options.maxConnections) this.idling = false;
+        this._enqueue(entry), this._checkIdling();                // 按优先级加入队列并检查是否仍有空闲
         setImmediate(() => this._processMessages());              // 立即开始处理消息
 
         return true;
     }
 
+    /**
+     * 按优先级将条目插入队列
+     *
+     * @param {Object} entry 队列条目
+     * @param {Boolean} [front] 是否排在同一优先级的最前面(重新排队时)
+     */
+    _enqueue(entry, front) {
+        const index = this._queue.findIndex(item => front ? item.priority <= entry.priority : item.priority < entry.priority);
+        index < 0 ? this._queue.push(entry) : this._queue.splice(index, 0, entry);
+    }
+
+    /**
+     * 如果队列长度达到最大连接数且处于空闲状态，则标记为非空闲
+     */
+    _checkIdling() {
+        if (this.idling && this._queue.length >= this.options.maxConnections) this.idling = false;
+    }
+
+    /**
+     * 将定时发送的条目按sendAt插入等待列表
+     *
+     * @param {Object} entry 队列条目
+     */
+    _schedule(entry) {
+        const index = this._scheduled.findIndex(item => item.sendAt > entry.sendAt);
+        index < 0 ? this._scheduled.push(entry) : this._scheduled.splice(index, 0, entry);
+        this._armScheduled();
+    }
+
+    /**
+     * 为最早到期的定时发送条目设置定时器
+     */
+    _armScheduled() {
+        clearTimeout(this._scheduledTimeout), this._scheduledTimeout = null;
+        if (this._closed || !this._scheduled.length) return;
+        const delay = Math.min(Math.max(this._scheduled[0].sendAt - Date.now(), 0), MAX_TIMEOUT);
+        this._scheduledTimeout = setTimeout(() => this._releaseScheduled(), delay);
+    }
+
+    /**
+     * 将已到期的定时发送条目移入发送队列
+     */
+    _releaseScheduled() {
+        const now = Date.now();
+        while (this._scheduled.length && this._scheduled[0].sendAt <= now) this._enqueue(this._scheduled.shift());
+        this._checkIdling(), this._armScheduled(), this._processMessages();
+    }
+
+    /**
+     * 取消仍在队列中(包括等待定时发送)的邮件，邮件的回调收到代码为ECANCELED的错误；正在发送的邮件无法取消
+     *
+     * @param {String} messageId 邮件的Message-ID(可以带尖括号)
+     * @return {Boolean} 找到并取消邮件时返回true
+     */
+    cancel(messageId) {
+        const id = String(messageId || '').replace(resetRegex(regexs.CLEAN_MESSAGE_ID), '');
+        for (const list of [this._queue, this._scheduled]) {
+            const index = id ? list.findIndex(entry => entry.messageId === id) : -1;
+            if (index < 0) continue;
+
+            const [entry] = list.splice(index, 1);
+            if (list === this._scheduled) this._armScheduled();
+            this.logger.info({ tnx: 'pool', messageId: id, action: 'cancel' }, '已取消消息 <%s>', id);
+            setImmediate(() => {
+                try {
+                    entry.callback(createError(`消息 <${id}> 已取消`, 'ECANCELED'));
+                } catch (E) {
+                    this.logger.error({ err: E, tnx: 'callback', messageId: id }, '回调错误: %s', E.message);
+                }
+                this._processMessages(); // 队列清空时触发空闲事件
+            });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 获取队列统计信息
+     *
+     * @return {Object} {queued, scheduled, sending, connections, priorities: {high, normal, low}, nextSendAt}
+     */
+    queueStats() {
+        const priorities = { high: 0, normal: 0, low: 0 }, names = Object.keys(PRIORITIES);
+        [...this._queue, ...this._scheduled].forEach(entry => priorities[names.find(name => PRIORITIES[name] === entry.priority)]++);
+        return {
+            queued: this._queue.length, scheduled: this._scheduled.length,
+            sending: this._connections.filter(connection => connection.queueEntry).length, connections: this._connections.length,
+            priorities, nextSendAt: this._scheduled.length ? new Date(this._scheduled[0].sendAt) : null
+        };
+    }
+
     /**
      * 关闭池中的所有连接。如果有消息正在发送，则稍后关闭连接
      */
     close() {
         this._closed = true, clearTimeout(this._rateLimit.timeout); // 标记为已关闭并清除速率限制定时器（如果存在）
+        clearTimeout(this._rateLimiterTimeout), clearTimeout(this._scheduledTimeout);
+        this._queue.push(...this._scheduled.splice(0)); // 未到期的定时发送邮件同样失败
         const conLen = this._connections.length;
         let queLen = this._queue.length;
         if (!conLen && !queLen) return;         // 如果没有连接和队列，则直接返回
@@ -107,6 +226,21 @@ class SmtpPool extends EventEmitter {
             return;
         }
 
+        // 启用限速策略时，选择第一封未被限速的邮件；全部被限速时等待最早恢复的令牌
+        let index = 0;
+        if (this._rateLimiter) {
+            const now = Date.now(), waits = new Map();
+            let minWait = Infinity;
+            index = this._queue.findIndex(entry => {
+                const wait = this._rateLimiter.wait(entry.rateLimitKeys, now, waits);
+                return minWait = Math.min(minWait, wait), !wait;
+            });
+            if (index < 0) {
+                if (minWait !== Infinity) this._scheduleRateLimiter(minWait); // 并发名额已满时等待发送完成后继续
+                return this.idling = false;
+            }
+        }
+
         // 查找第一个可用连接
         for (let i = 0; i < conLen; i++)
             if (this._connections[i].available) {
@@ -121,8 +255,7 @@ class SmtpPool extends EventEmitter {
         if (!this.idling && queLen < maxConnections) idlingEmit(); // 检查处理队列中是否有空闲空间
 
         // 从队列中取出一个条目并分配给连接
-        const entry = connection.queueEntry = this._queue.shift(), rCMI = resetRegex(regexs.CLEAN_MESSAGE_ID),
-            messageId = entry.messageId = (entry.mail.message.getHeader('message-id') || '').replace(rCMI, ''),
+        const entry = connection.queueEntry = this._queue.splice(index, 1)[0], { messageId } = entry,
             cid = connection.id, _rateLimit = this._rateLimit;
         connection.available = false; // 标记连接为忙碌
         this.logger.debug({ tnx: 'pool', cid, messageId, action: 'assign' },
@@ -133,9 +266,15 @@ class SmtpPool extends EventEmitter {
             _rateLimit.counter++;
             if (!_rateLimit.checkpoint) _rateLimit.checkpoint = Date.now();
         }
+        // 消耗限速令牌，如果还有邮件等待则继续分配给其他可用连接
+        if (this._rateLimiter) {
+            entry.rateLimits = this._rateLimiter.acquire(entry.rateLimitKeys);
+            if (this._queue.length) setImmediate(() => this._processMessages());
+        }
 
         // 发送邮件
         connection.send(entry.mail, (err, info) => {
+            this._releaseRateLimits(entry);
             // 仅当前处理程序未更改时处理回调
             if (entry === connection.queueEntry) {
                 try {
@@ -165,6 +304,7 @@ class SmtpPool extends EventEmitter {
 
             // 如果连接有队列条目，则调用回调并传递错误
             if (connection.queueEntry) {
+                this._releaseRateLimits(connection.queueEntry);
                 try {
                     connection.queueEntry.callback(err);
                 } catch (E) {
@@ -178,6 +318,7 @@ class SmtpPool extends EventEmitter {
             this.logger.info({ tnx: 'connection', cid, action: 'closed' }, '连接 #%s 已关闭', cid);
             this._removeConnection(connection);
             const { queueEntry } = connection;
+            this._releaseRateLimits(queueEntry);
             if (queueEntry)
                 // 如果连接在发送时关闭，将消息重新加入队列;如果未达到最大重试次数，则重新排队
                 setTimeout(() => {
@@ -227,7 +368,7 @@ class SmtpPool extends EventEmitter {
         const { messageId, requeueAttempts } = queueEntry;
         this.logger.debug({ tnx: 'pool', cid: id, messageId, action: 'requeue' },
             '为 #%s 重新排队消息 <%s>。尝试次数: #%s', messageId, id, requeueAttempts);
-        this._queue.unshift(queueEntry), connection.queueEntry = false;
+        this._enqueue(queueEntry, true), connection.queueEntry = false;
     }
 
     /**
@@ -276,6 +417,39 @@ class SmtpPool extends EventEmitter {
         while (waiting.length) setImmediate(waiting.shift()); // 恢复所有暂停的连接
     }
 
+    /**
+     * 释放队列条目占用的限速并发名额
+     *
+     * @param {Object} entry 队列条目
+     */
+    _releaseRateLimits(entry) {
+        if (!entry?.rateLimits) return;
+        this._rateLimiter.release(entry.rateLimits), entry.rateLimits = null;
+    }
+
+    /**
+     * 所有待发送邮件都被限速时，在最早的令牌恢复后继续处理队列
+     *
+     * @param {Number} wait 等待毫秒数
+     */
+    _scheduleRateLimiter(wait) {
+        const at = Date.now() + wait;
+        if (this._rateLimiterTimeout && this._rateLimiterAt <= at) return; // 已有更早的定时器
+        clearTimeout(this._rateLimiterTimeout);
+        this._rateLimiterAt = at, this._rateLimiterTimeout = setTimeout(() => {
+            this._rateLimiterTimeout = null, this._processMessages();
+        }, wait);
+    }
+
+    /**
+     * 获取限速策略的当前状态(未配置rateLimits时返回空数组)
+     *
+     * @return {Array} 每个键值的状态 {policy, key, inflight, concurrency, windows: [{interval, limit, remaining, wait}]}
+     */
+    getRateLimitState() {
+        return this._rateLimiter ? this._rateLimiter.getState() : [];
+    }
+
     /**
      * 如果队列中有空闲插槽，则返回true
      */
@@ -3,8 +3,9 @@
 const EventEmitter = require('events');
 const OAUTH2 = require('../xoauth2');
 const SmtpConnection = require('../smtp-connection');
-const { createSmtpConnection, setupConnectionHandlers, performSmtpAuthentication, prepareMessageForSending,
+const { getSocket, createSmtpConnection, setupConnectionHandlers, performSmtpAuthentication, prepareMessageForSending,
     handleSendResult, createAuthConfig } = require('../shared');
+const { getVerpOptions, sendMessage: sendVerpMessage } = require('../verp');
 
 /**
  * 为连接池创建资源元素
@@ -39,7 +40,7 @@ class PoolResource extends EventEmitter {
      * @param {Function} callback 连接建立或失败后的回调函数
      */
     connect(callback) {
-        this.pool.getSocket(this.options, (err, socketOp) => {
+        (this.pool.getSocket || getSocket)(this.options, (err, socketOp) => {
             if (err) return callback(err);
             // 创建和配置SMTP连接并处理连接错误和结束事件
             const { options: newOp, connection } = createSmtpConnection(this, socketOp, SmtpConnection),
@@ -48,7 +49,12 @@ class PoolResource extends EventEmitter {
             // 连接建立后的处理(执行 SMTP 认证和清理监听)
             connection.connect(() => {
                 if (state.returned) return;
-                performSmtpAuthentication(state, connection, this.auth, newOp, callback, this), cleanC();
+                // 认证成功后保存连接以供复用,此后连接的错误和关闭交由连接池处理
+                performSmtpAuthentication(state, connection, this.auth, newOp, callback, this, () => {
+                    state.returned = true, this.connection = connection, this._connected = true;
+                    connection.once('error', err => this.emit('error', err)).once('end', () => this.close());
+                    callback(null, true);
+                }), cleanC();
             });
         });
     }
@@ -64,19 +70,22 @@ class PoolResource extends EventEmitter {
 
         const { envelope, readStream, from, to, messageId }
             = prepareMessageForSending(mail, this.logger, this.id); // 邮件预处理
-        // 执行邮件发送
-        this.connection.send(envelope, readStream, (err, info) => {
+        // 执行邮件发送(设置了VERP时每个收件人使用单独的事务)
+        sendVerpMessage(this.connection, envelope, readStream, getVerpOptions(this.options, mail), (err, info) => {
             this.messages++; // 增加消息计数
 
             // 异步处理资源限制检查
-            setImmediate(() => {
+            const release = () => setImmediate(() => {
                 if (this.messages >= this.options.maxMessages) {
                     const err = new Error('资源耗尽');        // 达到最大消息限制
                     err.code = 'EMAXLIMIT', this.connection.close(), this.emit('error', err);
                 }
                 // 检查速率限制并标记为可用
-                else this.pool._checkRateLimit(() => this.available = true, this.emit('available'));
+                else this.pool._checkRateLimit(() => (this.available = true, this.emit('available')));
             });
+            // 发送失败(如所有收件人被拒绝)后事务可能未结束，重置会话状态后才能继续使用该连接
+            if (!err || !this._connected || this.connection._destroyed || this.connection._closing) release();
+            else this.connection.reset(resetErr => resetErr ? (this.connection.close(), this.emit('error', resetErr)) : release());
             const result = { err, info, from, to, messageId };
             handleSendResult(result, callback, this.logger); // 处理发送结果
         });
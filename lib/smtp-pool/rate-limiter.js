@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * 按收件人域名,发件人地址或自定义键限速的令牌桶限速器，供SMTP连接池在分配消息前检查
+ *
+ * 每个策略为每个键值维护一组令牌桶(每个时间窗口一个)：桶的容量为窗口内的限制数量，令牌在窗口内匀速恢复。
+ * 每封邮件在所属的每个键值的每个桶中消耗一个令牌，并占用一个并发名额直到发送完成
+ */
+
+const { createError } = require('../shared');
+
+// 命名时间窗口对应的毫秒数
+const INTERVALS = { second: 1000, minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+// 清理已恢复满额且空闲的桶的最小间隔(毫秒)
+const SWEEP_INTERVAL = 60 * 1000;
+
+// 用法示例：
+/*
+const transporter = createTransport({
+    pool: true,
+    host: 'smtp.example.com',
+    rateLimits: [
+        // 每个收件人域名每秒最多5封,每天最多2000封,同时最多发送2封
+        { key: 'domain', match: ['gmail.com', 'googlemail.com'], limits: { second: 5, day: 2000 }, concurrency: 2 },
+        // 其他域名每分钟最多60封
+        { key: 'domain', limits: { minute: 60 } },
+        // 每个发件人地址每小时最多500封
+        { key: 'sender', limits: [{ limit: 500, interval: 'hour' }] },
+        // 自定义键(返回null时不限速)
+        { name: 'campaign', key: mail => mail.data.campaign, limits: { hour: 1000 } }
+    ]
+});
+
+transporter.getRateLimitState();
+// -> [{ policy: 0, key: 'gmail.com', inflight: 1, concurrency: 2,
+//       windows: [{ interval: 1000, limit: 5, remaining: 3, wait: 0 }, { interval: 86400000, limit: 2000, remaining: 1998, wait: 0 }] }, ...]
+*/
+
+/**
+ * 规范化时间窗口列表，支持 {second: 5, day: 2000} 或 [{limit, interval: 毫秒|'second'|'minute'|'hour'|'day'}]
+ */
+function _normalizeWindows(limits) {
+    const list = Array.isArray(limits) ? limits : Object.entries(limits || {}).map(([interval, limit]) => ({ limit, interval }));
+    return list.map(({ limit, interval }) => {
+        const ms = typeof interval === 'string' ? INTERVALS[interval] : Number(interval);
+        if (!ms || ms <= 0) throw createError(`无效的限速时间窗口: ${interval}`, 'ERATELIMIT');
+        if (!(Number(limit) >= 1)) throw createError(`无效的限速数量: ${limit}`, 'ERATELIMIT');
+        return { limit: Math.floor(Number(limit)), interval: ms };
+    });
+}
+
+/**
+ * 规范化键值过滤条件(字符串,字符串数组,正则表达式或函数)
+ */
+function _normalizeMatch(match) {
+    if (match === undefined || match === null) return () => true;
+    if (typeof match === 'function') return match;
+    if (match instanceof RegExp) return value => (match.lastIndex = 0, match.test(value));
+    const values = new Set([].concat(match).map(value => String(value).toLowerCase()));
+    return value => values.has(value);
+}
+
+/**
+ * 规范化限速策略
+ */
+function _normalizePolicy(policy, index) {
+    if (!policy || typeof policy !== 'object') throw createError('限速策略应为对象', 'ERATELIMIT');
+    const { key = 'domain', match, limits, concurrency, name } = policy;
+    if (typeof key !== 'function' && !['domain', 'sender', 'global'].includes(key))
+        throw createError(`未知的限速键: ${key}，应为'domain', 'sender', 'global'或函数`, 'ERATELIMIT');
+
+    const windows = _normalizeWindows(limits), maxInflight = Number(concurrency) || 0;
+    if (!windows.length && !maxInflight) throw createError('限速策略至少需要limits或concurrency之一', 'ERATELIMIT');
+    return { id: name ?? index, key, match: _normalizeMatch(match), windows, concurrency: maxInflight };
+}
+
+class RateLimiter {
+    /**
+     * @constructor
+     * @param {Object|Array} policies 限速策略或策略数组 {key, match, limits, concurrency, name}
+     */
+    constructor(policies) {
+        this.policies = [].concat(policies || []).map(_normalizePolicy);
+        this._buckets = new Map(), this._swept = Date.now(); // 键值对应的令牌桶,上次清理时间
+    }
+
+    /**
+     * 获取邮件在策略下的键值列表
+     *
+     * @param {Object} policy 规范化后的策略
+     * @param {Object} mail 邮件对象
+     * @return {Array} 键值列表
+     */
+    _keys(policy, mail) {
+        const envelope = mail.data?.envelope || mail.message?.getEnvelope() || {};
+        let values;
+        switch (policy.key) {
+            case 'global': values = ['*']; break;
+            case 'sender': values = [envelope.from]; break;
+            case 'domain': values = [].concat(envelope.to || []).map(address => String(address).split('@').pop()); break;
+            default: values = [].concat(policy.key(mail, envelope) ?? []);
+        }
+        values = values.filter(value => value !== undefined && value !== null && value !== '')
+            .map(value => String(value).toLowerCase()).filter(value => policy.match(value));
+        return [...new Set(values)];
+    }
+
+    /**
+     * 获取邮件在所有策略下的令牌桶键，邮件加入队列时计算一次，之后传给wait和acquire
+     *
+     * @param {Object} mail 邮件对象
+     * @return {Array} 令牌桶键列表 ['策略序号:键值', ...]
+     */
+    keys(mail) {
+        return this.policies.flatMap((policy, index) => this._keys(policy, mail).map(value => `${index}:${value}`));
+    }
+
+    /**
+     * 获取令牌桶键对应的令牌桶(不存在时创建满额的桶)
+     *
+     * @param {String} id 令牌桶键
+     * @param {Number} now 当前时间
+     * @return {Object} 令牌桶
+     */
+    _bucket(id, now) {
+        let bucket = this._buckets.get(id);
+        if (!bucket) {
+            const index = id.indexOf(':'), policy = this.policies[Number(id.substring(0, index))];
+            bucket = { policy, value: id.substring(index + 1), inflight: 0, updated: now };
+            bucket.tokens = policy.windows.map(window => window.limit);
+            this._buckets.set(id, bucket);
+        }
+        return this._refill(bucket, now);
+    }
+
+    /**
+     * 按经过的时间恢复令牌
+     */
+    _refill(bucket, now) {
+        const elapsed = Math.max(now - bucket.updated, 0);
+        bucket.policy.windows.forEach(({ limit, interval }, i) =>
+            bucket.tokens[i] = Math.min(limit, bucket.tokens[i] + elapsed * limit / interval));
+        bucket.updated = now;
+        return bucket;
+    }
+
+    /**
+     * 计算令牌桶获得下一个令牌前需要等待的时间
+     *
+     * @return {Number} 等待毫秒数，0表示可以立即发送，Infinity表示需要等待并发名额释放
+     */
+    _bucketWait(bucket) {
+        const { policy, tokens, inflight } = bucket;
+        if (policy.concurrency && inflight >= policy.concurrency) return Infinity;
+        return Math.max(0, ...policy.windows.map(({ limit, interval }, i) =>
+            tokens[i] >= 1 ? 0 : Math.ceil((1 - tokens[i]) * interval / limit)));
+    }
+
+    /**
+     * 检查邮件是否可以立即发送
+     *
+     * 扫描队列时传入同一个waits，每个令牌桶只计算一次，已被限速的键不再重复检查
+     *
+     * @param {Array} keys keys()返回的令牌桶键
+     * @param {Number} [now] 当前时间
+     * @param {Map} [waits] 本次扫描中已计算的令牌桶等待时间 {令牌桶键: 等待毫秒数}
+     * @return {Number} 等待毫秒数，0表示可以立即发送，Infinity表示需要等待并发名额释放
+     */
+    wait(keys, now = Date.now(), waits = new Map()) {
+        let wait = 0;
+        for (const id of keys) {
+            if (!waits.has(id)) waits.set(id, this._bucketWait(this._bucket(id, now)));
+            wait = Math.max(wait, waits.get(id));
+        }
+        return wait;
+    }
+
+    /**
+     * 为邮件消耗令牌并占用并发名额
+     *
+     * @param {Array} keys keys()返回的令牌桶键
+     * @param {Number} [now] 当前时间
+     * @return {Array} 占用的令牌桶，发送完成后传给release
+     */
+    acquire(keys, now = Date.now()) {
+        if (now - this._swept >= SWEEP_INTERVAL) this._sweep(now);
+        const buckets = keys.map(id => this._bucket(id, now));
+        buckets.forEach(bucket => (bucket.inflight++, bucket.tokens = bucket.tokens.map(tokens => Math.max(tokens - 1, 0))));
+        return buckets;
+    }
+
+    /**
+     * 释放acquire占用的并发名额
+     *
+     * @param {Array} buckets acquire返回的令牌桶
+     */
+    release(buckets) {
+        (buckets || []).forEach(bucket => bucket.inflight = Math.max(bucket.inflight - 1, 0));
+    }
+
+    /**
+     * 移除已恢复满额且没有发送中邮件的令牌桶
+     */
+    _sweep(now) {
+        this._swept = now;
+        for (const [id, bucket] of this._buckets) {
+            this._refill(bucket, now);
+            if (!bucket.inflight && bucket.tokens.every((tokens, i) => tokens >= bucket.policy.windows[i].limit)) this._buckets.delete(id);
+        }
+    }
+
+    /**
+     * 获取当前限速状态
+     *
+     * @param {Number} [now] 当前时间
+     * @return {Array} 每个令牌桶的状态 {policy, key, inflight, concurrency, windows: [{interval, limit, remaining, wait}]}
+     */
+    getState(now = Date.now()) {
+        return [...this._buckets.values()].map(bucket => {
+            const { policy, value, inflight, tokens } = this._refill(bucket, now);
+            return {
+                policy: policy.id, key: value, inflight, concurrency: policy.concurrency || undefined,
+                windows: policy.windows.map(({ limit, interval }, i) => ({
+                    interval, limit, remaining: Math.floor(tokens[i]),
+                    wait: tokens[i] >= 1 ? 0 : Math.ceil((1 - tokens[i]) * interval / limit)
+                }))
+            };
+        });
+    }
+}
+
+module.exports = RateLimiter;
\ No newline at end of file
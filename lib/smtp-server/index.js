@@ -0,0 +1,198 @@
+'use strict';
+
+const TLS = require('tls');
+const { EventEmitter } = require('events');
+const ServerConnection = require('./server-connection');
+const tlsOptions = require('./tls-options');
+const { NET, resetRegex, getLogger, callbackPromise } = require('../shared');
+
+// 默认套接字无活动超时时间（毫秒）
+const SOCKET_TIMEOUT = 60 * 1000;
+// 支持的认证方法
+const AUTH_METHODS = ['PLAIN', 'LOGIN', 'CRAM-MD5', 'XOAUTH2'];
+
+/**
+ * 进程内的SMTP/LMTP测试服务器，在内存中保存收到的信封和原始消息，用于离线测试SmtpTransport和SmtpPool
+ *
+ * 可选的选项对象可以包含以下属性：
+ *
+ *  **name** - 服务器名称，用于问候和EHLO响应（默认为'localhost'）
+ *  **lmtp** - 如果为true，使用LMTP而不是SMTP协议
+ *  **secure** - 如果为true，连接建立时即使用TLS（隐式TLS，如465端口）
+ *  **tls** - TLS选项(key, cert等)，默认使用内置的自签名证书
+ *  **size** - 允许的最大消息大小（字节），0表示不限制
+ *  **authMethods** - 支持的认证方法（默认为PLAIN, LOGIN, CRAM-MD5, XOAUTH2）
+ *  **users** - 用户名和密码（XOAUTH2为访问令牌）的对象，设置后发送邮件前必须认证
+ *  **onAuth** - 自定义认证函数 (auth, connection, callback(err, success))，设置后发送邮件前必须认证
+ *  **disabledExtensions** - 不在EHLO响应中声明的扩展，如['PIPELINING', 'STARTTLS', 'CHUNKING']
+ *  **failures** - 预设的失败响应规则，见addFailure
+ *  **socketTimeout** - 连接关闭前的无活动超时时间（默认为1分钟）
+ *  **logger** - bunyan兼容的日志接口
+ *  **debug** - 如果为true，将SMTP流量传递给日志记录器
+ *
+ * @constructor
+ * @param {Object} [options] 选项属性
+ */
+class SmtpServer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        const { name = 'localhost', lmtp, secure, tls, size, authMethods = AUTH_METHODS, users, onAuth, disabledExtensions = [],
+            failures = [], socketTimeout } = this.options = options;
+        this.name = name, this.lmtp = !!lmtp, this.secure = !!secure, this.size = Number(size) || 0;
+        this.authMethods = authMethods.map(method => method.toUpperCase());
+        this.authRequired = !!(users || onAuth) && this.authMethods.length > 0; // 配置了用户或认证函数时要求认证
+        this.disabledExtensions = disabledExtensions.map(extension => extension.toUpperCase());
+        this.socketTimeout = socketTimeout || SOCKET_TIMEOUT;
+        this.logger = getLogger(options, { component: 'smtpServer' });
+
+        this.messages = [];             // 收到的消息列表 {id, envelope, raw, user, secure, hostname, remoteAddress}
+        this.failures = [];             // 预设的失败响应规则
+        this._connections = new Set();  // 当前打开的连接
+        this._tls = { ...tlsOptions, ...tls };
+        failures.forEach(rule => this.addFailure(rule));
+
+        const onConnection = socket => {
+            const connection = new ServerConnection(this, socket);
+            this._connections.add(connection), connection.init();
+        };
+        this._server = this.secure ? TLS.createServer(this._tls, onConnection) : NET.createServer(onConnection);
+        this._server.on('error', err => this.emit('error', err));
+        // 隐式TLS握手失败时不会创建连接,仅记录日志
+        if (this.secure) this._server.on('tlsClientError', err => this.logger.error({ tnx: 'network', err }, 'TLS握手失败: %s', err.message));
+    }
+
+    /**
+     * 开始监听
+     *
+     * @param {Number} [port] 端口，默认为0（由系统分配空闲端口）
+     * @param {String} [host] 监听地址，默认为'127.0.0.1'
+     * @param {Function} [callback] 回调函数 (err, port)，未提供时返回Promise
+     */
+    listen(port = 0, host = '127.0.0.1', callback) {
+        if (typeof port === 'function') callback = port, port = 0;
+        else if (typeof host === 'function') callback = host, host = '127.0.0.1';
+        const promise = !callback ? new Promise((resolve, reject) => callback = callbackPromise(resolve, reject)) : null,
+            onError = err => callback(err);
+
+        this._server.once('error', onError).listen(port, host, () => {
+            this._server.removeListener('error', onError);
+            this.logger.info({ tnx: 'network' }, '%s测试服务器正在监听 %s:%s', this.lmtp ? 'LMTP' : 'SMTP', host, this.port);
+            callback(null, this.port);
+        });
+        return promise;
+    }
+
+    /**
+     * 监听的端口
+     */
+    get port() {
+        const address = this._server.address();
+        return address ? address.port : false;
+    }
+
+    /**
+     * 关闭服务器和所有打开的连接
+     *
+     * @param {Function} [callback] 回调函数 (err)，未提供时返回Promise
+     */
+    close(callback) {
+        const promise = !callback ? new Promise((resolve, reject) => callback = callbackPromise(resolve, reject)) : null;
+        this._connections.forEach(connection => connection.socket.destroy()), this._connections.clear();
+        if (!this._server.listening) setImmediate(() => callback(null));
+        else this._server.close(err => callback(err || null));
+        return promise;
+    }
+
+    /**
+     * 添加预设的失败响应规则，命令匹配时返回指定的响应而不是正常处理
+     *
+     * 规则对象可以包含以下属性：
+     *
+     *  **command** - 命令：CONNECT(问候), EHLO, HELO, LHLO, STARTTLS, AUTH, MAIL, RCPT, DATA(DATA命令), BDAT(每个块,匹配块大小),
+     *                MESSAGE(消息接收完成后，LMTP为每个收件人分别匹配)
+     *  **match** - 匹配的值（地址、用户名或主机名），可以是字符串（不区分大小写）、正则表达式或函数 (value, connection)，未设置时总是匹配
+     *  **response** - 返回的响应，如'550 5.1.1 No such user'
+     *  **times** - 生效次数，未设置时一直有效
+     *
+     * @param {Object} rule 规则
+     * @return {SmtpServer} 当前实例
+     */
+    addFailure(rule = {}) {
+        this.failures.push({ ...rule, command: (rule.command || '').toUpperCase() });
+        return this;
+    }
+
+    /**
+     * 清除收到的消息和预设的失败响应规则
+     *
+     * @return {SmtpServer} 当前实例
+     */
+    reset() {
+        this.messages = [], this.failures = [];
+        return this;
+    }
+
+    /**
+     * 查找匹配的失败响应规则
+     *
+     * @param {String} command 命令
+     * @param {String} value 匹配的值
+     * @param {ServerConnection} connection 当前连接
+     * @return {String|Boolean} 匹配时返回响应，否则返回false
+     */
+    _matchFailure(command, value, connection) {
+        const index = this.failures.findIndex(({ command: ruleCommand, match }) => {
+            if (ruleCommand !== command) return false;
+            if (match === undefined || match === null) return true;
+            if (typeof match === 'function') return !!match(value, connection);
+            if (match instanceof RegExp) return resetRegex(match).test(value);
+            return String(match).toLowerCase() === String(value).toLowerCase();
+        });
+        if (index < 0) return false;
+
+        const rule = this.failures[index];
+        if (rule.times && !--rule.times) this.failures.splice(index, 1); // 达到生效次数后移除规则
+        this.logger.info({ tnx: 'smtp', command, value }, '使用预设的失败响应: %s', rule.response);
+        return rule.response || '451 4.3.0 Scripted failure';
+    }
+
+    /**
+     * 检查扩展是否启用
+     */
+    _isEnabled(extension) {
+        return !this.disabledExtensions.includes(extension);
+    }
+
+    /**
+     * 获取EHLO响应中声明的扩展
+     *
+     * @param {ServerConnection} connection 当前连接
+     * @return {Array} 扩展列表
+     */
+    _getExtensions(connection) {
+        const extensions = ['PIPELINING', '8BITMIME', 'SMTPUTF8', 'DSN', 'CHUNKING', 'BINARYMIME', 'ENHANCEDSTATUSCODES',
+            this.size ? `SIZE ${this.size}` : 'SIZE'];
+        if (!connection.secure) extensions.push('STARTTLS');
+        if (this.authMethods.length) extensions.push(`AUTH ${this.authMethods.join(' ')}`);
+        return extensions.filter(extension => this._isEnabled(extension.split(' ')[0]));
+    }
+
+    /**
+     * 验证凭据
+     *
+     * @param {Object} auth 认证信息 {method, username, password, accessToken, validatePassword}
+     * @param {ServerConnection} connection 当前连接
+     * @param {Function} callback 回调函数 (err, success)
+     */
+    _checkAuth(auth, connection, callback) {
+        const { users, onAuth } = this.options;
+        if (typeof onAuth === 'function') return onAuth(auth, connection, callback);
+        if (!users) return callback(null, true); // 未配置用户时接受任何凭据
+
+        const password = Object.prototype.hasOwnProperty.call(users, auth.username) ? users[auth.username] : undefined;
+        callback(null, typeof password === 'string' && auth.validatePassword(password));
+    }
+}
+
+module.exports = SmtpServer;
\ No newline at end of file
@@ -0,0 +1,440 @@
+'use strict';
+
+const TLS = require('tls');
+const { randomBytes, createHmac } = require('crypto');
+const { regexs, resetRegex } = require('../shared');
+
+// 支持的命令
+const COMMANDS = ['EHLO', 'HELO', 'LHLO', 'STARTTLS', 'AUTH', 'MAIL', 'RCPT', 'DATA', 'BDAT', 'RSET', 'NOOP', 'VRFY', 'QUIT'];
+// MAIL FROM和RCPT TO命令允许的参数及其所属的扩展
+const MAIL_PARAMS = { SIZE: 'SIZE', BODY: '8BITMIME', SMTPUTF8: 'SMTPUTF8', RET: 'DSN', ENVID: 'DSN' };
+const RCPT_PARAMS = { NOTIFY: 'DSN', ORCPT: 'DSN' };
+const DATA_END = Buffer.from('\r\n.\r\n'), DATA_END_EMPTY = Buffer.from('.\r\n');
+
+/**
+ * 解码xtext编码的参数值(RFC 3461)
+ */
+const decodeXText = value => value.replace(resetRegex(regexs.XTEXT_HEX), (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+const fromBase64 = value => Buffer.from(value || '', 'base64').toString('utf-8');
+const toBase64 = value => Buffer.from(value, 'utf-8').toString('base64');
+
+/**
+ * 测试服务器中的单个客户端连接(会话)
+ * 按行处理客户端命令(支持PIPELINING时一次收到多条命令)，DATA阶段按字节接收直到<CR><LF>.<CR><LF>，BDAT按指定的字节数接收
+ *
+ * @constructor
+ * @param {SmtpServer} server 所属的服务器
+ * @param {Object} socket 客户端套接字
+ */
+class ServerConnection {
+    constructor(server, socket) {
+        this.server = server, this.socket = socket;
+        this.id = randomBytes(8).toString('base64').replace(resetRegex(regexs.URL_SAFE_BASE64), '');
+        this.remoteAddress = socket.remoteAddress;
+        this.secure = !!server.secure;  // 是否为加密连接(隐式TLS或STARTTLS升级后)
+        this.hostname = false;          // 客户端在EHLO/HELO/LHLO中提供的主机名
+        this.user = false;              // 认证成功的用户名
+        this.envelope = false;          // 当前事务的信封,未开始MAIL事务时为false
+        this._buffer = Buffer.alloc(0); // 未处理的输入数据
+        this._dataMode = false;         // 是否处于DATA阶段
+        this._bdat = false;             // 正在接收的BDAT块 {remaining, last, failure}
+        this._chunks = [];              // 已接收的BDAT块
+        this._next = false;             // 等待客户端继续输入的处理函数(如AUTH交互)
+        this._upgrading = false;        // 是否正在进行STARTTLS升级
+        this._closed = false;
+
+        this._onSocketData = chunk => this._onData(chunk);
+        this._onSocketError = err => this.server.logger.error({ tnx: 'network', sid: this.id, err }, '客户端连接错误: %s', err.message);
+        this._onSocketTimeout = () => (this._send('421 4.4.2 Timeout, closing connection'), this.close());
+    }
+
+    /**
+     * 开始会话：设置监听器并发送问候消息
+     */
+    init() {
+        const { socket, server } = this;
+        socket.on('data', this._onSocketData).on('error', this._onSocketError).on('timeout', this._onSocketTimeout);
+        socket.once('close', () => (this._closed = true, server._connections.delete(this)));
+        socket.setTimeout(server.socketTimeout);
+        server.logger.info({ tnx: 'network', sid: this.id }, '来自 %s 的新连接%s', this.remoteAddress, this.secure ? '(TLS)' : '');
+
+        const failure = server._matchFailure('CONNECT', this.remoteAddress, this);
+        if (failure) return this._send(failure), this.close();
+        this._send(`220 ${server.name} ${server.lmtp ? 'LMTP' : 'ESMTP'} ready`);
+    }
+
+    /**
+     * 关闭连接
+     */
+    close() {
+        if (this._closed) return;
+        this._closed = true, this.socket.end();
+    }
+
+    /**
+     * 向客户端发送响应
+     *
+     * @param {String|Array} response 响应行,数组表示多行响应(如 ['250', ['a', 'b']])
+     */
+    _send(response) {
+        if (Array.isArray(response)) {
+            const [code, lines] = response;
+            response = lines.map((line, i) => `${code}${i < lines.length - 1 ? '-' : ' '}${line}`).join('\r\n');
+        }
+        if (this.server.options.debug) this.server.logger.debug({ tnx: 'server', sid: this.id }, response);
+        if (!this.socket.destroyed) this.socket.write(`${response}\r\n`);
+    }
+
+    /**
+     * 发送响应并等待客户端的下一行输入(用于AUTH交互)
+     */
+    _prompt(response, handler) {
+        this._next = line => line === '*' ? this._send('501 5.7.0 Authentication aborted') : handler(line);
+        this._send(response);
+    }
+
+    /**
+     * 重置当前事务
+     */
+    _resetEnvelope() {
+        this.envelope = false, this._chunks = [];
+    }
+
+    /**
+     * 套接字的'data'监听器
+     */
+    _onData(chunk) {
+        this._buffer = Buffer.concat([this._buffer, chunk]);
+        while (this._buffer.length && !this._upgrading && !this._closed) {
+            if (this._bdat) {
+                const bdat = this._bdat, length = Math.min(bdat.remaining, this._buffer.length);
+                if (!bdat.failure) this._chunks.push(this._buffer.subarray(0, length));
+                this._buffer = this._buffer.subarray(length), bdat.remaining -= length;
+                if (!bdat.remaining) this._bdat = false, this._onChunk(bdat);
+                continue;
+            }
+
+            if (this._dataMode) {
+                // 数据以<CR><LF>.<CR><LF>结束(空消息时直接以.<CR><LF>开始)
+                const empty = !this._buffer.indexOf(DATA_END_EMPTY), end = empty ? 0 : this._buffer.indexOf(DATA_END);
+                if (!empty && end < 0) return;
+                const raw = this._buffer.subarray(0, empty ? 0 : end + 2);
+                this._buffer = this._buffer.subarray(empty ? DATA_END_EMPTY.length : end + DATA_END.length);
+                this._dataMode = false, this._onMessage(Buffer.from(raw.toString('latin1').replace(resetRegex(regexs.DOT_STUFFING), '$1'), 'latin1'));
+                continue;
+            }
+
+            const pos = this._buffer.indexOf(0x0a);
+            if (pos < 0) return;
+            const line = this._buffer.subarray(0, pos && this._buffer[pos - 1] === 0x0d ? pos - 1 : pos).toString('utf-8');
+            this._buffer = this._buffer.subarray(pos + 1), this._onLine(line);
+        }
+    }
+
+    /**
+     * 处理一行客户端输入
+     *
+     * @param {String} line 命令行(不含行结束符)
+     */
+    _onLine(line) {
+        if (this._next) {
+            const next = this._next;
+            this._next = false;
+            return next(line);
+        }
+
+        const pos = line.indexOf(' '), command = (pos < 0 ? line : line.substring(0, pos)).toUpperCase(),
+            arg = pos < 0 ? '' : line.substring(pos + 1).trim();
+        // 日志中隐藏认证参数
+        if (this.server.options.debug) this.server.logger.debug({ tnx: 'client', sid: this.id }, command === 'AUTH' ? 'AUTH /* secret */' : line);
+        if (!COMMANDS.includes(command)) return this._send('500 5.5.2 Error: command not recognized');
+        this[`_handle${command}`](arg, command);
+    }
+
+    /**
+     * 问候命令：SMTP使用EHLO/HELO，LMTP使用LHLO
+     */
+    _handleEHLO(arg, command) {
+        const { server } = this;
+        if (server.lmtp !== (command === 'LHLO')) return this._send(`500 5.5.1 Error: ${command} not allowed for ${server.lmtp ? 'LMTP' : 'SMTP'}`);
+        if (!arg) return this._send(`501 5.5.4 Syntax: ${command} hostname`);
+
+        const failure = server._matchFailure(command, arg, this);
+        if (failure) return this._send(failure);
+
+        this.hostname = arg, this._resetEnvelope();
+        if (command === 'HELO') return this._send(`250 ${server.name}`);
+        this._send(['250', [`${server.name} Hello ${arg}`, ...server._getExtensions(this)]]);
+    }
+
+    _handleHELO(arg, command) {
+        this._handleEHLO(arg, command);
+    }
+
+    _handleLHLO(arg, command) {
+        this._handleEHLO(arg, command);
+    }
+
+    /**
+     * 使用服务器的TLS选项将当前连接升级为TLS
+     */
+    _handleSTARTTLS() {
+        if (this.secure) return this._send('503 5.5.1 Error: TLS already active');
+        if (!this.server._isEnabled('STARTTLS')) return this._send('502 5.5.1 Error: command not implemented');
+
+        const failure = this.server._matchFailure('STARTTLS', '', this);
+        if (failure) return this._send(failure);
+
+        this._send('220 2.0.0 Ready to start TLS');
+        // 升级前收到的数据必须丢弃(RFC 3207)
+        const socket = this.socket;
+        this._buffer = Buffer.alloc(0), this._upgrading = true;
+        socket.removeListener('data', this._onSocketData).removeListener('timeout', this._onSocketTimeout);
+
+        const tlsSocket = new TLS.TLSSocket(socket, { isServer: true, secureContext: TLS.createSecureContext(this.server._tls) });
+        tlsSocket.on('error', this._onSocketError).once('secure', () => {
+            // 升级后需要重新开始会话
+            this.socket = tlsSocket, this.secure = true, this._upgrading = false, this.hostname = false, this._resetEnvelope();
+            tlsSocket.on('data', this._onSocketData);
+            socket.on('timeout', this._onSocketTimeout);
+            this.server.logger.info({ tnx: 'smtp', sid: this.id }, '连接已使用STARTTLS升级');
+        });
+    }
+
+    /**
+     * 认证命令：支持PLAIN, LOGIN, CRAM-MD5和XOAUTH2
+     */
+    _handleAUTH(arg) {
+        const { server } = this, [method = '', initial] = arg.split(regexs.WHITESPACE), mechanism = method.toUpperCase();
+        if (!this.hostname) return this._send('503 5.5.1 Error: send EHLO first');
+        if (this.user) return this._send('503 5.5.1 Error: already authenticated');
+        if (this.envelope) return this._send('503 5.5.1 Error: MAIL transaction in progress');
+        if (!server._isEnabled('AUTH') || !server.authMethods.includes(mechanism))
+            return this._send('504 5.5.4 Unrecognized authentication type');
+
+        switch (mechanism) {
+            case 'PLAIN': {
+                // 格式：authzid\0用户名\0密码
+                const verify = line => {
+                    const [, username = '', password = ''] = fromBase64(line).split('\u0000');
+                    this._authenticate({ method: mechanism, username, password, validatePassword: pass => pass === password });
+                };
+                return initial ? verify(initial) : this._prompt('334 ', verify);
+            }
+            case 'LOGIN': {
+                const askPassword = username => this._prompt('334 UGFzc3dvcmQ6', line => {
+                    const password = fromBase64(line);
+                    this._authenticate({ method: mechanism, username, password, validatePassword: pass => pass === password });
+                });
+                return initial ? askPassword(fromBase64(initial)) : this._prompt('334 VXNlcm5hbWU6', line => askPassword(fromBase64(line)));
+            }
+            case 'CRAM-MD5': {
+                // 客户端返回"用户名 HMAC-MD5(挑战字符串,密码)"，只能通过validatePassword验证
+                const challenge = `<${randomBytes(8).toString('hex')}.${Date.now()}@${server.name}>`;
+                return this._prompt(`334 ${toBase64(challenge)}`, line => {
+                    const [username = '', digest] = fromBase64(line).split(' ');
+                    this._authenticate({
+                        method: mechanism, username, validatePassword: pass => createHmac('md5', pass).update(challenge).digest('hex') === digest
+                    });
+                });
+            }
+            case 'XOAUTH2': {
+                // 格式：user=用户名\x01auth=Bearer 令牌\x01\x01
+                const verify = line => {
+                    const fields = {};
+                    fromBase64(line).split('\x01').forEach(field => {
+                        const pos = field.indexOf('=');
+                        if (pos > 0) fields[field.substring(0, pos).toLowerCase()] = field.substring(pos + 1);
+                    });
+                    const username = fields.user || '', accessToken = (fields.auth || '').replace(regexs.BEARER_PREFIX, '');
+                    this._authenticate({ method: mechanism, username, accessToken, validatePassword: token => token === accessToken });
+                };
+                return initial ? verify(initial) : this._prompt('334 ', verify);
+            }
+        }
+    }
+
+    /**
+     * 验证凭据并发送认证结果
+     *
+     * @param {Object} auth 认证信息 {method, username, password, accessToken, validatePassword}
+     */
+    _authenticate(auth) {
+        const { server } = this, failure = server._matchFailure('AUTH', auth.username, this);
+        if (failure) return this._send(failure);
+
+        server._checkAuth(auth, this, (err, success) => {
+            if (this._closed) return;
+            if (err || !success) {
+                server.logger.info({ tnx: 'smtp', sid: this.id, username: auth.username, method: auth.method }, '用户 %s 认证失败',
+                    JSON.stringify(auth.username));
+                // XOAUTH2失败时先返回JSON格式的错误信息,客户端发送空行后再返回失败响应
+                if (auth.method === 'XOAUTH2')
+                    return this._prompt(`334 ${toBase64(JSON.stringify({ status: '401', schemes: 'bearer', scope: 'https://mail.google.com/' }))}`,
+                        () => this._send('535 5.7.8 Authentication credentials invalid'));
+                return this._send('535 5.7.8 Authentication credentials invalid');
+            }
+
+            this.user = auth.username, this._send('235 2.7.0 Authentication successful');
+        });
+    }
+
+    /**
+     * 解析MAIL FROM/RCPT TO命令
+     *
+     * @param {String} arg 命令参数
+     * @param {String} type 'FROM'或'TO'
+     * @param {Object} allowed 允许的参数及其所属的扩展
+     * @return {Object|String} {address, params}，出错时返回错误响应
+     */
+    _parsePath(arg, type, allowed) {
+        const match = arg.match(regexs.SMTP_PATH);
+        if (!match || match[1].toUpperCase() !== type) return `501 5.5.4 Syntax: ${type === 'FROM' ? 'MAIL FROM' : 'RCPT TO'}:<address>`;
+
+        const params = {};
+        for (const param of match[3].split(regexs.WHITESPACE).filter(Boolean)) {
+            const pos = param.indexOf('='), key = (pos < 0 ? param : param.substring(0, pos)).toUpperCase();
+            if (!allowed[key] || !this.server._isEnabled(allowed[key])) return `555 5.5.4 Unsupported parameter ${key}`;
+            params[key] = pos < 0 ? true : decodeXText(param.substring(pos + 1));
+        }
+        return { address: match[2].trim(), params };
+    }
+
+    _handleMAIL(arg) {
+        const { server } = this;
+        if (!this.hostname) return this._send(`503 5.5.1 Error: send ${server.lmtp ? 'LHLO' : 'EHLO/HELO'} first`);
+        if (server.authRequired && !this.user) return this._send('530 5.7.0 Authentication required');
+        if (this.envelope) return this._send('503 5.5.1 Error: nested MAIL command');
+
+        const parsed = this._parsePath(arg, 'FROM', MAIL_PARAMS);
+        if (typeof parsed === 'string') return this._send(parsed);
+
+        const { address, params } = parsed, size = Number(params.SIZE) || 0;
+        if (!params.SMTPUTF8 && regexs.NON_ASCII.test(address)) return this._send('553 5.6.7 Internationalized mailbox names not allowed');
+        if (server.size && size > server.size) return this._send('552 5.3.4 Message size exceeds fixed maximum message size');
+        if (params.BODY && !['7BIT', '8BITMIME', 'BINARYMIME'].includes(params.BODY.toUpperCase()))
+            return this._send(`555 5.5.4 Unsupported BODY type ${params.BODY}`);
+        if (params.BODY?.toUpperCase() === 'BINARYMIME' && !server._isEnabled('BINARYMIME'))
+            return this._send('555 5.5.4 Unsupported parameter BODY=BINARYMIME');
+
+        const failure = server._matchFailure('MAIL', address, this);
+        if (failure) return this._send(failure);
+
+        this.envelope = { from: address, to: [] };
+        if (size) this.envelope.size = size;
+        if (params.BODY) this.envelope.body = params.BODY.toUpperCase();
+        if (params.SMTPUTF8) this.envelope.smtpUtf8 = true;
+        if (params.RET || params.ENVID) this.envelope.dsn = { ret: params.RET?.toUpperCase() || null, envid: params.ENVID || null, recipients: {} };
+        this._send('250 2.1.0 Accepted');
+    }
+
+    _handleRCPT(arg) {
+        const { server, envelope } = this;
+        if (!envelope) return this._send('503 5.5.1 Error: need MAIL command');
+
+        const parsed = this._parsePath(arg, 'TO', RCPT_PARAMS);
+        if (typeof parsed === 'string') return this._send(parsed);
+
+        const { address, params } = parsed;
+        if (!address) return this._send('501 5.1.3 Bad recipient address syntax');
+        if (!envelope.smtpUtf8 && regexs.NON_ASCII.test(address)) return this._send('553 5.6.7 Internationalized mailbox names not allowed');
+
+        const failure = server._matchFailure('RCPT', address, this);
+        if (failure) return this._send(failure);
+
+        if (!envelope.to.includes(address)) envelope.to.push(address);
+        if (params.NOTIFY || params.ORCPT) {
+            envelope.dsn = envelope.dsn || { ret: null, envid: null, recipients: {} };
+            envelope.dsn.recipients[address] = { notify: params.NOTIFY?.toUpperCase() || null, orcpt: params.ORCPT || null };
+        }
+        this._send('250 2.1.5 Accepted');
+    }
+
+    _handleDATA() {
+        const { server, envelope } = this;
+        if (!envelope) return this._send('503 5.5.1 Error: need MAIL command');
+        if (!envelope.to.length) return this._send('554 5.5.1 Error: no valid recipients');
+        if (envelope.body === 'BINARYMIME' || this._chunks.length) return this._send('503 5.5.1 Error: DATA not allowed, use BDAT');
+
+        const failure = server._matchFailure('DATA', '', this);
+        if (failure) return this._send(failure);
+
+        this._dataMode = true, this._send('354 End data with <CR><LF>.<CR><LF>');
+    }
+
+    /**
+     * BDAT命令：接收指定字节数的消息块，LAST表示最后一个块(RFC 3030)
+     */
+    _handleBDAT(arg) {
+        const { server, envelope } = this, [size, last, ...rest] = arg.split(regexs.WHITESPACE), length = Number(size),
+            bdat = { remaining: length, last: !!last };
+        if (!regexs.DIGITS_ONLY.test(size || '') || (last && last.toUpperCase() !== 'LAST') || rest.length)
+            return this._send('501 5.5.4 Syntax: BDAT chunk-size [LAST]');
+
+        // 无论命令是否被接受，都需要读取并丢弃块数据
+        if (!server._isEnabled('CHUNKING')) bdat.failure = '502 5.5.1 Error: command not implemented';
+        else if (!envelope) bdat.failure = '503 5.5.1 Error: need MAIL command';
+        else if (!envelope.to.length) bdat.failure = '554 5.5.1 Error: no valid recipients';
+        else bdat.failure = server._matchFailure('BDAT', String(length), this);
+
+        if (length) this._bdat = bdat;
+        else this._onChunk(bdat);
+    }
+
+    /**
+     * BDAT块接收完成：最后一个块时保存消息，否则确认接收
+     */
+    _onChunk(bdat) {
+        // 失败后丢弃已接收的块并结束事务，客户端需要重新开始
+        if (bdat.failure) return this._resetEnvelope(), this._send(bdat.failure);
+        if (!bdat.last) return this._send(`250 2.0.0 ${this._chunks.reduce((size, chunk) => size + chunk.length, 0)} octets received`);
+        this._onMessage(Buffer.concat(this._chunks));
+    }
+
+    /**
+     * 消息接收完成：保存消息并发送结果(LMTP为每个收件人分别发送)
+     *
+     * @param {Buffer} raw 原始消息(DATA已去除行首用于转义的点号)
+     */
+    _onMessage(raw) {
+        const { server, envelope } = this, tooLarge = server.size && raw.length > server.size,
+            id = randomBytes(6).toString('hex').toUpperCase(), delivered = [];
+        this._resetEnvelope();
+
+        // 每个收件人的投递结果(SMTP中任一收件人匹配失败规则时整封消息失败)
+        const results = envelope.to.map(recipient => {
+            const failure = tooLarge ? '552 5.3.4 Message size exceeds fixed maximum message size' : server._matchFailure('MESSAGE', recipient, this);
+            if (!failure) delivered.push(recipient);
+            return failure || `250 2.0.0 <${recipient}> Ok: queued as ${id}`;
+        });
+
+        if (server.lmtp) results.forEach(result => this._send(result));
+        else this._send(delivered.length === envelope.to.length ? `250 2.0.0 Ok: queued as ${id}` : results.find(result => !result.startsWith('2')));
+        if (!delivered.length || (!server.lmtp && delivered.length !== envelope.to.length)) return;
+
+        const message = {
+            id, envelope: { ...envelope, to: delivered }, raw, user: this.user, secure: this.secure, hostname: this.hostname,
+            remoteAddress: this.remoteAddress
+        };
+        server.logger.info({ tnx: 'message', sid: this.id, messageId: id, size: raw.length }, '已接收消息 %s (%s 字节)', id, raw.length);
+        server.messages.push(message), server.emit('message', message);
+    }
+
+    _handleRSET() {
+        this._resetEnvelope(), this._send('250 2.0.0 Ok');
+    }
+
+    _handleNOOP() {
+        this._send('250 2.0.0 Ok');
+    }
+
+    _handleVRFY() {
+        this._send('252 2.1.5 Cannot VRFY user');
+    }
+
+    _handleQUIT() {
+        this._send('221 2.0.0 Bye'), this.close();
+    }
+}
+
+module.exports = ServerConnection;
\ No newline at end of file
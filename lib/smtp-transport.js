@@ -6,6 +6,7 @@ const SmtpConnection = require('./smtp-connection');
 const OAUTH2 = require('./xoauth2');
 const { initSmtpConstructor, getSocket, createSmtpConnection, setupConnectionHandlers, createAuthConfig,
     prepareMessageForSending, handleSendResult, performSmtpAuthentication, verifySmtp } = require('./shared');
+const { getVerpOptions, sendMessage: sendVerpMessage } = require('./verp');
 /**
  * 为lunjack-mail创建SMTP传输对象./fetch
  *
@@ -46,7 +47,8 @@ class SmtpTransport extends EventEmitter {
                 // 发送消息
                 sendMessage = () => {
                     const { envelope, readStream, from, to, messageId } = prepareMessageForSending(mail, this.logger);//邮件预处理
-                    connection.send(envelope, readStream, (err, info) => {
+                    // 设置了VERP时每个收件人使用单独的事务
+                    sendVerpMessage(connection, envelope, readStream, getVerpOptions(this.options, mail), (err, info) => {
                         state.returned = true, connection.close();
 
                         const result = { err, info, from, to, messageId };
@@ -40,7 +40,8 @@ class StreamTransport {
             // 如果不使用缓冲区，直接返回流(流可读时才认为成功)
             if (!this.options.buffer) {
                 readStream.once('readable', () => done(null, { envelope, messageId, message: readStream }))
-                    .once('error', err => handleError(err, '为 %s 创建消息流失败。%s'))
+                    .once('error', err => handleError(err, '为 %s 创建消息流失败。%s'));
+                return;
             }
 
             // 将流数据读取到Buffer中
@@ -0,0 +1,178 @@
+'use strict';
+
+const { regexs, resetRegex, createError } = require('../shared');
+
+// 支持的块助手
+const BLOCK_HELPERS = ['each', 'if', 'unless', 'with'];
+// 标签类型前缀(#块开始, /块结束, >局部模板, !注释)
+const SIGILS = ['#', '/', '>', '!'];
+// 局部模板的最大嵌套深度(防止局部模板相互引用导致无限递归)
+const MAX_PARTIAL_DEPTH = 10;
+// HTML转义字符
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * 默认模板引擎(无依赖)，语法与Handlebars的常用子集相同：
+ *
+ *  **{{path}}** - 输出变量(options.escape为true时转义HTML)，如{{user.name}}
+ *  **{{{path}}}** - 原样输出变量
+ *  **{{#each list}}...{{else}}...{{/each}}** - 遍历数组或对象，块内可以使用this, @index, @key, @first, @last
+ *  **{{#if path}}...{{else}}...{{/if}}**, **{{#unless path}}...{{/unless}}** - 条件(空数组视为假)
+ *  **{{#with path}}...{{/with}}** - 切换上下文
+ *  **{{> name}}** - 局部模板(使用当前上下文渲染)
+ *  **{{! 注释}}** - 注释，不输出
+ *
+ * 自定义引擎只需提供相同签名的render方法，可以直接返回字符串，返回Promise或调用回调函数
+ */
+class TemplateEngine {
+    constructor() {
+        this._cache = new Map(); // 模板源 -> 语法树
+    }
+
+    /**
+     * 渲染模板
+     *
+     * @param {String} source 模板源
+     * @param {Object} context 上下文对象
+     * @param {Object} [options] 选项 {escape, partials, name, part}
+     * @return {String} 渲染结果
+     */
+    render(source, context = {}, options = {}) {
+        return this._renderNodes(this._parse(String(source)), [context], {}, options, 0);
+    }
+
+    /**
+     * 将模板源解析为语法树(结果按模板源缓存)
+     *
+     * @param {String} source 模板源
+     * @return {Array} 节点列表
+     */
+    _parse(source) {
+        if (this._cache.has(source)) return this._cache.get(source);
+
+        const root = { children: [] }, stack = [root], rTT = resetRegex(regexs.TEMPLATE_TAG),
+            current = () => { const node = stack.at(-1); return node.inverse || node.children; };
+        let last = 0, match;
+        while ((match = rTT.exec(source))) {
+            const [, raw, content] = match, sigil = !raw && SIGILS.includes(content.charAt(0)) ? content.charAt(0) : '',
+                body = (sigil ? content.slice(1) : content).trim();
+            if (match.index > last) current().push({ type: 'text', value: source.slice(last, match.index) });
+            last = rTT.lastIndex;
+
+            if (sigil === '!') continue; // 注释
+            if (sigil === '#') {
+                const [helper, ...args] = body.split(regexs.BLANK_REGEX), path = args.join(' ').trim();
+                if (!BLOCK_HELPERS.includes(helper)) throw createError(`未知的块助手: {{#${helper}}}`, 'ETEMPLATE');
+                this._checkPath(path);
+                const node = { type: 'block', helper, path, children: [], inverse: null };
+                current().push(node), stack.push(node);
+            }
+            else if (sigil === '/') {
+                const node = stack.pop();
+                if (stack.length === 0 || node.helper !== body) throw createError(`未匹配的结束标签: {{/${body}}}`, 'ETEMPLATE');
+            }
+            else if (sigil === '>') current().push({ type: 'partial', name: body });
+            else if (!raw && body === 'else') {
+                const node = stack.at(-1);
+                if (stack.length === 1 || node.inverse) throw createError('{{else}}只能在块中使用一次', 'ETEMPLATE');
+                node.inverse = [];
+            }
+            else this._checkPath(body), current().push({ type: 'var', path: body, escape: !raw });
+        }
+        if (stack.length > 1) throw createError(`缺少结束标签: {{/${stack.at(-1).helper}}}`, 'ETEMPLATE');
+        if (last < source.length) root.children.push({ type: 'text', value: source.slice(last) });
+
+        this._cache.set(source, root.children);
+        return root.children;
+    }
+
+    /**
+     * 检查变量路径
+     */
+    _checkPath(path) {
+        if (!regexs.TEMPLATE_PATH.test(path)) throw createError(`无效的模板变量: ${path}`, 'ETEMPLATE');
+    }
+
+    /**
+     * 渲染节点列表
+     *
+     * @param {Array} nodes 节点列表
+     * @param {Array} scopes 上下文栈(最后一个为当前上下文)
+     * @param {Object} data 当前循环的数据变量(@index, @key, @first, @last)
+     * @param {Object} options 渲染选项
+     * @param {Number} depth 局部模板嵌套深度
+     * @return {String} 渲染结果
+     */
+    _renderNodes(nodes, scopes, data, options, depth) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return node.value;
+                case 'var': {
+                    const value = this._lookup(node.path, scopes, data);
+                    if (value === undefined || value === null) return '';
+                    const str = String(value);
+                    return node.escape && options.escape ? str.replace(resetRegex(regexs.HTML_ESCAPE), chr => ESCAPES[chr]) : str;
+                }
+                case 'partial': {
+                    const source = options.partials?.[node.name];
+                    if (source === undefined || source === null) throw createError(`未找到局部模板: ${node.name}`, 'ETEMPLATE');
+                    if (depth >= MAX_PARTIAL_DEPTH) throw createError(`局部模板嵌套过深: ${node.name}`, 'ETEMPLATE');
+                    return this._renderNodes(this._parse(String(source)), scopes, data, options, depth + 1);
+                }
+                default:
+                    return this._renderBlock(node, scopes, data, options, depth);
+            }
+        }).join('');
+    }
+
+    /**
+     * 渲染块助手
+     */
+    _renderBlock(node, scopes, data, options, depth) {
+        const value = this._lookup(node.path, scopes, data), truthy = Array.isArray(value) ? value.length > 0 : !!value,
+            inverse = () => node.inverse ? this._renderNodes(node.inverse, scopes, data, options, depth) : '';
+
+        switch (node.helper) {
+            case 'if':
+                return truthy ? this._renderNodes(node.children, scopes, data, options, depth) : inverse();
+            case 'unless':
+                return !truthy ? this._renderNodes(node.children, scopes, data, options, depth) : inverse();
+            case 'with':
+                return truthy ? this._renderNodes(node.children, scopes.concat([value]), data, options, depth) : inverse();
+            default: {
+                // each：遍历数组或对象的值
+                const entries = Array.isArray(value) ? value.map((item, i) => [i, item])
+                    : value && typeof value === 'object' ? Object.entries(value) : [];
+                if (!entries.length) return inverse();
+                return entries.map(([key, item], index) => this._renderNodes(node.children, scopes.concat([item]),
+                    { index, key, first: index === 0, last: index === entries.length - 1 }, options, depth)).join('');
+            }
+        }
+    }
+
+    /**
+     * 查找变量的值(首段从当前上下文开始向外查找)
+     *
+     * @param {String} path 变量路径
+     * @param {Array} scopes 上下文栈
+     * @param {Object} data 数据变量
+     * @return {*} 变量的值
+     */
+    _lookup(path, scopes, data) {
+        if (path.startsWith('@')) return data[path.slice(1)];
+        const parts = path.split('.').filter(part => part && part !== 'this');
+        let value = scopes.at(-1);
+        if (parts.length && path !== 'this' && !path.startsWith('this.') && path !== '.') {
+            value = [...scopes].reverse().find(scope => scope !== null && typeof scope === 'object' && parts[0] in scope);
+        }
+
+        for (const part of parts) {
+            if (value === undefined || value === null) return undefined;
+            value = value[part];
+        }
+        return value;
+    }
+}
+
+module.exports = TemplateEngine;
\ No newline at end of file
@@ -0,0 +1,211 @@
+'use strict';
+
+const path = require('path');
+const TemplateEngine = require('./engine');
+const { htmlToText } = require('../html-to-text');
+const { fs, callbackPromise, createError } = require('../shared');
+
+// 模板提供的邮件部分(按此顺序渲染)
+const PARTS = ['subject', 'text', 'html'];
+// 模板目录中存放局部模板的子目录
+const PARTIALS_DIR = 'partials';
+
+// 用法示例：
+/*
+const transporter = createTransport({
+    host: 'smtp.example.com',
+    templates: {
+        dir: path.join(__dirname, 'emails'), // emails/welcome/subject.hbs, html.hbs, text.hbs; emails/partials/footer.hbs
+        templates: { reset: { subject: '重置密码', html: '<a href="{{url}}">点击重置</a>' } }, // 内存中的模板
+        partials: { signature: '<p>{{company}}</p>' }
+        // engine: { render(source, context, options, callback) {...} } // 自定义模板引擎
+    }
+});
+
+transporter.sendMail({ to: 'user@example.com', template: 'welcome', context: { user: { name: '张三' } } });
+*/
+
+/**
+ * 读取目录中的模板文件，文件名(不含扩展名)作为键
+ *
+ * @param {String} dir 目录
+ * @param {Array|Boolean} keys 需要读取的键，false表示读取所有文件
+ * @param {Function} callback 回调函数 (err, {键: 内容})
+ */
+function _readDir(dir, keys, callback) {
+    fs.readdir(dir, { withFileTypes: true }, (err, entries) => {
+        if (err) return callback(err);
+        const result = {}, files = entries.filter(entry => entry.isFile() && (!keys || keys.includes(path.parse(entry.name).name)));
+        let pending = files.length;
+        if (!pending) return callback(null, result);
+
+        let failed = false;
+        files.forEach(entry => fs.readFile(path.join(dir, entry.name), 'utf8', (err, content) => {
+            if (failed) return;
+            if (err) return failed = true, callback(err);
+            result[path.parse(entry.name).name] = content;
+            if (!--pending) callback(null, result);
+        }));
+    });
+}
+
+/**
+ * 邮件模板渲染器：根据模板名称和上下文对象生成邮件的subject, text和html
+ *
+ * 模板来源(按优先级)：
+ *  1. 通过register注册(或templates选项提供)的内存模板 {subject, text, html}
+ *  2. 模板目录中与模板名称同名的子目录，其中文件名(不含扩展名)为subject, text或html的文件
+ *
+ * 可选的选项对象可以包含以下属性：
+ *
+ *  **dir** - 模板目录，其中的partials子目录存放局部模板
+ *  **templates** - 内存中的模板 {名称: {subject, text, html}}
+ *  **partials** - 局部模板 {名称: 模板源}，优先于模板目录中的同名局部模板
+ *  **engine** - 模板引擎，需提供render(source, context, options, callback)方法(默认为内置的TemplateEngine)
+ *  **cache** - 如果为false，每次渲染时重新读取模板目录(默认缓存)
+ *
+ * @constructor
+ * @param {Object} [options] 选项属性
+ */
+class Templates {
+    constructor(options = {}) {
+        const { dir, templates = {}, partials = {}, engine, cache } = this.options = options;
+        this.dir = dir ? path.resolve(dir) : false, this.engine = engine || new TemplateEngine(), this.cache = cache !== false;
+        this._templates = new Map(), this._partials = {}, this._loaded = new Map(), this._dirPartials = null;
+        Object.keys(templates).forEach(name => this.register(name, templates[name]));
+        Object.keys(partials).forEach(name => this.registerPartial(name, partials[name]));
+    }
+
+    /**
+     * 注册内存中的模板
+     *
+     * @param {String} name 模板名称
+     * @param {Object} template 模板 {subject, text, html}
+     * @return {Templates} 当前实例
+     */
+    register(name, template = {}) {
+        const parts = {};
+        PARTS.forEach(part => template[part] !== undefined && template[part] !== null && (parts[part] = String(template[part])));
+        this._templates.set(name, parts);
+        return this;
+    }
+
+    /**
+     * 注册局部模板
+     *
+     * @param {String} name 局部模板名称
+     * @param {String} source 模板源
+     * @return {Templates} 当前实例
+     */
+    registerPartial(name, source) {
+        this._partials[name] = String(source);
+        return this;
+    }
+
+    /**
+     * 渲染模板
+     *
+     * @param {String} name 模板名称
+     * @param {Object} [context] 上下文对象
+     * @param {Function} [callback] 回调函数 (err, {subject, text, html})，未提供时返回Promise
+     */
+    render(name, context = {}, callback) {
+        if (typeof context === 'function') callback = context, context = {};
+        const promise = !callback ? new Promise((resolve, reject) => callback = callbackPromise(resolve, reject)) : null;
+
+        this._load(name, (err, template, partials) => {
+            if (err) return callback(err);
+            const result = {}, parts = PARTS.filter(part => part in template);
+            let pos = 0;
+            const renderNext = () => {
+                if (pos >= parts.length) return callback(null, result);
+                const part = parts[pos++];
+                this._renderPart(template[part], context || {}, { name, part, partials, escape: part === 'html' }, (err, output) => {
+                    if (err) return callback(err);
+                    result[part] = String(output ?? ''), renderNext();
+                });
+            };
+            renderNext();
+        });
+        return promise;
+    }
+
+    /**
+     * 创建'compile'阶段的插件：邮件数据中设置了template时渲染模板，结果覆盖邮件的subject, text和html；
+     * 模板和邮件数据都未提供纯文本内容时，根据HTML生成纯文本部分
+     *
+     * 邮件数据中的template可以是模板名称(上下文对象取自context)或 {name, context}
+     *
+     * @return {Function} 插件函数 (mail, callback)
+     */
+    plugin() {
+        return (mail, callback) => {
+            const { template, context } = mail.data;
+            if (!template) return callback();
+
+            const { name, context: tplContext = context } = typeof template === 'object' ? template : { name: template };
+            this.render(name, tplContext, (err, rendered) => {
+                if (err) return callback(err);
+                PARTS.forEach(part => part in rendered && (mail.data[part] = rendered[part]));
+                if (!mail.data.text && rendered.html) mail.data.text = htmlToText(rendered.html);
+                callback();
+            });
+        };
+    }
+
+    /**
+     * 调用模板引擎渲染单个部分(支持直接返回字符串,返回Promise或调用回调)
+     */
+    _renderPart(source, context, options, callback) {
+        const state = { returned: false }, done = (err, result) => {
+            if (state.returned) return;
+            state.returned = true, callback(err, result);
+        };
+
+        try {
+            const result = this.engine.render(source, context, options, done);
+            if (result && typeof result.then === 'function') result.then(value => done(null, value), done);
+            else if (typeof result === 'string' || Buffer.isBuffer(result)) done(null, result); // 其他返回值表示将调用回调
+        } catch (err) {
+            done(err);
+        }
+    }
+
+    /**
+     * 加载模板及其可用的局部模板
+     *
+     * @param {String} name 模板名称
+     * @param {Function} callback 回调函数 (err, template, partials)
+     */
+    _load(name, callback) {
+        if (this._templates.has(name)) return this._loadPartials((err, partials) => callback(err, this._templates.get(name), partials));
+        if (!this.dir) return setImmediate(() => callback(createError(`未找到模板: ${name}`, 'ETEMPLATE')));
+        if (this.cache && this._loaded.has(name)) return this._loadPartials((err, partials) => callback(err, this._loaded.get(name), partials));
+
+        // 模板名称不能指向模板目录之外
+        const tplDir = path.resolve(this.dir, String(name)), relative = path.relative(this.dir, tplDir);
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative))
+            return setImmediate(() => callback(createError(`无效的模板名称: ${name}`, 'ETEMPLATE')));
+
+        _readDir(tplDir, PARTS, (err, template) => {
+            if (err && err.code !== 'ENOENT' && err.code !== 'ENOTDIR') return callback(err);
+            if (err || !Object.keys(template).length) return callback(createError(`未找到模板: ${name}`, 'ETEMPLATE'));
+            if (this.cache) this._loaded.set(name, template);
+            this._loadPartials((err, partials) => callback(err, template, partials));
+        });
+    }
+
+    /**
+     * 加载局部模板(模板目录中的局部模板与注册的局部模板合并，注册的优先)
+     */
+    _loadPartials(callback) {
+        if (!this.dir || (this.cache && this._dirPartials)) return callback(null, { ...this._dirPartials, ...this._partials });
+        _readDir(path.join(this.dir, PARTIALS_DIR), false, (err, partials) => {
+            if (err && err.code !== 'ENOENT' && err.code !== 'ENOTDIR') return callback(err);
+            this._dirPartials = partials || {};
+            callback(null, { ...this._dirPartials, ...this._partials });
+        });
+    }
+}
+
+module.exports = Templates;
\ No newline at end of file
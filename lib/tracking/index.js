@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * 打开和点击跟踪插件，用于Mailer的'compile'阶段：
+ * 在HTML末尾添加跟踪像素，并将<a href>链接改写为跟踪地址。跟踪地址中的令牌包含邮件的Message-ID,
+ * 事件类型和原链接，并由签名者签名；网页处理程序使用verifyTrackingToken验证令牌后记录事件并重定向到原链接
+ */
+const { randomBytes } = require('crypto');
+const addressparser = require('../addressparser');
+const { decodeEntities, ATTR_ESCAPES } = require('../html-to-text');
+const { getSigner, signToken, readToken } = require('../signed-token');
+const { regexs, resetRegex, createError } = require('../shared');
+
+// 跟踪地址中令牌的查询参数名
+const TOKEN_PARAM = 't';
+// 跟踪的事件类型
+const EVENT_TYPES = { o: 'open', c: 'click' };
+// 只跟踪这些协议的链接(mailto:, tel:等保持不变)
+const TRACKED_PROTOCOLS = ['http:', 'https:'];
+
+// 用法示例：
+/*
+const { tracking, verifyTrackingToken } = require('lunjack-mail');
+
+transporter.use('compile', tracking({
+    baseUrl: 'https://t.example.com/track', // 跟踪地址，令牌作为查询参数t附加
+    secret: process.env.TRACKING_SECRET     // 默认使用HMAC-SHA256签名；也可以提供signer: { sign(data), verify(data, signature) }
+}));
+
+// 网页处理程序
+app.get('/track', (req, res) => {
+    const event = verifyTrackingToken(req.query.t, { secret: process.env.TRACKING_SECRET });
+    if (!event) return res.sendStatus(404);
+    record(event.type, event.messageId); // event: {type: 'open'|'click', messageId, url}
+    event.type === 'click' ? res.redirect(event.url) : res.type('gif').send(PIXEL);
+});
+*/
+
+/**
+ * 验证并解析跟踪令牌
+ *
+ * @param {String} token 跟踪令牌(跟踪地址中的查询参数t)
+ * @param {Object} options 选项 {secret, algorithm} 或 {signer}，与创建插件时相同
+ * @return {Object|null} 令牌有效时返回 {type: 'open'|'click', messageId, url}，否则返回null
+ */
+function verifyTrackingToken(token, options = {}) {
+    const { e, m, u } = readToken(getSigner(options), token) || {};
+    if (!EVENT_TYPES[e] || typeof m !== 'string' || (e === 'c' && typeof u !== 'string')) return null;
+    return { type: EVENT_TYPES[e], messageId: m, url: e === 'c' ? u : undefined };
+}
+
+/**
+ * 获取邮件的退订地址(List-Unsubscribe头中的地址不改写)
+ */
+function _unsubscribeUrls(data) {
+    const urls = new Set(), rUC = resetRegex(regexs.URL_CLEAN);
+    [].concat(data.list?.unsubscribe || []).flat(Infinity)
+        .forEach(value => (value = typeof value === 'string' ? value : value?.url) && urls.add(value.replace(rUC, '')));
+
+    const { headers } = data, entries = Array.isArray(headers) ? headers.map(({ key, value }) => [key, value])
+        : Object.entries(headers || {});
+    entries.filter(([key]) => String(key).toLowerCase() === 'list-unsubscribe').forEach(([, value]) => {
+        const str = typeof value === 'object' && value ? value.value : value, rAB = resetRegex(regexs.ANGLE_BRACKETED);
+        let match;
+        while ((match = rAB.exec(String(str ?? '')))) urls.add(match[1].trim());
+    });
+    return urls;
+}
+
+/**
+ * 为未设置Message-ID的邮件生成Message-ID(与MimeNode生成的格式相同)，使跟踪令牌与发送的邮件一致
+ */
+function _ensureMessageId(data) {
+    if (!data.messageId) {
+        const randomPart = [4, 2, 2, 2, 6].map(len => randomBytes(len).toString('hex')).join('-'), sender = [].concat(data.from || '')[0],
+            from = data.envelope?.from || (typeof sender === 'object' ? sender.address : addressparser(sender, { flatten: true })[0]?.address);
+        data.messageId = `<${randomPart}@${String(from || 'localhost').split('@').pop()}>`;
+    }
+    return data.messageId;
+}
+
+/**
+ * 创建跟踪插件
+ *
+ * 选项对象可以包含以下属性：
+ *
+ *  **baseUrl** - 跟踪地址(必需)，令牌作为查询参数t附加
+ *  **secret** - 默认HMAC签名者的密钥
+ *  **algorithm** - 默认HMAC签名者的哈希算法(默认sha256)
+ *  **signer** - 自定义签名者 {sign(data) => String, verify(data, signature) => Boolean}，提供时忽略secret
+ *  **open** - 如果为false，不添加跟踪像素
+ *  **click** - 如果为false，不改写链接
+ *
+ * 单封邮件可以设置 tracking: false 跳过跟踪。mailto:等非HTTP链接、锚点链接和List-Unsubscribe头中的地址不会被改写
+ *
+ * @param {Object} options 选项
+ * @return {Function} 'compile'阶段的插件函数 (mail, callback)
+ */
+function tracking(options = {}) {
+    const { baseUrl, open = true, click = true } = options, signer = getSigner(options);
+    try {
+        new URL(baseUrl);
+    } catch (err) {
+        throw createError(`无效的跟踪地址: ${baseUrl}`, 'ETRACKING');
+    }
+
+    const trackingUrl = data => {
+        const url = new URL(baseUrl);
+        url.searchParams.set(TOKEN_PARAM, signToken(signer, data));
+        return url.href.replace(resetRegex(regexs.HTML_ESCAPE), chr => ATTR_ESCAPES[chr]);
+    };
+
+    return (mail, callback) => {
+        const { html, raw } = mail.data;
+        if (mail.data.tracking === false || !html || raw) return callback();
+
+        mail.resolveContent(mail.data, 'html', (err, content = '') => {
+            if (err) return callback(err);
+            let result = content.toString();
+            const messageId = _ensureMessageId(mail.data), skip = _unsubscribeUrls(mail.data);
+
+            if (click) {
+                result = result.replace(resetRegex(regexs.HTML_LINK_HREF), (match, prefix, dq, sq, plain) => {
+                    const href = decodeEntities((dq ?? sq ?? plain).trim());
+                    let url;
+                    try {
+                        url = new URL(href);
+                    } catch (err) {
+                        return match; // 相对链接,锚点和模板占位符
+                    }
+                    if (!TRACKED_PROTOCOLS.includes(url.protocol) || skip.has(href)) return match;
+                    return `${prefix}"${trackingUrl({ e: 'c', m: messageId, u: href })}"`;
+                });
+            }
+
+            if (open) {
+                const pixel = `<img src="${trackingUrl({ e: 'o', m: messageId })}" width="1" height="1" alt="" ` +
+                    'style="display:block;width:1px;height:1px;border:0">';
+                result = regexs.HTML_BODY_END.test(result) ? result.replace(regexs.HTML_BODY_END, end => pixel + end) : result + pixel;
+            }
+            mail.data.html = result;
+            callback();
+        });
+    };
+}
+
+module.exports = { tracking, verifyTrackingToken };
\ No newline at end of file
@@ -0,0 +1,106 @@
+'use strict';
+
+const addressparser = require('./addressparser');
+const { getSigner, signToken, readToken } = require('./signed-token');
+const { regexs, createError } = require('./shared');
+
+// 退订地址中令牌的查询参数名
+const TOKEN_PARAM = 'token';
+// RFC 8058一键退订头的固定值
+const ONE_CLICK = 'List-Unsubscribe=One-Click';
+
+// 用法示例：
+/*
+const transporter = createTransport({
+    host: 'smtp.example.com',
+    unsubscribe: {
+        url: 'https://example.com/unsubscribe', // 一键退订地址(必须为https)，令牌作为查询参数token附加
+        secret: process.env.UNSUBSCRIBE_SECRET, // 令牌的HMAC密钥(或signer: { sign(data), verify(data, signature) })
+        mailto: 'unsubscribe@example.com',      // 可选，同时提供邮件退订地址
+        list: 'newsletter'                      // 可选，令牌中包含的列表标识
+    }
+});
+// -> List-Unsubscribe: <https://example.com/unsubscribe?token=...>, <mailto:unsubscribe@example.com?subject=unsubscribe>
+//    List-Unsubscribe-Post: List-Unsubscribe=One-Click
+
+// 网页处理程序(邮件客户端以POST请求访问退订地址，请求体为List-Unsubscribe=One-Click)
+app.post('/unsubscribe', (req, res) => {
+    const result = verifyUnsubscribeToken(req.query.token, { secret: process.env.UNSUBSCRIBE_SECRET });
+    if (!result) return res.sendStatus(404);
+    removeSubscriber(result.recipient, result.list), res.sendStatus(200);
+});
+*/
+
+/**
+ * 生成收件人的一键退订地址
+ *
+ * @param {String} recipient 收件人地址
+ * @param {Object} options 选项 {url, secret, algorithm, signer, list}
+ * @return {String} 退订地址
+ */
+function createUnsubscribeUrl(recipient, options = {}) {
+    if (!recipient) throw createError('未提供退订的收件人地址', 'EUNSUBSCRIBE');
+    let url;
+    try {
+        url = new URL(options.url);
+    } catch (err) {
+        throw createError(`无效的退订地址: ${options.url}`, 'EUNSUBSCRIBE');
+    }
+    if (url.protocol !== 'https:') throw createError(`一键退订地址必须使用https: ${options.url}`, 'EUNSUBSCRIBE');
+
+    const data = { r: String(recipient).trim().toLowerCase() };
+    if (options.list) data.l = String(options.list);
+    url.searchParams.set(TOKEN_PARAM, signToken(getSigner(options), data));
+    return url.href;
+}
+
+/**
+ * 验证并解析退订令牌
+ *
+ * @param {String} token 退订令牌(退订地址中的查询参数token)
+ * @param {Object} options 选项 {secret, algorithm} 或 {signer}，与生成时相同
+ * @return {Object|null} 令牌有效时返回 {recipient, list}，否则返回null
+ */
+function verifyUnsubscribeToken(token, options = {}) {
+    const { r, l } = readToken(getSigner(options), token) || {};
+    return typeof r === 'string' && r ? { recipient: r, list: l } : null;
+}
+
+/**
+ * 获取邮件的所有收件人地址(信封收件人优先)
+ */
+function _recipients(data) {
+    const addresses = data.envelope?.to ? [].concat(data.envelope.to)
+        : ['to', 'cc', 'bcc'].flatMap(key => [].concat(data[key] || []));
+    const result = addresses.flatMap(value => typeof value === 'object' && value ? [value.address]
+        : addressparser(String(value), { flatten: true }).map(address => address.address))
+        .filter(Boolean).map(address => address.toLowerCase());
+    return [...new Set(result)];
+}
+
+/**
+ * 为邮件生成List-Unsubscribe地址(与邮件数据中的list.unsubscribe合并前调用)
+ *
+ * 邮件数据中的unsubscribe可以是false(跳过)或覆盖传输器选项的对象，如 { recipient, list }；
+ * 未指定recipient时邮件只能有一个收件人
+ *
+ * @param {Object} data 邮件数据
+ * @param {Object} options 传输器的unsubscribe选项
+ * @return {Array} List-Unsubscribe地址列表 [https地址, mailto地址]
+ */
+function unsubscribeUrls(data, options = {}) {
+    const opts = { ...options, ...(data.unsubscribe && typeof data.unsubscribe === 'object' ? data.unsubscribe : {}) };
+    let { recipient, mailto } = opts;
+    if (!recipient) {
+        const recipients = _recipients(data);
+        if (recipients.length !== 1)
+            throw createError(`一键退订需要单个收件人(当前为${recipients.length}个)，请设置unsubscribe.recipient`, 'EUNSUBSCRIBE');
+        recipient = recipients[0];
+    }
+
+    const urls = [createUnsubscribeUrl(recipient, opts)];
+    if (mailto) urls.push(`mailto:${String(mailto).replace(regexs.MAILTO_PREFIX, '')}?subject=unsubscribe`);
+    return urls;
+}
+
+module.exports = { createUnsubscribeUrl, verifyUnsubscribeToken, unsubscribeUrls, ONE_CLICK };
\ No newline at end of file
@@ -0,0 +1,172 @@
+'use strict';
+
+const { timingSafeEqual } = require('crypto');
+const { getSigner } = require('./signed-token');
+const { resolveStream, createError } = require('./shared');
+const { regexs, resetRegex } = require('./regexs');
+
+// 签名的默认长度(十六进制字符数)
+const HASH_LENGTH = 12;
+
+// 用法示例：
+/*
+const transporter = createTransport({
+    host: 'smtp.example.com',
+    verp: {
+        address: 'bounces+{local}={domain}@example.com', // 退信地址模板，{local}和{domain}为收件人地址的两部分
+        secret: process.env.VERP_SECRET                  // 可选，在地址中附加HMAC签名({hash}，默认添加在@之前)
+    }
+});
+// 发送给 user@example.net 的事务使用 MAIL FROM:<bounces+user=example.net-1a2b3c4d5e6f@example.com>
+
+// 处理退信时还原收件人(签名无效或不匹配模板时返回null)
+decodeVerpAddress('bounces+user=example.net-1a2b3c4d5e6f@example.com', { address: 'bounces+{local}={domain}@example.com', secret });
+// -> 'user@example.net'
+*/
+
+/**
+ * 规范化VERP选项，支持地址模板字符串或 {address, secret, algorithm, signer, hashLength}
+ *
+ * @param {String|Object} options VERP选项
+ * @return {Object} 规范化后的选项 {address, signer, hashLength}
+ */
+function _normalizeOptions(options) {
+    if (typeof options === 'string') options = { address: options };
+    if (!options || typeof options !== 'object') throw createError('verp应为退信地址模板或选项对象', 'EVERP');
+
+    const { secret, algorithm, signer, hashLength } = options;
+    let address = String(options.address || '');
+    if (!address.includes('{local}') || !address.includes('{domain}') || !address.includes('@'))
+        throw createError(`无效的VERP地址模板: ${address}，模板应包含{local}, {domain}和@`, 'EVERP');
+
+    // 使用签名但模板中没有{hash}时，签名添加在@之前
+    const signed = !!(secret || signer);
+    if (signed && !address.includes('{hash}')) {
+        const index = address.lastIndexOf('@');
+        address = `${address.substring(0, index)}-{hash}${address.substring(index)}`;
+    }
+    return { address, signer: signed ? getSigner({ secret, algorithm, signer }) : null, hashLength: Number(hashLength) || HASH_LENGTH };
+}
+
+/**
+ * 计算收件人地址的签名(十六进制)
+ */
+function _hash(options, recipient) {
+    return Buffer.from(options.signer.sign(recipient.toLowerCase()), 'base64url').toString('hex').substring(0, options.hashLength);
+}
+
+/**
+ * 生成收件人的VERP退信地址
+ *
+ * @param {String} recipient 收件人地址
+ * @param {String|Object} options 地址模板或 {address, secret, algorithm, signer, hashLength}
+ * @return {String} 退信地址
+ */
+function createVerpAddress(recipient, options) {
+    const opts = _normalizeOptions(options), address = String(recipient || '').trim(), index = address.lastIndexOf('@');
+    if (index <= 0) throw createError(`无效的收件人地址: ${recipient}`, 'EVERP');
+
+    const local = address.substring(0, index), domain = address.substring(index + 1).toLowerCase();
+    return opts.address.replace(resetRegex(regexs.VERP_PLACEHOLDER),
+        (match, name) => name === 'local' ? local : name === 'domain' ? domain : _hash(opts, `${local}@${domain}`));
+}
+
+/**
+ * 将VERP退信地址还原为收件人地址
+ *
+ * @param {String} address 退信地址(如退信的To或Delivered-To地址)
+ * @param {String|Object} options 与生成时相同的选项
+ * @return {String|null} 收件人地址，地址不匹配模板或签名无效时返回null
+ */
+function decodeVerpAddress(address, options) {
+    const opts = _normalizeOptions(options), names = [],
+        groups = { local: '(.+)', domain: '([\\w.-]+)', hash: `([\\da-f]{${opts.hashLength}})` },
+        // 模板按占位符拆分后，奇数位置为占位符名称，偶数位置为需要转义的字面文本
+        pattern = opts.address.split(regexs.VERP_PLACEHOLDER).map((part, i) => i % 2 ? (names.push(part), groups[part])
+            : part.replace(resetRegex(regexs.REGEX_SPECIAL_CHARS), '\\$&')).join(''),
+        match = String(address || '').trim().replace(resetRegex(regexs.CID_CLEAN), '').match(new RegExp(`^${pattern}$`, 'i'));
+    if (!match) return null;
+
+    const values = {};
+    names.forEach((name, i) => values[name] = match[i + 1]);
+    const recipient = `${values.local}@${values.domain.toLowerCase()}`;
+    if (opts.signer) {
+        const expected = Buffer.from(_hash(opts, recipient)), actual = Buffer.from(values.hash.toLowerCase());
+        if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+    }
+    return recipient;
+}
+
+/**
+ * 获取邮件使用的VERP选项：邮件数据中的verp优先(false表示不使用)，否则使用传输器的verp选项
+ *
+ * @param {Object} transportOptions 传输器选项
+ * @param {Object} mail 邮件对象
+ * @return {String|Object|null} VERP选项
+ */
+function getVerpOptions(transportOptions, mail) {
+    const value = mail.data?.verp ?? transportOptions?.verp;
+    return value || null;
+}
+
+/**
+ * 发送邮件。设置了VERP时，每个收件人使用单独的事务和唯一的退信地址，邮件内容只生成一次并在各事务中复用
+ *
+ * 部分收件人失败时回调成功结果(失败的收件人在rejected和rejectedErrors中)，全部失败时回调最后一个错误；
+ * 结果中的verp为每个事务的 [{to, from, response}] 或 [{to, from, error}]
+ *
+ * @param {Object} connection SMTP连接
+ * @param {Object} envelope 信封 {from, to, ...}
+ * @param {Stream} readStream 邮件内容流
+ * @param {String|Object|null} verp VERP选项
+ * @param {Function} callback 回调函数 (err, info)
+ */
+function sendMessage(connection, envelope, readStream, verp, callback) {
+    if (!verp) return connection.send(envelope, readStream, callback);
+
+    let envelopes;
+    try {
+        envelopes = [...new Set(envelope.to || [])].map(to => ({ ...envelope, from: createVerpAddress(to, verp), to: [to] }));
+    } catch (err) {
+        readStream.resume();
+        return callback(err);
+    }
+    // 单个收件人时不需要缓存邮件内容
+    if (envelopes.length === 1) return connection.send(envelopes[0], readStream, (err, info) =>
+        err ? callback(err) : callback(null, { ...info, verp: [{ to: envelopes[0].to[0], from: envelopes[0].from, response: info.response }] }));
+
+    resolveStream(readStream, (err, message) => {
+        if (err) return callback(err);
+        const info = { accepted: [], rejected: [], rejectedErrors: [], envelopeTime: 0, messageTime: 0, messageSize: 0, verp: [] };
+        let lastError = null;
+
+        const finish = () => {
+            if (!info.accepted.length) return callback(lastError);
+            if (!info.rejectedErrors.length) delete info.rejectedErrors;
+            callback(null, info);
+        }, fail = (env, err) => {
+            lastError = err, info.rejected.push(env.to[0]), info.rejectedErrors.push(err);
+            info.verp.push({ to: env.to[0], from: env.from, error: err.message });
+        }, next = index => {
+            if (index >= envelopes.length) return finish();
+            const env = envelopes[index];
+            connection.send(env, message, (err, result) => {
+                if (!err) {
+                    info.accepted.push(...result.accepted), info.rejected.push(...result.rejected);
+                    info.envelopeTime += result.envelopeTime, info.messageTime += result.messageTime, info.messageSize += result.messageSize;
+                    info.response = result.response, info.verp.push({ to: env.to[0], from: env.from, response: result.response });
+                    return next(index + 1);
+                }
+
+                fail(env, err);
+                // 连接已断开时其余收件人全部失败；否则重置会话状态后继续下一个事务
+                const abort = error => (envelopes.slice(index + 1).forEach(rest => fail(rest, error)), finish());
+                if (connection._destroyed || connection._closing) return abort(err);
+                connection.reset(resetErr => resetErr ? abort(resetErr) : next(index + 1));
+            });
+        };
+        next(0);
+    });
+}
+
+module.exports = { createVerpAddress, decodeVerpAddress, getVerpOptions, sendMessage };
\ No newline at end of file
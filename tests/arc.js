@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * ARC封装和验证测试(npm run test:arc)：使用本地公钥映射代替DNS，检查多跳ARC链的实例编号,cv=标签和篡改检测
+ */
+const assert = require('assert');
+const { generateKeyPairSync } = require('crypto');
+const ARC = require('../lib/dkim/arc');
+const { resolveStream } = require('../lib/shared');
+
+const MESSAGE = 'From: a@example.com\r\nTo: list@forwarder.example\r\nSubject: Hello\r\n' +
+    'Authentication-Results: forwarder.example; spf=pass smtp.mailfrom=example.com\r\n\r\nBody\r\n';
+
+function createKey(type) {
+    const { publicKey, privateKey } = generateKeyPairSync(type, type === 'rsa' ? { modulusLength: 1024 } : undefined),
+        der = publicKey.export({ format: 'der', type: 'spki' });
+    return {
+        privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+        record: `v=DKIM1; k=${type}; p=${(type === 'rsa' ? der : der.subarray(der.length - 32)).toString('base64')}`
+    };
+}
+
+const seal = (options, message) => new Promise((resolve, reject) => resolveStream(new ARC(options).seal(message),
+    (err, sealed) => err ? reject(err) : resolve(sealed.toString())));
+
+async function run() {
+    const first = createKey('rsa'), second = createKey('ed25519'), resolver = {
+        'arc._domainkey.forwarder.example': first.record, 'arc._domainkey.relay.example': second.record
+    };
+    let checks = 0;
+
+    // 没有ARC头的邮件
+    assert.deepStrictEqual(await ARC.verify(MESSAGE, { resolver }), { status: 'none', instance: 0 }), checks++;
+
+    // 第一跳：cv=none，复制已有的Authentication-Results头
+    const hop1 = await seal({ domainName: 'forwarder.example', keySelector: 'arc', privateKey: first.privateKey }, MESSAGE);
+    assert.ok(/ARC-Seal:i=1; a=rsa-sha256; t=\d+; cv=none;/.test(hop1));
+    assert.ok(hop1.includes('ARC-Authentication-Results: i=1; forwarder.example; spf=pass'));
+    assert.deepStrictEqual(await ARC.verify(hop1, { resolver }), { status: 'pass', instance: 1 }), checks++;
+
+    // 第二跳(Ed25519密钥)：验证已有的链后cv=pass
+    const hop2 = await seal({
+        domainName: 'relay.example', keySelector: 'arc', privateKey: second.privateKey, authResults: 'relay.example; arc=pass', resolver
+    }, hop1);
+    assert.ok(/ARC-Seal:i=2; a=ed25519-sha256; t=\d+; cv=pass;/.test(hop2));
+    assert.ok(hop2.includes('ARC-Authentication-Results: i=2; relay.example; arc=pass'));
+    assert.deepStrictEqual(await ARC.verify(hop2, { resolver }), { status: 'pass', instance: 2 }), checks++;
+
+    // 修改正文后最新的ARC-Message-Signature验证失败
+    const tampered = await ARC.verify(hop2.replace('Body', 'Changed'), { resolver });
+    assert.strictEqual(tampered.status, 'fail'), assert.strictEqual(tampered.instance, 2), checks++;
+
+    // 缺少公钥记录时ARC-Seal验证失败
+    assert.strictEqual((await ARC.verify(hop2, { resolver: { 'arc._domainkey.relay.example': second.record } })).status, 'fail');
+    checks++;
+
+    // 已有链验证失败时下一跳记录cv=fail，之后不再添加ARC头组
+    const failed = await seal({ domainName: 'relay.example', keySelector: 'arc', privateKey: second.privateKey, resolver: {} }, hop1);
+    assert.ok(/ARC-Seal:i=2; a=ed25519-sha256; t=\d+; cv=fail;/.test(failed));
+    const after = await seal({ domainName: 'relay.example', keySelector: 'arc', privateKey: second.privateKey, resolver }, failed);
+    assert.strictEqual(after, failed), checks++;
+
+    // 无效的私钥返回EARC错误
+    const err = await seal({ domainName: 'relay.example', keySelector: 'arc', privateKey: 'invalid', resolver }, hop1).catch(err => err);
+    assert.strictEqual(err.code, 'EARC'), checks++;
+
+    console.log(`${checks} 项检查通过`);
+}
+
+run();
\ No newline at end of file
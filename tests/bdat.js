@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * CHUNKING/BINARYMIME测试(npm run test:bdat)：消息按块大小切分为BDAT命令，最后一块带LAST标记，
+ * 中间的块被拒绝时不再发送剩余的块并且连接可以继续使用
+ */
+const assert = require('assert');
+const { createTransport, createTestServer } = require('../index');
+
+const CHUNK_SIZE = 1024;
+
+async function run() {
+    // 通过总是不匹配的失败规则记录每个BDAT命令的块大小
+    const sizes = [], record = { command: 'BDAT', match: size => (sizes.push(Number(size)), false) },
+        server = createTestServer({ failures: [record] }), port = await server.listen(),
+        options = { host: '127.0.0.1', port, chunkSize: CHUNK_SIZE, tls: { rejectUnauthorized: false } },
+        transport = createTransport({ ...options, pool: true, maxConnections: 1 }),
+        envelope = { from: 'a@example.com', to: 'b@example.org' };
+    let checks = 0;
+
+    // 大附件按块大小切分，最后剩余的数据(包括结尾的换行)作为最后一个块发送
+    const content = Buffer.alloc(10 * CHUNK_SIZE, 'a');
+    await transport.sendMail({ ...envelope, text: 'x', attachments: [{ filename: 'a.bin', content }] });
+    const raw = server.messages[0].raw, last = sizes.pop();
+    assert.ok(sizes.length > 10), assert.ok(sizes.every(size => size === CHUNK_SIZE)), assert.ok(last > 0 && last <= CHUNK_SIZE);
+    assert.strictEqual(raw.length, sizes.length * CHUNK_SIZE + last), assert.ok(raw.toString().endsWith('\r\n')), checks++;
+
+    // 消息小于块大小时只发送一个BDAT n LAST命令；未使用BINARYMIME时单独的<LF>转换为<CR><LF>
+    sizes.length = 0, server.reset().addFailure(record);
+    await transport.sendMail({ envelope, raw: 'Subject: x\n\nline1\nline2\n' });
+    assert.deepStrictEqual(sizes, [28]), assert.strictEqual(server.messages[0].raw.toString(), 'Subject: x\r\n\r\nline1\r\nline2\r\n');
+    assert.strictEqual(server.messages[0].envelope.body, undefined), checks++;
+
+    // BINARYMIME：消息按原样发送
+    server.reset();
+    const binary = Buffer.concat([
+        Buffer.from('Subject: x\r\nContent-Transfer-Encoding: binary\r\n\r\n'), Buffer.from([0, 0x0a, 0xff, 0x0d, 0x0a])
+    ]), binaryEnvelope = { ...envelope, useBinaryMime: true };
+    await transport.sendMail({ envelope: binaryEnvelope, raw: binary });
+    assert.strictEqual(server.messages[0].envelope.body, 'BINARYMIME'), assert.ok(server.messages[0].raw.equals(binary)), checks++;
+
+    // 服务器不支持BINARYMIME时使用8BITMIME,并转换换行符
+    const limited = createTestServer({ disabledExtensions: ['BINARYMIME'] });
+    await createTransport({ ...options, port: await limited.listen() }).sendMail({ envelope: binaryEnvelope, raw: binary });
+    assert.strictEqual(limited.messages[0].envelope.body, '8BITMIME');
+    assert.ok(limited.messages[0].raw.equals(Buffer.concat([binary.subarray(0, -4), Buffer.from([0x0d, 0x0a, 0xff, 0x0d, 0x0a])])));
+    checks++;
+    await limited.close();
+
+    // 第二个块被拒绝：返回EMESSAGE错误，不再发送剩余的块，同一连接之后可以继续发送
+    sizes.length = 0, server.reset().addFailure({
+        command: 'BDAT', match: size => sizes.push(Number(size)) === 2, response: '552 5.3.4 Message too big', times: 1
+    });
+    const err = await transport.sendMail({ ...envelope, attachments: [{ content }] }).catch(err => err);
+    assert.strictEqual(err.code, 'EMESSAGE'), assert.strictEqual(err.responseCode, 552);
+    assert.deepStrictEqual(sizes, [CHUNK_SIZE, CHUNK_SIZE]);
+    assert.strictEqual(server.messages.length, 0);
+    await transport.sendMail({ ...envelope, text: 'after' });
+    assert.strictEqual(server.messages.length, 1), checks++;
+
+    transport.close(), await server.close();
+    console.log(`${checks} 项检查通过`);
+}
+
+run();
\ No newline at end of file
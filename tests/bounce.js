@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * 退信解析测试(npm run test:bounce)：解析tests/fixtures/bounces中的投递状态报告,Exim和Postfix的非标准退信,
+ * 通过VERP退信地址还原收件人,以及hard/soft分类
+ */
+const assert = require('assert');
+const path = require('path');
+const { fs } = require('../lib/shared');
+const { parseMail, parseBounce, classifyBounce, createVerpAddress, decodeVerpAddress } = require('../index');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'bounces', `${name}.eml`)),
+    verp = { address: 'bounces+{local}={domain}@example.com', secret: 'verp-test-secret' };
+
+async function run() {
+    let checks = 0;
+
+    // 投递状态报告：每条消息字段,xtext编码的字段,原邮件头中的Message-ID和每个收件人的结果
+    const dsn = await parseBounce(fixture('dsn'));
+    assert.strictEqual(dsn.format, 'dsn'), assert.strictEqual(dsn.messageId, '<original-dsn@example.com>');
+    assert.strictEqual(dsn.envelopeId, 'campaign+42'), assert.strictEqual(dsn.reportingMta, 'mx.example.net');
+    assert.deepStrictEqual(dsn.recipients.map(({ recipient, action, status, classification }) => [recipient, action, status, classification]), [
+        ['gone@example.net', 'failed', '5.1.1', 'hard'], ['full@example.net', 'failed', '5.2.2', 'soft'],
+        ['slow@example.net', 'delayed', '4.4.1', 'soft'], ['spam@example.net', 'failed', '5.7.1', 'soft'],
+        ['ok@example.net', 'delivered', '2.0.0', null]
+    ]);
+    const [gone] = dsn.recipients;
+    assert.strictEqual(gone.originalRecipient, 'gone+tag@example.net'), assert.strictEqual(gone.remoteMta, 'mail.example.net');
+    assert.strictEqual(gone.diagnosticCode, '550 5.1.1 <gone@example.net>: Recipient address rejected: User unknown in local recipient table');
+    checks++;
+
+    // Exim：X-Failed-Recipients中的收件人，失败说明取自缩进的收件人行之后，没有增强状态码时根据响应码推断
+    const exim = await parseBounce(fixture('exim'));
+    assert.strictEqual(exim.format, 'heuristic'), assert.strictEqual(exim.messageId, '<original-exim@example.com>');
+    assert.deepStrictEqual(exim.recipients.map(({ recipient, status, classification }) => [recipient, status, classification]),
+        [['nobody@example.org', '5.1.1', 'hard'], ['quota@example.org', '5.0.0', 'soft']]);
+    assert.ok(exim.recipients[0].diagnosticCode.endsWith('550 5.1.1 User unknown')), checks++;
+
+    // Postfix：失败说明从收件人行开始并延续到缩进的行，原邮件部分中的地址被忽略
+    const postfix = await parseBounce(fixture('postfix'));
+    assert.strictEqual(postfix.messageId, '<original-postfix@example.com>');
+    assert.deepStrictEqual(postfix.recipients.map(({ recipient, status, classification }) => [recipient, status, classification]),
+        [['full@example.net', '5.2.2', 'soft'], ['gone@example.net', '5.1.1', 'hard']]);
+    assert.strictEqual(postfix.recipients[0].diagnosticCode,
+        'host mx.example.net[192.0.2.1] said: 552 5.2.2 Mailbox full (in reply to RCPT TO command)'), checks++;
+
+    // VERP：从退信的收件地址还原原收件人，签名被篡改或不匹配模板时为null
+    const { data, tree } = await parseMail(fixture('postfix')), bounceTo = data.to[0].address;
+    assert.strictEqual(bounceTo, createVerpAddress('gone@example.net', verp));
+    assert.strictEqual(decodeVerpAddress(bounceTo, verp), 'gone@example.net');
+    assert.strictEqual(decodeVerpAddress(tree.headers.find(header => header.key === 'delivered-to').raw, verp), 'gone@example.net');
+    assert.strictEqual(decodeVerpAddress(bounceTo.replace('c516', 'c517'), verp), null);
+    assert.strictEqual(decodeVerpAddress('sender@example.com', verp), null), checks++;
+
+    // 可以传入parseMail的解析结果或使用回调；普通邮件不是退信
+    assert.deepStrictEqual(await parseBounce({ data, tree }), postfix);
+    const plain = await new Promise((resolve, reject) => parseBounce('From: a@example.com\r\nSubject: Hi\r\n\r\nHello',
+        (err, bounce) => err ? reject(err) : resolve(bounce)));
+    assert.strictEqual(plain, null), checks++;
+
+    // 分类：投递成功为null，延迟,4xx,邮箱已满和策略拒绝为soft，地址无效为hard，没有状态码时根据说明文字判断
+    assert.strictEqual(classifyBounce({ action: 'relayed', status: '2.0.0' }), null);
+    assert.strictEqual(classifyBounce({ action: 'delayed', status: '5.1.1' }), 'soft');
+    assert.strictEqual(classifyBounce({ action: 'failed', status: '4.2.0' }), 'soft');
+    assert.strictEqual(classifyBounce({ action: 'failed', status: '5.3.4' }), 'soft');
+    assert.strictEqual(classifyBounce({ action: 'failed', status: '5.7.26' }), 'soft');
+    assert.strictEqual(classifyBounce({ action: 'failed', status: '5.1.10' }), 'hard');
+    assert.strictEqual(classifyBounce({ action: 'failed', diagnosticCode: 'The email account that you tried to reach is over quota' }), 'soft');
+    assert.strictEqual(classifyBounce({ diagnosticCode: 'No such user here' }), 'hard');
+    assert.strictEqual(classifyBounce({ action: 'failed' }), 'hard'), assert.strictEqual(classifyBounce(), 'soft'), checks++;
+
+    console.log(`${checks} 项检查通过`);
+}
+
+run();
\ No newline at end of file
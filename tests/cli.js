@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * 命令行工具测试(npm run test:cli)：通过run()执行validate, compile, verify和send命令，send和verify连接本机测试服务器
+ */
+const assert = require('assert');
+const path = require('path');
+const { fs, OS } = require('../lib/shared');
+const cli = require('../lib/cli');
+const { createTestServer } = require('../index');
+
+// 执行命令并收集退出码和输出
+function exec(argv, env = {}) {
+    const stdout = { text: '', write: chunk => stdout.text += chunk }, stderr = { text: '', write: chunk => stderr.text += chunk };
+    return new Promise(resolve => cli.run(argv, { stdout, stderr, env },
+        code => resolve({ code, stdout: stdout.text, stderr: stderr.text })));
+}
+
+async function run() {
+    const dir = fs.mkdtempSync(path.join(OS.tmpdir(), 'lunjack-mail-test-')), server = createTestServer({ users: { user: 'secret' } }),
+        port = await server.listen(), config = path.join(dir, 'config.json'), message = path.join(dir, 'message.json');
+    fs.writeFileSync(config, JSON.stringify({ host: '127.0.0.1', port, tls: { rejectUnauthorized: false } }));
+    fs.writeFileSync(message, JSON.stringify({ subject: 'From file', text: 'Body from file' }));
+    let checks = 0, result;
+
+    // validate：URL字符串,知名服务,无效的URL和端口号
+    result = await exec(['validate', '--url', `smtp://127.0.0.1:${port}`]);
+    assert.strictEqual(result.code, 0), assert.strictEqual(result.stdout, '配置有效\n'), checks++;
+    result = await exec(['validate', '--service', 'QQ', '--user', 'a@qq.com', '--pass', 'x']);
+    assert.strictEqual(result.code, 0), assert.ok(result.stdout.startsWith('服务: QQ -> smtp.qq.com:465 (SSL/TLS)\n')), checks++;
+    result = await exec(['validate', '--url', 'http://127.0.0.1']);
+    assert.strictEqual(result.code, 1), assert.ok(result.stderr.includes('URL格式不正确')), checks++;
+    result = await exec(['validate', '--host', 'x', '--port', '25x']);
+    assert.strictEqual(result.code, 2), assert.strictEqual(result.stderr, '错误: 无效的端口号: 25x\n'), checks++;
+
+    // compile：命令行参数覆盖.json邮件文件中的字段
+    result = await exec(['compile', '-m', message, '-f', 'a@example.com', '-t', 'b@example.org', '-s', 'Subject', '--header', 'X-Test: 1']);
+    assert.strictEqual(result.code, 0);
+    assert.ok(result.stdout.includes('Subject:Subject\r\n')), assert.ok(result.stdout.includes('X-Test:1\r\n'));
+    assert.ok(result.stdout.includes('Body from file')), checks++;
+
+    // verify和send：密码从环境变量读取
+    const env = { LUNJACK_MAIL_PASS: 'secret' };
+    result = await exec(['verify', '-c', config, '--user', 'user'], env);
+    assert.strictEqual(result.code, 0), assert.strictEqual(result.stdout, '连接验证成功\n'), checks++;
+    result = await exec(['send', '-c', config, '--user', 'user', '-f', 'a@example.com', '-t', 'b@example.org', '-t', 'c@example.org',
+        '-s', 'Hello', '--text', 'Hi'], env);
+    assert.strictEqual(result.code, 0), assert.deepStrictEqual(JSON.parse(result.stdout).accepted, ['b@example.org', 'c@example.org']);
+    assert.strictEqual(server.messages.length, 1), assert.strictEqual(server.messages[0].user, 'user');
+    assert.ok(server.messages[0].raw.toString().includes('Subject:Hello')), checks++;
+
+    // 认证失败和收件人被拒绝时输出错误并返回1
+    result = await exec(['verify', '-c', config, '--user', 'user', '--pass', 'wrong']);
+    assert.strictEqual(result.code, 1), assert.ok(result.stderr.endsWith('(EAUTH)\n')), checks++;
+    server.addFailure({ command: 'RCPT', response: '550 5.1.1 No such user' });
+    result = await exec(['send', '-c', config, '--user', 'user', '-f', 'a@example.com', '-t', 'x@example.org', '--text', 'Hi'], env);
+    assert.strictEqual(result.code, 1), assert.ok(result.stderr.includes('(EENVELOPE)')), checks++;
+
+    // 未知命令和选项
+    assert.strictEqual((await exec(['unknown'])).code, 2), assert.strictEqual((await exec(['send', '--nope'])).code, 2), checks++;
+
+    await server.close(), fs.rmSync(dir, { recursive: true, force: true });
+    console.log(`${checks} 项检查通过`);
+}
+
+run();
\ No newline at end of file
@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * 直接投递测试(npm run test:direct)：使用自定义的resolveMx把MX记录指向本机测试服务器，检查MX排序、空MX和收件人分类
+ */
+const assert = require('assert');
+const { createTransport, createTestServer } = require('../index');
+
+const FROM = 'sender@example.com';
+
+async function run() {
+    // 同一端口上的两个MX服务器：127.0.0.2优先级更高，127.0.0.1作为备用
+    const primary = createTestServer(), backup = createTestServer(), port = await backup.listen(0, '127.0.0.1');
+    await primary.listen(port, '127.0.0.2');
+
+    const records = {
+        'example.org': [{ exchange: '127.0.0.1.', priority: 20 }, { exchange: '127.0.0.2.', priority: 10 }],
+        'null.example': [{ exchange: '', priority: 0 }]
+    };
+    let checks = 0;
+    const transport = createTransport({
+        direct: true, port, resolveMx: (domain, callback) => {
+            if (!records[domain]) return callback(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+            setImmediate(() => callback(null, records[domain]));
+        }
+    }), send = to => transport.sendMail({ from: FROM, to, subject: 'x', text: 'x' });
+
+    // 按优先级选择MX服务器
+    let info = await send('a@example.org');
+    assert.deepStrictEqual(info.accepted, ['a@example.org']);
+    assert.strictEqual(primary.messages.length, 1), assert.strictEqual(backup.messages.length, 0), checks++;
+
+    // 优先的MX服务器暂时不可用时使用备用服务器
+    primary.reset().addFailure({ command: 'MAIL', response: '421 4.3.2 Try later' });
+    info = await send('b@example.org');
+    assert.deepStrictEqual(info.accepted, ['b@example.org']);
+    assert.strictEqual(primary.messages.length, 0), assert.deepStrictEqual(backup.messages[0].envelope.to, ['b@example.org']), checks++;
+
+    // 按响应代码区分接受、拒绝和延迟的收件人，拒绝的收件人不再尝试备用服务器
+    primary.reset().addFailure({ command: 'RCPT', match: 'r@example.org', response: '550 5.1.1 No such user' })
+        .addFailure({ command: 'RCPT', match: 'd@example.org', response: '451 4.2.1 Mailbox busy' });
+    backup.reset();
+    info = await send(['a@example.org', 'r@example.org', 'd@example.org']);
+    assert.deepStrictEqual(info.accepted, ['a@example.org']);
+    assert.deepStrictEqual(info.rejected, ['r@example.org']), assert.deepStrictEqual(info.deferred, ['d@example.org']);
+    assert.deepStrictEqual(info.rejectedErrors.map(err => [err.recipient, err.responseCode, err.deferred]),
+        [['r@example.org', 550, false], ['d@example.org', 451, true]]);
+    assert.deepStrictEqual(primary.messages[0].envelope.to, ['a@example.org']), assert.strictEqual(backup.messages.length, 0), checks++;
+
+    // 所有MX服务器都暂时不可用时延迟投递
+    primary.reset().addFailure({ command: 'MAIL', response: '421 4.3.2 Try later' });
+    backup.reset().addFailure({ command: 'MAIL', response: '421 4.3.2 Try later' });
+    let err = await send('a@example.org').catch(err => err);
+    assert.strictEqual(err.code, 'EENVELOPE'), assert.deepStrictEqual(err.deferred, ['a@example.org']);
+    assert.strictEqual(err.rejectedErrors[0].responseCode, 421), checks++;
+
+    // 空MX和不存在的域名永久拒绝，同一封邮件中其他域名的收件人不受影响
+    primary.reset(), backup.reset();
+    info = await send(['a@example.org', 'n@null.example', 'x@missing.example']);
+    assert.deepStrictEqual(info.accepted, ['a@example.org']);
+    assert.deepStrictEqual(info.rejected.sort(), ['n@null.example', 'x@missing.example']); // 各域名并行投递,结果按完成顺序排列
+    assert.deepStrictEqual(info.rejectedErrors.map(err => [err.recipient, err.code, err.responseCode]).sort(),
+        [['n@null.example', 'EENVELOPE', 556], ['x@missing.example', 'EDNS', 550]]), checks++;
+
+    err = await send('n@null.example').catch(err => err);
+    assert.strictEqual(err.code, 'EENVELOPE'), assert.deepStrictEqual(err.rejected, ['n@null.example']), checks++;
+
+    await Promise.all([primary.close(), backup.close()]);
+    console.log(`${checks} 项检查通过`);
+}
+
+run();
\ No newline at end of file
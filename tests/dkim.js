@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * DKIM签名和验证测试(npm run test:dkim)：使用本地公钥映射代替DNS，检查各种规范化方法、Ed25519密钥和可选标签
+ */
+const assert = require('assert');
+const { generateKeyPairSync } = require('crypto');
+const DKIM = require('../lib/dkim');
+const { resolveStream } = require('../lib/shared');
+
+const CANONICALIZATIONS = ['relaxed/relaxed', 'relaxed/simple', 'simple/simple', 'simple/relaxed'];
+// 头部带有多余空白，正文行尾带有空格，以区分simple和relaxed规范化
+const MESSAGE = 'From: a@example.com\r\nTo: b@example.org\r\nSubject: Hello   world\r\n' +
+    'Message-ID: <1@example.com>\r\n\r\nline one  \r\nline two\r\n\r\n\r\n';
+
+// 生成密钥对和对应的DKIM公钥记录(Ed25519记录只包含32字节的原始公钥,RFC 8463)
+function createKey(type) {
+    const { publicKey, privateKey } = type === 'rsa' ? generateKeyPairSync('rsa', { modulusLength: 1024 }) : generateKeyPairSync('ed25519'),
+        der = publicKey.export({ format: 'der', type: 'spki' });
+    return {
+        privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+        record: `v=DKIM1; k=${type}; p=${(type === 'rsa' ? der : der.subarray(der.length - 32)).toString('base64')}`
+    };
+}
+
+const sign = (options, message = MESSAGE) => new Promise((resolve, reject) => resolveStream(new DKIM(options).sign(message),
+    (err, signed) => err ? reject(err) : resolve(signed.toString())));
+const statuses = results => results.map(result => result.status);
+
+async function run() {
+    const rsa = createKey('rsa'), ed = createKey('ed25519'), resolver = {
+        'rsa._domainkey.example.com': rsa.record, 'ed._domainkey.example.com': ed.record
+    }, key = { domainName: 'example.com', keySelector: 'rsa', privateKey: rsa.privateKey };
+    let checks = 0;
+
+    for (const canonicalization of CANONICALIZATIONS) {
+        const signed = await sign({ ...key, canonicalization }), [headerCanon, bodyCanon] = canonicalization.split('/');
+        assert.ok(signed.includes(`c=${canonicalization}`), canonicalization);
+        assert.deepStrictEqual(statuses(await DKIM.verify(signed, { resolver })), ['pass'], canonicalization);
+
+        // 只改变空白：relaxed规范化仍然通过，simple规范化失败
+        const header = signed.replace('Subject: Hello   world', 'Subject: Hello world'),
+            body = signed.replace('line one  \r\n', 'line one\r\n');
+        assert.deepStrictEqual(statuses(await DKIM.verify(header, { resolver })), [headerCanon === 'relaxed' ? 'pass' : 'fail']);
+        assert.deepStrictEqual(statuses(await DKIM.verify(body, { resolver })), [bodyCanon === 'relaxed' ? 'pass' : 'fail']);
+
+        // 修改正文内容总是失败
+        assert.deepStrictEqual(statuses(await DKIM.verify(signed.replace('line two', 'line 2'), { resolver })), ['fail']);
+        checks++;
+    }
+
+    // 同时使用RSA和Ed25519密钥签名，每个密钥生成一个DKIM-Signature头
+    const signed = await sign({ keys: [key, { domainName: 'example.com', keySelector: 'ed', privateKey: ed.privateKey }] }),
+        results = await DKIM.verify(signed, { resolver });
+    assert.deepStrictEqual(results.map(result => [result.algorithm, result.status]), [['rsa-sha256', 'pass'], ['ed25519-sha256', 'pass']]);
+    checks++;
+
+    // 缺少公钥记录时结果为neutral，公钥不匹配时失败
+    assert.deepStrictEqual(statuses(await DKIM.verify(signed, { resolver: {} })), ['neutral', 'neutral']);
+    const swapped = { 'rsa._domainkey.example.com': createKey('rsa').record, 'ed._domainkey.example.com': ed.record };
+    assert.deepStrictEqual(statuses(await DKIM.verify(signed, { resolver: swapped })), ['fail', 'pass']), checks++;
+
+    // l=标签只覆盖签名时的正文，追加的内容不影响验证；t=和x=标签在过期后失败
+    const limited = await sign({ ...key, bodyLength: true });
+    assert.deepStrictEqual(statuses(await DKIM.verify(`${limited}appended\r\n`, { resolver })), ['pass']);
+    const expired = await sign({ ...key, timestamp: new Date(Date.now() - 7200 * 1000), expires: new Date(Date.now() - 3600 * 1000) });
+    assert.deepStrictEqual(statuses(await DKIM.verify(expired, { resolver })), ['fail']), checks++;
+
+    // 解析函数形式的resolver
+    const lookup = (name, callback) => setImmediate(() => callback(null, [[resolver[name].slice(0, 20), resolver[name].slice(20)]]));
+    assert.deepStrictEqual(statuses(await DKIM.verify(signed, { resolver: lookup })), ['pass', 'pass']), checks++;
+
+    console.log(`${checks} 项检查通过`);
+}
+
+run();
\ No newline at end of file
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * HTML解析和序列化测试(npm run test:html)：省略结束标签的元素按浏览器的方式结束，序列化结果再次处理时保持不变
+ */
+const assert = require('assert');
+const { processHtml } = require('../lib/html-processor');
+const { htmlToText } = require('../lib/html-to-text');
+
+// [输入, 序列化结果]
+const SERIALIZE_CASES = [
+    ['<table><tr><td>a<tr><td>b</table>', '<table><tr><td>a</td></tr><tr><td>b</td></tr></table>'],
+    ['<table><tr><td><b>a<td>b<tr><td>c<td>d</table>', '<table><tr><td><b>a</b></td><td>b</td></tr><tr><td>c</td><td>d</td></tr></table>'],
+    ['<table><thead><tr><th>h<tbody><tr><td>a</table>', '<table><thead><tr><th>h</th></tr></thead><tbody><tr><td>a</td></tr></tbody></table>'],
+    ['<table><tr><td>x<table><tr><td>i1<td>i2</table><td>y</table>',
+        '<table><tr><td>x<table><tr><td>i1</td><td>i2</td></tr></table></td><td>y</td></tr></table>'],
+    ['<ul><li><b>a<li>b</ul>', '<ul><li><b>a</b></li><li>b</li></ul>'],
+    ['<ul><li>a<ol><li>a1<li>a2</ol><li>b</ul>', '<ul><li>a<ol><li>a1</li><li>a2</li></ol></li><li>b</li></ul>'],
+    ['<p>a<p>b', '<p>a</p><p>b</p>'],
+    ['<select><option>a<option>b</select>', '<select><option>a</option><option>b</option></select>'],
+    ['<p title="1>2">a<br>b<img src="x.png"></p>', '<p title="1&gt;2">a<br>b<img src="x.png"></p>']
+];
+
+SERIALIZE_CASES.forEach(([html, expected]) => {
+    const result = processHtml(html);
+    assert.strictEqual(result, expected, html);
+    assert.strictEqual(processHtml(result), result, `再次处理 ${html}`);
+});
+
+// [输入, 纯文本]
+const TEXT_CASES = [
+    ['<table><tr><td>a<td>b<tr><td>c<td>d</table>', 'a | b\nc | d'],
+    ['<ul><li><b>a<li>b</ul>', '* a\n* b'],
+    ['<ol start="3"><li>a<li>b</ol>', '3. a\n4. b']
+];
+
+TEXT_CASES.forEach(([html, expected]) => assert.strictEqual(htmlToText(html), expected, html));
+
+// 过深的嵌套和未结束的标签不会导致栈溢出或回溯耗时
+assert.strictEqual(htmlToText(`${'<div>'.repeat(20000)}x`), 'x');
+assert.ok(processHtml(`${'<span>'.repeat(20000)}x${'</span>'.repeat(20000)}`).includes('x'));
+const start = Date.now();
+['<a href="', "<a href='", '<!', '<?'].forEach(token => htmlToText(token.repeat(20000)));
+assert.ok(Date.now() - start < 1000, '未结束的标签解析耗时过长');
+
+console.log(`${SERIALIZE_CASES.length + TEXT_CASES.length + 3} 项检查通过`);
\ No newline at end of file
@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * 邮件解析测试(npm run test:mail-parser)：sendMail生成的邮件解析后还原为相同的邮件数据,流式附件,RFC 2231编码的文件名,
+ * 格式错误或未闭合的multipart和深层嵌套的结构
+ */
+const assert = require('assert');
+const { Readable } = require('stream');
+const { createTransport, parseMail, MailParser } = require('../index');
+
+const transport = createTransport({ streamTransport: true, buffer: true });
+
+// 按指定大小分块输出的可读流，检查跨数据块的行和分隔线
+const chunked = (raw, size) => Readable.from(Array.from({ length: Math.ceil(raw.length / size) },
+    (_, i) => raw.subarray(i * size, (i + 1) * size)));
+
+async function run() {
+    let checks = 0;
+
+    // 往返：sendMail生成的邮件解析后得到相同的地址,主题,正文和附件
+    const binary = Buffer.from(Array.from({ length: 3000 }, (_, i) => i % 256)), mail = {
+        from: '张三 <zhangsan@example.com>', to: ['b@example.org', '李四 <lisi@example.org>'], cc: 'c@example.net',
+        replyTo: 'reply@example.com', subject: '季度报告 Q3', priority: 'high', references: ['<a@example.com>', '<b@example.com>'],
+        headers: { 'X-Campaign': 'autumn' }, text: '你好\n第二行 with a long line '.repeat(20), html: '<p>你好 <img src="cid:logo@example"></p>',
+        attachments: [
+            { filename: '数据.bin', content: binary }, { filename: 'notes.txt', content: 'line1\nline2' },
+            { filename: 'logo.png', content: Buffer.from('png'), cid: 'logo@example' }
+        ]
+    };
+    const { message } = await transport.sendMail(mail), { data, tree } = await parseMail(message);
+    assert.deepStrictEqual(data.from, { name: '张三', address: 'zhangsan@example.com' });
+    assert.deepStrictEqual(data.to, [{ name: '', address: 'b@example.org' }, { name: '李四', address: 'lisi@example.org' }]);
+    assert.deepStrictEqual(data.cc, [{ name: '', address: 'c@example.net' }]), assert.strictEqual(data.replyTo[0].address, 'reply@example.com');
+    assert.strictEqual(data.subject, mail.subject), assert.strictEqual(data.priority, 'high');
+    assert.deepStrictEqual(data.references, mail.references), assert.deepStrictEqual(data.headers, [{ key: 'X-Campaign', value: 'autumn' }]);
+    assert.strictEqual(data.text, mail.text), assert.strictEqual(data.html, mail.html), assert.strictEqual(tree.multipart, 'mixed');
+    assert.deepStrictEqual(data.attachments.map(({ filename, cid }) => [filename, cid]),
+        [['logo.png', 'logo@example'], ['数据.bin', undefined], ['notes.txt', undefined]]);
+    assert.ok(data.attachments[1].content.equals(binary)), assert.strictEqual(data.attachments[2].content.toString(), 'line1\nline2');
+    checks++;
+
+    // 解析得到的数据可以直接重新发送
+    const resent = (await parseMail((await transport.sendMail({ ...data, messageId: undefined })).message)).data;
+    assert.strictEqual(resent.subject, mail.subject), assert.strictEqual(resent.text, mail.text);
+    assert.ok(resent.attachments[1].content.equals(binary)), checks++;
+
+    // 流式附件：通过'attachment'事件输出可读流，小数据块中的分隔线和行同样能被识别
+    const large = Buffer.alloc(200 * 1024, 'abc'), raw = (await transport.sendMail({
+            from: 'a@example.com', to: 'b@example.org', text: 'body', attachments: [{ filename: 'large.bin', content: large }]
+        })).message, parser = new MailParser({ streamAttachments: true }), received = [];
+    parser.on('attachment', attachment => {
+        assert.strictEqual(attachment.filename, 'large.bin'), assert.strictEqual(typeof attachment.content.pipe, 'function');
+        attachment.content.on('data', chunk => received.push(chunk));
+    });
+    await new Promise((resolve, reject) => chunked(raw, 7).pipe(parser).on('finish', resolve).on('error', reject));
+    assert.ok(Buffer.concat(received).equals(large)), assert.strictEqual(parser.data.text, 'body');
+    assert.strictEqual(parser.data.attachments[0].content.readable, false), checks++;
+
+    // RFC 2231：分段的,带字符集的文件名参数和Content-Type中MIME字编码的名称
+    const rfc2231 = await parseMail([
+        'Content-Type: multipart/mixed; boundary="b"', '', '--b',
+        'Content-Type: application/pdf', 'Content-Disposition: attachment;', " filename*0*=utf-8''%E5%B9%B4%E5%BA%A6;",
+        ' filename*1*=%E6%8A%A5%E5%91%8A; filename*2=".pdf"', '', 'pdf', '--b',
+        'Content-Type: text/plain; name="=?UTF-8?B?6K+05piOLnR4dA==?="', '', 'txt', '--b',
+        "Content-Type: text/plain; name*=iso-8859-1'en'caf%E9.txt", '', 'cafe', '--b--', ''
+    ].join('\r\n'));
+    assert.deepStrictEqual(rfc2231.data.attachments.map(attachment => attachment.filename), ['年度报告.pdf', '说明.txt', 'café.txt']);
+    assert.strictEqual(rfc2231.data.attachments[0].content.toString(), 'pdf'), checks++;
+
+    // 未闭合的multipart：缺少结束分隔线时，最后一个部分在输入结束时结束
+    const unterminated = await parseMail([
+        'Subject: x', 'Content-Type: multipart/alternative; boundary=alt', '', 'preamble', '--alt', 'Content-Type: text/plain', '',
+        'plain', '--alt', 'Content-Type: text/html', '', '<p>html</p>'
+    ].join('\n'));
+    assert.strictEqual(unterminated.data.text, 'plain'), assert.strictEqual(unterminated.data.html, '<p>html</p>');
+    assert.strictEqual(unterminated.tree.childNodes.length, 2), checks++;
+
+    // 格式错误：缺少分隔线参数的multipart按普通正文处理，没有冒号的头行被忽略，没有空行时全部为头
+    const malformed = await parseMail('Content-Type: multipart/mixed\r\nnot a header\r\nSubject: y\r\n\r\n--x\r\nbody\r\n');
+    assert.strictEqual(malformed.tree.multipart, false), assert.strictEqual(malformed.data.subject, 'y');
+    assert.deepStrictEqual(malformed.data.attachments.map(attachment => attachment.content.toString()), ['--x\r\nbody']);
+    const headersOnly = await parseMail('Subject: only headers');
+    assert.strictEqual(headersOnly.data.subject, 'only headers'), assert.strictEqual(headersOnly.data.text, ''), checks++;
+
+    // 深层嵌套：外层的分隔线同时闭合所有内层节点
+    const depth = 100, lines = [];
+    for (let i = 0; i < depth; i++) lines.push(`Content-Type: multipart/mixed; boundary="level${i}"`, '', `--level${i}`);
+    lines.push('Content-Type: text/plain', '', 'deep', '--level0', 'Content-Type: text/plain', 'Content-Disposition: attachment', '',
+        'after', '--level0--', '');
+    const nested = await parseMail(lines.join('\r\n'));
+    let node = nested.tree, level = 0;
+    while (node.multipart) node = node.childNodes[0], level++;
+    assert.strictEqual(level, depth), assert.strictEqual(nested.data.text, 'deep'), assert.strictEqual(nested.tree.childNodes.length, 2);
+    assert.strictEqual(nested.data.attachments[0].content.toString(), 'after'), checks++;
+
+    console.log(`${checks} 项检查通过`);
+}
+
+run();
\ No newline at end of file
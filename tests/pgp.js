@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * OpenPGP/MIME插件测试(npm run test:pgp)：签名者和加密者可以使用回调,返回Promise或直接返回结果
+ */
+const assert = require('assert');
+const { createTransport, pgp } = require('../index');
+
+const SIGNATURE = '-----BEGIN PGP SIGNATURE-----\r\n\r\nc2lnbmF0dXJl\r\n-----END PGP SIGNATURE-----',
+    ENCRYPTED = '-----BEGIN PGP MESSAGE-----\r\n\r\nZW5jcnlwdGVk\r\n-----END PGP MESSAGE-----',
+    mail = { from: 'a@example.com', to: 'b@example.org', subject: 'x', text: 'Hello' };
+
+// 使用指定的插件选项发送邮件,返回生成的原始邮件
+function send(options) {
+    const transport = createTransport({ streamTransport: true, buffer: true });
+    transport.use('stream', pgp(options));
+    return transport.sendMail(mail).then(info => info.message.toString());
+}
+
+async function run() {
+    let checks = 0, signed;
+
+    // 同步返回,返回Promise和回调三种方式生成相同结构的multipart/signed邮件,被签名的实体原样出现在邮件中
+    const signers = [
+        { sign: data => (signed = data, SIGNATURE) },
+        { sign: async data => (signed = data, SIGNATURE) },
+        { sign: (data, callback) => (signed = data, setImmediate(() => callback(null, Buffer.from(SIGNATURE)))) }
+    ];
+    for (const signer of signers) {
+        const message = await send({ signer });
+        assert.ok(/^Content-Type:multipart\/signed;protocol="application\/pgp-signature";\r\n micalg=pgp-sha256;/m.test(message));
+        assert.ok(message.includes(signed.toString())), assert.ok(message.includes(SIGNATURE)), checks++;
+    }
+
+    // 同步返回的加密结果,先签名再加密时加密的是已签名的实体
+    const encrypter = { encrypt: (data, envelope) => (signed = { data, envelope }, ENCRYPTED) },
+        encrypted = await send({ signer: signers[0], encrypter });
+    assert.ok(encrypted.includes('Content-Type:multipart/encrypted;protocol="application/pgp-encrypted"'));
+    assert.ok(encrypted.includes(ENCRYPTED)), assert.ok(!encrypted.includes('Hello'));
+    assert.ok(signed.data.toString().includes(SIGNATURE)), assert.deepStrictEqual(signed.envelope.to, ['b@example.org']), checks++;
+
+    // 签名者抛出的错误和缺少方法的错误
+    await assert.rejects(send({ signer: { sign: () => { throw new Error('no key'); } } }), { message: 'no key' });
+    await assert.rejects(send({ encrypter: {} }), { code: 'EPGP' }), checks++;
+
+    console.log(`${checks} 项检查通过`);
+}
+
+run();
\ No newline at end of file
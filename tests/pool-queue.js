@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * 连接池队列测试(npm run test:pool-queue)：按优先级发送,连接关闭后重新排在同一优先级的最前面,定时发送的保留和到期发送,
+ * 取消队列中和定时发送的邮件,关闭连接池时未到期的定时发送邮件失败
+ */
+const assert = require('assert');
+const { createTransport, createTestServer } = require('../index');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run() {
+    const server = createTestServer(), port = await server.listen(),
+        pool = createTransport({ pool: true, maxConnections: 1, host: '127.0.0.1', port, tls: { rejectUnauthorized: false } }),
+        send = (subject, options = {}) => pool.sendMail({ from: 'a@example.com', to: 'b@example.org', subject, text: 'x', ...options }),
+        subjects = () => server.messages.map(message => message.raw.toString().match(/^Subject:(.*)$/m)[1]);
+    let checks = 0;
+
+    // 只有一个连接时按优先级发送，同一优先级按加入顺序发送
+    await Promise.all([send('low', { priority: 'low' }), send('normal1'), send('high', { priority: 'high' }), send('normal2')]);
+    assert.deepStrictEqual(subjects(), ['high', 'normal1', 'normal2', 'low']), checks++;
+
+    // 发送中的连接关闭时，邮件重新排在同一优先级的最前面
+    let closed = false;
+    server.reset().addFailure({ command: 'MAIL', match: () => !closed && (closed = true, pool.transporter._connections[0].close(), false) });
+    await Promise.all([send('first'), send('second'), send('low', { priority: 'low' })]);
+    assert.deepStrictEqual(subjects(), ['first', 'second', 'low']), checks++;
+
+    // 定时发送：到期前保留在连接池中，之后加入的邮件先发送
+    server.reset();
+    const scheduled = send('scheduled', { sendAt: Date.now() + 300 });
+    assert.strictEqual(pool.queueStats().scheduled, 1), assert.ok(pool.queueStats().nextSendAt instanceof Date);
+    await send('now');
+    assert.deepStrictEqual(subjects(), ['now']);
+    await scheduled;
+    assert.deepStrictEqual(subjects(), ['now', 'scheduled']), assert.strictEqual(pool.queueStats().scheduled, 0), checks++;
+
+    // 取消：队列中和定时发送的邮件收到ECANCELED错误，正在发送和未知的邮件无法取消
+    server.reset();
+    const sending = send('sending', { messageId: '<sending@example.com>' }), queued = send('queued', { messageId: '<queued@example.com>' }),
+        later = send('later', { messageId: '<later@example.com>', sendAt: new Date(Date.now() + 60 * 60 * 1000) });
+    await new Promise(setImmediate);
+    assert.strictEqual(pool.cancel('<sending@example.com>'), false), assert.strictEqual(pool.cancel('queued@example.com'), true);
+    assert.strictEqual(pool.cancel('<later@example.com>'), true), assert.strictEqual(pool.cancel('<unknown@example.com>'), false);
+    await assert.rejects(queued, { code: 'ECANCELED' }), await assert.rejects(later, { code: 'ECANCELED' }), await sending;
+    assert.deepStrictEqual(subjects(), ['sending']), assert.strictEqual(pool.queueStats().nextSendAt, null), checks++;
+
+    // 无效的sendAt返回ESCHEDULE错误；关闭连接池时未到期的定时发送邮件失败
+    await assert.rejects(send('invalid', { sendAt: 'not a date' }), { code: 'ESCHEDULE' });
+    const pending = send('pending', { sendAt: Date.now() + 60 * 60 * 1000 });
+    await delay(10), pool.close();
+    await assert.rejects(pending, /连接池已关闭/), assert.strictEqual(server.messages.length, 1), checks++;
+
+    await server.close();
+    console.log(`${checks} 项检查通过`);
+}
+
+run();
\ No newline at end of file
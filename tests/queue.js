@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * 发送队列测试(npm run test:queue)：连接被拒绝时保留消息并重试，服务器恢复后投递成功；永久失败时退信并删除条目
+ */
+const assert = require('assert');
+const path = require('path');
+const { fs, OS } = require('../lib/shared');
+const { createTransport, createTestServer } = require('../index');
+
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+async function run() {
+    const dir = fs.mkdtempSync(path.join(OS.tmpdir(), 'lunjack-mail-test-')), server = createTestServer();
+    // 先获取一个空闲端口再关闭，首次投递时连接被拒绝
+    const port = await server.listen();
+    await server.close();
+
+    const transport = createTransport({ host: '127.0.0.1', port, tls: { rejectUnauthorized: false }, queue: { dir, retryDelay: 50 } }),
+        mail = { from: 'a@example.com', to: 'b@example.com', subject: 'x', text: 'x' };
+    transport.on('error', () => { }); // 传输器同时以'error'事件报告连接错误
+
+    // 连接被拒绝(ESOCKET)视为临时失败：回调返回queued，并安排重试
+    const retried = once(transport, 'retry'), info = await transport.sendMail(mail);
+    assert.strictEqual(info.queued, true);
+    const retry = await retried;
+    assert.strictEqual(retry.error.code, 'ESOCKET'), assert.strictEqual(retry.attempts, 1);
+    assert.strictEqual(fs.readdirSync(dir).filter(file => file.endsWith('.json')).length, 1);
+
+    // 服务器恢复后重试投递成功
+    const sent = once(transport, 'sent');
+    await server.listen(port);
+    assert.strictEqual((await sent).id, info.queueId);
+    assert.strictEqual(server.messages.length, 1), assert.deepStrictEqual(server.messages[0].envelope.to, ['b@example.com']);
+    assert.ok(server.messages[0].raw.toString().includes(info.messageId)); // 重试时保留原来的Message-ID
+
+    // 5xx响应为永久失败：立即退信,不再重试,所有条目都已从存储中删除
+    server.addFailure({ command: 'RCPT', response: '550 5.1.1 No such user' });
+    const bounced = once(transport, 'bounced'), err = await transport.sendMail(mail).catch(err => err);
+    assert.strictEqual(err.responseCode, 550), assert.strictEqual((await bounced).error, err);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+
+    // 关闭后的队列返回EQUEUE错误
+    transport.close();
+    assert.strictEqual((await transport.sendMail(mail).catch(err => err)).code, 'EQUEUE');
+
+    await server.close(), fs.rmSync(dir, { recursive: true, force: true });
+    console.log('4 项检查通过');
+}
+
+run();
\ No newline at end of file
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * 限速器测试(npm run test:rate-limit)：所有调用都显式传入当前时间，检查令牌恢复,多个时间窗口的等待时间,并发上限,
+ * 空闲令牌桶的清理和getRateLimitState
+ */
+const assert = require('assert');
+const RateLimiter = require('../lib/smtp-pool/rate-limiter');
+const { createTransport, createTestServer } = require('../index');
+
+const mail = (to, from = 'sender@example.com') => ({ data: { envelope: { from, to: [].concat(to) } } });
+
+async function run() {
+    const T = Date.now();
+    let checks = 0;
+
+    // 键值：按收件人域名去重,按发件人,自定义键(返回null时不限速)和match过滤
+    let limiter = new RateLimiter([
+        { key: 'domain', match: /example\.org$/, limits: { second: 1 } }, { key: 'sender', limits: { minute: 10 } },
+        { name: 'campaign', key: () => null, limits: { hour: 1 } }
+    ]);
+    assert.deepStrictEqual(limiter.keys(mail(['a@example.org', 'B@EXAMPLE.ORG', 'c@example.net'])), ['0:example.org', '1:sender@example.com']);
+    checks++;
+
+    // 令牌按经过的时间匀速恢复：每秒2个,用完后等待500毫秒
+    limiter = new RateLimiter({ key: 'global', limits: { second: 2 } });
+    const keys = limiter.keys(mail('a@example.org'));
+    assert.deepStrictEqual(keys, ['0:*']);
+    assert.strictEqual(limiter.wait(keys, T), 0), limiter.acquire(keys, T), limiter.acquire(keys, T);
+    assert.strictEqual(limiter.wait(keys, T), 500), assert.strictEqual(limiter.wait(keys, T + 200), 300);
+    assert.strictEqual(limiter.wait(keys, T + 500), 0);
+    assert.strictEqual(limiter.getState(T + 5000)[0].windows[0].remaining, 2), checks++; // 恢复不超过容量
+
+    // 多个时间窗口：等待时间取决于最紧的窗口
+    limiter = new RateLimiter({ key: 'domain', limits: [{ limit: 10, interval: 'second' }, { limit: 3, interval: 60 * 1000 }] });
+    const domain = limiter.keys(mail('a@example.org'));
+    [0, 1, 2].forEach(() => limiter.acquire(domain, T));
+    assert.strictEqual(limiter.wait(domain, T), 20000), assert.strictEqual(limiter.wait(domain, T + 5000), 15000);
+    const [state] = limiter.getState(T + 5000); // 每秒的窗口已恢复满额，每分钟的窗口仍需等待
+    assert.deepStrictEqual(state.windows.map(({ remaining, wait }) => [remaining, wait]), [[10, 0], [0, 15000]]);
+    assert.strictEqual(limiter.wait(domain, T + 20000), 0), checks++;
+
+    // 并发上限：发送中的邮件达到上限时等待释放(Infinity)
+    limiter = new RateLimiter({ key: 'domain', concurrency: 2 });
+    const first = limiter.acquire(domain, T), second = limiter.acquire(domain, T);
+    assert.strictEqual(limiter.wait(domain, T), Infinity), assert.strictEqual(limiter.getState(T)[0].inflight, 2);
+    limiter.release(first);
+    assert.strictEqual(limiter.wait(domain, T), 0), limiter.release(second), checks++;
+
+    // 同一次扫描中共享waits，每个令牌桶只计算一次
+    limiter = new RateLimiter({ key: 'domain', limits: { second: 1 } });
+    limiter.acquire(domain, T);
+    const waits = new Map();
+    assert.strictEqual(limiter.wait(domain, T, waits), 1000), assert.deepStrictEqual([...waits], [['0:example.org', 1000]]);
+    assert.strictEqual(limiter.wait(domain, T + 1000, waits), 1000), assert.strictEqual(limiter.wait(domain, T + 1000), 0), checks++;
+
+    // 清理：距上次清理超过1分钟后，acquire移除已恢复满额且空闲的令牌桶，保留发送中或未恢复的桶
+    limiter = new RateLimiter({ key: 'domain', limits: { hour: 2 } });
+    const other = limiter.keys(mail('a@example.net'));
+    limiter.release(limiter.acquire(domain, T)), limiter.acquire(other, T);
+    limiter.release(limiter.acquire(limiter.keys(mail('a@example.com')), T + 60 * 60 * 1000));
+    assert.deepStrictEqual(limiter.getState(T + 60 * 60 * 1000).map(state => state.key), ['example.net', 'example.com']);
+    checks++;
+
+    // 连接池的getRateLimitState
+    const server = createTestServer(), port = await server.listen(), pool = createTransport({
+        pool: true, host: '127.0.0.1', port, tls: { rejectUnauthorized: false },
+        rateLimits: [{ key: 'domain', limits: { minute: 5 }, concurrency: 1 }]
+    });
+    await Promise.all([pool.sendMail({ from: 'a@example.com', to: 'b@example.org', text: 'x' }),
+        pool.sendMail({ from: 'a@example.com', to: 'c@example.org', text: 'x' })]);
+    const [poolState] = pool.getRateLimitState();
+    assert.strictEqual(poolState.key, 'example.org'), assert.strictEqual(poolState.inflight, 0), assert.strictEqual(poolState.concurrency, 1);
+    assert.deepStrictEqual(poolState.windows.map(({ interval, limit, remaining }) => [interval, limit, remaining]), [[60000, 5, 3]]), checks++;
+    pool.close(), await server.close();
+
+    console.log(`${checks} 项检查通过`);
+}
+
+run();
\ No newline at end of file
@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * S/MIME测试(npm run test:smime)：使用测试服务器的自签名证书签名和加密，再解析生成的CMS结构验证签名并解密内容
+ */
+const assert = require('assert');
+const { X509Certificate, createHash, createDecipheriv, createPrivateKey, privateDecrypt, verify, constants } = require('crypto');
+const asn1 = require('../lib/smime/asn1');
+const { key, cert } = require('../lib/smtp-server/tls-options');
+const { createTransport } = require('../index');
+
+const transport = createTransport({ streamTransport: true, buffer: true }),
+    mail = {
+        from: 'a@example.com', to: 'b@example.org', subject: 'Secret', text: 'Hello\nworld',
+        attachments: [{ filename: 'a.txt', content: 'x' }]
+    };
+
+// 拆分邮件头和实体
+function split(message) {
+    const index = message.indexOf('\r\n\r\n');
+    return { headers: message.substring(0, index), body: message.substring(index + 4) };
+}
+
+// 取出ContentInfo中[0]内的结构的子元素
+const contentChildren = der => asn1.children(asn1.children(asn1.children(asn1.decode(der))[1])[0]);
+
+// 检查multipart/signed实体的分离签名，返回被签名的实体
+function verifySigned(entity) {
+    const boundary = entity.match(/boundary="([^"]+)"/)[1], parts = entity.split(`--${boundary}`),
+        signed = parts[1].substring(2, parts[1].length - 2), signature = Buffer.from(split(parts[2]).body, 'base64');
+
+    // SignedData ::= SEQUENCE { version, digestAlgorithms, encapContentInfo, [0] certificates, signerInfos }
+    const [, , , certificates, signerInfos] = contentChildren(signature),
+        [, , , signedAttrs, , value] = asn1.children(asn1.children(signerInfos)[0]);
+    assert.ok(new X509Certificate(asn1.children(certificates)[0].raw).publicKey.equals(new X509Certificate(cert).publicKey));
+
+    // 签名针对以SET OF标签编码的签名属性，messageDigest属性为被签名实体的摘要
+    const attributes = Buffer.concat([Buffer.from([0x31]), signedAttrs.raw.subarray(1)]);
+    assert.ok(verify('sha256', attributes, new X509Certificate(cert).publicKey, value.content), '签名无效');
+    assert.ok(signedAttrs.raw.includes(createHash('sha256').update(signed, 'binary').digest()), '内容摘要不匹配');
+    return signed;
+}
+
+// 解密application/pkcs7-mime实体
+function decrypt(entity) {
+    // EnvelopedData ::= SEQUENCE { version, recipientInfos, encryptedContentInfo }
+    const [, recipientInfos, encryptedContentInfo] = contentChildren(Buffer.from(split(entity).body, 'base64')),
+        [, , , encryptedKey] = asn1.children(asn1.children(recipientInfos)[0]),
+        [, algorithm, encrypted] = asn1.children(encryptedContentInfo), [, iv] = asn1.children(algorithm);
+
+    // 不使用填充解密内容加密密钥，再去掉PKCS#1 v1.5填充(00 02 随机字节 00 密钥)
+    const padded = privateDecrypt({ key: createPrivateKey(key), padding: constants.RSA_NO_PADDING }, encryptedKey.content),
+        cipherKey = padded.subarray(padded.indexOf(0, 2) + 1);
+    assert.strictEqual(cipherKey.length, 32);
+    const decipher = createDecipheriv('aes-256-cbc', cipherKey, iv.content);
+    return Buffer.concat([decipher.update(encrypted.content), decipher.final()]).toString('binary');
+}
+
+async function run() {
+    let checks = 0;
+
+    // 签名：Content-*头移到被签名的实体中，外层头保持不变
+    let { headers, body } = split((await transport.sendMail({ ...mail, smime: { sign: { cert, key } } })).message.toString('binary'));
+    assert.ok(headers.includes('Subject:Secret')), assert.ok(!/^Content-Transfer-Encoding/m.test(headers));
+    assert.ok(/^Content-Type:multipart\/signed;protocol="application\/pkcs7-signature";micalg=sha-256;/m.test(headers));
+    const signed = verifySigned(`${headers}\r\n\r\n${body}`);
+    assert.ok(/^Content-Type:multipart\/mixed/.test(signed)), assert.ok(signed.includes('Hello\r\nworld')), checks++;
+
+    // 加密：使用收件人证书对应的私钥解密
+    const encrypted = await transport.sendMail({ ...mail, smime: { encrypt: { recipients: cert } } });
+    ({ headers, body } = split(encrypted.message.toString('binary')));
+    assert.ok(headers.includes('Content-Type:application/pkcs7-mime;smime-type=enveloped-data'));
+    const decrypted = decrypt(`${headers}\r\n\r\n${body}`);
+    assert.ok(/^Content-Type:multipart\/mixed/.test(decrypted)), assert.ok(decrypted.includes('Hello\r\nworld')), checks++;
+
+    // 先签名再加密
+    const both = (await transport.sendMail({ ...mail, smime: { sign: { cert, key }, encrypt: { recipients: [cert] } } })).message;
+    assert.ok(verifySigned(decrypt(both.toString('binary'))).includes('Hello\r\nworld')), checks++;
+
+    // 无效的选项和DER数据返回ESMIME错误
+    const err = await transport.sendMail({ ...mail, smime: { sign: { cert, key, hashAlgo: 'md5' } } }).catch(err => err);
+    assert.strictEqual(err.code, 'ESMIME');
+    assert.throws(() => asn1.decode(Buffer.from([0x30, 0x05, 0x01])), { code: 'ESMIME' }), checks++;
+
+    console.log(`${checks} 项检查通过`);
+}
+
+run();
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * 类型声明测试：导入真实的导出并使用tsc编译(npm run test:types)，声明与index.js和lib/不一致时编译失败
+ * 本文件只进行类型检查，不会被执行
+ */
+import mailer = require('../index');
+import {
+    createTransport, validateConfig, createTestServer, pgp, tracking, verifyTrackingToken, createUnsubscribeUrl,
+    verifyUnsubscribeToken, parseMail, MailParser, parseBounce, classifyBounce, createVerpAddress, decodeVerpAddress, qpDecode, QpDecoder,
+    base64Decode, Base64Decoder, decodeWords, decodeHeaderValue, decodeCharset, toUnicode,
+    SmtpSentMessageInfo, StreamSentMessageInfo, VerpOptions
+} from '../index';
+
+// index.js导出的值(新增或删除导出时需要同步修改声明)
+const exported: { [K in keyof typeof mailer]: true } = {
+    createTransport: true, validateConfig: true, createTestServer: true, pgp: true, tracking: true, verifyTrackingToken: true,
+    createUnsubscribeUrl: true, verifyUnsubscribeToken: true, parseMail: true, MailParser: true, parseBounce: true,
+    classifyBounce: true, createVerpAddress: true, decodeVerpAddress: true, qpDecode: true, QpDecoder: true, base64Decode: true,
+    Base64Decoder: true, decodeWords: true, decodeHeaderValue: true, decodeCharset: true, toUnicode: true
+};
+
+// Mail和SmtpServer只有类型，index.js不导出对应的类
+// @ts-expect-error
+new mailer.Mail();
+// @ts-expect-error
+mailer.SmtpServer;
+
+/* ============================== SMTP ============================== */
+
+const smtp = createTransport({
+    host: 'localhost', port: 25, auth: { user: 'a', pass: 'b' }, dkim: { domainName: 'x', keySelector: 's', privateKey: 'k' }
+});
+smtp.sendMail({
+    from: 'a@b.c', to: ['x@y.z', { name: 'N', address: 'n@y.z' }], subject: 's', text: 't',
+    attachments: [{ filename: 'a.txt', content: 'x' }, { path: '/tmp/x', cid: 'img' }],
+    alternatives: [{ contentType: 'text/x', content: 'y' }], icalEvent: { method: 'REQUEST', content: 'BEGIN' },
+    list: { help: 'mailto:h@x', unsubscribe: [{ url: 'http://u', comment: 'c' }] },
+    envelope: { from: 'a@b.c', to: 'x@y.z', useBinaryMime: true }, dsn: { ret: 'HDRS', notify: ['FAILURE'] }
+}).then((info: SmtpSentMessageInfo) => info.accepted.concat(info.rejected));
+smtp.on('error', err => err.code).on('idle', () => { }).use('stream', pgp({ signer: { sign: (data, cb) => cb(null, '') } }));
+smtp.verify().then(ok => ok === true), smtp.close();
+const idle: boolean = smtp.isIdle();
+createTransport('smtps://u:p@h').sendMail({}, (err, info) => info.messageTime);
+// @ts-expect-error
+createTransport({ pool: true, maxConnections: 'x' });
+
+/* ============================== 其他传输器 ============================== */
+
+createTransport({ pool: true, maxConnections: 2 }).sendMail({}).then(info => info.response);
+createTransport({ streamTransport: true, buffer: true }).sendMail({}).then(info => info.message.length);
+createTransport({ streamTransport: true }).sendMail({}).then((info: StreamSentMessageInfo) => info.message);
+createTransport({ jsonTransport: true }).sendMail({}).then(info => info.message);
+createTransport({ sendmail: true }).sendMail({}).then(info => info.response);
+createTransport({ direct: true }).sendMail({}).then(info => info.deferred);
+createTransport<{ ok: number }>({ send: (mail, cb) => cb(null, { ok: 1 }) }).sendMail({}).then(info => info.ok);
+
+const result = validateConfig({ host: 'x' }), warnings: string[] | undefined = result.warnings;
+if (result.valid) result.errors.length;
+
+/* ============================== 队列 ============================== */
+
+const queued = createTransport({ host: 'x', queue: { dir: '/var/spool/mail', name: 'app', retryDelay: 1000 } });
+queued.on('retry', info => info.nextAttempt.getTime() + info.attempts);
+
+/* ============================== 测试服务器 ============================== */
+
+const server = createTestServer({ lmtp: true, failures: [{ command: 'RCPT', match: /x/, response: '550 no' }] });
+server.listen().then(port => port + 1), server.addFailure({ command: 'MAIL' }).reset();
+server.on('message', message => {
+    const notify: string | null | undefined = message.envelope.dsn?.recipients['a@b.c']?.notify;
+    return message.envelope.to.length + message.raw.length + (notify || '').length;
+});
+server.close().then(() => mailer.createTransport({ jsonTransport: true }));
+
+/* ============================== 模板和HTML处理 ============================== */
+
+const templated = createTransport({ streamTransport: true, templates: { dir: '/x', engine: { render: (s, c, o) => s + o.part } } });
+templated.sendMail({ template: { name: 'w', context: { a: 1 } } });
+if (templated.templates) templated.templates.register('a', { html: 'x' }).render('a', {}).then(parts => parts.subject);
+
+const processed = createTransport({ streamTransport: true, processHtml: { baseUrl: 'https://x/' }, textFromHtml: true });
+processed.sendMail({ html: '<b>x</b>', processHtml: true });
+const embedded = createTransport({ streamTransport: true, embedImages: { allow: ['a.com'], baseDir: '/x', maxSize: 1, timeout: 2 } });
+embedded.sendMail({ html: '<b>x</b>', embedImages: { allow: (url: string) => url.startsWith('https:') } });
+
+/* ============================== 跟踪和退订 ============================== */
+
+embedded.use('compile', tracking({ baseUrl: 'https://x', secret: 'a', open: false }));
+embedded.sendMail({ html: 'x', tracking: false });
+const event = verifyTrackingToken('x', { secret: 'a' });
+if (event) event.type, event.url?.length;
+
+const unsubscribing = createTransport({ streamTransport: true, unsubscribe: { url: 'https://x', secret: 'k', mailto: 'a@b' } });
+unsubscribing.sendMail({ to: 'a@b', unsubscribe: { recipient: 'a@b' } }), unsubscribing.sendMail({ to: 'a@b', unsubscribe: false });
+unsubscribing.use('compile', (mail, cb) => (mail.unsubscribeUrl, cb()));
+const unsubscribeUrl: string = createUnsubscribeUrl('a@b', { url: 'https://x', secret: 'k' });
+const unsubscribed = verifyUnsubscribeToken(unsubscribeUrl, { secret: 'k' });
+if (unsubscribed) unsubscribed.recipient;
+
+/* ============================== 批量发送 ============================== */
+
+async function bulk() {
+    const results = unsubscribing.sendBulk({ from: 'a@b', subject: 'Hi {{name}}' }, ['a@b', { to: 'c@d', context: { name: 'C' } }],
+        { concurrency: 2 });
+    results.on('summary', summary => summary.sent);
+    for await (const item of results) item.index, item.error?.code, item.info?.envelope;
+    return results.summary?.failed;
+}
+bulk();
+
+/* ============================== 连接池 ============================== */
+
+const pool = createTransport({
+    pool: true, host: 'x', rateLimits: [
+        { key: 'domain', match: /gmail/, limits: { day: 10 } },
+        { key: (mail, envelope) => envelope.from ? String(envelope.from) : null, limits: [{ limit: 1, interval: 'second' }], concurrency: 1 }
+    ]
+});
+const rateLimits = pool.getRateLimitState();
+if (rateLimits) rateLimits.forEach(state => state.windows[0].remaining);
+pool.sendMail({ to: 'a@b.c', priority: 'high', sendAt: new Date(), messageId: '<x@y>' });
+const stats = pool.queueStats();
+if (stats) stats.nextSendAt?.getTime(), stats.priorities.high;
+const canceled: boolean = pool.cancel('<x@y>');
+pool.sendMail({
+    to: 'a@b.c', subject: '件名', charset: 'iso-2022-jp', text: { content: '本文', charset: 'shift_jis' },
+    alternatives: [{ contentType: 'text/plain', content: 'x', charset: 'big5' }]
+});
+
+/* ============================== 解析 ============================== */
+
+async function parse() {
+    const { data, tree } = await parseMail(Buffer.from('Subject: x\r\n\r\nbody'));
+    tree.childNodes.forEach(node => node.headers.map(header => header.value));
+    const parser = new MailParser({ streamAttachments: true });
+    parser.on('attachment', attachment => attachment.content.resume());
+    parseMail('raw', (err, parsed) => parsed.data.subject);
+
+    const bounce = await parseBounce('raw'), classification: 'hard' | 'soft' | null = classifyBounce({ status: '5.1.1' });
+    parseBounce(await parseMail('raw'), (err, report) => report?.format);
+    return [data.to?.[0]?.address, bounce?.recipients.filter(item => item.classification === 'hard'), classification];
+}
+parse();
+
+/* ============================== VERP ============================== */
+
+const verpOptions: VerpOptions = { address: 'bounces+{local}={domain}@example.com', secret: 'k', hashLength: 10 };
+createTransport({ host: 'smtp.example.com', verp: verpOptions })
+    .sendMail({ to: ['a@x.org', 'b@y.org'], text: 'x', verp: false }).then(info => info.verp?.forEach(item => item.error || item.response));
+const verpAddress: string = createVerpAddress('a@x.org', 'bounces+{local}={domain}@example.com');
+const recipient: string | null = decodeVerpAddress(verpAddress, verpOptions);
+
+/* ============================== 解码工具 ============================== */
+
+const decoded: Buffer = Buffer.concat([qpDecode('a=3Db'), base64Decode(Buffer.from('YWI='))]);
+const stream: NodeJS.ReadableStream = new QpDecoder().pipe(new Base64Decoder());
+const words: string = decodeWords('=?UTF-8?Q?a?=') + decodeCharset(decoded, 'shift_jis') + toUnicode('xn--fiqs8s.cn');
+const filename: string | undefined = decodeHeaderValue("attachment; filename*=utf-8''a.txt").params.filename;
\ No newline at end of file